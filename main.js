@@ -5,36 +5,15 @@ const App = require('./src/app');
 const CommandHandler = require('./src/modules/commandHandler');
 const StatsHandler = require('./src/modules/statsHandler');
 const EmoteProcessor = require('./src/modules/emoteProcessor');
+const MessageQueue = require('./src/modules/messageQueue');
+const ReportGenerator = require('./src/modules/reportGenerator');
+const StatsTransfer = require('./src/modules/statsTransfer');
+const ChatReplay = require('./src/modules/chatReplay');
+const emoteManager = require('./src/modules/emoteManager');
+const I18n = require('./src/utils/i18n');
 const config = require('./src/config');
 const readline = require('readline');
 
-/**
- * Manages reconnection attempts with exponential backoff
- */
-class ReconnectionManager {
-    constructor(maxAttempts = 5, baseDelay = 5000) {
-        this.attempts = 0;
-        this.maxAttempts = maxAttempts;
-        this.baseDelay = baseDelay;
-    }
-
-    async handleReconnect(callback) {
-        if (this.attempts >= this.maxAttempts) {
-            throw new Error('Max reconnection attempts reached');
-        }
-
-        const delay = this.baseDelay * Math.pow(2, this.attempts);
-        this.attempts++;
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return callback();
-    }
-
-    reset() {
-        this.attempts = 0;
-    }
-}
-
 /**
  * Main ChatBot class that handles Twitch chat interactions and message processing
  */
@@ -52,8 +31,7 @@ class ChatBot {
     initializeProperties() {
         this.config = config;
         this.isShuttingDown = false;
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
+        this.isReplaying = false;
         this.lastActivityTime = Date.now();
     }
 
@@ -62,7 +40,10 @@ class ChatBot {
      * @private
      */
     initializeHandlers() {
+        this.i18n = new I18n(config);
+        this.messageQueue = new MessageQueue(this);
         this.statsHandler = new StatsHandler(this);
+        this.statsTransfer = new StatsTransfer(this.statsHandler, { directory: config.files.exports });
         this.commandHandler = new CommandHandler(this);
         this.emoteProcessor = new EmoteProcessor(this);
         this.app = new App(this);
@@ -102,13 +83,14 @@ class ChatBot {
 
     /**
      * Sets up automatic saving of statistics
+     * The timer does not keep the process alive, shutdown saves on its own
      * @private
      */
     setupAutoSave() {
         const autoSaveInterval = config.intervals.autoSave || 300000; // 5 minutes default
         setInterval(() => {
             this.debouncedSave();
-        }, autoSaveInterval);
+        }, autoSaveInterval).unref();
     }
 
     /**
@@ -132,7 +114,7 @@ class ChatBot {
             if (inactiveTime > INACTIVE_THRESHOLD) {
                 await this.statsHandler.freeMemory();
             }
-        }, CHECK_INTERVAL);
+        }, CHECK_INTERVAL).unref();
     }
 
     /**
@@ -141,21 +123,30 @@ class ChatBot {
      * @param {Object} tags - Message tags
      * @param {string} message - Message content
      * @param {boolean} self - Whether message is from bot
+     * @param {number} [timestamp=Date.now()] - When the message was sent (replayed chat logs)
      */
-    async handleMessage(channel, tags, message, self) {
+    async handleMessage(channel, tags, message, self, timestamp = Date.now()) {
         if (self) return;
         
         this.lastActivityTime = Date.now();
         this.statsHandler.metrics.messagesProcessed++;
         
-        const username = tags['display-name'] || tags.username;
+        // Stats are keyed by user ID so renames and display name casing don't split users
+        const user = {
+            id: tags['user-id'] || tags.username,
+            login: tags.username,
+            displayName: tags['display-name'] || tags.username
+        };
         
-        if (message.startsWith('!')) {
-            await this.commandHandler.handleCommand(channel, username, message.slice(1));
+        if (message.startsWith(config.commands.prefix)) {
+            // Commands in replayed chat logs were answered back then
+            if (!this.isReplaying) {
+                await this.commandHandler.handleCommand(channel, user, message.slice(config.commands.prefix.length), tags);
+            }
             return;
         }
 
-        this.emoteProcessor.processMessage(username, message);
+        await this.emoteProcessor.processMessage(channel, user, message, tags, timestamp);
     }
 
     /**
@@ -163,7 +154,9 @@ class ChatBot {
      */
     async init() {
         try {
-            if (await this.handleResetCommand()) {
+            if (await this.handleResetCommand() || await this.handleReportCommand() ||
+                await this.handleExportCommand() || await this.handleImportCommand() ||
+                await this.handleReplayCommand()) {
                 process.exit(0);
             }
 
@@ -194,6 +187,94 @@ class ChatBot {
         }
         return true;
     }
+
+    /**
+     * Handles the report command if present, writing the reports without connecting to chat
+     * @private
+     * @returns {Promise<boolean>} Whether reports were generated
+     */
+    async handleReportCommand() {
+        if (argv._[0] !== 'report') return false;
+
+        // Emote names and images come from the cache, no emotes are fetched
+        await emoteManager.loadCache();
+        const generator = new ReportGenerator(this.statsHandler);
+        const channels = argv.channel ? [argv.channel] : config.channels;
+
+        for (const channel of channels) {
+            const range = await generator.resolveRange(channel, argv);
+            if (!range) {
+                logger.warn(`No stream session ${argv.session || 1} recorded for #${channel}, skipping`);
+                continue;
+            }
+            const report = await generator.build(channel, range);
+            const files = await generator.write(report, argv.out, argv.format);
+            files.forEach(file => logger.success(`Report for #${report.channel} saved to ${file}`));
+        }
+        return true;
+    }
+
+    /**
+     * Handles the export option if present
+     * @private
+     * @returns {Promise<boolean>} Whether statistics were exported
+     */
+    async handleExportCommand() {
+        if (!argv.export) return false;
+
+        // Emote names are exported next to their keys
+        await emoteManager.loadCache();
+        const { file, users } = await this.statsTransfer.exportStats(argv.export, argv.out);
+        logger.success(`Exported statistics of ${users} users to ${file}`);
+        return true;
+    }
+
+    /**
+     * Handles the import option if present
+     * @private
+     * @returns {Promise<boolean>} Whether an export was imported
+     */
+    async handleImportCommand() {
+        if (!argv.import) return false;
+
+        const result = await this.statsTransfer.importStats(argv.import, { policy: argv.onConflict });
+        logger.success(`Imported ${result.users} users from ${result.file} (${result.added} added, ` +
+            `${result.merged} merged, ${result.replaced} replaced, ${result.skipped} skipped)`);
+        return true;
+    }
+
+    /**
+     * Handles the replay command if present, backfilling the statistics from chat logs without connecting to chat
+     * @private
+     * @returns {Promise<boolean>} Whether logs were replayed
+     */
+    async handleReplayCommand() {
+        if (argv._[0] !== 'replay') return false;
+
+        const replay = new ChatReplay(this);
+        await replay.loadEmotes(argv.emotes);
+        const result = await replay.replay(argv.files, { channel: argv.channel, dryRun: argv.dryRun });
+
+        const formatTop = entries => entries.map(entry => `${entry.name} +${entry.count}`).join(', ') || 'none';
+        result.channels.forEach(channel => {
+            logger.info(`#${channel.channel}: ${channel.messages} messages from ${new Date(channel.from).toLocaleString()} ` +
+                `to ${new Date(channel.to).toLocaleString()}`);
+            logger.info(`  ${channel.newUsers} new users, ${channel.updatedUsers} updated users, ` +
+                `+${channel.messagesAdded} messages, +${channel.emotesAdded} emote uses`);
+            logger.info(`  Top emotes: ${formatTop(channel.topEmotes)}`);
+            logger.info(`  Top users: ${formatTop(channel.topUsers)}`);
+        });
+        if (result.errors > 0) {
+            logger.warn(`${result.errors} messages could not be read and were skipped`);
+        }
+
+        if (argv.dryRun) {
+            logger.info(`Dry run: ${result.messages} messages replayed, nothing was saved`);
+        } else {
+            logger.success(`Replayed ${result.messages} messages into the statistics`);
+        }
+        return true;
+    }
 }
 
 /**
@@ -216,14 +297,81 @@ async function confirmReset() {
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
+    .command('report [channel]', 'Generate an emote usage report and exit', (command) => command
+        .positional('channel', {
+            type: 'string',
+            description: 'Channel to report on (default: every monitored channel)'
+        })
+        .option('session', {
+            type: 'number',
+            description: 'Stream session to report on, 1 is the most recent (default)'
+        })
+        .option('from', {
+            type: 'string',
+            description: 'Start of the range instead of a session (e.g. 2024-05-01 or "2024-05-01 20:00")'
+        })
+        .option('to', {
+            type: 'string',
+            description: 'End of the range (default: now)'
+        })
+        .option('format', {
+            choices: ['html', 'markdown', 'both'],
+            default: 'both',
+            description: 'Report file format'
+        })
+        .option('out', {
+            type: 'string',
+            default: './data/reports',
+            description: 'Directory the reports are written to'
+        }))
+    .command('replay <files..>', 'Backfill the statistics from chat logs and exit', (command) => command
+        .positional('files', {
+            type: 'string',
+            description: 'Chat logs in replay order: raw IRC logs, or .json/.ndjson dumps of log tools'
+        })
+        .option('emotes', {
+            type: 'string',
+            description: 'Emote snapshot (an emote cache file) to detect emotes with (default: EMOTES_CACHE_PATH)'
+        })
+        .option('channel', {
+            type: 'string',
+            description: 'Channel of logged messages that do not name one'
+        })
+        .option('dry-run', {
+            type: 'boolean',
+            default: false,
+            description: 'Print what would change without saving anything'
+        }))
     .option('reset', {
         alias: 'r',
         type: 'boolean',
         description: 'Reset all statistics'
     })
+    .option('export', {
+        choices: StatsTransfer.FORMATS,
+        description: 'Export the statistics of every user and exit'
+    })
+    .option('out', {
+        type: 'string',
+        description: 'File to export to (default: a new file in EXPORTS_PATH)'
+    })
+    .option('import', {
+        type: 'string',
+        description: 'Merge a .csv or .ndjson export into the statistics and exit'
+    })
+    .option('on-conflict', {
+        choices: StatsTransfer.CONFLICT_POLICIES,
+        default: 'max',
+        description: 'Users already in the statistics: keep the higher counts (max), add the counts (sum), ' +
+            'use the imported ones (replace) or keep the existing ones (skip)'
+    })
     .help()
     .argv;
 
-// Start the bot
-const bot = new ChatBot();
-bot.init().catch(error => logger.error('Startup error:', error));
+// Start the bot, unless required by the tests
+if (require.main === module) {
+    const bot = new ChatBot();
+    bot.init().catch(error => logger.error('Startup error:', error));
+}
+
+module.exports = ChatBot;
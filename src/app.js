@@ -2,6 +2,9 @@ const tmi = require('tmi.js');
 const config = require('./config');
 const logger = require('./utils/logger');
 const emoteManager = require('./modules/emoteManager');
+const ApiServer = require('./server/api.server');
+const Overlay = require('./server/overlay');
+const ConnectionSupervisor = require('./modules/connectionSupervisor');
 
 /**
  * Main application class that handles Twitch client setup and management
@@ -15,6 +18,11 @@ class App {
     constructor(bot) {
         this.bot = bot;
         this.client = null;
+        this.channelIds = new Map();
+        this.emoteRefreshTimer = null;
+        this.apiServer = null;
+        this.overlay = null;
+        this.supervisor = null;
     }
 
     /**
@@ -22,25 +30,28 @@ class App {
      * @returns {tmi.Client} Configured Twitch client instance
      */
     async setupTwitchClient() {
+        const irc = new URL(config.connection.ircUrl);
         this.client = new tmi.Client({
             options: { 
                 debug: true,           // Enable debug logging
-                reconnect: true,       // Auto reconnect on disconnect
-                joinTimeout: 5000      // Channel join timeout in ms
+                joinTimeout: 5000,     // Channel join timeout in ms
+                skipUpdatingEmotesets: true // Emotes come from the EmoteManager, not tmi.js' emote set lookup
             },
             connection: {
-                reconnect: true,
-                maxReconnectAttempts: this.bot.maxReconnectAttempts,
-                reconnectInterval: 5000
+                server: irc.hostname,
+                port: Number(irc.port) || (irc.protocol === 'wss:' ? 443 : 80),
+                secure: irc.protocol === 'wss:',
+                reconnect: false        // Reconnections are handled by the ConnectionSupervisor
             },
             identity: {
                 username: config.username,
                 password: config.token
             },
-            channels: [config.channel]
+            channels: [...config.channels] // tmi.js prefixes the names with '#' in place
         });
 
         this.setupEventHandlers();
+        this.supervisor = new ConnectionSupervisor(this, config.connection);
         return this.client;
     }
 
@@ -56,33 +67,16 @@ class App {
         // Handle incoming chat messages
         this.client.on('message', this.bot.handleMessage.bind(this.bot));
         
-        // Connection success handler
+        // Connection success handler, disconnects and reconnections are handled by the ConnectionSupervisor
         this.client.on('connected', (address, port) => {
             logger.success(`Connected to ${address}:${port}`);
-            logger.success(`Monitoring channel: ${config.channel}`);
-            this.bot.statsHandler.loadStats();
-        });
-
-        // Disconnection handler with retry logic
-        this.client.on('disconnected', (reason) => {
-            if (!this.bot.isShuttingDown) {
-                logger.error(`Disconnected: ${reason}`);
-                if (this.bot.reconnectAttempts < this.bot.maxReconnectAttempts) {
-                    this.bot.reconnectAttempts++;
-                    logger.warn(`Reconnection attempt ${this.bot.reconnectAttempts}/${this.bot.maxReconnectAttempts}`);
-                }
-            }
-        });
-
-        // Reconnection attempt handler
-        this.client.on('reconnect', () => {
-            logger.warn('Reconnecting...');
+            logger.success(`Monitoring channels: ${config.channels.join(', ')}`);
         });
     }
 
     /**
      * Initializes the application by loading stats, connecting to Twitch,
-     * and setting up channel-specific configurations
+     * and setting up channel-specific configurations for every monitored channel
      * @throws {Error} If initialization fails
      */
     async initialize() {
@@ -95,18 +89,28 @@ class App {
                 throw new Error('Twitch client not initialized');
             }
 
-            await this.client.connect();
+            await this.supervisor.connect();
+            this.supervisor.start();
 
-            // Get channel ID and refresh emotes
-            const channelName = config.channel.toLowerCase();
-            const channelId = await emoteManager.getTwitchUserId(channelName);
-            
-            if (!channelId) {
-                logger.error('Could not get channel ID. Check your Twitch API credentials.');
-                process.exit(1);
+            // Get each channel's ID and refresh its emotes
+            for (const channelName of config.channels) {
+                const channelId = await emoteManager.getTwitchUserId(channelName);
+                
+                if (!channelId) {
+                    logger.error(`Could not get channel ID for #${channelName}. Check your Twitch API credentials.`);
+                    process.exit(1);
+                }
+
+                this.channelIds.set(channelName, channelId);
+                await emoteManager.refreshEmotes(channelId, channelName);
+                await this.bot.statsHandler.migrateEmoteKeys(channelName);
             }
 
-            await emoteManager.refreshEmotes(channelId, channelName);
+            this.setupEmoteRefresh();
+            if (config.features.enableSevenTvEvents) {
+                emoteManager.startLiveUpdates();
+            }
+            await this.startApiServer();
         } catch (error) {
             logger.error('Failed to initialize:', error);
             process.exit(1);
@@ -114,40 +118,97 @@ class App {
     }
 
     /**
-     * Sets up graceful shutdown handlers for various signals and errors
+     * Schedules periodic emote refreshes for every monitored channel
+     * A failed refresh keeps the current emotes and is retried on the next run
      */
-    setupShutdown() {
-        /**
-         * Handles the shutdown process
-         * @param {string} signal - The signal that triggered the shutdown
-         */
-        const shutdown = async (signal) => {
-            if (this.bot.isShuttingDown) return;
-            this.bot.isShuttingDown = true;
-            
-            logger.warn(`Received ${signal} signal, shutting down...`);
-            try {
-                await this.bot.statsHandler.displayTopUsers();
-                await this.bot.statsHandler.saveStats();
-                if (this.client) {
-                    await this.client.disconnect();
+    setupEmoteRefresh() {
+        const interval = config.intervals.emoteRefresh || 1800000; // 30 minutes default
+        this.emoteRefreshTimer = setInterval(async () => {
+            for (const [channelName, channelId] of this.channelIds) {
+                try {
+                    await emoteManager.refreshEmotes(channelId, channelName, { force: true });
+                } catch (error) {
+                    logger.warn(`Scheduled emote refresh failed for #${channelName}, keeping current emotes`);
                 }
-            } catch (error) {
-                logger.error('Error during shutdown:', error);
-            } finally {
-                process.exit(0);
             }
-        };
+        }, interval);
+    }
+
+    /**
+     * Starts the HTTP API, and the overlay served by it, when enabled
+     * The bot keeps running without the API if the server cannot start
+     */
+    async startApiServer() {
+        if (!config.httpApi.enabled) return;
+
+        this.apiServer = new ApiServer(this.bot, config);
+        if (config.overlay.enabled) {
+            this.overlay = new Overlay(this.bot, config);
+            this.overlay.register(this.apiServer);
+        }
 
+        try {
+            await this.apiServer.start();
+            if (this.overlay) {
+                this.overlay.start();
+                logger.success(`Overlay available at http://${config.httpApi.host}:${config.httpApi.port}/overlay/<channel>`);
+            }
+        } catch (error) {
+            logger.error(`Could not start the HTTP API on port ${config.httpApi.port}:`, error.message);
+            this.apiServer = null;
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Saves the statistics, stops every service and exits
+     * @param {string} signal - The signal or reason that triggered the shutdown
+     * @param {number} [exitCode=0] - Process exit code
+     */
+    async shutdown(signal, exitCode = 0) {
+        if (this.bot.isShuttingDown) return;
+        this.bot.isShuttingDown = true;
+
+        logger.warn(`Received ${signal} signal, shutting down...`);
+        clearInterval(this.emoteRefreshTimer);
+        emoteManager.stopLiveUpdates();
+        this.bot.messageQueue.clear();
+        if (this.supervisor) {
+            this.supervisor.stop();
+        }
+        try {
+            if (this.overlay) {
+                this.overlay.stop();
+            }
+            if (this.apiServer) {
+                await this.apiServer.stop();
+            }
+            await this.bot.statsHandler.displayTopUsers();
+            await this.bot.statsHandler.saveStats();
+            this.bot.statsHandler.storage.close();
+            if (this.client && this.client.readyState() === 'OPEN') {
+                await this.client.disconnect();
+            }
+        } catch (error) {
+            logger.error('Error during shutdown:', error);
+        } finally {
+            process.exit(exitCode);
+        }
+    }
+
+    /**
+     * Sets up graceful shutdown handlers for various signals and errors
+     */
+    setupShutdown() {
         // Register process event handlers
-        process.on('SIGINT', () => shutdown('SIGINT'));
-        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => this.shutdown('SIGINT'));
+        process.on('SIGTERM', () => this.shutdown('SIGTERM'));
         process.on('unhandledRejection', (error) => {
             logger.error('Unhandled promise rejection:', error);
         });
         process.on('uncaughtException', (error) => {
             logger.error('Uncaught exception:', error);
-            shutdown('UNCAUGHT_EXCEPTION');
+            this.shutdown('UNCAUGHT_EXCEPTION');
         });
     }
 }
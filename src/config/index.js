@@ -1,11 +1,26 @@
 require('dotenv').config();
+const fs = require('fs');
+const I18n = require('../utils/i18n');
+const { USER_COUNTERS } = require('../utils/user-counters');
+const { normalizeChannel, parseChannelList } = require('../utils/channel-helpers');
 
 const DEFAULT_URLS = {
+    TWITCH_API: 'https://api.twitch.tv/helix',
+    TWITCH_IRC: 'wss://irc-ws.chat.twitch.tv:443',
     SEVENTV: 'https://7tv.io/v3',
+    SEVENTV_EVENTS: 'wss://events.7tv.io/v3',
     BTTV: 'https://api.betterttv.net/3',
     FFZ: 'https://api.frankerfacez.com/v1'
 };
 
+// Well-known chat bot accounts, ignored unless IGNORE_KNOWN_BOTS=false
+const KNOWN_BOTS = [
+    'nightbot', 'streamelements', 'streamlabs', 'moobot', 'fossabot', 'wizebot',
+    'botisimo', 'deepbot', 'phantombot', 'coebot', 'ankhbot', 'vivbot',
+    'soundalerts', 'sery_bot', 'kofistreambot', 'tangiabot', 'pretzelrocks',
+    'streamstickers', 'commanderroot', 'blerp', 'lolrankbot', 'botrixoficial'
+];
+
 const AI_CONFIG = {
     openai: {
         apiKey: process.env.OPENAI_API_KEY,
@@ -22,8 +37,8 @@ const config = {
     // Bot Authentication Settings
     username: process.env.TWITCH_USERNAME,          // Required: Twitch bot username
     token: process.env.TWITCH_TOKEN,                // Required: OAuth token without 'oauth:' prefix
-    channel: process.env.TWITCH_CHANNEL,            // Required: Channel to monitor
-    channelTwitchId: process.env.CHANNEL_ID,        // Optional: Known Twitch user ID
+    channels: parseChannelList(process.env.TWITCH_CHANNEL), // Required: Channel(s) to monitor, comma-separated
+    channelTwitchId: process.env.CHANNEL_ID,        // Optional: Known Twitch user ID of the primary (first) channel
 
     // File Paths
     files: {
@@ -31,7 +46,14 @@ const config = {
         export: process.env.EXPORT_PATH,                // Path to export user rankings
         emotesCache: process.env.EMOTES_CACHE_PATH,     // Path to store emote cache
         statistics: process.env.STATISTICS_PATH,        // Path to store general statistics
-        topUser: process.env.TOP_USER_FILE_PATH         // Add this line
+        topUser: process.env.TOP_USER_FILE_PATH,        // Add this line
+        sqlite: process.env.SQLITE_PATH || './data/chat_statistics.db', // SQLite database (STORAGE_BACKEND=sqlite)
+        exports: process.env.EXPORTS_PATH || './data/exports'          // Directory of full statistics exports (--export, !export)
+    },
+
+    // Statistics Storage Settings
+    storage: {
+        backend: (process.env.STORAGE_BACKEND || 'json').toLowerCase()   // 'json' or 'sqlite'
     },
 
     format: {
@@ -46,16 +68,18 @@ const config = {
 
     // Feature Settings
     features: {
-        maxTopUsers: parseInt(process.env.MAX_TOP_USERS, 10),       // Maximum number of users in rankings
+        maxTopUsers: parseInt(process.env.MAX_TOP_USERS, 10),       // Users per page of the !top ranking
         enableLogging: process.env.ENABLE_LOGGING === 'true',       // Enable detailed logging
         saveErrors: process.env.SAVE_ERRORS === 'true',              // Save error logs
-        enableAiMessages: process.env.ENABLE_AI_MESSAGES === 'true'  // Add this line
+        enableAiMessages: process.env.ENABLE_AI_MESSAGES === 'true', // Add this line
+        enableSevenTvEvents: process.env.ENABLE_7TV_EVENTS === 'true' // Live 7TV emote set updates over the EventAPI
     },
 
     // Platform Settings
     enabledPlatforms: {
         'twitch': process.env.ENABLE_TWITCH_EMOTES === 'true',              // Channel Twitch emotes
         'twitch-global': process.env.ENABLE_TWITCH_GLOBAL === 'true',       // Global Twitch emotes
+        'twitch-external': process.env.ENABLE_TWITCH_EXTERNAL === 'true',   // Twitch emotes from other channels (subs, follower emotes)
         '7tv-channel': process.env.ENABLE_7TV_CHANNEL === 'true',           // Channel 7TV emotes
         '7tv-global': process.env.ENABLE_7TV_GLOBAL === 'true',             // Global 7TV emotes
         'bttv': process.env.ENABLE_BTTV_CHANNEL === 'true',                 // Channel BTTV emotes
@@ -69,10 +93,12 @@ const config = {
         twitch: {
             clientId: process.env.TWITCH_CLIENT_ID,
             clientSecret: process.env.TWITCH_CLIENT_SECRET,
-            accessToken: process.env.TWITCH_ACCESS_TOKEN
+            accessToken: process.env.TWITCH_ACCESS_TOKEN,
+            baseUrl: process.env.TWITCH_API_BASE_URL || DEFAULT_URLS.TWITCH_API
         },
         sevenTv: {
-            baseUrl: DEFAULT_URLS.SEVENTV,
+            baseUrl: process.env.SEVENTV_BASE_URL || DEFAULT_URLS.SEVENTV,
+            eventsUrl: process.env.SEVENTV_EVENTS_URL || DEFAULT_URLS.SEVENTV_EVENTS,
             rateLimit: parseInt(process.env.SEVENTV_RATE_LIMIT, 10) || 60
         },
         bttv: {
@@ -80,7 +106,7 @@ const config = {
             rateLimit: parseInt(process.env.BTTV_RATE_LIMIT, 10) || 60
         },
         ffz: {
-            baseUrl: DEFAULT_URLS.FFZ,
+            baseUrl: process.env.FFZ_BASE_URL || DEFAULT_URLS.FFZ,
             rateLimit: parseInt(process.env.FFZ_RATE_LIMIT, 10) || 60
         }
     },
@@ -94,16 +120,105 @@ const config = {
 
     // Add milestone configuration
     milestones: {
-        values: process.env.MILESTONE_VALUES ? 
-            process.env.MILESTONE_VALUES.split(',').map(Number) : 
-            [100, 500, 1000, 5000, 10000, 50000],
+        counter: process.env.MILESTONE_COUNTER || 'emotes',    // User counter milestones are reached on (see utils/user-counters)
+        values: parseMilestones(process.env.MILESTONE_VALUES || '100,500,1000,5000,10000,50000',
+            process.env.MILESTONE_COUNTER || 'emotes'),        // [{ counter, value }], e.g. "100,500,messages:1000"
         messages: {}
     },
 
+    // Chat Language Settings
+    locale: {
+        default: process.env.BOT_LOCALE || 'pt-BR',                     // Language of chat responses (pt-BR, en, es)
+        channels: parseChannelLocales(process.env.CHANNEL_LOCALES),     // Per-channel languages, e.g. "canal1:en,canal2:es"
+        templatesPath: process.env.RESPONSE_TEMPLATES_PATH,             // Optional: JSON file replacing response templates
+        templates: {}
+    },
+
+    // HTTP API Settings
+    httpApi: {
+        enabled: process.env.ENABLE_HTTP_API === 'true',                // Serve statistics as JSON over HTTP
+        host: process.env.HTTP_API_HOST || '127.0.0.1',                 // Interface to listen on
+        port: parseInt(process.env.HTTP_API_PORT, 10) || 3000           // Port to listen on
+    },
+
+    // OBS Overlay Settings (served by the HTTP API)
+    overlay: {
+        enabled: process.env.ENABLE_OVERLAY === 'true',                 // Serve the overlay at /overlay/<channel>
+        topUsers: parseInt(process.env.OVERLAY_TOP_USERS, 10) || 5,     // Users shown on the leaderboard
+        comboMin: parseInt(process.env.OVERLAY_COMBO_MIN, 10) || 3      // Messages in a row before a combo is shown
+    },
+
+    // Emote Counting Settings (anti-spam)
+    counting: {
+        maxPerMessage: parseInt(process.env.MAX_EMOTES_PER_MESSAGE, 10) || 0,  // Emotes counted per message (0 = no limit)
+        uniqueOnly: process.env.COUNT_UNIQUE_EMOTES_ONLY === 'true',         // Count each emote once per message
+        rateLimit: parseInt(process.env.COUNT_RATE_LIMIT, 10) || 0,          // Messages counted per user per window (0 = no limit)
+        rateWindow: parseInt(process.env.COUNT_RATE_WINDOW, 10) || 30000,    // Rate limit window (ms)
+        repeatWindow: parseInt(process.env.REPEAT_WINDOW, 10) || 0           // Ignore a user's identical message sent within this time (ms, 0 = off)
+    },
+
+    // Emote Combo Settings
+    combos: {
+        window: parseInt(process.env.COMBO_WINDOW, 10) || 30000,        // Maximum pause between two messages of a combo (ms)
+        announce: process.env.COMBO_ANNOUNCE === 'true',                // Announce finished combos in chat
+        minSize: parseInt(process.env.COMBO_MIN_SIZE, 10) || 5          // Messages a combo needs to be announced
+    },
+
+    // Chat Command Settings
+    commands: {
+        prefix: process.env.COMMAND_PREFIX || '!',                      // Text that starts a command
+        silentUnknown: process.env.SILENT_UNKNOWN_COMMANDS === 'true',  // Don't reply to unknown commands (other bots share the prefix)
+        disabled: parseList(process.env.DISABLED_COMMANDS),             // Commands the bot ignores, e.g. "merge,platform"
+        aliases: parseCommandSettings(process.env.COMMAND_ALIASES),     // Extra aliases, e.g. "top:lb|placar,stats:eu"
+        rateLimit: parseDuration(process.env.COMMAND_RATE_LIMIT, 1000),         // Minimum time between two commands of a user (ms)
+        userCooldown: parseDuration(process.env.COMMAND_USER_COOLDOWN, 3000),   // Time before a user can repeat a command (ms)
+        globalCooldown: parseDuration(process.env.COMMAND_GLOBAL_COOLDOWN, 0),  // Time before anyone in the channel can repeat a command (ms)
+        cooldowns: parseCommandSettings(process.env.COMMAND_COOLDOWNS)  // Per-command user/global cooldowns, e.g. "top:10000/30000"
+    },
+
+    // Twitch Chat Connection Settings
+    connection: {
+        ircUrl: process.env.TWITCH_IRC_URL || DEFAULT_URLS.TWITCH_IRC,                    // Twitch chat websocket
+        maxAttempts: parseInt(process.env.CONNECTION_MAX_RETRIES, 10) || 10,             // Reconnection attempts before exiting
+        baseDelay: parseInt(process.env.RECONNECT_BASE_DELAY, 10) || 5000,               // Delay before the first attempt (ms), doubled after each one
+        maxDelay: parseInt(process.env.RECONNECT_MAX_DELAY, 10) || 300000,               // Longest delay between attempts (ms)
+        healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 60000,   // Time between PINGs to Twitch (ms)
+        maxLatency: parseInt(process.env.HEALTH_MAX_LATENCY, 10) || 2000,                // PING latency logged as a warning (ms)
+        stallTimeout: parseDuration(process.env.HEALTH_STALL_TIMEOUT, 30 * 60 * 1000),    // Time without chat messages before reconnecting (ms, 0 = off)
+        alertWebhook: process.env.CONNECTION_ALERT_WEBHOOK                              // Optional: Discord/Slack webhook notified when the bot gives up
+    },
+
+    // Chat Output Settings
+    chat: {
+        rateLimit: parseInt(process.env.CHAT_RATE_LIMIT, 10) || 20,         // Messages per 30s (Twitch allows 20)
+        modRateLimit: parseInt(process.env.CHAT_MOD_RATE_LIMIT, 10) || 100, // Messages per 30s where the bot is a mod or VIP (Twitch allows 100)
+        replyThreads: process.env.CHAT_REPLY_THREADS === 'true'             // Answer commands as replies to the command message
+    },
+
+    // Command Permission Settings
+    permissions: {
+        admins: parseList(process.env.BOT_ADMINS)                       // Logins or user IDs allowed to use every admin command
+    },
+
+    // Ignore List Settings
+    ignore: {
+        users: parseList(process.env.IGNORED_USERS),                    // Logins or user IDs never counted
+        knownBots: process.env.IGNORE_KNOWN_BOTS !== 'false',           // Also ignore well-known chat bots (Nightbot, StreamElements, ...)
+        hideExisting: process.env.HIDE_IGNORED_USERS !== 'false'        // Hide statistics recorded before a user was ignored
+    },
+
+    // Usage History Settings
+    history: {
+        hourlyRetention: (parseInt(process.env.HISTORY_HOURLY_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000,
+        dailyRetention: (parseInt(process.env.HISTORY_DAILY_RETENTION_DAYS, 10) || 365) * 24 * 60 * 60 * 1000,
+        maxSessions: parseInt(process.env.HISTORY_MAX_SESSIONS, 10) || 50,
+        sessionGap: parseInt(process.env.STREAM_SESSION_GAP, 10) || 30 * 60 * 1000
+    },
+
     memory: {
         maxHeapUsage: parseFloat(process.env.MAX_HEAP_USAGE) || 0.9,
         cleanupThreshold: parseFloat(process.env.CLEANUP_THRESHOLD) || 0.8,
-        staleDataAge: parseInt(process.env.STALE_DATA_AGE, 10) || 30 * 24 * 60 * 60 * 1000,
+        staleDataAge: parseDuration(process.env.STALE_DATA_AGE, 30 * 24 * 60 * 60 * 1000),
         checkInterval: parseInt(process.env.MEMORY_CHECK_INTERVAL, 10) || 5 * 60 * 1000
     }
 };
@@ -126,7 +241,7 @@ const defaultConfig = {
 // Configuration validation
 function validateConfig(config) {
     const required = {
-        auth: ['username', 'token', 'channel'],
+        auth: ['username', 'token'],
         apis: ['clientId', 'clientSecret', 'accessToken']
     };
 
@@ -136,6 +251,20 @@ function validateConfig(config) {
         throw new Error(`Missing required authentication settings: ${missingAuth.join(', ')}`);
     }
 
+    // Validate monitored channels
+    if (!config.channels.length) {
+        throw new Error('TWITCH_CHANNEL must contain at least one channel name');
+    }
+    // Primary channel, used for legacy single-channel data and CHANNEL_ID
+    config.channel = config.channels[0];
+
+    // The bot's own account is always ignored, it can chat from other connections
+    config.ignore.users = [...new Set([
+        ...config.ignore.users,
+        config.username.toLowerCase(),
+        ...(config.ignore.knownBots ? KNOWN_BOTS : [])
+    ])];
+
     // Validate API credentials
     const missingApi = required.apis.filter(key => !config.apis.twitch[key]);
     if (missingApi.length) {
@@ -149,6 +278,11 @@ function validateConfig(config) {
         }
     });
 
+    // Validate storage backend
+    if (!['json', 'sqlite'].includes(config.storage.backend)) {
+        throw new Error('STORAGE_BACKEND must be either "json" or "sqlite"');
+    }
+
     // Initialize APIs configuration if not present
     config.apis = config.apis || {};
 
@@ -156,6 +290,7 @@ function validateConfig(config) {
     const apiConfigs = {
         sevenTv: {
             baseUrl: process.env.SEVENTV_BASE_URL || DEFAULT_URLS.SEVENTV,
+            eventsUrl: process.env.SEVENTV_EVENTS_URL || DEFAULT_URLS.SEVENTV_EVENTS,
             rateLimit: parseInt(process.env.SEVENTV_RATE_LIMIT, 10) || 60
         },
         bttv: {
@@ -184,11 +319,14 @@ function validateConfig(config) {
         };
     }
 
-    // Process milestone messages
-    config.milestones.values.forEach(milestone => {
-        const msgKey = `MILESTONE_${milestone}_MESSAGE`;
-        const defaultMsg = `atingiu ${milestone} emotes! Parabéns! 🎉`;
-        config.milestones.messages[milestone] = process.env[msgKey] || defaultMsg;
+    // Process milestone messages keyed "counter:value", milestones without one use the locale's milestone.reached message
+    config.milestones.values.forEach(({ counter, value }) => {
+        const setting = milestoneMessageSettings(counter, value, config.milestones.counter)
+            .find(name => process.env[name]);
+        if (setting) {
+            I18n.validateTemplate(process.env[setting], ['user', 'count', 'counter'], setting);
+            config.milestones.messages[`${counter}:${value}`] = process.env[setting];
+        }
     });
 
     // Validate AI configuration when enabled
@@ -250,10 +388,14 @@ function validateConfig(config) {
     if (!Array.isArray(config.milestones.values) || config.milestones.values.length === 0) {
         throw new Error('MILESTONE_VALUES must be a comma-separated list of numbers');
     }
-    config.milestones.values.forEach(milestone => {
-        if (isNaN(milestone) || milestone < 1) {
+    const counters = Object.keys(USER_COUNTERS);
+    config.milestones.values.forEach(({ counter, value }) => {
+        if (isNaN(value) || value < 1) {
             throw new Error('Each milestone value must be a valid number >= 1');
         }
+        if (!counters.includes(counter)) {
+            throw new Error(`Unknown milestone counter "${counter}" in MILESTONE_COUNTER or MILESTONE_VALUES (use ${counters.join(', ')})`);
+        }
     });
 
     // Validate feature settings
@@ -278,14 +420,196 @@ function validateConfig(config) {
     if (config.memory.cleanupThreshold < 0 || config.memory.cleanupThreshold > 1) {
         throw new Error('CLEANUP_THRESHOLD must be between 0 and 1');
     }
-    if (config.memory.staleDataAge < 0) {
-        throw new Error('STALE_DATA_AGE must be a positive number');
+    if (!(config.memory.staleDataAge >= 0)) {
+        throw new Error('STALE_DATA_AGE must be a number >= 0');
     }
     if (config.memory.checkInterval < 1000) {
         throw new Error('MEMORY_CHECK_INTERVAL must be at least 1000ms');
     }
 
+    // Validate usage history settings
+    if (config.history.dailyRetention < config.history.hourlyRetention) {
+        throw new Error('HISTORY_DAILY_RETENTION_DAYS must be >= HISTORY_HOURLY_RETENTION_DAYS');
+    }
+    if (config.history.sessionGap < 60000) {
+        throw new Error('STREAM_SESSION_GAP must be at least 60000ms');
+    }
+
+    // Validate HTTP API settings
+    if (config.httpApi.enabled && (config.httpApi.port < 1 || config.httpApi.port > 65535)) {
+        throw new Error('HTTP_API_PORT must be a valid port number (1-65535)');
+    }
+
+    // Validate counting settings
+    if (config.counting.maxPerMessage < 0 || config.counting.rateLimit < 0 || config.counting.repeatWindow < 0) {
+        throw new Error('MAX_EMOTES_PER_MESSAGE, COUNT_RATE_LIMIT and REPEAT_WINDOW must be >= 0');
+    }
+    if (config.counting.rateWindow < 1000) {
+        throw new Error('COUNT_RATE_WINDOW must be at least 1000ms');
+    }
+
+    // Validate combo settings
+    if (config.combos.window < 1000) {
+        throw new Error('COMBO_WINDOW must be at least 1000ms');
+    }
+    if (config.combos.minSize < 2) {
+        throw new Error('COMBO_MIN_SIZE must be >= 2');
+    }
+
+    // Validate overlay settings
+    if (config.overlay.enabled && !config.httpApi.enabled) {
+        throw new Error('ENABLE_OVERLAY requires ENABLE_HTTP_API=true');
+    }
+    if (config.overlay.topUsers < 1 || config.overlay.comboMin < 2) {
+        throw new Error('OVERLAY_TOP_USERS must be >= 1 and OVERLAY_COMBO_MIN must be >= 2');
+    }
+
+    // Validate chat command settings
+    if (!config.commands.prefix || /\s/.test(config.commands.prefix)) {
+        throw new Error('COMMAND_PREFIX must not be empty or contain spaces');
+    }
+    ['rateLimit', 'userCooldown', 'globalCooldown'].forEach(key => {
+        if (isNaN(config.commands[key]) || config.commands[key] < 0) {
+            throw new Error('COMMAND_RATE_LIMIT, COMMAND_USER_COOLDOWN and COMMAND_GLOBAL_COOLDOWN must be valid numbers >= 0');
+        }
+    });
+    Object.entries(config.commands.aliases).forEach(([command, aliases]) => {
+        config.commands.aliases[command] = aliases.split('|').map(alias => alias.trim().toLowerCase()).filter(Boolean);
+        if (config.commands.aliases[command].some(alias => /\s/.test(alias))) {
+            throw new Error(`COMMAND_ALIASES: aliases of "${command}" must not contain spaces`);
+        }
+    });
+    // "user/global", either part can be left out to keep the default
+    Object.entries(config.commands.cooldowns).forEach(([command, value]) => {
+        const [user, global] = value.split('/').map(part => part.trim());
+        const cooldown = {
+            user: parseDuration(user, config.commands.userCooldown),
+            global: parseDuration(global, config.commands.globalCooldown)
+        };
+        if (isNaN(cooldown.user) || isNaN(cooldown.global) || cooldown.user < 0 || cooldown.global < 0) {
+            throw new Error(`COMMAND_COOLDOWNS: "${command}:${value}" must be <user ms>/<global ms> with numbers >= 0`);
+        }
+        config.commands.cooldowns[command] = cooldown;
+    });
+
+    // Validate connection settings
+    if (config.connection.maxAttempts < 1) {
+        throw new Error('CONNECTION_MAX_RETRIES must be >= 1');
+    }
+    if (config.connection.baseDelay < 1000 || config.connection.maxDelay < config.connection.baseDelay) {
+        throw new Error('RECONNECT_BASE_DELAY must be at least 1000ms and RECONNECT_MAX_DELAY must be >= RECONNECT_BASE_DELAY');
+    }
+    if (config.connection.healthCheckInterval < 10000) {
+        throw new Error('HEALTH_CHECK_INTERVAL must be at least 10000ms');
+    }
+    if (!(config.connection.stallTimeout >= 0)) {
+        throw new Error('HEALTH_STALL_TIMEOUT must be a number >= 0');
+    }
+
+    // Validate chat output settings
+    if (config.chat.rateLimit < 1 || config.chat.modRateLimit < config.chat.rateLimit) {
+        throw new Error('CHAT_RATE_LIMIT must be >= 1 and CHAT_MOD_RATE_LIMIT must be >= CHAT_RATE_LIMIT');
+    }
+
+    // Validate locale and response template settings
+    const locales = I18n.getAvailableLocales();
+    const checkLocale = (locale, setting) => {
+        if (!locales.includes(locale)) {
+            throw new Error(`${setting} must be one of: ${locales.join(', ')} (got "${locale}")`);
+        }
+    };
+    checkLocale(config.locale.default, 'BOT_LOCALE');
+    Object.values(config.locale.channels).forEach(locale => checkLocale(locale, 'CHANNEL_LOCALES'));
+    if (config.locale.templatesPath) {
+        try {
+            config.locale.templates = JSON.parse(fs.readFileSync(config.locale.templatesPath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`RESPONSE_TEMPLATES_PATH could not be read: ${error.message}`);
+        }
+    }
+    I18n.validateTemplates(config.locale.templates);
+
     return config;
 }
 
+/**
+ * Parses a comma-separated list setting such as DISABLED_COMMANDS or BOT_ADMINS
+ * @param {string} value - Comma-separated names or IDs
+ * @returns {Array<string>} Unique lowercase entries
+ */
+function parseList(value) {
+    const entries = (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    return [...new Set(entries)];
+}
+
+/**
+ * Parses the CHANNEL_LOCALES setting
+ * @param {string} value - Comma-separated channel:locale pairs
+ * @returns {Object} Normalized channel name to locale
+ */
+function parseChannelLocales(value) {
+    const locales = {};
+    (value || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+        const [channel, locale] = pair.split(':').map(part => part.trim());
+        locales[normalizeChannel(channel)] = locale;
+    });
+    return locales;
+}
+
+/**
+ * Parses the MILESTONE_VALUES setting
+ * @param {string} value - Comma-separated values, each optionally prefixed with a counter ("messages:1000")
+ * @param {string} defaultCounter - Counter of values without a prefix (MILESTONE_COUNTER)
+ * @returns {Array<{counter: string, value: number}>} Milestones
+ */
+function parseMilestones(value, defaultCounter) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.lastIndexOf(':');
+        return separator === -1
+            ? { counter: defaultCounter, value: Number(entry) }
+            : { counter: entry.slice(0, separator).trim().toLowerCase(), value: Number(entry.slice(separator + 1)) };
+    });
+}
+
+/**
+ * Gets the settings that can hold the message of a milestone, in order of precedence
+ * MILESTONE_<value>_MESSAGE only applies to milestones on MILESTONE_COUNTER
+ * @param {string} counter - User counter of the milestone
+ * @param {number} value - Milestone value
+ * @param {string} defaultCounter - MILESTONE_COUNTER
+ * @returns {Array<string>} Setting names, e.g. MILESTONE_MESSAGES_1000_MESSAGE
+ */
+function milestoneMessageSettings(counter, value, defaultCounter) {
+    const settings = [`MILESTONE_${counter.toUpperCase().replace(/-/g, '_')}_${value}_MESSAGE`];
+    if (counter === defaultCounter) {
+        settings.push(`MILESTONE_${value}_MESSAGE`);
+    }
+    return settings;
+}
+
+/**
+ * Parses per-command settings such as COMMAND_ALIASES and COMMAND_COOLDOWNS
+ * @param {string} value - Comma-separated command:value pairs
+ * @returns {Object} Lowercase command name to its raw value
+ */
+function parseCommandSettings(value) {
+    const settings = {};
+    (value || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+        const separator = pair.indexOf(':');
+        const command = (separator === -1 ? pair : pair.slice(0, separator)).trim().toLowerCase();
+        settings[command] = separator === -1 ? '' : pair.slice(separator + 1).trim();
+    });
+    return settings;
+}
+
+/**
+ * Parses a duration setting that may be 0
+ * @param {string} value - Duration in ms
+ * @param {number} defaultValue - Value used when the setting is empty
+ * @returns {number} The duration, NaN if it is not a number
+ */
+function parseDuration(value, defaultValue) {
+    return value === undefined || value === '' ? defaultValue : Number(value);
+}
+
 module.exports = validateConfig(config);
@@ -0,0 +1,122 @@
+/**
+ * Variables available to each chat response template
+ * Lists are written as "name[field,field]" (each item's fields are variables inside
+ * {#each name}) or "name[]" for lists of plain values (used as {item}).
+ * {prefix} is the command prefix (COMMAND_PREFIX).
+ * Every message of the locale catalogs must be listed here.
+ */
+module.exports = {
+    'commands.stats.usage': ['prefix'],
+    'commands.stats.description': ['prefix'],
+    'commands.top.usage': ['prefix'],
+    'commands.top.description': ['prefix'],
+    'commands.emote.usage': ['prefix'],
+    'commands.emote.description': ['prefix'],
+    'commands.topemotes.usage': ['prefix'],
+    'commands.topemotes.description': ['prefix'],
+    'commands.rank.usage': ['prefix'],
+    'commands.rank.description': ['prefix'],
+    'commands.platforms.usage': ['prefix'],
+    'commands.platforms.description': ['prefix'],
+    'commands.combo.usage': ['prefix'],
+    'commands.combo.description': ['prefix'],
+    'commands.help.usage': ['prefix'],
+    'commands.help.description': ['prefix'],
+    'commands.refresh.usage': ['prefix'],
+    'commands.refresh.description': ['prefix'],
+    'commands.unused.usage': ['prefix'],
+    'commands.unused.description': ['prefix'],
+    'commands.resetuser.usage': ['prefix'],
+    'commands.resetuser.description': ['prefix'],
+    'commands.merge.usage': ['prefix'],
+    'commands.merge.description': ['prefix'],
+    'commands.ignore.usage': ['prefix'],
+    'commands.ignore.description': ['prefix'],
+    'commands.unignore.usage': ['prefix'],
+    'commands.unignore.description': ['prefix'],
+    'commands.exclude.usage': ['prefix'],
+    'commands.exclude.description': ['prefix'],
+    'commands.platform.usage': ['prefix'],
+    'commands.platform.description': ['prefix'],
+    'commands.save.usage': ['prefix'],
+    'commands.save.description': ['prefix'],
+    'commands.export.usage': ['prefix'],
+    'commands.export.description': ['prefix'],
+    'commands.metrics.usage': ['prefix'],
+    'commands.metrics.description': ['prefix'],
+
+    'command.unknown': ['prefix'],
+    'command.usage': ['usage'],
+    'command.error': [],
+    'command.unknownPlatform': ['platforms[]'],
+    'command.userNotFound': ['user'],
+
+    'help.command': ['prefix', 'command', 'usage', 'description', 'aliases[]'],
+    'help.notFound': [],
+    'help.list': ['prefix', 'commands[]'],
+
+    'stats.none': ['user'],
+    'stats.response': ['user', 'total', 'uniqueEmotes', 'emoteMessages', 'messages', 'ratio', 'days', 'favorite', 'favoriteCount', 'rank'],
+
+    'top.range.week': [],
+    'top.range.month': [],
+    'top.rangeWithPlatform': [],
+    'top.empty': [],
+    'top.invalidPage': ['page', 'pages'],
+    'top.header': ['range', 'platform', 'page', 'pages'],
+    'top.entry': ['rank', 'name', 'score'],
+
+    'emote.notFound': ['emote'],
+    'emote.response': ['emote', 'platform', 'count', 'removed', 'renamed', 'otherNames[]', 'topUsers[name,count]'],
+
+    'topemotes.empty': [],
+    'topemotes.response': ['platform', 'emotes[code,count]'],
+
+    'rank.none': ['user'],
+    'rank.response': ['user', 'rank', 'total'],
+
+    'platforms.empty': [],
+    'platforms.response': ['platforms[platform,count]'],
+
+    'combo.none': ['emote'],
+    'combo.record': ['emote', 'count', 'users'],
+    'combo.empty': [],
+    'combo.records': ['streamEmote', 'streamCount', 'records[emote,count]'],
+    'combo.announce': ['emote', 'count', 'users', 'emoteRecord', 'streamRecord'],
+
+    'refresh.done': ['count'],
+
+    'unused.noEmotes': [],
+    'unused.unused': ['count', 'emotes[]', 'more'],
+    'unused.allUsed': ['emotes[code,count]'],
+
+    'resetuser.done': ['user', 'total'],
+
+    'merge.sameUser': [],
+    'merge.notFound': ['source', 'destination'],
+    'merge.done': ['source', 'destination', 'total'],
+
+    'ignore.list': ['users[]'],
+    'ignore.done': ['user'],
+    'unignore.configured': ['user'],
+    'unignore.notIgnored': ['user'],
+    'unignore.done': ['user'],
+    'exclude.done': ['user'],
+
+    'platform.list': ['platforms[platform,enabled]'],
+    'platform.usage': ['usage', 'platforms[]'],
+    'platform.toggled': ['platform', 'enabled'],
+
+    'save.done': [],
+    'export.done': ['users', 'file'],
+
+    'metrics.response': ['messages', 'emotes', 'commands', 'saves', 'failedSaves', 'hours', 'minutes', 'memory'],
+
+    'counters.emotes': [],
+    'counters.messages': [],
+    'counters.emote-messages': [],
+    'counters.unique-emotes': [],
+
+    'milestone.reached': ['user', 'count', 'counter'],
+    'milestone.custom': ['user', 'message']
+};
@@ -0,0 +1,192 @@
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const emoteManager = require('./emoteManager');
+const { readChatLog } = require('../utils/chat-log');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+// Unreadable messages reported one by one before only counting them
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Backfills the statistics from chat logs recorded before the bot ran
+ * Every message goes through ChatBot.handleMessage with its original time, so firstSeen,
+ * lastSeen and the hourly, daily and session buckets are dated like the chat was. Emotes
+ * are detected with an emote snapshot (an emote cache file) and nothing is fetched.
+ * While replaying, commands in the logs are skipped, milestones and combos are not
+ * announced and nothing is sent to chat. A dry run keeps every change in memory.
+ */
+class ChatReplay {
+    /**
+     * Creates a new ChatReplay instance
+     * @param {Object} bot - The ChatBot instance messages are replayed through
+     */
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    /**
+     * Loads the emotes used to detect emotes in the logs
+     * @param {string} [file] - Emote snapshot in the emote cache format (default: EMOTES_CACHE_PATH)
+     * @returns {Promise<void>}
+     * @throws {Error} If the snapshot does not exist
+     */
+    async loadEmotes(file = emoteManager.cacheFile) {
+        try {
+            await fs.access(file);
+        } catch (error) {
+            throw new Error(`Emote snapshot not found: ${file}`);
+        }
+        await emoteManager.loadCache(file);
+    }
+
+    /**
+     * Replays chat log files in the given order
+     * @param {Array<string>} files - Log files (see utils/chat-log readChatLog for the formats)
+     * @param {Object} [options]
+     * @param {string} [options.channel] - Channel of messages the logs do not name one for
+     * @param {boolean} [options.dryRun=false] - Keep the changes in memory instead of saving them
+     * @returns {Promise<Object>} Summary: replayed messages, unreadable messages (errors) and
+     *   per-channel changes (see summarize)
+     * @throws {Error} If a file cannot be read
+     */
+    async replay(files, { channel = null, dryRun = false } = {}) {
+        const statsHandler = this.bot.statsHandler;
+        // Before loading, so the migrations run on load are not saved either
+        statsHandler.readOnly = dryRun;
+        await statsHandler.ensureLoaded();
+
+        const before = this.snapshot();
+        const botLogin = this.bot.config.username.toLowerCase();
+        const replayed = new Map(); // channel -> { messages, from, to }
+        let errors = 0;
+
+        this.bot.isReplaying = true;
+        try {
+            for (const file of files) {
+                for await (const entry of readChatLog(file, { channel })) {
+                    if (entry.error) {
+                        if (++errors <= MAX_REPORTED_ERRORS) {
+                            logger.warn(`Skipping ${entry.location}: ${entry.error}`);
+                        }
+                        continue;
+                    }
+
+                    const range = replayed.get(entry.channel) || { messages: 0, from: entry.timestamp, to: entry.timestamp };
+                    range.messages++;
+                    range.from = Math.min(range.from, entry.timestamp);
+                    range.to = Math.max(range.to, entry.timestamp);
+                    replayed.set(entry.channel, range);
+
+                    const self = entry.tags.username === botLogin;
+                    await this.bot.handleMessage(`#${entry.channel}`, entry.tags, entry.message, self, entry.timestamp);
+                }
+            }
+
+            // Combos still running at the end of the logs ended there
+            replayed.forEach((range, name) => this.bot.emoteProcessor.comboDetector.endCombo(name));
+            // Let the combo handlers record them before saving
+            await new Promise(resolve => setImmediate(resolve));
+        } finally {
+            this.bot.isReplaying = false;
+        }
+
+        // Buckets of logs older than the retention are dropped
+        statsHandler.history.prune();
+        if (!dryRun) {
+            await statsHandler.saveStats();
+            for (const name of replayed.keys()) {
+                await statsHandler.updateTopUserFile(name);
+            }
+        }
+
+        const after = this.snapshot();
+        return {
+            messages: [...replayed.values()].reduce((sum, range) => sum + range.messages, 0),
+            errors,
+            channels: [...replayed.entries()].map(([name, range]) => ({
+                channel: name,
+                ...range,
+                ...this.summarize(name, before[name], after[name])
+            }))
+        };
+    }
+
+    // Private methods
+
+    /**
+     * Reads the counters needed to tell what a replay changed
+     * @private
+     * @returns {Object} Channel to { users: Map of user key to { total, messages }, emotes: emote key to count }
+     */
+    snapshot() {
+        const channels = {};
+        Object.entries(this.bot.statsHandler.userStats).forEach(([channel, users]) => {
+            const snapshot = channels[normalizeChannel(channel)] = { users: new Map(), emotes: {} };
+            Object.entries(users).forEach(([userKey, stats]) => {
+                snapshot.users.set(userKey, { total: stats.total || 0, messages: stats.messages || 0 });
+                Object.entries(stats.emotes || {}).forEach(([emote, count]) => {
+                    snapshot.emotes[emote] = (snapshot.emotes[emote] || 0) + count;
+                });
+            });
+        });
+        return channels;
+    }
+
+    /**
+     * Compares a channel's counters before and after a replay
+     * @private
+     * @param {string} channel - Channel name
+     * @param {Object} [before] - Snapshot of the channel before the replay
+     * @param {Object} [after] - Snapshot of the channel after the replay
+     * @returns {Object} New and updated users, added messages and emote uses, and the
+     *   5 emotes ({ name, count }) and users ({ name, count }) that gained the most uses
+     */
+    summarize(channel, before = { users: new Map(), emotes: {} }, after = { users: new Map(), emotes: {} }) {
+        const statsHandler = this.bot.statsHandler;
+        const channelStats = statsHandler.getChannelStats(channel);
+        const users = [];
+        let newUsers = 0;
+        let updatedUsers = 0;
+        let messagesAdded = 0;
+        let emotesAdded = 0;
+
+        after.users.forEach((counts, userKey) => {
+            const previous = before.users.get(userKey);
+            const messages = counts.messages - (previous ? previous.messages : 0);
+            const total = counts.total - (previous ? previous.total : 0);
+            if (!previous) {
+                newUsers++;
+            } else if (messages > 0 || total > 0) {
+                updatedUsers++;
+            }
+            messagesAdded += messages;
+            emotesAdded += total;
+            if (total > 0) {
+                users.push({ name: statsHandler.getDisplayName(userKey, channelStats[userKey]), count: total });
+            }
+        });
+        // Legacy records linked to a user ID were counted again on the ID-keyed record
+        before.users.forEach((counts, userKey) => {
+            if (!after.users.has(userKey)) {
+                messagesAdded -= counts.messages;
+                emotesAdded -= counts.total;
+            }
+        });
+
+        const emotes = Object.entries(after.emotes)
+            .map(([key, count]) => ({ name: emoteManager.getEmoteName(key, channel), count: count - (before.emotes[key] || 0) }))
+            .filter(emote => emote.count > 0);
+        const top = entries => entries.sort((a, b) => b.count - a.count).slice(0, 5);
+
+        return {
+            newUsers,
+            updatedUsers,
+            messagesAdded,
+            emotesAdded,
+            topEmotes: top(emotes),
+            topUsers: top(users)
+        };
+    }
+}
+
+module.exports = ChatReplay;
@@ -0,0 +1,134 @@
+const EventEmitter = require('events');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+/**
+ * Detects emote combos: consecutive chat messages using the same emote
+ * A message without the combo emote, or a pause longer than the combo window, ends the combo.
+ * Repeated messages from the user who sent the previous one keep the combo alive
+ * without growing it, so a single user cannot build a combo alone.
+ * Emits 'comboUpdate' each time a combo grows (from 2 messages) and 'comboEnd' when a
+ * combo of at least 2 messages ends, both with { channel, key, code, count, users, start, end }
+ * @extends EventEmitter
+ */
+class ComboDetector extends EventEmitter {
+    /**
+     * Creates a new ComboDetector instance
+     * @param {Object} options - Combo settings
+     * @param {number} options.window - Maximum time between two messages of a combo (ms)
+     */
+    constructor(options = {}) {
+        super();
+        this.window = options.window || 30000;
+        this.combos = new Map(); // channel -> active combo
+        this.timers = new Map(); // channel -> window expiry timer
+    }
+
+    /**
+     * Updates the combo of a channel with a chat message
+     * @param {string} channel - Channel the message was sent in
+     * @param {Object} user - The message sender ({ id, login, displayName })
+     * @param {Array<{key: string, code: string}>} emotes - Emotes detected in the message
+     * @param {number} [timestamp=Date.now()] - When the message was sent
+     */
+    track(channel, user, emotes, timestamp = Date.now()) {
+        const name = normalizeChannel(channel);
+        const combo = this.combos.get(name);
+
+        if (combo && timestamp - combo.end <= this.window && emotes.some(emote => emote.key === combo.key)) {
+            combo.end = timestamp;
+            if (combo.lastUser !== user.id) {
+                combo.count++;
+                combo.users.add(user.id);
+                combo.lastUser = user.id;
+                this.emit('comboUpdate', this.formatCombo(name, combo));
+            }
+            this.scheduleExpiry(name);
+            return;
+        }
+
+        this.endCombo(name);
+        if (emotes.length > 0) {
+            this.combos.set(name, {
+                key: emotes[0].key,
+                code: emotes[0].code,
+                count: 1,
+                users: new Set([user.id]),
+                lastUser: user.id,
+                start: timestamp,
+                end: timestamp
+            });
+            this.scheduleExpiry(name);
+        }
+    }
+
+    /**
+     * Gets the combo in progress in a channel
+     * @param {string} channel - Channel to check
+     * @returns {Object|null} Combo of at least 2 messages, or null
+     */
+    getActiveCombo(channel) {
+        const name = normalizeChannel(channel);
+        const combo = this.combos.get(name);
+        return combo && combo.count >= 2 ? this.formatCombo(name, combo) : null;
+    }
+
+    /**
+     * Ends the combo of a channel, emitting 'comboEnd' if it had at least 2 messages
+     * @param {string} channel - Channel of the combo
+     */
+    endCombo(channel) {
+        const name = normalizeChannel(channel);
+        const combo = this.combos.get(name);
+        clearTimeout(this.timers.get(name));
+        this.timers.delete(name);
+        this.combos.delete(name);
+
+        if (combo && combo.count >= 2) {
+            this.emit('comboEnd', this.formatCombo(name, combo));
+        }
+    }
+
+    /**
+     * Drops every combo in progress without emitting events
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.combos.clear();
+    }
+
+    // Private methods
+
+    /**
+     * Ends the combo of a channel once the combo window passes without a new message
+     * @private
+     * @param {string} channel - Normalized channel name
+     */
+    scheduleExpiry(channel) {
+        clearTimeout(this.timers.get(channel));
+        const timer = setTimeout(() => this.endCombo(channel), this.window);
+        timer.unref();
+        this.timers.set(channel, timer);
+    }
+
+    /**
+     * Formats a combo for event listeners
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {Object} combo - Combo state
+     * @returns {Object} Channel, emote key and code, message count, user count, start and end
+     */
+    formatCombo(channel, combo) {
+        return {
+            channel,
+            key: combo.key,
+            code: combo.code,
+            count: combo.count,
+            users: combo.users.size,
+            start: combo.start,
+            end: combo.end
+        };
+    }
+}
+
+module.exports = ComboDetector;
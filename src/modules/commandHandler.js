@@ -1,6 +1,24 @@
+const path = require('path');
 const chalk = require('chalk');
 const config = require('../config');
 const emoteManager = require('../modules/emoteManager');
+const MessageQueue = require('./messageQueue');
+const StatsTransfer = require('./statsTransfer');
+const Permissions = require('../utils/permissions');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Time ranges accepted by !top, counted from the usage history
+const LEADERBOARD_RANGES = {
+    week: { duration: 7 * DAY, label: 'top.range.week' },
+    semana: { duration: 7 * DAY, label: 'top.range.week' },
+    month: { duration: 30 * DAY, label: 'top.range.month' },
+    mes: { duration: 30 * DAY, label: 'top.range.month' },
+    all: { duration: null, label: null },
+    tudo: { duration: null, label: null },
+    todo: { duration: null, label: null }
+};
 
 /**
  * Handles command processing and execution for the Twitch bot
@@ -13,86 +31,134 @@ class CommandHandler {
      */
     constructor(bot) {
         this.bot = bot;
+        this.permissions = new Permissions(bot.config);
         
         // Rate limiting maps
         this.commandCooldowns = new Map();
+        this.globalCooldowns = new Map();
         this.rateLimit = new Map();
 
-        // Command definitions
+        // Command definitions, `permission` is the lowest role allowed (viewer when omitted)
+        // Usage and description texts are the commands.<name>.* messages of the locale catalogs
         this.commands = {
             'stats': {
-                aliases: ['s', 'info'],
-                usage: '!stats [username]',
-                description: 'Mostra estatísticas de uso de emotes de um usuário'
+                aliases: ['s', 'info']
             },
             'top': {
-                aliases: ['leaderboard', 'ranking', 't'],
-                usage: '!top',
-                description: 'Exibe o top 3 usuários com mais emotes'
+                aliases: ['leaderboard', 'ranking', 't']
             },
             'emote': {
-                aliases: ['e', 'emoteinfo'],
-                usage: '!emote <nome_do_emote>',
-                description: 'Mostra informações sobre um emote específico'
+                aliases: ['e', 'emoteinfo']
+            },
+            'topemotes': {
+                aliases: ['te', 'emotes']
             },
             'rank': {
-                aliases: ['r', 'position'],
-                usage: '!rank',
-                description: 'Mostra sua posição no ranking'
+                aliases: ['r', 'position']
             },
             'platforms': {
-                aliases: ['p', 'sources'],
-                usage: '!platforms',
-                description: 'Exibe estatísticas de uso por plataforma'
+                aliases: ['p', 'sources']
+            },
+            'combo': {
+                aliases: ['c', 'combos']
             },
             'help': {
-                aliases: ['h', 'commands', 'ajuda'],
-                usage: '!help [comando]',
-                description: 'Lista todos os comandos disponíveis'
+                aliases: ['h', 'commands', 'ajuda']
+            },
+            'refresh': {
+                aliases: ['reload', 'refreshemotes'],
+                permission: 'moderator'
+            },
+            'unused': {
+                aliases: ['leastused', 'unusedemotes'],
+                permission: 'moderator'
+            },
+            'resetuser': {
+                aliases: [],
+                permission: 'broadcaster'
+            },
+            'merge': {
+                aliases: ['mergeuser'],
+                permission: 'broadcaster'
+            },
+            'ignore': {
+                aliases: [],
+                permission: 'moderator'
+            },
+            'unignore': {
+                aliases: ['include'],
+                permission: 'moderator'
+            },
+            'exclude': {
+                aliases: ['excludeuser'],
+                permission: 'moderator'
+            },
+            'platform': {
+                aliases: ['toggleplatform'],
+                permission: 'admin'
+            },
+            'save': {
+                aliases: ['forcesave'],
+                permission: 'admin'
+            },
+            'export': {
+                aliases: ['exportstats'],
+                permission: 'admin'
+            },
+            'metrics': {
+                aliases: ['m', 'botstats'],
+                permission: 'admin'
             }
         };
 
-        // Cleanup interval for rate limiting
+        // Names of disabled commands and their aliases, left to other bots in the chat
+        this.disabledCommands = new Set();
+        this.applyCommandSettings(config.commands);
+
+        // Cleanup interval for rate limiting, entries are kept at least as long as the longest cooldown
+        const maxAge = Math.max(3600000, ...Object.values(this.commands).map(info =>
+            Math.max(info.cooldown.user, info.cooldown.global)));
         setInterval(() => {
             const now = Date.now();
-            for (const [key, time] of this.commandCooldowns) {
-                if (now - time > 3600000) { // 1 hour
-                    this.commandCooldowns.delete(key);
-                }
-            }
-            for (const [key, time] of this.rateLimit) {
-                if (now - time > 3600000) {
-                    this.rateLimit.delete(key);
+            [this.commandCooldowns, this.globalCooldowns, this.rateLimit].forEach(times => {
+                for (const [key, time] of times) {
+                    if (now - time > maxAge) {
+                        times.delete(key);
+                    }
                 }
-            }
-        }, 3600000);
+            });
+        }, 3600000).unref();
     }
 
     /**
      * Checks if a user has exceeded the rate limit
-     * @param {string} username - The username to check
+     * @param {string} key - The rate limit key of the user
      * @returns {boolean} True if rate limited, false otherwise
      */
-    isRateLimited(username) {
+    isRateLimited(key) {
         const now = Date.now();
-        const lastCommand = this.rateLimit.get(username) || 0;
-        if (now - lastCommand < 1000) { // 1 second global rate limit
+        const lastCommand = this.rateLimit.get(key) || 0;
+        if (now - lastCommand < config.commands.rateLimit) { // COMMAND_RATE_LIMIT between any two commands
             return true;
         }
-        this.rateLimit.set(username, now);
+        this.rateLimit.set(key, now);
         return false;
     }
 
     /**
      * Main command processing method
      * @param {string} channel - The channel where the command was issued
-     * @param {string} username - The user who issued the command
+     * @param {Object} user - The user who issued the command ({ id, login, displayName })
      * @param {string} command - The command string including arguments
+     * @param {Object} [tags={}] - IRC tags of the message, used for permissions
      */
-    async handleCommand(channel, username, command) {
+    async handleCommand(channel, user, command, tags = {}) {
+        const username = user.displayName;
+        // Responses answer the command message (threaded with CHAT_REPLY_THREADS)
+        const respond = (key, params) => this.reply(channel, key, params, tags.id);
         try {
             // Rate limit check
-            if (this.isRateLimited(username)) {
+            if (this.isRateLimited(`${channel}-${user.id}`)) {
                 return;
             }
 
@@ -105,185 +171,550 @@ class CommandHandler {
                 cmd === _ || info.aliases.includes(cmd)
             );
 
-            // Invalid command handling
+            // Invalid command handling, disabled commands are left to other bots without a reply
             if (!mainCommand) {
-                this.sendResponse(channel, username, '❌ Comando não reconhecido. Use !help para ver os comandos disponíveis.');
+                if (!config.commands.silentUnknown && !this.disabledCommands.has(cmd)) {
+                    respond('command.unknown');
+                }
                 return;
             }
 
             // Command execution setup
             cmd = mainCommand[0]; // Use the main command name
 
-            // Cooldown management
+            // Permission check, commands above the user's role are ignored
+            const role = this.permissions.getRole(channel, tags);
+            if (!this.permissions.hasRole(role, mainCommand[1].permission)) {
+                return;
+            }
+
+            // Cooldown management, per user and for everyone in the channel
             const now = Date.now();
-            const cooldownKey = `${username}-${cmd}`;
-            const lastUsed = this.commandCooldowns.get(cooldownKey) || 0;
-            if (now - lastUsed < 3000) {
+            const { cooldown } = mainCommand[1];
+            const cooldownKey = `${channel}-${user.id}-${cmd}`;
+            const globalKey = `${channel}-${cmd}`;
+            if (now - (this.commandCooldowns.get(cooldownKey) || 0) < cooldown.user ||
+                now - (this.globalCooldowns.get(globalKey) || 0) < cooldown.global) {
                 return;
             }
             this.commandCooldowns.set(cooldownKey, now);
+            this.globalCooldowns.set(globalKey, now);
             this.bot.statsHandler.metrics.commandsExecuted++;
 
-            const targetUser = args[1]?.toLowerCase();
+            const targetUser = args[1]?.replace(/^@/, '').toLowerCase();
 
             // Command implementations
             switch (cmd) {
                 case 'help': {
                     if (targetUser) {
-                        const cmdInfo = this.commands[targetUser] || 
+                        // Both "help top" and "help !top" work
+                        const name = targetUser.startsWith(config.commands.prefix) ?
+                            targetUser.slice(config.commands.prefix.length) : targetUser;
+                        const helpCommand = this.commands[name] ? name :
                             Object.entries(this.commands).find(([_, info]) => 
-                                info.aliases.includes(targetUser)
-                            )?.[1];
-
-                        if (cmdInfo) {
-                            this.sendResponse(channel, username,
-                                `ℹ️ ${cmdInfo.usage} - ${cmdInfo.description} │ ` +
-                                `Aliases: ${cmdInfo.aliases.map(a => '!' + a).join(', ')}`
-                            );
+                                info.aliases.includes(name)
+                            )?.[0];
+
+                        if (helpCommand) {
+                            respond('help.command', {
+                                command: helpCommand,
+                                usage: this.getUsage(channel, helpCommand),
+                                description: this.t(channel, `commands.${helpCommand}.description`),
+                                aliases: this.commands[helpCommand].aliases
+                            });
                         } else {
-                            this.sendResponse(channel, username, '❌ Comando não encontrado');
+                            respond('help.notFound');
                         }
                     } else {
                         const commandList = Object.entries(this.commands)
-                            .map(([cmd, info]) => `!${cmd}`)
-                            .join(', ');
-                        this.sendResponse(channel, username,
-                            `📚 Comandos disponíveis: ${commandList} │ Use !help <comando> para mais detalhes`
-                        );
+                            .filter(([_, info]) => this.permissions.hasRole(role, info.permission))
+                            .map(([cmd]) => cmd);
+                        respond('help.list', { commands: commandList });
                     }
                     break;
                 }
 
                 case 'stats': {
-                    const stats = await this.bot.statsHandler.getUserStats(targetUser || username);
-                    if (!stats) {
-                        this.sendResponse(channel, username, `@${targetUser || username} ainda não usou nenhum emote rastreado 🤔`);
+                    const stats = await this.bot.statsHandler.getUserStats(channel, targetUser || user.id);
+                    // Users who only chatted have a record without counted emotes
+                    if (!stats || !stats.total) {
+                        respond('stats.none', { user: stats?.displayName || targetUser || username });
                         return;
                     }
                     const timeActive = Math.floor((Date.now() - stats.firstSeen) / (1000 * 60 * 60 * 24));
                     const mostUsed = this.bot.statsHandler.getMostUsedEmote(stats.emotes);
-                    this.bot.client.say(channel, 
-                        `@${targetUser || username} → Total: ${stats.total} emotes | ` +
-                        `Ativo: ${timeActive} dias | Favorito: ${mostUsed} ` +
-                        `(${stats.emotes[mostUsed] || 0}x) 📊`);
+                    const rank = await this.bot.statsHandler.getUserRank(channel, targetUser || user.id);
+                    respond('stats.response', {
+                        user: stats.displayName || targetUser || username,
+                        total: stats.total,
+                        uniqueEmotes: Object.keys(stats.emotes).length,
+                        emoteMessages: stats.emoteMessages || 0,
+                        messages: stats.messages || 0,
+                        ratio: stats.messages ? Math.round(stats.total / stats.messages * 100) / 100 : 0,
+                        days: timeActive,
+                        favorite: emoteManager.getEmoteName(mostUsed, channel),
+                        favoriteCount: stats.emotes[mostUsed] || 0,
+                        rank: rank?.position || null
+                    });
                     break;
                 }
 
                 case 'top': {
-                    const userStats = this.bot.statsHandler.userStats || {};
-                    const topUsers = Object.entries(userStats)
-                        .filter(([_, stats]) => stats && typeof stats.total === 'number')
-                        .sort((a, b) => b[1].total - a[1].total)
-                        .slice(0, 3);
-
-                    if (topUsers.length === 0) {
-                        this.bot.client.say(channel, "Ainda não há estatísticas registradas 📊");
+                    let page = 1;
+                    let range = null;
+                    let platform = null;
+                    for (const arg of args.slice(1).map(value => value.toLowerCase())) {
+                        if (/^\d+$/.test(arg)) {
+                            page = parseInt(arg, 10);
+                        } else if (LEADERBOARD_RANGES[arg]) {
+                            range = LEADERBOARD_RANGES[arg];
+                        } else if (Object.keys(config.enabledPlatforms).some(name => name.startsWith(arg))) {
+                            platform = arg;
+                        } else {
+                            respond('command.usage', { usage: this.getUsage(channel, 'top') });
+                            return;
+                        }
+                    }
+
+                    const from = range?.duration ? Date.now() - range.duration : null;
+                    if (from && platform) {
+                        respond('top.rangeWithPlatform');
+                        return;
+                    }
+
+                    const leaderboard = await this.bot.statsHandler.getLeaderboard(channel, { from, platform });
+                    if (leaderboard.length === 0) {
+                        respond('top.empty');
                         return;
                     }
 
-                    const topList = topUsers
-                        .map((user, i) => `${i + 1}. ${user[0]}: ${user[1].total}`)
-                        .join(' │ ');
-                    this.bot.client.say(channel, `🏆 Top ${topUsers.length}: ${topList}`);
+                    const pageSize = config.features.maxTopUsers;
+                    const totalPages = Math.ceil(leaderboard.length / pageSize);
+                    if (page < 1 || page > totalPages) {
+                        respond('top.invalidPage', { page, pages: totalPages });
+                        return;
+                    }
+
+                    const entries = leaderboard
+                        .slice((page - 1) * pageSize, page * pageSize)
+                        .map(entry => this.t(channel, 'top.entry', entry));
+                    const header = this.t(channel, 'top.header', {
+                        range: range?.label ? this.t(channel, range.label) : null,
+                        platform,
+                        page,
+                        pages: totalPages
+                    });
+                    await this.sendList(channel, header, entries, { replyTo: tags.id });
                     break;
                 }
 
                 case 'emote': {
                     if (!args[1]) {
-                        this.bot.client.say(channel, '❌ Uso: !emote <nome_do_emote>');
+                        respond('command.usage', { usage: this.getUsage(channel, 'emote') });
                         return;
                     }
                     const emoteName = args[1];
-                    const emoteInfo = emoteManager.getEmoteInfo(emoteName);
-                    if (!emoteInfo) {
-                        this.bot.client.say(channel, `❌ Emote "${emoteName}" não encontrado`);
+                    // Emotes that were renamed or removed are still found by their old codes
+                    const [emoteKey] = emoteManager.findEmoteKeys(emoteName, channel);
+                    const history = emoteKey && emoteManager.getEmoteHistoryEntry(emoteKey, channel);
+                    const emoteInfo = emoteManager.getEmoteInfo(emoteName, channel);
+                    if (!emoteKey || (!emoteInfo && !history)) {
+                        respond('emote.notFound', { emote: emoteName });
                         return;
                     }
-                    const usageCount = this.bot.getEmoteUsageCount(emoteName);
-                    this.bot.client.say(channel, 
-                        `Emote "${emoteName}" (${emoteInfo.platform}) → ` +
-                        `Usado ${usageCount}x no total 🎯`);
+                    const usageCount = await this.bot.statsHandler.getEmoteUsageCount(channel, emoteKey);
+                    const platform = emoteInfo ? emoteInfo.platform : emoteKey.split(':')[0];
+                    const names = emoteManager.getEmoteNames(emoteKey, channel);
+                    const currentName = names[names.length - 1];
+                    const topUsers = await this.bot.statsHandler.getEmoteTopUsers(channel, emoteKey, 3);
+                    respond('emote.response', {
+                        emote: emoteName,
+                        platform,
+                        count: usageCount,
+                        removed: Boolean(history?.removedAt),
+                        renamed: currentName !== emoteName ? currentName : null,
+                        otherNames: names.filter(name => name !== emoteName && name !== currentName),
+                        topUsers: topUsers.map(([userKey, stats, count]) => ({
+                            name: this.bot.statsHandler.getDisplayName(userKey, stats),
+                            count
+                        }))
+                    });
+                    break;
+                }
+
+                case 'topemotes': {
+                    const platform = this.parsePlatformFilter(channel, targetUser, tags.id);
+                    if (platform === undefined) return;
+                    const topEmotes = await this.bot.statsHandler.getTopEmotes(channel, 5, platform);
+                    if (topEmotes.length === 0) {
+                        respond('topemotes.empty');
+                        return;
+                    }
+                    respond('topemotes.response', { platform, emotes: topEmotes });
                     break;
                 }
 
                 case 'rank': {
-                    const userStats = this.bot.statsHandler.userStats || {};
-                    const stats = userStats[username];
+                    const rank = await this.bot.statsHandler.getUserRank(channel, user.id);
                     
-                    if (!stats || !stats.total) {
-                        this.bot.client.say(channel, `@${username} ainda não está ranqueado 📊`);
+                    if (!rank || !rank.total) {
+                        respond('rank.none', { user: username });
                         return;
                     }
 
-                    const position = Object.values(userStats)
-                        .filter(user => user && typeof user.total === 'number')
-                        .sort((a, b) => b.total - a.total)
-                        .findIndex(user => user.total === stats.total) + 1;
-
-                    this.bot.client.say(channel, 
-                        `@${username} → Rank #${position} │ ` +
-                        `Total: ${stats.total} emotes 🏆`);
+                    respond('rank.response', { user: username, rank: rank.position, total: rank.total });
                     break;
                 }
 
                 case 'platforms': {
-                    const userStats = this.bot.statsHandler.userStats || {};
-                    
-                    // Aggregate emotes by platform
-                    const platformStats = Object.values(userStats)
-                        .filter(stats => stats && stats.emotes)
-                        .reduce((platforms, user) => {
-                            Object.entries(user.emotes).forEach(([emote, count]) => {
-                                const emoteInfo = emoteManager.getEmoteInfo(emote);
-                                if (emoteInfo && emoteInfo.platform) {
-                                    platforms[emoteInfo.platform] = (platforms[emoteInfo.platform] || 0) + count;
-                                }
-                            });
-                            return platforms;
-                        }, {});
+                    // Platform counts are recorded per use, so emotes that are no longer
+                    // in the cache (or external Twitch emotes) are included
+                    const platformStats = await this.bot.statsHandler.getPlatformStats(channel);
 
                     if (Object.keys(platformStats).length === 0) {
-                        this.bot.client.say(channel, "Ainda não há estatísticas por plataforma 📊");
+                        respond('platforms.empty');
                         return;
                     }
 
-                    const statsStr = Object.entries(platformStats)
+                    const platforms = Object.entries(platformStats)
                         .sort((a, b) => b[1] - a[1]) // Sort by usage count
-                        .map(([platform, count]) => `${platform}: ${count}`)
-                        .join(' │ ');
-                    this.bot.client.say(channel, `📊 Uso por plataforma: ${statsStr}`);
+                        .map(([platform, count]) => ({ platform, count }));
+                    respond('platforms.response', { platforms });
+                    break;
+                }
+
+                case 'combo': {
+                    const statsHandler = this.bot.statsHandler;
+                    if (args[1]) {
+                        const [emoteKey] = emoteManager.findEmoteKeys(args[1], channel);
+                        const record = emoteKey && await statsHandler.getEmoteComboRecord(channel, emoteKey);
+                        if (!record) {
+                            respond('combo.none', { emote: args[1] });
+                            return;
+                        }
+                        respond('combo.record', { emote: record.code, count: record.count, users: record.users });
+                        return;
+                    }
+
+                    const streamRecord = await statsHandler.getStreamComboRecord(channel);
+                    const records = await statsHandler.getComboRecords(channel, 3);
+                    if (records.length === 0) {
+                        respond('combo.empty');
+                        return;
+                    }
+
+                    respond('combo.records', {
+                        streamEmote: streamRecord?.code || null,
+                        streamCount: streamRecord?.count || 0,
+                        records: records.map(record => ({ emote: record.code, count: record.count }))
+                    });
+                    break;
+                }
+
+                case 'refresh': {
+                    const channelId = this.bot.app.channelIds.get(normalizeChannel(channel));
+                    await emoteManager.refreshEmotes(channelId, channel, { force: true });
+                    await this.bot.statsHandler.migrateEmoteKeys(channel);
+                    respond('refresh.done', { count: emoteManager.getChannelEmotes(channel).size });
+                    break;
+                }
+
+                case 'unused': {
+                    const platform = this.parsePlatformFilter(channel, targetUser, tags.id);
+                    if (platform === undefined) return;
+                    const emotes = await this.bot.statsHandler.getLeastUsedEmotes(channel, platform);
+                    if (emotes.length === 0) {
+                        respond('unused.noEmotes');
+                        return;
+                    }
+                    const unused = emotes.filter(emote => emote.count === 0);
+                    if (unused.length > 0) {
+                        respond('unused.unused', {
+                            count: unused.length,
+                            emotes: unused.slice(0, 15).map(emote => emote.code),
+                            more: Math.max(unused.length - 15, 0)
+                        });
+                        return;
+                    }
+                    respond('unused.allUsed', { emotes: emotes.slice(0, 10) });
+                    break;
+                }
+
+                case 'resetuser': {
+                    if (!targetUser) {
+                        respond('command.usage', { usage: this.getUsage(channel, 'resetuser') });
+                        return;
+                    }
+                    const stats = await this.bot.statsHandler.resetUser(channel, targetUser);
+                    if (!stats) {
+                        respond('command.userNotFound', { user: targetUser });
+                        return;
+                    }
+                    respond('resetuser.done', { user: stats.displayName || targetUser, total: stats.total });
+                    break;
+                }
+
+                case 'merge': {
+                    const sourceUser = targetUser;
+                    const destinationUser = args[2]?.replace(/^@/, '').toLowerCase();
+                    if (!sourceUser || !destinationUser) {
+                        respond('command.usage', { usage: this.getUsage(channel, 'merge') });
+                        return;
+                    }
+                    if (sourceUser === destinationUser) {
+                        respond('merge.sameUser');
+                        return;
+                    }
+                    const sourceStats = await this.bot.statsHandler.getUserStats(channel, sourceUser);
+                    const stats = await this.bot.statsHandler.mergeUsers(channel, sourceUser, destinationUser);
+                    if (!stats) {
+                        respond('merge.notFound', { source: sourceUser, destination: destinationUser });
+                        return;
+                    }
+                    respond('merge.done', {
+                        source: sourceStats.displayName || sourceUser,
+                        destination: stats.displayName || destinationUser,
+                        total: stats.total
+                    });
+                    break;
+                }
+
+                case 'ignore': {
+                    if (!targetUser) {
+                        respond('ignore.list', { users: this.bot.statsHandler.getIgnoredUsers(channel) });
+                        return;
+                    }
+                    const name = await this.bot.statsHandler.ignoreUser(channel, targetUser);
+                    respond('ignore.done', { user: name });
+                    break;
+                }
+
+                case 'unignore': {
+                    if (!targetUser) {
+                        respond('command.usage', { usage: this.getUsage(channel, 'unignore') });
+                        return;
+                    }
+                    if (!await this.bot.statsHandler.unignoreUser(channel, targetUser)) {
+                        const key = config.ignore.users.includes(targetUser) ? 'unignore.configured' : 'unignore.notIgnored';
+                        respond(key, { user: targetUser });
+                        return;
+                    }
+                    respond('unignore.done', { user: targetUser });
+                    break;
+                }
+
+                case 'exclude': {
+                    if (!targetUser) {
+                        respond('command.usage', { usage: this.getUsage(channel, 'exclude') });
+                        return;
+                    }
+                    const name = await this.bot.statsHandler.ignoreUser(channel, targetUser, { deleteStats: true });
+                    respond('exclude.done', { user: name });
+                    break;
+                }
+
+                case 'platform': {
+                    const platforms = Object.keys(config.enabledPlatforms);
+                    if (!targetUser) {
+                        respond('platform.list', {
+                            platforms: platforms.map(platform => ({ platform, enabled: emoteManager.isPlatformEnabled(platform) }))
+                        });
+                        return;
+                    }
+                    const state = args[2]?.toLowerCase();
+                    if (!platforms.includes(targetUser) || (state && !['on', 'off'].includes(state))) {
+                        respond('platform.usage', { usage: this.getUsage(channel, 'platform'), platforms });
+                        return;
+                    }
+                    const enabled = state ? state === 'on' : !emoteManager.isPlatformEnabled(targetUser);
+                    emoteManager.setPlatformEnabled(targetUser, enabled);
+                    respond('platform.toggled', { platform: targetUser, enabled });
+                    break;
+                }
+
+                case 'save': {
+                    await this.bot.statsHandler.saveStats();
+                    await emoteManager.saveCache();
+                    respond('save.done');
+                    break;
+                }
+
+                case 'export': {
+                    const format = (args[1] || 'csv').toLowerCase();
+                    if (!StatsTransfer.FORMATS.includes(format)) {
+                        respond('command.usage', { usage: this.getUsage(channel, 'export') });
+                        return;
+                    }
+                    const { file, users } = await this.bot.statsTransfer.exportStats(format);
+                    // Only the file name: chat is public, the server's directories are not
+                    respond('export.done', { users, file: path.basename(file) });
                     break;
                 }
 
                 case 'metrics': {
-                    if (username !== config.channel) return; // Admin only
-                    const { messagesProcessed, emotesDetected, commandsExecuted } = this.bot.metrics;
-                    this.bot.client.say(channel, 
-                        `📊 Métricas → Mensagens: ${messagesProcessed} │ ` +
-                        `Emotes: ${emotesDetected} │ Comandos: ${commandsExecuted}`);
+                    const { messagesProcessed, emotesDetected, commandsExecuted, totalSaves, failedSaves } = this.bot.statsHandler.metrics;
+                    const uptime = Math.floor(process.uptime() / 60);
+                    respond('metrics.response', {
+                        messages: messagesProcessed,
+                        emotes: emotesDetected,
+                        commands: commandsExecuted,
+                        saves: totalSaves,
+                        failedSaves,
+                        hours: Math.floor(uptime / 60),
+                        minutes: uptime % 60,
+                        memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
+                    });
                     break;
                 }
             }
         } catch (error) {
             // Error handling
             console.error(chalk.red('Command error:'), error);
-            this.sendResponse(channel, username, '❌ Ocorreu um erro ao processar o comando');
+            try {
+                await respond('command.error');
+            } catch (replyError) {
+                console.error(chalk.red('Could not send the command error reply:'), replyError);
+            }
+        }
+    }
+
+    /**
+     * Validates an optional platform filter argument, replying with the valid names if it is unknown
+     * @param {string} channel - The channel to reply in
+     * @param {string} [platform] - Platform name or prefix (e.g. "7tv" for 7tv-channel and 7tv-global)
+     * @param {string} [replyTo] - ID of the command message
+     * @returns {string|null|undefined} The filter, null without one, or undefined if it is invalid
+     */
+    parsePlatformFilter(channel, platform, replyTo) {
+        if (!platform) return null;
+        const platforms = Object.keys(config.enabledPlatforms);
+        if (platforms.some(name => name.startsWith(platform))) {
+            return platform;
         }
+        this.reply(channel, 'command.unknownPlatform', { platforms }, replyTo);
+        return undefined;
+    }
+
+    /**
+     * Renders a message of the locale catalogs in the language of a channel
+     * @param {string} channel - The channel the message is for
+     * @param {string} key - Message key
+     * @param {Object} [params={}] - Template variables
+     * @returns {string} The rendered message
+     */
+    t(channel, key, params = {}) {
+        return this.bot.i18n.t(channel, key, { prefix: config.commands.prefix, ...params });
+    }
+
+    /**
+     * Gets the localized usage text of a command
+     * @param {string} channel - The channel the usage is shown in
+     * @param {string} command - Main command name
+     * @returns {string} Usage text with the command prefix (e.g. "!top [página] [week|month|all] [plataforma]")
+     */
+    getUsage(channel, command) {
+        return this.t(channel, `commands.${command}.usage`);
+    }
+
+    /**
+     * Sends a message of the locale catalogs to the channel
+     * @param {string} channel - The channel to send the message to
+     * @param {string} key - Message key
+     * @param {Object} [params={}] - Template variables
+     * @param {string} [replyTo] - ID of the chat message this answers
+     */
+    async reply(channel, key, params = {}, replyTo = null) {
+        await this.sendResponse(channel, this.t(channel, key, params), { replyTo });
+    }
+
+    /**
+     * Sends a list in as few messages as possible, splitting it between items
+     * so no message exceeds Twitch's 500 character limit
+     * @param {string} channel - The channel to send the list to
+     * @param {string} prefix - Text before the first item
+     * @param {Array<string>} items - List items
+     * @param {Object} [options={}] - List options
+     * @param {string} [options.separator=' │ '] - Text between items
+     * @param {string} [options.replyTo] - ID of the chat message this answers
+     */
+    async sendList(channel, prefix, items, { separator = ' │ ', replyTo = null } = {}) {
+        const messages = [];
+        let current = prefix;
+        items.forEach(item => {
+            const next = current === prefix ? current + item : current + separator + item;
+            if (next.length > MessageQueue.MAX_MESSAGE_LENGTH && current !== prefix) {
+                messages.push(current);
+                current = item;
+            } else {
+                current = next;
+            }
+        });
+        messages.push(current);
+
+        // Queued together so the parts stay in order
+        await Promise.all(messages.map(message => this.sendResponse(channel, message, { replyTo })));
     }
 
     /**
-     * Safely sends a response to the channel
+     * Safely sends a response to the channel through the outgoing message queue
      * @param {string} channel - The channel to send the message to
-     * @param {string} username - The user the response is for
      * @param {string} message - The message to send
+     * @param {Object} [options={}] - Send options
+     * @param {string} [options.replyTo] - ID of the chat message this answers
      */
-    async sendResponse(channel, username, message) {
+    async sendResponse(channel, message, options = {}) {
         try {
-            await this.bot.client.say(channel, `${message}`);
+            await this.bot.messageQueue.send(channel, `${message}`, {
+                priority: MessageQueue.PRIORITY.NORMAL,
+                replyTo: options.replyTo
+            });
         } catch (error) {
             console.error(chalk.red('Failed to send response:'), error);
         }
     }
+
+    // Private methods
+
+    /**
+     * Applies DISABLED_COMMANDS, COMMAND_ALIASES and COMMAND_COOLDOWNS to the command definitions
+     * @private
+     * @param {Object} settings - Chat command settings of the config
+     * @throws {Error} On unknown commands and on names used by two commands
+     */
+    applyCommandSettings(settings) {
+        const checkCommand = (command, setting) => {
+            if (!this.commands[command]) {
+                throw new Error(`${setting}: unknown command "${command}" (use ${Object.keys(this.commands).join(', ')})`);
+            }
+        };
+
+        Object.entries(settings.aliases).forEach(([command, aliases]) => {
+            checkCommand(command, 'COMMAND_ALIASES');
+            this.commands[command].aliases = [...new Set([...this.commands[command].aliases, ...aliases])];
+        });
+        Object.keys(settings.cooldowns).forEach(command => checkCommand(command, 'COMMAND_COOLDOWNS'));
+        Object.entries(this.commands).forEach(([command, info]) => {
+            info.cooldown = settings.cooldowns[command] || { user: settings.userCooldown, global: settings.globalCooldown };
+        });
+
+        settings.disabled.forEach(command => {
+            checkCommand(command, 'DISABLED_COMMANDS');
+            [command, ...this.commands[command].aliases].forEach(name => this.disabledCommands.add(name));
+            delete this.commands[command];
+        });
+
+        // Every name must lead to a single command
+        const names = new Map();
+        Object.entries(this.commands).forEach(([command, info]) => {
+            [command, ...info.aliases].forEach(name => {
+                if (names.has(name) && names.get(name) !== command) {
+                    throw new Error(`COMMAND_ALIASES: "${name}" is used by both ${names.get(name)} and ${command}`);
+                }
+                names.set(name, command);
+                this.disabledCommands.delete(name);
+            });
+        });
+    }
 }
 
 module.exports = CommandHandler;
@@ -0,0 +1,227 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const ReconnectionManager = require('../utils/reconnection-manager');
+
+// Consecutive unanswered PINGs before the connection is considered dead
+const MAX_FAILED_PINGS = 3;
+// tmi.js joins one channel every 2 seconds after connecting
+const JOIN_INTERVAL = 2000;
+const JOIN_TIMEOUT = 5000;
+
+/**
+ * Keeps the Twitch chat connection alive
+ * Replaces tmi.js' own reconnection: on a disconnect the statistics are saved first, then
+ * the connection is retried with exponential backoff (CONNECTION_MAX_RETRIES attempts).
+ * After reconnecting, channels that were not joined again are rejoined. A periodic health
+ * check measures the PING latency and reconnects when Twitch stops answering, or when no
+ * chat message arrived for HEALTH_STALL_TIMEOUT. When every attempt fails,
+ * CONNECTION_ALERT_WEBHOOK is notified and the bot exits with code 1 so a process manager
+ * can restart it.
+ */
+class ConnectionSupervisor {
+    /**
+     * Creates a new ConnectionSupervisor instance
+     * @param {Object} app - The App instance owning the client
+     * @param {Object} options - Connection settings (config.connection)
+     */
+    constructor(app, options) {
+        this.app = app;
+        this.bot = app.bot;
+        this.client = app.client;
+        this.options = options;
+        this.reconnection = new ReconnectionManager(options.maxAttempts, options.baseDelay, options.maxDelay);
+        this.active = false;
+        this.reconnecting = false;
+        this.failedPings = 0;
+        this.latency = null;
+        this.lastPing = null;
+        this.connectedAt = null;
+        this.healthTimer = null;
+        this.resubscribeTimer = null;
+
+        this.client.on('disconnected', reason => this.handleDisconnect(reason));
+        this.client.on('connected', () => {
+            this.connectedAt = Date.now();
+            this.scheduleResubscribe();
+        });
+    }
+
+    /**
+     * Makes the first connection, retried with the same backoff as reconnections
+     * @returns {Promise<void>}
+     * @throws {Error} Error of the last attempt once CONNECTION_MAX_RETRIES retries failed
+     */
+    async connect() {
+        let attempt = () => this.client.connect();
+        for (;;) {
+            try {
+                await attempt();
+                this.reconnection.reset();
+                return;
+            } catch (error) {
+                if (!this.reconnection.hasAttemptsLeft()) throw error;
+                logger.warn(`Could not connect to Twitch chat (${error.message || error}), ` +
+                    `retrying in ${Math.round(this.reconnection.getDelay() / 1000)}s`);
+                attempt = () => this.reconnection.handleReconnect(() => this.client.connect());
+            }
+        }
+    }
+
+    /**
+     * Starts supervising, once the first connection succeeded
+     */
+    start() {
+        this.active = true;
+        this.healthTimer = setInterval(() => this.checkHealth(), this.options.healthCheckInterval);
+    }
+
+    /**
+     * Stops supervising, disconnects after this are not retried
+     */
+    stop() {
+        this.active = false;
+        clearInterval(this.healthTimer);
+        clearTimeout(this.resubscribeTimer);
+    }
+
+    /**
+     * Gets the connection state for metrics
+     * @returns {Object} State, reconnection attempts, PING latency (ms), last chat message and joined channels
+     */
+    getStatus() {
+        return {
+            state: this.reconnecting ? 'RECONNECTING' : this.client.readyState(),
+            reconnectAttempts: this.reconnection.attempts,
+            latency: this.latency,
+            lastPing: this.lastPing,
+            lastMessage: this.bot.lastActivityTime,
+            channels: this.client.getChannels().map(channel => channel.replace(/^#/, ''))
+        };
+    }
+
+    // Private methods
+
+    /**
+     * Saves the statistics and reconnects with backoff, giving up after the last attempt
+     * @private
+     * @param {string} reason - Disconnect reason from tmi.js
+     */
+    async handleDisconnect(reason) {
+        // Failed attempts disconnect again while a reconnection is running
+        if (!this.active || this.reconnecting || this.bot.isShuttingDown) return;
+        this.reconnecting = true;
+        this.failedPings = 0;
+        logger.error(`Disconnected: ${reason}`);
+
+        // Counts since the last save must not depend on the reconnection succeeding
+        try {
+            await this.bot.statsHandler.saveStats();
+        } catch (error) {
+            logger.error('Could not save statistics before reconnecting:', error);
+        }
+
+        while (this.reconnection.hasAttemptsLeft()) {
+            if (!this.active || this.bot.isShuttingDown) return;
+            const attempt = this.reconnection.attempts + 1;
+            logger.warn(`Reconnection attempt ${attempt}/${this.reconnection.maxAttempts} in ${Math.round(this.reconnection.getDelay() / 1000)}s`);
+            try {
+                await this.reconnection.handleReconnect(() => this.client.connect());
+                logger.success(`Reconnected after ${attempt} attempt(s)`);
+                this.reconnection.reset();
+                this.reconnecting = false;
+                return;
+            } catch (error) {
+                logger.warn(`Reconnection attempt ${attempt} failed: ${error.message || error}`);
+            }
+        }
+
+        await this.handleFailure(reason);
+    }
+
+    /**
+     * Alerts and exits after every reconnection attempt failed
+     * @private
+     * @param {string} reason - Reason of the original disconnect
+     */
+    async handleFailure(reason) {
+        const message = `${this.bot.config.username} could not reconnect to Twitch chat after ` +
+            `${this.reconnection.maxAttempts} attempts (${reason}), exiting`;
+        logger.error(message);
+
+        if (this.options.alertWebhook) {
+            try {
+                // "content" is read by Discord, "text" by Slack and most other chat webhooks
+                await axios.post(this.options.alertWebhook, { content: message, text: message }, { timeout: 10000 });
+            } catch (error) {
+                logger.error('Could not send the connection alert:', error.message);
+            }
+        }
+
+        await this.app.shutdown('CONNECTION_LOST', 1);
+    }
+
+    /**
+     * Checks the channels once tmi.js had time to join them after connecting
+     * @private
+     */
+    scheduleResubscribe() {
+        clearTimeout(this.resubscribeTimer);
+        const wait = this.bot.config.channels.length * JOIN_INTERVAL + JOIN_TIMEOUT;
+        this.resubscribeTimer = setTimeout(() => this.resubscribe(), wait);
+    }
+
+    /**
+     * Joins the monitored channels the client is not in
+     * @private
+     */
+    async resubscribe() {
+        if (this.client.readyState() !== 'OPEN') return;
+        const joined = this.client.getChannels();
+        const missing = this.bot.config.channels.filter(channel => !joined.includes(`#${channel}`));
+        for (const channel of missing) {
+            try {
+                await this.client.join(channel);
+                logger.info(`Rejoined #${channel}`);
+            } catch (error) {
+                logger.warn(`Could not rejoin #${channel}: ${error.message || error}`);
+            }
+        }
+    }
+
+    /**
+     * Measures the PING latency, reconnecting after MAX_FAILED_PINGS unanswered PINGs
+     * or once no chat message arrived for HEALTH_STALL_TIMEOUT since connecting
+     * @private
+     */
+    async checkHealth() {
+        if (!this.active || this.reconnecting || this.client.readyState() !== 'OPEN') return;
+
+        // Twitch may keep answering PINGs on a connection that no longer delivers chat
+        const silence = Date.now() - Math.max(this.bot.lastActivityTime, this.connectedAt || 0);
+        if (this.options.stallTimeout && silence >= this.options.stallTimeout) {
+            logger.warn(`No chat message for ${Math.round(silence / 60000)} minutes, reconnecting`);
+            // The disconnected event starts the reconnection
+            this.client.disconnect().catch(() => {});
+            return;
+        }
+
+        try {
+            const [latency] = await this.client.ping();
+            this.latency = Math.round(latency * 1000);
+            this.lastPing = Date.now();
+            this.failedPings = 0;
+            if (this.latency > this.options.maxLatency) {
+                logger.warn(`High Twitch chat latency: ${this.latency}ms`);
+            }
+        } catch (error) {
+            this.failedPings++;
+            logger.warn(`Twitch did not answer a PING (${this.failedPings}/${MAX_FAILED_PINGS})`);
+            if (this.failedPings >= MAX_FAILED_PINGS) {
+                // The disconnected event starts the reconnection
+                this.client.disconnect().catch(() => {});
+            }
+        }
+    }
+}
+
+module.exports = ConnectionSupervisor;
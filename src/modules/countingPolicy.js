@@ -0,0 +1,97 @@
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+// Chatterino and 7TV append this character to get around Twitch's duplicate message check
+const DUPLICATE_BYPASS = /[\s\u{E0000}]+$/u;
+const CLEANUP_INTERVAL = 600000; // 10 minutes
+
+/**
+ * Decides which detected emotes of a message count towards the statistics
+ * Applies, in order: exact repeats of the sender's previous message, the per-user
+ * rate limit on counted messages, unique-only counting and the per-message cap
+ */
+class CountingPolicy {
+    /**
+     * Creates a new CountingPolicy instance
+     * @param {Object} options - Counting settings
+     * @param {number} options.maxPerMessage - Emotes counted per message (0 = no limit)
+     * @param {boolean} options.uniqueOnly - Count each emote at most once per message
+     * @param {number} options.rateLimit - Messages counted per user per rate window (0 = no limit)
+     * @param {number} options.rateWindow - Rate limit window (ms)
+     * @param {number} options.repeatWindow - Ignore a user's identical message within this time (ms, 0 = off)
+     */
+    constructor(options = {}) {
+        this.maxPerMessage = options.maxPerMessage || 0;
+        this.uniqueOnly = Boolean(options.uniqueOnly);
+        this.rateLimit = options.rateLimit || 0;
+        this.rateWindow = options.rateWindow || 30000;
+        this.repeatWindow = options.repeatWindow || 0;
+        this.countedMessages = new Map(); // channel-user -> timestamps of counted messages
+        this.lastMessages = new Map(); // channel-user -> { text, timestamp }
+
+        setInterval(() => this.cleanup(), CLEANUP_INTERVAL).unref();
+    }
+
+    /**
+     * Filters the emotes of a message down to the ones that count
+     * @param {string} channel - Channel the message was sent in
+     * @param {Object} user - The message sender ({ id, login, displayName })
+     * @param {string} message - The chat message content
+     * @param {Array<Object>} emotes - Emotes detected in the message, in order
+     * @param {number} [timestamp=Date.now()] - When the message was sent
+     * @returns {{emotes: Array<Object>, reason: string|null}} Counted emotes, and why nothing counts when empty
+     */
+    apply(channel, user, message, emotes, timestamp = Date.now()) {
+        const userKey = `${normalizeChannel(channel)}-${user.id}`;
+
+        if (this.repeatWindow > 0) {
+            const text = message.replace(DUPLICATE_BYPASS, '');
+            const last = this.lastMessages.get(userKey);
+            this.lastMessages.set(userKey, { text, timestamp });
+            if (last && last.text === text && timestamp - last.timestamp <= this.repeatWindow) {
+                return { emotes: [], reason: 'repeated message' };
+            }
+        }
+
+        if (this.rateLimit > 0) {
+            const recent = (this.countedMessages.get(userKey) || [])
+                .filter(time => timestamp - time < this.rateWindow);
+            if (recent.length >= this.rateLimit) {
+                this.countedMessages.set(userKey, recent);
+                return { emotes: [], reason: 'rate limited' };
+            }
+            recent.push(timestamp);
+            this.countedMessages.set(userKey, recent);
+        }
+
+        let counted = emotes;
+        if (this.uniqueOnly) {
+            counted = [...new Map(counted.map(emote => [emote.key, emote])).values()];
+        }
+        if (this.maxPerMessage > 0) {
+            counted = counted.slice(0, this.maxPerMessage);
+        }
+        return { emotes: counted, reason: null };
+    }
+
+    // Private methods
+
+    /**
+     * Drops rate limit and repeat state older than its window
+     * @private
+     * @param {number} [now=Date.now()] - Reference time
+     */
+    cleanup(now = Date.now()) {
+        for (const [userKey, times] of this.countedMessages) {
+            if (!times.some(time => now - time < this.rateWindow)) {
+                this.countedMessages.delete(userKey);
+            }
+        }
+        for (const [userKey, last] of this.lastMessages) {
+            if (now - last.timestamp > this.repeatWindow) {
+                this.lastMessages.delete(userKey);
+            }
+        }
+    }
+}
+
+module.exports = CountingPolicy;
@@ -2,10 +2,18 @@ const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { normalizeChannel } = require('../utils/channel-helpers');
 const TwitchEmoteService = require('../services/twitch-emote.service');
 const SevenTVService = require('../services/seven-tv.service');
 const BTTVService = require('../services/bttv.service');
 const FFZService = require('../services/ffz.service');
+const SevenTVEventService = require('../services/seven-tv-events.service');
+
+// Stable emote keys are "<platform>:<emote ID>", e.g. "7tv-channel:01F6MQ33FG000FFJ97ZB8MWV52"
+const EMOTE_KEY_PATTERN = /^(twitch|7tv|bttv|ffz)(-[a-z]+)?:.+$/;
+// Platforms renamed since emotes were cached: BTTV channel emotes were fetched as 'bttv-channel',
+// a platform missing from ENABLED_PLATFORMS, so they were never counted under that name
+const RENAMED_PLATFORMS = { 'bttv-channel': 'bttv' };
 
 /**
  * Manages emote fetching, caching, and validation
@@ -17,8 +25,14 @@ class EmoteManager {
      * @constructor
      */
     constructor() {
-        this.emotes = new Map();
+        this.globalEmotes = new Map();
+        this.channelEmotes = new Map();
         this.lastUpdate = 0;
+        this.channelLastUpdate = new Map();
+        this.sevenTvSets = new Map(); // channel -> active 7TV emote set ID
+        this.emoteHistory = new Map(); // channel -> Map of emote key -> { names, removedAt }
+        this.eventService = null;
+        this.saveQueue = Promise.resolve();
         this.services = {
             twitch: new TwitchEmoteService(config),
             sevenTv: new SevenTVService(config),
@@ -32,22 +46,40 @@ class EmoteManager {
     /**
      * Loads cached emotes from disk
      * If the cache is invalid or doesn't exist, initializes a new empty cache
+     * @param {string} [file=this.cacheFile] - Cache file, e.g. an emote snapshot for replaying chat logs
      * @returns {Promise<void>}
      * @throws {Error} If there's an unhandled error reading the cache
      */
-    async loadCache() {
+    async loadCache(file = this.cacheFile) {
         try {
-            await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
-            const data = await fs.readFile(this.cacheFile, 'utf-8');
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const data = await fs.readFile(file, 'utf-8');
             const cache = JSON.parse(data);
             
             if (this.isValidCache(cache)) {
-                this.emotes = new Map(Object.entries(cache.emotes));
+                this.renameCachedPlatforms(cache);
+                this.globalEmotes = new Map(Object.entries(cache.global));
+                this.channelEmotes = new Map(Object.entries(cache.channels).map(([channel, data]) =>
+                    [channel, new Map(Object.entries(data.emotes))]
+                ));
+                this.channelLastUpdate = new Map(Object.entries(cache.channels).map(([channel, data]) =>
+                    [channel, data.lastUpdate]
+                ));
+                this.sevenTvSets = new Map(Object.entries(cache.channels)
+                    .filter(([_, data]) => data.sevenTvSetId)
+                    .map(([channel, data]) => [channel, data.sevenTvSetId])
+                );
+                this.emoteHistory = new Map(Object.entries(cache.channels).map(([channel, data]) =>
+                    [channel, new Map(Object.entries(data.history || {}))]
+                ));
                 this.lastUpdate = cache.lastUpdate;
                 logger.success('Emote cache loaded successfully');
             } else {
                 logger.warn('Invalid cache format, creating new cache');
-                this.emotes.clear();
+                this.globalEmotes.clear();
+                this.channelEmotes.clear();
+                this.channelLastUpdate.clear();
+                this.emoteHistory.clear();
                 this.lastUpdate = 0;
             }
         } catch (error) {
@@ -62,87 +94,392 @@ class EmoteManager {
     /**
      * Persists the current emote cache to disk using atomic write operations
      * Creates a temporary file first, then renames it to ensure data integrity
+     * Saves are queued so concurrent updates never share the temporary file
      * @returns {Promise<void>}
      * @throws {Error} If the cache cannot be saved
      */
     async saveCache() {
-        const tempFile = `${this.cacheFile}.tmp`;
-        try {
-            await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
-            const cache = {
-                emotes: Object.fromEntries(this.emotes),
-                lastUpdate: this.lastUpdate,
-                version: '1.0'
-            };
-
-            // Write to temporary file first
-            await fs.writeFile(tempFile, JSON.stringify(cache, null, 2));
-            // Atomic rename
-            await fs.rename(tempFile, this.cacheFile);
-            logger.success('Emote cache saved successfully');
-        } catch (error) {
-            logger.error('Failed to save emote cache:', error);
-            // Clean up temp file if it exists
+        const save = this.saveQueue.then(async () => {
+            const tempFile = `${this.cacheFile}.tmp`;
             try {
-                await fs.unlink(tempFile);
-            } catch (e) {
-                // Ignore cleanup errors
+                await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+                const channels = {};
+                const cachedChannels = new Set([...this.channelEmotes.keys(), ...this.emoteHistory.keys()]);
+                for (const channel of cachedChannels) {
+                    channels[channel] = {
+                        emotes: Object.fromEntries(this.channelEmotes.get(channel) || new Map()),
+                        lastUpdate: this.channelLastUpdate.get(channel) || 0,
+                        sevenTvSetId: this.sevenTvSets.get(channel) || null,
+                        history: Object.fromEntries(this.emoteHistory.get(channel) || new Map())
+                    };
+                }
+                const cache = {
+                    global: Object.fromEntries(this.globalEmotes),
+                    channels,
+                    lastUpdate: this.lastUpdate,
+                    version: '2.0'
+                };
+
+                // Write to temporary file first
+                await fs.writeFile(tempFile, JSON.stringify(cache, null, 2));
+                // Atomic rename
+                await fs.rename(tempFile, this.cacheFile);
+                logger.success('Emote cache saved successfully');
+            } catch (error) {
+                logger.error('Failed to save emote cache:', error);
+                // Clean up temp file if it exists
+                try {
+                    await fs.unlink(tempFile);
+                } catch (e) {
+                    // Ignore cleanup errors
+                }
+                throw error;
             }
-            throw error;
-        }
+        });
+        // Keep the queue usable after a failed save
+        this.saveQueue = save.catch(() => {});
+        return save;
     }
 
     /**
-     * Updates the emote cache by fetching fresh data from all configured services
-     * Only refreshes if the refresh interval has elapsed since last update
+     * Updates the emote cache for a channel by fetching fresh data from all configured services
+     * Global emotes are refreshed alongside and shared by every channel
+     * Only refreshes if the refresh interval has elapsed since the channel's last update, unless forced
      * @param {string} channelId - Twitch channel ID to fetch emotes for
      * @param {string} channelName - Twitch channel name (used as fallback for ID resolution)
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Refresh even within the refresh interval
      * @returns {Promise<void>}
      * @throws {Error} If emote refresh fails or channel ID cannot be resolved
      */
-    async refreshEmotes(channelId, channelName) {
-        if (!this.shouldRefresh()) {
-            logger.debug('Skipping emote refresh - within refresh interval');
+    async refreshEmotes(channelId, channelName, { force = false } = {}) {
+        const channel = normalizeChannel(channelName);
+        if (!force && !this.shouldRefresh(channel)) {
+            logger.debug(`Skipping emote refresh for #${channel} - within refresh interval`);
             return;
         }
 
         try {
-            const resolvedChannelId = await this.resolveChannelId(channelId, channelName);
+            const resolvedChannelId = await this.resolveChannelId(channelId, channel);
             if (!resolvedChannelId) {
-                throw new Error('Could not resolve channel ID');
+                throw new Error(`Could not resolve channel ID for #${channel}`);
             }
 
-            const emotes = await this.fetchEmotesFromAllSources(resolvedChannelId, channelName);
-            await this.updateEmoteCache(emotes);
+            const [channelEmotes, globalEmotes] = await Promise.all([
+                this.fetchChannelEmotes(resolvedChannelId, channel),
+                this.fetchGlobalEmotes()
+            ]);
+            this.trackSevenTvSet(channel, this.services.sevenTv.getEmoteSetId(resolvedChannelId));
+            await this.updateEmoteCache(channel, channelEmotes, globalEmotes);
             
-            this.logEmoteStats(emotes);
+            this.logEmoteStats(channel, [...channelEmotes, ...globalEmotes]);
         } catch (error) {
-            logger.error('Failed to refresh emotes:', error);
+            logger.error(`Failed to refresh emotes for #${channel}:`, error);
             throw error; // Re-throw to allow caller to handle
         }
     }
 
     /**
-     * Checks if a given word is a valid emote in the current cache
+     * Checks if a given word is a valid emote in a channel
+     * Channel-specific emotes of other channels are never matched
      * Considers platform enablement status from config
      * @param {string} word - The potential emote code to check
+     * @param {string} channel - Channel the word was typed in
      * @returns {boolean} True if the word is a valid and enabled emote
      */
-    isEmote(word) {
-        const emote = this.emotes.get(word);
-        return Boolean(emote && config.enabledPlatforms[emote.platform]);
+    isEmote(word, channel) {
+        return Boolean(this.getEmoteInfo(word, channel));
     }
 
     /**
-     * Retrieves detailed information about an emote
+     * Retrieves detailed information about an emote available in a channel
+     * Channel emotes take precedence over global emotes with the same code
      * @param {string} word - The emote code to look up
+     * @param {string} channel - Channel to resolve the emote for
      * @returns {Object|null} Emote metadata object if found and enabled, null otherwise
      */
-    getEmoteInfo(word) {
-        const emote = this.emotes.get(word);
+    getEmoteInfo(word, channel) {
+        const channelEmotes = this.channelEmotes.get(normalizeChannel(channel));
+        const emote = (channelEmotes && channelEmotes.get(word)) || this.globalEmotes.get(word);
         return emote && config.enabledPlatforms[emote.platform] ? emote : null;
     }
 
+    /**
+     * Finds a Twitch emote by its ID among the channel's and global Twitch emotes
+     * @param {string} id - Twitch emote ID (as reported in the IRC emotes tag)
+     * @param {string} channel - Channel the emote was used in
+     * @returns {Object|null} Emote metadata if it is a channel or global Twitch emote, null otherwise
+     */
+    getTwitchEmoteById(id, channel) {
+        const channelEmotes = this.channelEmotes.get(normalizeChannel(channel)) || new Map();
+        for (const emotes of [channelEmotes, this.globalEmotes]) {
+            for (const emote of emotes.values()) {
+                if (emote.id === id && this.isTwitchPlatform(emote.platform)) {
+                    return emote;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks if a platform is one of the native Twitch platforms
+     * (twitch, twitch-global or twitch-external)
+     * @param {string} platform - Platform name
+     * @returns {boolean} True for native Twitch platforms
+     */
+    isTwitchPlatform(platform) {
+        return typeof platform === 'string' && platform.startsWith('twitch');
+    }
+
+    /**
+     * Checks if counting is enabled for a platform
+     * @param {string} platform - Platform name
+     * @returns {boolean} True if the platform is enabled in config
+     */
+    isPlatformEnabled(platform) {
+        return Boolean(config.enabledPlatforms[platform]);
+    }
+
+    /**
+     * Turns counting on or off for a platform until the bot restarts
+     * @param {string} platform - Platform name, as in the platform settings
+     * @param {boolean} enabled - Whether emotes of the platform are counted
+     * @returns {boolean} False if the platform is unknown
+     */
+    setPlatformEnabled(platform, enabled) {
+        if (!Object.prototype.hasOwnProperty.call(config.enabledPlatforms, platform)) {
+            return false;
+        }
+        config.enabledPlatforms[platform] = enabled;
+        logger.info(`${enabled ? 'Enabled' : 'Disabled'} ${platform} emotes`);
+        return true;
+    }
+
+    /**
+     * Gets every emote available in a channel (channel emotes plus globals)
+     * @param {string} channel - Channel to list emotes for
+     * @param {Object} [options]
+     * @param {boolean} [options.includeGlobal=true] - Include global emotes
+     * @returns {Map<string, Object>} Emote code to emote metadata
+     */
+    getChannelEmotes(channel, { includeGlobal = true } = {}) {
+        const channelEmotes = this.channelEmotes.get(normalizeChannel(channel)) || new Map();
+        return includeGlobal ? new Map([...this.globalEmotes, ...channelEmotes]) : new Map(channelEmotes);
+    }
+
+    /**
+     * Gets the stable key of an emote, which survives renames
+     * @param {Object} emote - Emote with platform and id
+     * @returns {string} Emote key ("<platform>:<id>"), or the code if the emote has no ID
+     */
+    getEmoteKey(emote) {
+        return emote.id ? `${emote.platform}:${emote.id}` : emote.code;
+    }
+
+    /**
+     * Checks if a stats entry is a stable emote key rather than a plain emote code
+     * Counts recorded before emotes were keyed by ID are stored under their code
+     * @param {string} value - Stats entry to check
+     * @returns {boolean} True for "<platform>:<id>" keys
+     */
+    isEmoteKey(value) {
+        return EMOTE_KEY_PATTERN.test(value);
+    }
+
+    /**
+     * Gets the CDN image URL of an emote from its key
+     * @param {string} key - Emote key ("<platform>:<id>")
+     * @returns {string|null} Image URL, or null for plain codes and unknown platforms
+     */
+    getEmoteImageUrl(key) {
+        if (!this.isEmoteKey(key)) return null;
+        const separator = key.indexOf(':');
+        const platform = key.slice(0, separator);
+        const id = key.slice(separator + 1);
+        const service = {
+            twitch: this.services.twitch,
+            '7tv': this.services.sevenTv,
+            bttv: this.services.bttv,
+            ffz: this.services.ffz
+        }[platform.split('-')[0]];
+        return service ? service.getEmoteImageUrl(id) : null;
+    }
+
+    /**
+     * Gets the current (or last known) code of an emote in a channel
+     * @param {string} key - Emote key, or a plain emote code
+     * @param {string} channel - Channel the emote belongs to
+     * @returns {string} Emote code
+     */
+    getEmoteName(key, channel) {
+        const names = this.getEmoteNames(key, channel);
+        return names[names.length - 1];
+    }
+
+    /**
+     * Gets every code an emote has had in a channel, oldest first
+     * @param {string} key - Emote key, or a plain emote code
+     * @param {string} channel - Channel the emote belongs to
+     * @returns {Array<string>} Emote codes
+     */
+    getEmoteNames(key, channel) {
+        const entry = this.getEmoteHistory(channel).get(key);
+        if (entry && entry.names.length > 0) {
+            return [...new Set(entry.names.map(name => name.code))];
+        }
+        if (!this.isEmoteKey(key)) {
+            return [key];
+        }
+        const current = [...this.getChannelEmotes(channel).values()].find(emote => this.getEmoteKey(emote) === key);
+        return [current ? current.code : key.slice(key.indexOf(':') + 1)];
+    }
+
+    /**
+     * Gets the recorded names and removal time of an emote in a channel
+     * @param {string} key - Emote key
+     * @param {string} channel - Channel the emote belongs to
+     * @returns {Object|null} { names: [{ code, since }], removedAt } or null if never seen
+     */
+    getEmoteHistoryEntry(key, channel) {
+        return this.getEmoteHistory(channel).get(key) || null;
+    }
+
+    /**
+     * Finds the keys of every emote that currently has, or ever had, a code in a channel
+     * The emote currently using the code comes first
+     * @param {string} code - Emote code
+     * @param {string} channel - Channel to search
+     * @returns {Array<string>} Matching emote keys
+     */
+    findEmoteKeys(code, channel) {
+        const keys = [];
+        const channelEmotes = this.channelEmotes.get(normalizeChannel(channel));
+        const current = (channelEmotes && channelEmotes.get(code)) || this.globalEmotes.get(code);
+        if (current) {
+            keys.push(this.getEmoteKey(current));
+        }
+        for (const [key, entry] of this.getEmoteHistory(channel)) {
+            if (!keys.includes(key) && entry.names.some(name => name.code === code)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Records the current code of an emote seen in a channel
+     * @param {string} channel - Channel the emote is available in
+     * @param {Object} emote - Emote with code, platform and id
+     * @param {number} [timestamp=Date.now()] - Time the code was seen
+     * @returns {string|null} Previous code if the emote was renamed, null otherwise
+     */
+    recordEmoteName(channel, emote, timestamp = Date.now()) {
+        const key = this.getEmoteKey(emote);
+        if (!this.isEmoteKey(key)) return null;
+
+        const history = this.getEmoteHistory(channel);
+        const entry = history.get(key) || { names: [], removedAt: null };
+        const last = entry.names[entry.names.length - 1];
+        entry.removedAt = null;
+        history.set(key, entry);
+
+        if (last && last.code === emote.code) return null;
+        entry.names.push({ code: emote.code, since: timestamp });
+        return last ? last.code : null;
+    }
+
+    /**
+     * Records that an emote is no longer available in a channel
+     * Its names are kept so past usage can still be attributed to it
+     * @param {string} channel - Channel the emote was removed from
+     * @param {string} key - Emote key
+     * @param {number} [timestamp=Date.now()] - Time of the removal
+     */
+    recordEmoteRemoval(channel, key, timestamp = Date.now()) {
+        const entry = this.getEmoteHistory(channel).get(key);
+        if (entry && !entry.removedAt) {
+            entry.removedAt = timestamp;
+        }
+    }
+
+    /**
+     * Connects to the 7TV EventAPI and applies emote set changes of every monitored channel live
+     */
+    startLiveUpdates() {
+        if (this.eventService) return;
+
+        this.eventService = new SevenTVEventService(config);
+        this.eventService.on('emoteSetUpdate', (update) => {
+            this.applySevenTvUpdate(update).catch(error => {
+                logger.error('Failed to apply 7TV emote set update:', error);
+            });
+        });
+        this.sevenTvSets.forEach(emoteSetId => this.eventService.subscribe(emoteSetId));
+        this.eventService.connect();
+    }
+
+    /**
+     * Disconnects from the 7TV EventAPI
+     */
+    stopLiveUpdates() {
+        if (this.eventService) {
+            this.eventService.close();
+            this.eventService = null;
+        }
+    }
+
+    /**
+     * Applies 7TV emote additions, removals and renames to a channel's emotes
+     * @param {Object} update - Update emitted by SevenTVEventService
+     * @param {string} update.emoteSetId - Changed emote set
+     * @param {string|null} update.actor - User who made the change
+     * @param {Array<Object>} update.added - Added 7TV emotes
+     * @param {Array<Object>} update.removed - Removed 7TV emotes
+     * @param {Array<{previous: Object, current: Object}>} update.updated - Renamed 7TV emotes
+     * @returns {Promise<void>}
+     */
+    async applySevenTvUpdate({ emoteSetId, actor, added, removed, updated }) {
+        const channel = [...this.sevenTvSets].find(([_, setId]) => setId === emoteSetId)?.[0];
+        if (!channel) return;
+
+        const emotes = this.channelEmotes.get(channel) || new Map();
+        this.channelEmotes.set(channel, emotes);
+        const byActor = actor ? ` by ${actor}` : '';
+        const deleteById = (id) => {
+            for (const [code, emote] of emotes) {
+                if (emote.id === id && emote.platform === '7tv-channel') {
+                    emotes.delete(code);
+                    return code;
+                }
+            }
+            return null;
+        };
+
+        const setEmote = (emote) => {
+            const mapped = this.services.sevenTv.mapEmote(emote, '7tv-channel');
+            emotes.set(mapped.code, mapped);
+            this.recordEmoteName(channel, mapped);
+        };
+
+        removed.forEach(emote => {
+            const code = deleteById(emote.id) || emote.name;
+            this.recordEmoteRemoval(channel, `7tv-channel:${emote.id}`);
+            logger.info(`[#${channel}] 7TV emote removed${byActor}: ${code}`);
+        });
+        added.forEach(emote => {
+            setEmote(emote);
+            logger.info(`[#${channel}] 7TV emote added${byActor}: ${emote.name}`);
+        });
+        updated.forEach(({ previous, current }) => {
+            const code = deleteById(previous.id) || previous.name;
+            setEmote(current);
+            logger.info(`[#${channel}] 7TV emote renamed${byActor}: ${code} → ${current.name}`);
+        });
+
+        await this.saveCache();
+    }
+
     /**
      * Resolves a Twitch username to its corresponding user ID
      * @param {string} username - Twitch username to resolve
@@ -162,106 +499,226 @@ class EmoteManager {
      */
     isValidCache(cache) {
         return cache 
-            && typeof cache.emotes === 'object'
+            && cache.version === '2.0'
+            && typeof cache.global === 'object'
+            && typeof cache.channels === 'object'
             && typeof cache.lastUpdate === 'number';
     }
 
     /**
-     * Determines if enough time has passed to warrant an emote refresh
+     * Moves cached emotes and their name history from renamed platforms (see RENAMED_PLATFORMS)
+     * to the current platform names, so their keys match freshly fetched emotes
+     * @private
+     * @param {Object} cache - Parsed emote cache, changed in place
+     */
+    renameCachedPlatforms(cache) {
+        const rename = key => {
+            const [platform, ...id] = key.split(':');
+            return RENAMED_PLATFORMS[platform] ? [RENAMED_PLATFORMS[platform], ...id].join(':') : key;
+        };
+        Object.values(cache.channels).forEach(data => {
+            Object.values(data.emotes || {}).forEach(emote => {
+                emote.platform = RENAMED_PLATFORMS[emote.platform] || emote.platform;
+            });
+            data.history = Object.fromEntries(Object.entries(data.history || {})
+                .map(([key, entry]) => [rename(key), entry]));
+        });
+    }
+
+    /**
+     * Gets the emote name history of a channel, creating it if needed
+     * @private
+     * @param {string} channel - Channel name
+     * @returns {Map<string, Object>} Emote key to { names, removedAt }
+     */
+    getEmoteHistory(channel) {
+        const key = normalizeChannel(channel);
+        if (!this.emoteHistory.has(key)) {
+            this.emoteHistory.set(key, new Map());
+        }
+        return this.emoteHistory.get(key);
+    }
+
+    /**
+     * Records the names of every emote available in a channel and marks
+     * previously seen emotes that are gone as removed
+     * Renames made while the bot was offline are picked up here
+     * External Twitch emotes are never part of a fetched set and are left alone
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {Array<Object>} emotes - Emotes currently available in the channel
+     */
+    recordEmoteSet(channel, emotes) {
+        const now = Date.now();
+        const available = new Set();
+        emotes.forEach(emote => {
+            const previousCode = this.recordEmoteName(channel, emote, now);
+            if (previousCode) {
+                logger.info(`[#${channel}] Emote renamed: ${previousCode} → ${emote.code} (${emote.platform})`);
+            }
+            available.add(this.getEmoteKey(emote));
+        });
+
+        let removedCount = 0;
+        for (const [key, entry] of this.getEmoteHistory(channel)) {
+            if (!available.has(key) && !entry.removedAt && !key.startsWith('twitch-external:')) {
+                this.recordEmoteRemoval(channel, key, now);
+                removedCount++;
+            }
+        }
+        if (removedCount > 0) {
+            logger.info(`[#${channel}] ${removedCount} emotes are no longer available`);
+        }
+    }
+
+    /**
+     * Records a channel's active 7TV emote set and moves the live subscription if it changed
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {string|null} emoteSetId - Active 7TV emote set ID
+     */
+    trackSevenTvSet(channel, emoteSetId) {
+        const previousSetId = this.sevenTvSets.get(channel);
+        if (!emoteSetId || previousSetId === emoteSetId) return;
+
+        this.sevenTvSets.set(channel, emoteSetId);
+        if (this.eventService) {
+            const stillUsed = [...this.sevenTvSets.values()].includes(previousSetId);
+            if (previousSetId && !stillUsed) {
+                this.eventService.unsubscribe(previousSetId);
+            }
+            this.eventService.subscribe(emoteSetId);
+        }
+    }
+
+    /**
+     * Determines if enough time has passed to warrant an emote refresh for a channel
      * @private
+     * @param {string} channel - Normalized channel name
      * @returns {boolean} True if refresh interval has elapsed
      */
-    shouldRefresh() {
-        return Date.now() - this.lastUpdate >= this.refreshInterval;
+    shouldRefresh(channel) {
+        return Date.now() - (this.channelLastUpdate.get(channel) || 0) >= this.refreshInterval;
     }
 
     /**
      * Resolves channel ID using provided ID, name, or config
+     * CHANNEL_ID from config only applies to the primary channel
      * @private
      * @param {string} channelId - Primary channel ID
      * @param {string} channelName - Fallback channel name
      * @returns {Promise<string|null>} Resolved channel ID or null
      */
     async resolveChannelId(channelId, channelName) {
-        return config.channelTwitchId || 
+        const configuredId = channelName === config.channel ? config.channelTwitchId : null;
+        return configuredId || 
                channelId || 
                await this.services.twitch.getUserId(channelName);
     }
 
     /**
-     * Fetches emotes from all configured services (Twitch, 7TV, BTTV, and FFZ)
+     * Fetches channel-specific emotes from all configured services (Twitch, 7TV, BTTV, and FFZ)
+     * A service that fails keeps the channel's previous emotes of its platform
      * @private
      * @param {string} channelId - Channel ID to fetch emotes for
      * @param {string} channelName - Channel name for 7TV API
-     * @returns {Promise<Array>} Combined array of all fetched emotes
-     */
-    async fetchEmotesFromAllSources(channelId, channelName) {
-        const [
-            twitchEmotes,
-            globalTwitchEmotes,
-            sevenTvEmotes,
-            sevenTvGlobalEmotes,
-            bttvEmotes,
-            bttvGlobalEmotes,
-            ffzEmotes,
-            ffzGlobalEmotes,
-        ] = await Promise.all([
+     * @returns {Promise<Array>} Combined array of the channel's emotes
+     */
+    async fetchChannelEmotes(channelId, channelName) {
+        const results = await Promise.all([
             this.services.twitch.getChannelEmotes(channelId),
-            this.services.twitch.getGlobalEmotes(),
             this.services.sevenTv.getChannelEmotes(channelId, channelName),
-            this.services.sevenTv.getGlobalEmotes(),
             this.services.bttv.getChannelEmotes(channelId),
-            this.services.bttv.getGlobalEmotes(),
             this.services.ffz.getChannelEmotes(channelId),
+        ]);
+
+        const previous = [...(this.channelEmotes.get(channelName)?.values() || [])];
+        return keepFailedPlatforms(results, ['twitch', '7tv-channel', 'bttv', 'ffz'], previous);
+    }
+
+    /**
+     * Fetches global emotes from all configured services (Twitch, 7TV, BTTV, and FFZ)
+     * A service that fails keeps the previous global emotes of its platform
+     * @private
+     * @returns {Promise<Array>} Combined array of all global emotes
+     */
+    async fetchGlobalEmotes() {
+        const results = await Promise.all([
+            this.services.twitch.getGlobalEmotes(),
+            this.services.sevenTv.getGlobalEmotes(),
+            this.services.bttv.getGlobalEmotes(),
             this.services.ffz.getGlobalEmotes(),
         ]);
 
-        return [
-            ...twitchEmotes,
-            ...globalTwitchEmotes,
-            ...sevenTvEmotes,
-            ...sevenTvGlobalEmotes,
-            ...bttvEmotes,
-            ...bttvGlobalEmotes,
-            ...ffzEmotes,
-            ...ffzGlobalEmotes,
-        ].filter(emote => emote && emote.code);
+        const previous = [...this.globalEmotes.values()];
+        return keepFailedPlatforms(results, ['twitch-global', '7tv-global', 'bttv-global', 'ffz-global'], previous);
     }
 
     /**
-     * Updates the in-memory emote cache and persists to disk
+     * Updates the in-memory emote cache for a channel and persists to disk
      * @private
-     * @param {Array} emotes - Array of emote objects to cache
+     * @param {string} channel - Normalized channel name
+     * @param {Array} channelEmotes - Array of the channel's emote objects
+     * @param {Array} globalEmotes - Array of global emote objects
      * @returns {Promise<void>}
      */
-    async updateEmoteCache(emotes) {
-        this.emotes.clear();
-        emotes.forEach(emote => {
-            this.emotes.set(emote.code, emote);
+    async updateEmoteCache(channel, channelEmotes, globalEmotes) {
+        const emotes = new Map();
+        channelEmotes.forEach(emote => {
+            emotes.set(emote.code, emote);
         });
+        this.channelEmotes.set(channel, emotes);
+
+        this.globalEmotes.clear();
+        globalEmotes.forEach(emote => {
+            this.globalEmotes.set(emote.code, emote);
+        });
+
+        this.recordEmoteSet(channel, [...channelEmotes, ...this.globalEmotes.values()]);
 
         this.lastUpdate = Date.now();
+        this.channelLastUpdate.set(channel, this.lastUpdate);
         await this.saveCache();
     }
 
     /**
      * Logs statistics about fetched emotes by platform
      * @private
+     * @param {string} channel - Channel the emotes were fetched for
      * @param {Array} allEmotes - Array of all fetched emotes
      */
-    logEmoteStats(allEmotes) {
+    logEmoteStats(channel, allEmotes) {
         const stats = allEmotes.reduce((acc, emote) => {
             acc[emote.platform] = (acc[emote.platform] || 0) + 1;
             return acc;
         }, {});
 
-        logger.info('\nEmote Statistics:');
+        logger.info(`\nEmote Statistics for #${channel}:`);
         Object.entries(stats).forEach(([platform, count]) => {
             logger.info(`${platform}: ${count} emotes`);
         });
-        logger.info(`Total unique emotes: ${this.emotes.size}\n`);
+        logger.info(`Total unique emotes: ${this.getChannelEmotes(channel).size}\n`);
     }
 }
 
+// Private functions
+
+/**
+ * Combines the emotes fetched from each service, using the previous emotes
+ * of a platform in place of a service that failed (returned null)
+ * @param {Array<Array|null>} results - Emotes fetched from each service
+ * @param {Array<string>} platforms - Platform of each service's emotes
+ * @param {Array<Object>} previous - Emotes loaded before the refresh
+ * @returns {Array<Object>} Combined emotes
+ */
+function keepFailedPlatforms(results, platforms, previous) {
+    return results.flatMap((emotes, index) => {
+        if (emotes) return emotes.filter(emote => emote && emote.code);
+
+        logger.warn(`Keeping the previous ${platforms[index]} emotes, the request failed`);
+        return previous.filter(emote => emote.platform === platforms[index]);
+    });
+}
+
 // Export a singleton instance
 module.exports = new EmoteManager();
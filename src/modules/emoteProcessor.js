@@ -1,47 +1,79 @@
+const EventEmitter = require('events');
 const chalk = require('chalk');
+const logger = require('../utils/logger');
 const emoteManager = require('../modules/emoteManager');
+const ComboDetector = require('./comboDetector');
+const CountingPolicy = require('./countingPolicy');
+const MessageQueue = require('./messageQueue');
 
 /**
  * Handles the processing of chat messages to detect and track emote usage
+ * Emits 'emotes' with { channel, user, emotes, stats } after counting a message's emotes,
+ * 'milestone' with { channel, username, milestone } when a user reaches a milestone,
+ * and 'combo'/'comboEnd' with the combo (see ComboDetector) while an emote combo grows and when it ends
+ * @extends EventEmitter
  */
-class EmoteProcessor {
+class EmoteProcessor extends EventEmitter {
     /**
      * Creates an instance of EmoteProcessor
      * @param {Object} bot - The main bot instance
      */
     constructor(bot) {
+        super();
         this.bot = bot;
+        this.countingPolicy = new CountingPolicy(bot.config.counting);
+        this.comboDetector = new ComboDetector(bot.config.combos);
+        this.comboDetector.on('comboUpdate', (combo) => this.emit('combo', combo));
+        this.comboDetector.on('comboEnd', (combo) => {
+            this.emit('comboEnd', combo);
+            this.handleComboEnd(combo).catch(error => {
+                console.error(chalk.red('Error recording combo:'), error);
+            });
+        });
     }
 
     /**
      * Processes a chat message to detect and track emotes
-     * @param {string} username - The username of the message sender
+     * @param {string} channel - The channel the message was sent in
+     * @param {Object} user - The message sender ({ id, login, displayName })
      * @param {string} message - The chat message content
+     * @param {Object} [tags={}] - IRC tags of the message (tmi.js userstate)
+     * @param {number} [timestamp=Date.now()] - When the message was sent
      */
-    async processMessage(username, message) {
+    async processMessage(channel, user, message, tags = {}, timestamp = Date.now()) {
         try {
-            // Split message into words and filter for emotes
-            const words = message.split(' ');
-            const detectedEmotes = words.filter(word => emoteManager.isEmote(word));
-            
+            if (this.bot.statsHandler.isIgnored(channel, user)) return;
+
+            const detectedEmotes = this.detectEmotes(channel, message, tags.emotes);
+            // Every message counts for combos, a message without the combo emote ends it
+            this.comboDetector.track(channel, user, detectedEmotes, timestamp);
+
+            let countedEmotes = [];
             if (detectedEmotes.length > 0) {
-                // Update user stats and get milestone information
-                const { milestones, stats } = await this.bot.statsHandler.incrementStats(username, null, null, true);
-                
-                // Process each detected emote
-                for (const emote of detectedEmotes) {
-                    const emoteInfo = emoteManager.getEmoteInfo(emote);
-                    await this.bot.statsHandler.incrementEmoteCount(username, emote, emoteInfo.platform);
-                    this.bot.statsHandler.metrics.emotesDetected++;
+                // Raw counts keep every detected emote, the anti-spam policies only apply to the counted ones
+                await this.bot.statsHandler.incrementRawCount(channel, user, detectedEmotes, timestamp);
+                const result = this.countingPolicy.apply(channel, user, message, detectedEmotes, timestamp);
+                countedEmotes = result.emotes;
+                if (countedEmotes.length === 0) {
+                    logger.debug(`Not counting emotes from ${user.displayName} in ${channel}: ${result.reason}`);
                 }
+            }
 
-                // Log detection and handle milestones
-                this.logEmoteDetections(username, detectedEmotes, stats);
+            // Every message counts for the user's message counter and milestones
+            const { milestones, stats } = await this.bot.statsHandler.incrementStats(channel, user, countedEmotes, timestamp);
 
-                if (milestones) {
-                    for (const milestone of milestones) {
-                        await this.notifyMilestone(username, milestone);
-                    }
+            if (countedEmotes.length > 0) {
+                this.bot.statsHandler.metrics.emotesDetected += countedEmotes.length;
+                if (!this.bot.isReplaying) {
+                    this.logEmoteDetections(channel, user.displayName, countedEmotes, stats);
+                }
+                this.emit('emotes', { channel, user, emotes: countedEmotes, stats });
+            }
+
+            if (milestones) {
+                for (const milestone of milestones) {
+                    await this.notifyMilestone(channel, user.displayName, milestone);
+                    this.emit('milestone', { channel, username: user.displayName, milestone });
                 }
             }
         } catch (error) {
@@ -49,52 +81,153 @@ class EmoteProcessor {
         }
     }
 
+    /**
+     * Detects the emotes of a message in the order they appear
+     * Native Twitch emotes come from the IRC emotes tag, which also covers subscriber
+     * and follower emotes of other channels; 7TV, BTTV and FFZ emotes are matched by word.
+     * Without an emotes tag (undefined, e.g. messages not received over IRC) Twitch
+     * emotes are word-matched against the cache as well.
+     * @param {string} channel - The channel the message was sent in
+     * @param {string} message - The chat message content
+     * @param {Object|null} [emotesTag] - tmi.js emotes tag: emote ID to "start-end" ranges
+     * @returns {Array<{key: string, code: string, platform: string, start: number}>} Detected emotes
+     */
+    detectEmotes(channel, message, emotesTag) {
+        const twitchEmotes = emotesTag === undefined ? [] : this.parseTwitchEmotes(channel, message, emotesTag);
+        const coveredPositions = new Set(twitchEmotes.map(emote => emote.start));
+
+        // Split message into words, tracking positions in code points like the IRC tag does
+        const wordEmotes = [];
+        let position = 0;
+        for (const word of message.split(' ')) {
+            const emoteInfo = coveredPositions.has(position) ? null : emoteManager.getEmoteInfo(word, channel);
+            if (emoteInfo && (emotesTag === undefined || !emoteManager.isTwitchPlatform(emoteInfo.platform))) {
+                wordEmotes.push({
+                    key: emoteManager.getEmoteKey(emoteInfo),
+                    code: word,
+                    platform: emoteInfo.platform,
+                    start: position
+                });
+            }
+            position += Array.from(word).length + 1;
+        }
+
+        return [...twitchEmotes, ...wordEmotes].sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Resolves the emotes listed in the IRC emotes tag
+     * Emotes that are not the channel's or global Twitch emotes are recorded as 'twitch-external',
+     * and their code is remembered so renamed external emotes keep their counts
+     * @param {string} channel - The channel the message was sent in
+     * @param {string} message - The chat message content
+     * @param {Object|null} emotesTag - tmi.js emotes tag: emote ID to "start-end" ranges
+     * @returns {Array<{key: string, code: string, platform: string, start: number}>} Enabled Twitch emotes
+     */
+    parseTwitchEmotes(channel, message, emotesTag) {
+        if (!emotesTag) return [];
+
+        const characters = Array.from(message);
+        return Object.entries(emotesTag).flatMap(([id, ranges]) => ranges.map(range => {
+            const [start, end] = range.split('-').map(Number);
+            const knownEmote = emoteManager.getTwitchEmoteById(id, channel);
+            const platform = knownEmote ? knownEmote.platform : 'twitch-external';
+            if (!emoteManager.isPlatformEnabled(platform)) {
+                return null;
+            }
+            const emote = {
+                id,
+                code: knownEmote ? knownEmote.code : characters.slice(start, end + 1).join(''),
+                platform
+            };
+            if (!knownEmote) {
+                emoteManager.recordEmoteName(channel, emote);
+            }
+            return { key: emoteManager.getEmoteKey(emote), code: emote.code, platform, start };
+        })).filter(Boolean);
+    }
+
     /**
      * Logs detected emotes and their usage statistics
+     * @param {string} channel - The channel the message was sent in
      * @param {string} username - The username of the message sender
-     * @param {Array<string>} detectedEmotes - Array of detected emotes
+     * @param {Array<Object>} detectedEmotes - Detected emotes with key, code and platform
      * @param {Object} stats - User's emote statistics
      */
-    logEmoteDetections(username, detectedEmotes, stats) {
+    logEmoteDetections(channel, username, detectedEmotes, stats) {
         // Count occurrences of each emote in the current message
         const emoteCounts = detectedEmotes.reduce((acc, emote) => {
-            acc[emote] = (acc[emote] || 0) + 1;
+            acc[emote.key] = (acc[emote.key] || 0) + 1;
             return acc;
         }, {});
 
         // Format emote details for logging
-        const uniqueEmotes = [...new Set(detectedEmotes)];
+        const uniqueEmotes = [...new Map(detectedEmotes.map(emote => [emote.key, emote])).values()];
         const emoteDetails = uniqueEmotes.map(emote => {
-            const emoteInfo = emoteManager.getEmoteInfo(emote);
-            const count = stats.emotes[emote];
-            const timesInMessage = emoteCounts[emote];
-            return `   ${emote} (${emoteInfo.platform}): ${count} total${timesInMessage > 1 ? ` [${timesInMessage}x in message]` : ''}`;
+            const count = stats.emotes[emote.key];
+            const timesInMessage = emoteCounts[emote.key];
+            return `   ${emote.code} (${emote.platform}): ${count} total${timesInMessage > 1 ? ` [${timesInMessage}x in message]` : ''}`;
         }).join('\n');
 
         // Log formatted emote detection info
         console.log(
             chalk.gray('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n') +
-            chalk.yellow(`🎯 Emotes detected from ${chalk.bold(username)}:\n`) +
+            chalk.yellow(`🎯 Emotes detected from ${chalk.bold(username)} in ${chalk.bold(channel)}:\n`) +
             emoteDetails + '\n' +
             chalk.green(`   Total user score: ${chalk.white(stats.total)}`)
         );
     }
 
+    /**
+     * Records a finished combo and announces it in chat when it is big enough
+     * @param {Object} combo - Finished combo from ComboDetector
+     * @returns {Promise<void>}
+     */
+    async handleComboEnd(combo) {
+        const { emoteRecord, streamRecord } = await this.bot.statsHandler.recordCombo(combo.channel, combo);
+        console.log(chalk.cyan(`🔥 Combo ended in ${combo.channel}: ${combo.code} x${combo.count} (${combo.users} users)`));
+
+        const { announce, minSize } = this.bot.config.combos;
+        if (!announce || combo.count < minSize || this.bot.isReplaying) return;
+
+        try {
+            await this.bot.messageQueue.send(combo.channel, this.bot.i18n.t(combo.channel, 'combo.announce', {
+                emote: combo.code,
+                count: combo.count,
+                users: combo.users,
+                emoteRecord,
+                streamRecord
+            }), { priority: MessageQueue.PRIORITY.LOW });
+        } catch (error) {
+            console.error(chalk.red('Error sending combo announcement:'), error);
+        }
+    }
+
     /**
      * Sends milestone achievement notifications to chat
+     * @param {string} channel - The channel to announce the milestone in
      * @param {string} username - The username who reached the milestone
      * @param {Object} milestone - Milestone information object
      */
-    async notifyMilestone(username, milestone) {
+    async notifyMilestone(channel, username, milestone) {
         try {
-            // Format and send milestone message
+            // Format and send milestone message, custom messages can use {user}, {count} and {counter}
+            const i18n = this.bot.i18n;
+            const params = {
+                user: username,
+                count: milestone.count,
+                counter: i18n.t(channel, `counters.${milestone.counter}`)
+            };
             const message = milestone.message
-                ? `PogChamp @${username} ${milestone.message.replace('chegou a {count}', milestone.count.toLocaleString())}`
-                : `PogChamp @${username} atingiu ${milestone.count.toLocaleString()} emotes! Parabéns! 🎉`;
+                ? i18n.t(channel, 'milestone.custom', {
+                    user: username,
+                    message: i18n.format(channel, milestone.message, params)
+                })
+                : i18n.t(channel, 'milestone.reached', params);
 
             // Send notification to chat and log milestone
-            await this.bot.client.say(this.bot.config.channel, message);
-            console.log(chalk.magenta(`🏆 Milestone reached: ${username} - ${milestone.count} emotes`));
+            await this.bot.messageQueue.send(channel, message, { priority: MessageQueue.PRIORITY.HIGH });
+            console.log(chalk.magenta(`🏆 Milestone reached: ${username} - ${milestone.count} ${milestone.counter}`));
         } catch (error) {
             console.error(chalk.red('Error sending milestone notification:'), error);
         }
@@ -0,0 +1,231 @@
+const chalk = require('chalk');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+// Twitch rejects chat messages longer than this
+const MAX_MESSAGE_LENGTH = 500;
+// Twitch counts messages over a sliding 30 second window
+const RATE_WINDOW = 30000;
+// Without moderator rights the bot can send one message per second in a channel
+const CHANNEL_INTERVAL = 1000;
+// Twitch drops a message identical to the previous one sent within 30 seconds,
+// an invisible tag character makes a repeated response look different
+const DUPLICATE_SUFFIX = ' \u{E0000}';
+
+/**
+ * Central queue of outgoing chat messages
+ * Every chat message of the bot goes through send(), which keeps the account under
+ * Twitch's limits (CHAT_RATE_LIMIT messages per 30s, CHAT_MOD_RATE_LIMIT in channels where
+ * the bot is a moderator, VIP or the broadcaster), splits long messages, sends higher
+ * priority messages first and avoids Twitch's duplicate message filter. With
+ * CHAT_REPLY_THREADS=true, messages answering a chat message are sent as replies to it.
+ */
+class MessageQueue {
+    /**
+     * Creates a new MessageQueue instance
+     * @param {Object} bot - The main bot instance, its client is used once connected
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.options = bot.config.chat;
+        this.queue = [];            // waiting messages, highest priority first
+        this.sentTimes = [];        // send times within the rate window
+        this.lastSent = new Map();  // channel -> { text, time } of the last message
+        this.timer = null;
+    }
+
+    /**
+     * Queues a chat message
+     * Identical messages already waiting for the same channel (and not replies) are sent once
+     * @param {string} channel - Channel to send the message to
+     * @param {string} message - Message text, split between words when it is too long
+     * @param {Object} [options={}] - Send options
+     * @param {number} [options.priority=MessageQueue.PRIORITY.NORMAL] - Higher priorities are sent first
+     * @param {string} [options.replyTo] - ID of the chat message this one answers
+     * @returns {Promise<boolean>} Resolves once sent, false if the message failed or was a duplicate
+     */
+    send(channel, message, options = {}) {
+        const name = normalizeChannel(channel);
+        const priority = options.priority ?? MessageQueue.PRIORITY.NORMAL;
+        const replyTo = this.options.replyThreads ? options.replyTo || null : null;
+        const text = String(message).trim();
+
+        if (!text) return Promise.resolve(false);
+        if (!replyTo && this.queue.some(item => item.channel === name && item.text === text && !item.replyTo)) {
+            return Promise.resolve(false);
+        }
+
+        // Parts leave room for the suffix added to repeated messages
+        const parts = MessageQueue.splitMessage(text, MAX_MESSAGE_LENGTH - DUPLICATE_SUFFIX.length);
+        const promises = parts.map(part => new Promise(resolve => {
+            this.enqueue({ channel: name, text: part, priority, replyTo, resolve });
+        }));
+        this.schedule();
+        return Promise.all(promises).then(results => results.every(Boolean));
+    }
+
+    /**
+     * Number of messages waiting to be sent
+     * @returns {number} Queue length
+     */
+    get size() {
+        return this.queue.length;
+    }
+
+    /**
+     * Drops every waiting message
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue.forEach(item => item.resolve(false));
+        this.queue = [];
+    }
+
+    /**
+     * Splits a message between words so each part fits in a chat message
+     * @param {string} message - Message text
+     * @param {number} [maxLength=MAX_MESSAGE_LENGTH] - Longest part
+     * @returns {Array<string>} Message parts
+     */
+    static splitMessage(message, maxLength = MAX_MESSAGE_LENGTH) {
+        const parts = [];
+        let rest = message;
+        while (rest.length > maxLength) {
+            // Split at the last space, or mid-word when a single word is too long
+            let end = rest.lastIndexOf(' ', maxLength);
+            if (end <= 0) end = maxLength;
+            parts.push(rest.slice(0, end).trim());
+            rest = rest.slice(end).trim();
+        }
+        if (rest) parts.push(rest);
+        return parts;
+    }
+
+    // Private methods
+
+    /**
+     * Inserts a message after the waiting ones of the same or a higher priority
+     * @private
+     * @param {Object} item - Queued message
+     */
+    enqueue(item) {
+        const index = this.queue.findIndex(queued => queued.priority < item.priority);
+        if (index === -1) {
+            this.queue.push(item);
+        } else {
+            this.queue.splice(index, 0, item);
+        }
+    }
+
+    /**
+     * Sends every message that is allowed now and waits for the next one
+     * @private
+     */
+    schedule() {
+        // A new message may be sendable before the one being waited for
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0) {
+            const now = Date.now();
+            this.sentTimes = this.sentTimes.filter(time => now - time < RATE_WINDOW);
+
+            // First message (by priority) whose channel can take one now
+            let next = -1;
+            let wait = Infinity;
+            this.queue.forEach((item, index) => {
+                if (next !== -1) return;
+                const delay = this.getDelay(item.channel, now);
+                if (delay <= 0) {
+                    next = index;
+                } else {
+                    wait = Math.min(wait, delay);
+                }
+            });
+
+            if (next === -1) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.schedule();
+                }, wait);
+                return;
+            }
+
+            const [item] = this.queue.splice(next, 1);
+            this.deliver(item, now);
+        }
+    }
+
+    /**
+     * Time until a channel can take another message
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {number} now - Current time
+     * @returns {number} Delay in ms, 0 or less when a message can be sent now
+     */
+    getDelay(channel, now) {
+        const privileged = this.isPrivileged(channel);
+        const limit = privileged ? this.options.modRateLimit : this.options.rateLimit;
+        const windowDelay = this.sentTimes.length >= limit
+            ? this.sentTimes[this.sentTimes.length - limit] + RATE_WINDOW - now
+            : 0;
+        const last = this.lastSent.get(channel);
+        const channelDelay = !privileged && last ? last.time + CHANNEL_INTERVAL - now : 0;
+        return Math.max(windowDelay, channelDelay);
+    }
+
+    /**
+     * Checks if the bot has higher chat limits in a channel
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @returns {boolean} True for moderators, VIPs and the broadcaster
+     */
+    isPrivileged(channel) {
+        const state = this.bot.client?.userstate?.[`#${channel}`];
+        if (!state) return false;
+        const badges = state.badges || {};
+        return Boolean(state.mod || badges.moderator || badges.vip || badges.broadcaster);
+    }
+
+    /**
+     * Sends one message to chat
+     * @private
+     * @param {Object} item - Queued message
+     * @param {number} now - Current time
+     */
+    deliver(item, now) {
+        const last = this.lastSent.get(item.channel);
+        let text = item.text;
+        if (last && last.text === text && now - last.time < RATE_WINDOW) {
+            text += DUPLICATE_SUFFIX;
+        }
+
+        this.sentTimes.push(now);
+        this.lastSent.set(item.channel, { text, time: now });
+
+        Promise.resolve()
+            .then(() => item.replyTo
+                ? this.bot.client.raw(`@reply-parent-msg-id=${item.replyTo} PRIVMSG #${item.channel} :${text}`)
+                : this.bot.client.say(`#${item.channel}`, text))
+            .then(() => item.resolve(true))
+            .catch(error => {
+                console.error(chalk.red(`Failed to send message to #${item.channel}:`), error);
+                item.resolve(false);
+            });
+    }
+}
+
+/**
+ * Message priorities for busy chats: milestones go out first, then command
+ * responses, then combo announcements
+ * @enum {number}
+ */
+MessageQueue.PRIORITY = {
+    LOW: 0,
+    NORMAL: 1,
+    HIGH: 2
+};
+
+MessageQueue.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = MessageQueue;
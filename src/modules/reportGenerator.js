@@ -0,0 +1,504 @@
+const fs = require('fs').promises;
+const path = require('path');
+const emoteManager = require('./emoteManager');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Entries listed in each ranking of the report
+const TOP_LIMIT = 10;
+const FORMATS = {
+    html: 'html',
+    markdown: 'md'
+};
+
+/**
+ * Builds emote usage reports of a channel over a time range, written as a standalone
+ * HTML page and/or a Markdown file to send to the streamer after a stream
+ * Ranges are a recorded stream session (the latest by default) or any from/to range,
+ * compared with the session or period before it for the emote trends. Hour of day
+ * breakdowns use the hourly history, so they only cover HISTORY_HOURLY_RETENTION_DAYS.
+ */
+class ReportGenerator {
+    /**
+     * Creates a new ReportGenerator instance
+     * @param {StatsHandler} statsHandler - Statistics to report on
+     */
+    constructor(statsHandler) {
+        this.statsHandler = statsHandler;
+    }
+
+    /**
+     * Resolves the time range of a report from the command line options
+     * @param {string} channel - Channel to report on
+     * @param {Object} [options={}] - Range options
+     * @param {string} [options.from] - Range start, any date Date can parse
+     * @param {string} [options.to] - Range end, defaults to now
+     * @param {number} [options.session] - Stream session, 1 is the most recent (used without from/to)
+     * @returns {Promise<Object|null>} Range ({ from, to, label, session, previous }), or null if the session was not recorded
+     * @throws {Error} If a date is invalid or the range is empty
+     */
+    async resolveRange(channel, { from, to, session } = {}) {
+        if (from || to) {
+            const end = to ? parseDate(to, 'to') : Date.now();
+            const start = from ? parseDate(from, 'from') : end - DAY;
+            if (start >= end) {
+                throw new Error('The report range must start before it ends');
+            }
+            return {
+                from: start,
+                to: end,
+                label: `${formatDate(start)} - ${formatDate(end)}`,
+                session: null,
+                previous: { from: start - (end - start), to: start }
+            };
+        }
+
+        const index = session || 1;
+        if (!Number.isInteger(index) || index < 1) {
+            throw new Error('--session must be a positive number');
+        }
+        const sessions = await this.statsHandler.getStreamSessions(channel);
+        const current = sessions[index - 1];
+        if (!current) return null;
+        return {
+            from: current.start,
+            to: current.end + 1,
+            label: `Stream of ${formatDate(current.start)} (${formatDuration(current.end - current.start)})`,
+            session: current,
+            previous: sessions[index] ? { from: sessions[index].start, to: sessions[index].end + 1, session: sessions[index] } : null
+        };
+    }
+
+    /**
+     * Gathers the report data of a channel
+     * @param {string} channel - Channel to report on
+     * @param {Object} range - Range from resolveRange()
+     * @returns {Promise<Object>} Report data, rendered by toHtml() and toMarkdown()
+     */
+    async build(channel, range) {
+        const name = normalizeChannel(channel);
+        const statsHandler = this.statsHandler;
+        await statsHandler.ensureLoaded();
+        const channelStats = statsHandler.getChannelStats(name);
+
+        // Session buckets are exact, hour and day buckets round the range to whole hours or days
+        const usage = range.session || await statsHandler.getUsageInRange(name, range.from, range.to);
+        const previous = range.previous
+            ? range.previous.session || await statsHandler.getUsageInRange(name, range.previous.from, range.previous.to)
+            : null;
+
+        const chatters = Object.entries(usage.users)
+            .filter(([userKey]) => !statsHandler.isHidden(name, userKey, channelStats[userKey]))
+            .sort((a, b) => b[1] - a[1]);
+        const newChatters = chatters.filter(([userKey]) => {
+            const firstSeen = channelStats[userKey]?.firstSeen;
+            return firstSeen >= range.from && firstSeen < range.to;
+        });
+
+        return {
+            channel: name,
+            label: range.label,
+            from: range.from,
+            to: range.to,
+            generatedAt: Date.now(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            totals: {
+                emotes: usage.total,
+                messages: usage.messages,
+                chatters: chatters.length,
+                uniqueEmotes: Object.keys(usage.emotes).length
+            },
+            topEmotes: this.getTopEmotes(name, usage, previous),
+            topChatters: chatters.slice(0, TOP_LIMIT).map(([userKey, count]) => ({
+                name: statsHandler.getDisplayName(userKey, channelStats[userKey]),
+                count,
+                share: usage.total ? count / usage.total : 0
+            })),
+            platforms: Object.entries(usage.platforms)
+                .sort((a, b) => b[1] - a[1])
+                .map(([platform, count]) => ({ platform, count, share: usage.total ? count / usage.total : 0 })),
+            chatterTypes: {
+                new: newChatters.length,
+                returning: chatters.length - newChatters.length,
+                newNames: newChatters.slice(0, TOP_LIMIT)
+                    .map(([userKey]) => statsHandler.getDisplayName(userKey, channelStats[userKey]))
+            },
+            hours: await this.getHourlyTopEmotes(name, range),
+            diversity: chatters.slice(0, TOP_LIMIT).map(([userKey]) => this.getDiversity(name, userKey, channelStats[userKey]))
+        };
+    }
+
+    /**
+     * Writes a report to disk
+     * @param {Object} report - Report data from build()
+     * @param {string} directory - Directory to write to, created if needed
+     * @param {string} [format='both'] - 'html', 'markdown' or 'both'
+     * @returns {Promise<Array<string>>} Written file paths
+     */
+    async write(report, directory, format = 'both') {
+        await fs.mkdir(directory, { recursive: true });
+        const formats = format === 'both' ? Object.keys(FORMATS) : [format];
+        const baseName = `report-${report.channel}-${formatFileDate(report.from)}`;
+
+        const files = [];
+        for (const type of formats) {
+            const file = path.join(directory, `${baseName}.${FORMATS[type]}`);
+            await fs.writeFile(file, type === 'html' ? this.toHtml(report) : this.toMarkdown(report));
+            files.push(file);
+        }
+        return files;
+    }
+
+    /**
+     * Renders a report as Markdown
+     * @param {Object} report - Report data from build()
+     * @returns {string} Markdown document
+     */
+    toMarkdown(report) {
+        const md = escapeMarkdown;
+        const table = (headers, rows) => [
+            `| ${headers.join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.join(' | ')} |`)
+        ].join('\n');
+        const section = (title, content, empty = 'No data for this range.') =>
+            `## ${title}\n\n${content || `_${empty}_`}\n`;
+        const { totals, chatterTypes } = report;
+
+        return [
+            `# Emote report for #${md(report.channel)}\n`,
+            `**${md(report.label)}**  `,
+            `${formatDate(report.from)} - ${formatDate(report.to)} (${report.timeZone})\n`,
+            `- Emotes used: **${formatNumber(totals.emotes)}**`,
+            `- Messages with emotes: **${formatNumber(totals.messages)}**`,
+            `- Chatters using emotes: **${formatNumber(totals.chatters)}**`,
+            `- Different emotes: **${formatNumber(totals.uniqueEmotes)}**\n`,
+            section('Top emotes', report.topEmotes.length && table(
+                ['#', 'Emote', 'Uses', 'Trend'],
+                report.topEmotes.map((emote, index) => [index + 1, md(emote.code), formatNumber(emote.count), formatTrend(emote.change)])
+            )),
+            section('Top chatters', report.topChatters.length && table(
+                ['#', 'Chatter', 'Emotes', 'Share'],
+                report.topChatters.map((chatter, index) => [index + 1, md(chatter.name), formatNumber(chatter.count), formatPercent(chatter.share)])
+            )),
+            section('Platform share', report.platforms.length && table(
+                ['Platform', 'Emotes', 'Share'],
+                report.platforms.map(entry => [md(entry.platform), formatNumber(entry.count), formatPercent(entry.share)])
+            )),
+            section('New and returning chatters', totals.chatters && [
+                `- New chatters: **${formatNumber(chatterTypes.new)}**` +
+                    (chatterTypes.newNames.length ? ` (${chatterTypes.newNames.map(md).join(', ')})` : ''),
+                `- Returning chatters: **${formatNumber(chatterTypes.returning)}**`
+            ].join('\n')),
+            section(`Most used emote per hour of day (${report.timeZone})`, report.hours.length && table(
+                ['Hour', 'Emotes', 'Top emote'],
+                report.hours.map(hour => [formatHour(hour.hour), formatNumber(hour.total), `${md(hour.top.code)} (${formatNumber(hour.top.count)})`])
+            ), 'No hourly history for this range.'),
+            section('Emote diversity of the top chatters (all time)', report.diversity.length && table(
+                ['Chatter', 'Different emotes', 'Emote uses', 'Emotes per message', 'Favorite'],
+                report.diversity.map(entry => [
+                    md(entry.name),
+                    formatNumber(entry.uniqueEmotes),
+                    formatNumber(entry.total),
+                    entry.ratio.toFixed(2),
+                    entry.favorite ? `${md(entry.favorite.code)} (${formatPercent(entry.favorite.share)})` : '-'
+                ])
+            )),
+            `_Generated ${formatDate(report.generatedAt)}_\n`
+        ].join('\n');
+    }
+
+    /**
+     * Renders a report as a standalone HTML page
+     * @param {Object} report - Report data from build()
+     * @returns {string} HTML document
+     */
+    toHtml(report) {
+        const html = escapeHtml;
+        const emote = entry => (entry.url ? `<img src="${html(entry.url)}" alt="" loading="lazy"> ` : '') + html(entry.code);
+        const bar = share => `<span class="bar" style="width:${Math.round(share * 100)}%"></span>`;
+        const table = (headers, rows) => `<table><thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>` +
+            `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+        const section = (title, content, empty = 'No data for this range.') =>
+            `<section><h2>${title}</h2>${content || `<p class="empty">${empty}</p>`}</section>`;
+        const { totals, chatterTypes } = report;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Emote report for #${html(report.channel)} - ${html(report.label)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 900px; margin: 2em auto; padding: 0 1em; color: #1f1f23; background: #f7f7f8; }
+        h1 { color: #9146ff; margin-bottom: 0; }
+        section { background: #fff; border-radius: 8px; padding: 1em 1.5em; margin: 1em 0; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 0.35em 0.5em; border-bottom: 1px solid #eee; }
+        td img { height: 1.75em; vertical-align: middle; }
+        .totals { display: flex; gap: 1em; flex-wrap: wrap; }
+        .totals div { flex: 1; text-align: center; }
+        .totals strong { display: block; font-size: 1.8em; color: #9146ff; }
+        .bar { display: inline-block; height: 0.8em; background: #9146ff; border-radius: 4px; margin-right: 0.5em; }
+        .up { color: #00a86b; }
+        .down { color: #e91916; }
+        .empty, footer { color: #777; }
+    </style>
+</head>
+<body>
+    <h1>Emote report for #${html(report.channel)}</h1>
+    <p><strong>${html(report.label)}</strong><br>${formatDate(report.from)} - ${formatDate(report.to)} (${html(report.timeZone)})</p>
+    <section class="totals">
+        <div><strong>${formatNumber(totals.emotes)}</strong>emotes used</div>
+        <div><strong>${formatNumber(totals.messages)}</strong>messages with emotes</div>
+        <div><strong>${formatNumber(totals.chatters)}</strong>chatters using emotes</div>
+        <div><strong>${formatNumber(totals.uniqueEmotes)}</strong>different emotes</div>
+    </section>
+    ${section('Top emotes', report.topEmotes.length && table(
+        ['#', 'Emote', 'Uses', 'Trend'],
+        report.topEmotes.map((entry, index) => [
+            index + 1,
+            emote(entry),
+            formatNumber(entry.count),
+            `<span class="${entry.change === null || entry.change > 0 ? 'up' : entry.change < 0 ? 'down' : ''}">${formatTrend(entry.change)}</span>`
+        ])
+    ))}
+    ${section('Top chatters', report.topChatters.length && table(
+        ['#', 'Chatter', 'Emotes', 'Share'],
+        report.topChatters.map((chatter, index) => [index + 1, html(chatter.name), formatNumber(chatter.count), bar(chatter.share) + formatPercent(chatter.share)])
+    ))}
+    ${section('Platform share', report.platforms.length && table(
+        ['Platform', 'Emotes', 'Share'],
+        report.platforms.map(entry => [html(entry.platform), formatNumber(entry.count), bar(entry.share) + formatPercent(entry.share)])
+    ))}
+    ${section('New and returning chatters', totals.chatters && `<p><strong>${formatNumber(chatterTypes.new)}</strong> new` +
+        (chatterTypes.newNames.length ? ` (${chatterTypes.newNames.map(html).join(', ')})` : '') +
+        `<br><strong>${formatNumber(chatterTypes.returning)}</strong> returning</p>`)}
+    ${section(`Most used emote per hour of day (${html(report.timeZone)})`, report.hours.length && table(
+        ['Hour', 'Emotes', 'Top emote'],
+        report.hours.map(hour => [formatHour(hour.hour), formatNumber(hour.total), `${emote(hour.top)} (${formatNumber(hour.top.count)})`])
+    ), 'No hourly history for this range.')}
+    ${section('Emote diversity of the top chatters (all time)', report.diversity.length && table(
+        ['Chatter', 'Different emotes', 'Emote uses', 'Emotes per message', 'Favorite'],
+        report.diversity.map(entry => [
+            html(entry.name),
+            formatNumber(entry.uniqueEmotes),
+            formatNumber(entry.total),
+            entry.ratio.toFixed(2),
+            entry.favorite ? `${emote(entry.favorite)} (${formatPercent(entry.favorite.share)})` : '-'
+        ])
+    ))}
+    <footer>Generated ${formatDate(report.generatedAt)}</footer>
+</body>
+</html>
+`;
+    }
+
+    // Private methods
+
+    /**
+     * Lists the top emotes of a range with their change since the previous one
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {Object} usage - Usage counters of the range
+     * @param {Object|null} previous - Usage counters of the previous range
+     * @returns {Array<Object>} Emotes ({ key, code, url, count, previous, change }), change is null for new emotes
+     */
+    getTopEmotes(channel, usage, previous) {
+        return Object.entries(usage.emotes)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_LIMIT)
+            .map(([key, count]) => {
+                const before = previous?.emotes[key] || 0;
+                return {
+                    key,
+                    code: emoteManager.getEmoteName(key, channel),
+                    url: emoteManager.getEmoteImageUrl(key),
+                    count,
+                    previous: before,
+                    change: before ? (count - before) / before : null
+                };
+            });
+    }
+
+    /**
+     * Finds the most used emote of each hour of the day in a range
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {Object} range - Report range
+     * @returns {Promise<Array<Object>>} Hours with emotes ({ hour, total, top }), in local time
+     */
+    async getHourlyTopEmotes(channel, range) {
+        const hours = new Map();
+        const buckets = await this.statsHandler.getHourlyUsage(channel, range.from, range.to);
+        buckets.forEach(([hourStart, bucket]) => {
+            const hour = new Date(hourStart).getHours();
+            const entry = hours.get(hour) || { hour, total: 0, emotes: {} };
+            entry.total += bucket.total;
+            Object.entries(bucket.emotes).forEach(([key, count]) => {
+                entry.emotes[key] = (entry.emotes[key] || 0) + count;
+            });
+            hours.set(hour, entry);
+        });
+
+        return [...hours.values()]
+            .filter(entry => entry.total > 0)
+            .sort((a, b) => a.hour - b.hour)
+            .map(({ hour, total, emotes }) => {
+                const [key, count] = Object.entries(emotes).sort((a, b) => b[1] - a[1])[0];
+                return {
+                    hour,
+                    total,
+                    top: { key, code: emoteManager.getEmoteName(key, channel), url: emoteManager.getEmoteImageUrl(key), count }
+                };
+            });
+    }
+
+    /**
+     * Describes how varied the emotes of a chatter are, from their all-time statistics
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {string} userKey - Key of the user record
+     * @param {Object} [stats] - User statistics
+     * @returns {Object} { name, uniqueEmotes, total, ratio, favorite }
+     */
+    getDiversity(channel, userKey, stats = {}) {
+        const emotes = stats.emotes || {};
+        const total = stats.total || 0;
+        const favoriteKey = this.statsHandler.getMostUsedEmote(emotes);
+        return {
+            name: this.statsHandler.getDisplayName(userKey, stats),
+            uniqueEmotes: Object.keys(emotes).length,
+            total,
+            ratio: stats.messages ? total / stats.messages : 0,
+            favorite: favoriteKey && total ? {
+                key: favoriteKey,
+                code: emoteManager.getEmoteName(favoriteKey, channel),
+                url: emoteManager.getEmoteImageUrl(favoriteKey),
+                share: emotes[favoriteKey] / total
+            } : null
+        };
+    }
+}
+
+// Private functions
+
+/**
+ * Parses a date option
+ * @private
+ * @param {string} value - Date or date and time
+ * @param {string} option - Option name, for the error message
+ * @returns {number} Timestamp
+ * @throws {Error} If the date is invalid
+ */
+function parseDate(value, option) {
+    const timestamp = new Date(value).getTime();
+    if (isNaN(timestamp)) {
+        throw new Error(`Invalid --${option} date: ${value}`);
+    }
+    return timestamp;
+}
+
+/**
+ * Formats a timestamp as local "YYYY-MM-DD HH:mm"
+ * @private
+ * @param {number} timestamp - Time to format
+ * @returns {string} Formatted date
+ */
+function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Formats a timestamp for file names ("YYYY-MM-DD_HHmm")
+ * @private
+ * @param {number} timestamp - Time to format
+ * @returns {string} Formatted date
+ */
+function formatFileDate(timestamp) {
+    return formatDate(timestamp).replace(' ', '_').replace(':', '');
+}
+
+/**
+ * Formats a duration as hours and minutes
+ * @private
+ * @param {number} duration - Duration in ms
+ * @returns {string} E.g. "3h 25m"
+ */
+function formatDuration(duration) {
+    const minutes = Math.round(duration / 60000);
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Formats an hour of the day as a range
+ * @private
+ * @param {number} hour - Hour (0-23)
+ * @returns {string} E.g. "21:00-22:00"
+ */
+function formatHour(hour) {
+    const pad = value => String(value % 24).padStart(2, '0');
+    return `${pad(hour)}:00-${pad(hour + 1)}:00`;
+}
+
+/**
+ * Formats a count for the report
+ * @private
+ * @param {number} value - Number to format
+ * @returns {string} Number with thousands separators
+ */
+function formatNumber(value) {
+    return (value || 0).toLocaleString('en-US');
+}
+
+/**
+ * Formats a share as a percentage
+ * @private
+ * @param {number} share - Fraction (0-1)
+ * @returns {string} Percentage with one decimal
+ */
+function formatPercent(share) {
+    return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats the change of an emote since the previous range
+ * @private
+ * @param {number|null} change - Relative change, null when the emote was not used before
+ * @returns {string} E.g. "▲ 25%", "▼ 10%", "=" or "new"
+ */
+function formatTrend(change) {
+    if (change === null) return 'new';
+    const percent = Math.round(Math.abs(change) * 100);
+    if (percent === 0) return '=';
+    return `${change > 0 ? '▲' : '▼'} ${percent}%`;
+}
+
+/**
+ * Escapes text for the HTML report
+ * @private
+ * @param {string} value - Text to escape
+ * @returns {string} Text safe inside HTML elements and attributes
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[character]);
+}
+
+/**
+ * Escapes text for the Markdown report
+ * @private
+ * @param {string} value - Text to escape
+ * @returns {string} Text without Markdown formatting, safe inside table cells
+ */
+function escapeMarkdown(value) {
+    return String(value).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+}
+
+module.exports = ReportGenerator;
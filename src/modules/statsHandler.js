@@ -3,7 +3,12 @@ const path = require('path');
 const chalk = require('chalk');
 const AIHelper = require('../utils/ai-helper');
 const MemoryManager = require('../utils/memory-manager');
+const UsageHistory = require('./usageHistory');
+const emoteManager = require('./emoteManager');
+const { createStorage } = require('../storage');
 const logger = require('../utils/logger');
+const { normalizeChannel } = require('../utils/channel-helpers');
+const { getUserCounters } = require('../utils/user-counters');
 
 /**
  * Handles user statistics, emote tracking, and milestone management
@@ -16,7 +21,7 @@ class StatsHandler {
      */
     constructor(bot) {
         this.bot = bot;
-        this.userStats = null;  // Change to null initially
+        this.userStats = null;  // Per-channel user maps: { channel: { username: stats } }
         this.lastSaveTime = Date.now();
         this.saveQueue = Promise.resolve();
         this.metrics = {
@@ -28,6 +33,12 @@ class StatsHandler {
             failedSaves: 0
         };
         this.isLoaded = false;
+        this.readOnly = false; // Set by replay --dry-run: changes stay in memory and are never written
+        this.storage = createStorage(bot.config);
+        this.dirtyUsers = new Map(); // channel -> Set of usernames changed since the last save
+        this.history = new UsageHistory(bot.config.history);
+        this.comboRecords = {}; // channel -> emote key -> biggest combo
+        this.ignoredUsers = {}; // channel -> user key -> login of users ignored at runtime
         this.milestones = bot.config.milestones.values;
         this.milestoneMessages = bot.config.milestones.messages;
         this.aiHelper = new AIHelper(bot.config);
@@ -36,7 +47,7 @@ class StatsHandler {
         this.memoryManager = new MemoryManager({
             maxHeapUsage: 0.9,
             cleanupThreshold: 0.8,
-            staleDataAge: parseInt(process.env.STALE_DATA_AGE, 10) || 30 * 24 * 60 * 60 * 1000,
+            staleDataAge: bot.config.memory.staleDataAge,
             minRuntimeBeforeCleanup: 30 * 60 * 1000 // 30 minutes minimum runtime
         });
         
@@ -77,27 +88,251 @@ class StatsHandler {
     }
 
     /**
-     * Loads user statistics from disk
+     * Gets the user statistics map of a channel, creating it if needed
+     * @param {string} channel - Channel name (with or without '#')
+     * @returns {Object} Map of username to user statistics
+     */
+    getChannelStats(channel) {
+        const key = normalizeChannel(channel);
+        if (!this.userStats[key]) {
+            this.userStats[key] = {};
+        }
+        return this.userStats[key];
+    }
+
+    /**
+     * Counts user entries across all channels
+     * @returns {number} Number of user entries
+     */
+    countEntries() {
+        return Object.values(this.userStats || {})
+            .reduce((count, users) => count + Object.keys(users).length, 0);
+    }
+
+    /**
+     * Marks a user record as changed so the next save writes it
+     * @param {string} channel - Channel of the user
+     * @param {string} userKey - Key of the changed user record
+     */
+    markDirty(channel, userKey) {
+        const key = normalizeChannel(channel);
+        if (!this.dirtyUsers.has(key)) {
+            this.dirtyUsers.set(key, new Set());
+        }
+        this.dirtyUsers.get(key).add(userKey);
+    }
+
+    /**
+     * Normalizes a user reference to { id, login, displayName }
+     * Plain strings are treated as a login without a known user ID
+     * @param {Object|string} user - User from ChatBot.handleMessage or a login
+     * @returns {{id: string, login: string, displayName: string}} Normalized user
+     */
+    normalizeUser(user) {
+        if (typeof user === 'string') {
+            return { id: user.toLowerCase(), login: user.toLowerCase(), displayName: user };
+        }
+        const login = (user.login || user.displayName || '').toLowerCase();
+        return {
+            id: String(user.id || login),
+            login,
+            displayName: user.displayName || login
+        };
+    }
+
+    /**
+     * Gets the name to show for a user record
+     * @param {string} userKey - Key of the user record (user ID)
+     * @param {Object} stats - User statistics
+     * @returns {string} Latest display name, login, or the key itself
+     */
+    getDisplayName(userKey, stats) {
+        return stats?.displayName || stats?.login || userKey;
+    }
+
+    /**
+     * Finds the record key of a user in a channel
+     * Accepts a user ID, or a login or display name matched case-insensitively
+     * @param {string} channel - Channel to search
+     * @param {string} query - User ID, login, display name or @mention
+     * @returns {string|null} Key of the user record, or null if not found
+     */
+    resolveUserKey(channel, query) {
+        if (!query) return null;
+        const channelStats = this.getChannelStats(channel);
+        if (channelStats[query]) {
+            return query;
+        }
+
+        const name = String(query).replace(/^@/, '').toLowerCase();
+        const entries = Object.entries(channelStats);
+        const byLogin = entries.find(([_, stats]) => stats.login === name);
+        const byDisplayName = byLogin || entries.find(([_, stats]) =>
+            (stats.displayName || '').toLowerCase() === name
+        );
+        return byDisplayName ? byDisplayName[0] : null;
+    }
+
+    /**
+     * Gets the record of a chatting user, creating it if needed
+     * Name-keyed legacy records matching the user's login or display name are
+     * merged into the ID-keyed record, and the latest names are stored on it
+     * @param {string} channel - Channel of the user
+     * @param {Object|string} user - User reference (see normalizeUser)
+     * @param {number} [timestamp=Date.now()] - When the user was seen, names older than the record's lastSeen are not stored
+     * @returns {{key: string, stats: Object}} Record key and statistics
+     */
+    getUserRecord(channel, user, timestamp = Date.now()) {
+        const { id, login, displayName } = this.normalizeUser(user);
+        const channelStats = this.getChannelStats(channel);
+
+        const legacyKeys = [...new Set([login, displayName.toLowerCase()])]
+            .filter(key => key !== id && channelStats[key]?.legacy);
+        legacyKeys.forEach(legacyKey => {
+            const legacyStats = channelStats[legacyKey];
+            delete channelStats[legacyKey];
+            delete legacyStats.legacy;
+            channelStats[id] = channelStats[id]
+                ? this.mergeUserStats(channelStats[id], legacyStats)
+                : legacyStats;
+            this.markDirty(channel, legacyKey);
+            logger.info(`Linked legacy statistics of ${legacyKey} to user ID ${id} in #${normalizeChannel(channel)}`);
+        });
+
+        if (!channelStats[id]) {
+            channelStats[id] = this.createUserStats(timestamp);
+        }
+        if (!channelStats[id].login || timestamp >= channelStats[id].lastSeen) {
+            channelStats[id].login = login;
+            channelStats[id].displayName = displayName;
+        }
+        this.markDirty(channel, id);
+
+        return { key: id, stats: channelStats[id] };
+    }
+
+    /**
+     * Adds the counters of one user record into another
+     * @param {Object} target - Record receiving the counts
+     * @param {Object} source - Record to merge
+     * @returns {Object} The updated target record
+     */
+    mergeUserStats(target, source) {
+        ['total', 'emoteMessages', 'messages'].forEach(field => {
+            target[field] = (target[field] || 0) + (source[field] || 0);
+        });
+        ['emotes', 'platforms'].forEach(field => {
+            target[field] = target[field] || {};
+            Object.entries(source[field] || {}).forEach(([key, count]) => {
+                target[field][key] = (target[field][key] || 0) + count;
+            });
+        });
+        if (source.raw) {
+            target.raw = target.raw || { total: 0, emotes: {} };
+            target.raw.total += source.raw.total || 0;
+            Object.entries(source.raw.emotes || {}).forEach(([key, count]) => {
+                target.raw.emotes[key] = (target.raw.emotes[key] || 0) + count;
+            });
+        }
+        const firstSeen = [target.firstSeen, source.firstSeen].filter(Boolean);
+        const lastSeen = [target.lastSeen, source.lastSeen].filter(Boolean);
+        target.firstSeen = firstSeen.length ? Math.min(...firstSeen) : Date.now();
+        target.lastSeen = lastSeen.length ? Math.max(...lastSeen) : Date.now();
+        return target;
+    }
+
+    /**
+     * Converts name-keyed records from before user IDs were tracked
+     * Records whose names differ only in casing are merged, and each is kept
+     * under its lowercase name with a `legacy` flag until the user chats again
+     * and it can be linked to their user ID (see getUserRecord)
+     * @returns {number} Number of converted records
+     */
+    migrateLegacyUsers() {
+        let converted = 0;
+        Object.values(this.userStats).forEach(channelStats => {
+            const legacyStats = {};
+            Object.entries(channelStats).forEach(([name, stats]) => {
+                if (!stats || stats.login) return;
+                delete channelStats[name];
+                const login = name.toLowerCase();
+                if (legacyStats[login]) {
+                    this.mergeUserStats(legacyStats[login], stats);
+                } else {
+                    legacyStats[login] = { ...stats, login, displayName: name, legacy: true };
+                }
+                converted++;
+            });
+            Object.assign(channelStats, legacyStats);
+        });
+        return converted;
+    }
+
+    /**
+     * Converts records from before the emote and message counters were separated,
+     * when `total` counted messages with emotes instead of emote uses
+     * The message count starts from the messages with emotes, the only ones known
+     * @returns {number} Number of converted records
+     */
+    migrateCounters() {
+        const sum = counts => Object.values(counts || {}).reduce((total, count) => total + count, 0);
+        let converted = 0;
+        Object.values(this.userStats).forEach(channelStats => {
+            Object.values(channelStats).forEach(stats => {
+                if (!stats || typeof stats.emoteMessages === 'number') return;
+                stats.emoteMessages = stats.total || 0;
+                stats.messages = Math.max(stats.messages || 0, stats.emoteMessages);
+                stats.total = sum(stats.emotes);
+                if (stats.raw) {
+                    stats.raw.total = sum(stats.raw.emotes);
+                }
+                converted++;
+            });
+        });
+        return converted;
+    }
+
+    /**
+     * Loads user statistics from the configured storage backend
+     * When read-only, the storage is only read and migrated records stay in memory
      */
     async loadStats() {
         try {
-            const data = await fs.readFile(this.bot.config.files.database, 'utf-8');
-            const parsedData = JSON.parse(data);
-            
-            if (parsedData.stats) {
-                this.userStats = parsedData.stats;
-                if (parsedData.metrics) {
-                    this.metrics = { ...this.metrics, ...parsedData.metrics };
-                }
-            } else {
-                this.userStats = parsedData;
+            const data = await this.storage.load({ readOnly: this.readOnly });
+            if (!data) {
+                console.log(chalk.yellow('⚠ Created data directory'));
+                this.userStats = {};
+                this.isLoaded = true;
+                return;
+            }
+
+            this.userStats = data.stats || {};
+            if (data.metrics) {
+                this.metrics = { ...this.metrics, ...data.metrics };
+            }
+            this.history.load(data.history);
+            this.comboRecords = data.combos || {};
+            this.ignoredUsers = data.ignored || {};
+            this.dirtyUsers.clear();
+
+            // Recounted first: merging name-keyed records sets the counters the recount looks for
+            const recounted = this.migrateCounters();
+            if (recounted > 0) {
+                logger.info(`Recounted ${recounted} user records: totals are now emote uses, messages are counted separately`);
+            }
+            const converted = this.migrateLegacyUsers();
+            if (converted > 0) {
+                logger.info(`Converted ${converted} name-keyed user records, they will be linked to user IDs as users chat`);
+            }
+            if (converted > 0 || recounted > 0) {
+                await this.saveStats({ full: true });
             }
             
             // Only clean stale data if we have a significant amount of entries
-            if (this.userStats && Object.keys(this.userStats).length > 1000) {
-                const beforeCount = Object.keys(this.userStats).length;
+            const beforeCount = this.countEntries();
+            if (beforeCount > 1000) {
                 await this.performCleanup();
-                const afterCount = Object.keys(this.userStats).length;
+                const afterCount = this.countEntries();
                 if (beforeCount !== afterCount) {
                     logger.info(`Removed ${beforeCount - afterCount} stale entries during load`);
                 }
@@ -106,41 +341,39 @@ class StatsHandler {
             this.isLoaded = true;
             logger.success('Statistics loaded successfully');
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                await fs.mkdir(path.dirname(this.bot.config.files.database), { recursive: true });
-                console.log(chalk.yellow('⚠ Created data directory'));
-                this.userStats = {};
-                this.isLoaded = true;
-            } else {
-                console.error(chalk.red('✗ Error loading statistics:'), error);
-            }
+            console.error(chalk.red('✗ Error loading statistics:'), error);
         }
     }
 
     /**
-     * Saves current statistics to disk using atomic write operations
+     * Saves current statistics through the configured storage backend
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Rewrite every user, not only those changed since the last save
      */
-    async saveStats() {
+    async saveStats({ full = false } = {}) {
+        if (this.readOnly) return this.saveQueue;
+
         // Queue the save operation
         this.saveQueue = this.saveQueue.then(async () => {
-            const tempFile = `${this.bot.config.files.database}.tmp`;
+            const dirty = this.dirtyUsers;
+            this.dirtyUsers = new Map();
             try {
-                await fs.mkdir(path.dirname(this.bot.config.files.database), { recursive: true });
-                const saveData = {
+                await this.storage.save({
                     stats: this.userStats,
                     metrics: this.metrics,
-                    lastUpdate: Date.now()
-                };
-                await fs.writeFile(tempFile, JSON.stringify(saveData, null, 2));
-                await fs.rename(tempFile, this.bot.config.files.database);
+                    history: this.history.toJSON(),
+                    combos: this.comboRecords,
+                    ignored: this.ignoredUsers
+                }, { dirty, full });
                 this.lastSaveTime = Date.now();
+                this.metrics.totalSaves++;
                 console.log(chalk.green(`✓ Statistics saved at ${chalk.blue(new Date().toISOString())}`));
             } catch (error) {
-                try {
-                    await fs.unlink(tempFile);
-                } catch (e) {
-                    // Ignore error if temp file doesn't exist
-                }
+                this.metrics.failedSaves++;
+                // Keep the unsaved changes for the next attempt
+                dirty.forEach((usernames, channel) => {
+                    usernames.forEach(username => this.markDirty(channel, username));
+                });
                 console.error(chalk.red('✗ Error saving statistics:'), error);
                 throw error;
             }
@@ -148,6 +381,18 @@ class StatsHandler {
         return this.saveQueue;
     }
 
+    /**
+     * Writes pending changes so storage-side queries see current data
+     * @returns {Promise<void>}
+     */
+    async flushStats() {
+        if (this.dirtyUsers.size > 0) {
+            await this.saveStats();
+        } else {
+            await this.saveQueue;
+        }
+    }
+
     /**
      * Clears statistics from memory to free up resources
      */
@@ -160,77 +405,89 @@ class StatsHandler {
     }
 
     /**
-     * Increments user statistics and checks for milestones
-     * @param {string} username - User to update
-     * @param {string} emote - Emote used (optional)
-     * @param {string} platform - Platform source (optional)
-     * @param {boolean} totalOnly - Only increment total count
+     * Creates an empty statistics record for a user
+     * @param {number} [timestamp=Date.now()] - When the user was first seen
+     * @returns {Object} New user statistics
+     */
+    createUserStats(timestamp = Date.now()) {
+        return {
+            total: 0,           // emote uses counted
+            emoteMessages: 0,   // chat messages with counted emotes
+            messages: 0,        // chat messages
+            emotes: {},
+            platforms: {},
+            firstSeen: timestamp,
+            lastSeen: timestamp
+        };
+    }
+
+    /**
+     * Records a chat message of a user with its counted emotes and checks for milestones
+     * @param {string} channel - Channel the message was sent in
+     * @param {Object|string} user - User to update ({ id, login, displayName })
+     * @param {Array<{key: string, platform: string}>} [emotes=[]] - Emotes counted in the message
+     * @param {number} [timestamp=Date.now()] - When the message was sent
      * @returns {Object} Updated stats and reached milestones
      */
-    async incrementStats(username, emote = null, platform = null, totalOnly = false) {
+    async incrementStats(channel, user, emotes = [], timestamp = Date.now()) {
         await this.ensureLoaded();
-        if (!username) {
+        if (!user) {
             console.log(chalk.yellow('⚠ Missing username for stats increment'));
             return;
         }
 
-        const prevTotal = this.userStats[username]?.total || 0;
+        const { key, stats } = this.getUserRecord(channel, user, timestamp);
+        const previous = getUserCounters(stats);
 
-        if (!this.userStats[username]) {
-            this.userStats[username] = {
-                total: 0,
-                emotes: {},
-                platforms: {},
-                firstSeen: Date.now(),
-                lastSeen: Date.now()
-            };
+        stats.messages = (stats.messages || 0) + 1;
+        if (emotes.length > 0) {
+            stats.emoteMessages = (stats.emoteMessages || 0) + 1;
+            this.history.record(channel, { username: key, message: true }, timestamp);
         }
-        
-        // Increment total only if totalOnly is true or if we have emote info
-        if (totalOnly || (emote && platform)) {
-            this.userStats[username].total++;
+        for (const emote of emotes) {
+            await this.incrementEmoteCount(channel, user, emote.key, emote.platform, timestamp);
         }
+        stats.firstSeen = Math.min(stats.firstSeen || timestamp, timestamp);
+        stats.lastSeen = Math.max(stats.lastSeen || 0, timestamp);
 
-        // Update emote and platform counts only if provided
-        if (emote && platform) {
-            this.userStats[username].emotes[emote] = (this.userStats[username].emotes[emote] || 0) + 1;
-            this.userStats[username].platforms[platform] = (this.userStats[username].platforms[platform] || 0) + 1;
+        // Milestones crossed by replayed chat logs are past events and are not announced
+        if (this.bot.isReplaying) {
+            stats.backfilled = true;
+            return { milestones: null, stats };
         }
-        
-        this.userStats[username].lastSeen = Date.now();
+        delete stats.backfilled;
 
         // Check for milestones
-        const newTotal = this.userStats[username].total;
-        const milestones = await this.checkMilestone(prevTotal, newTotal, username);
-        
+        const milestones = await this.checkMilestone(previous, getUserCounters(stats), stats.displayName);
+
         // Update top user file only if this user might be the top user
-        const currentTop = Object.entries(this.userStats)
-            .sort((a, b) => b[1].total - a[1].total)[0];
-        
-        if (currentTop && currentTop[0] === username) {
-            await this.saveTopUserFile(currentTop);
+        if (emotes.length > 0) {
+            const [currentTop] = await this.getTopUsers(channel, 1);
+            if (currentTop && currentTop[0] === key) {
+                await this.saveTopUserFile(channel, currentTop);
+            }
         }
 
-        return { milestones, stats: this.userStats[username] };
+        return { milestones, stats };
     }
 
     /**
      * Checks if user has reached any milestones
-     * @param {number} prevTotal - Previous total count
-     * @param {number} newTotal - New total count
+     * @param {Object} previous - User counters before the message (see utils/user-counters)
+     * @param {Object} current - User counters after the message
      * @param {string} username - User to check
-     * @returns {Array|null} Array of reached milestones or null
+     * @returns {Array|null} Array of reached milestones ({ count, counter, message }) or null
      */
-    async checkMilestone(prevTotal, newTotal, username) {
+    async checkMilestone(previous, current, username) {
         const reachedMilestones = [];
         
-        for (const milestone of this.milestones) {
-            if (prevTotal < milestone && newTotal >= milestone) {
-                let message = this.milestoneMessages[milestone];
+        for (const { counter, value } of this.milestones) {
+            if (previous[counter] < value && current[counter] >= value) {
+                let message = this.milestoneMessages[`${counter}:${value}`];
                 
                 if (this.bot.config.features.enableAiMessages) {
                     try {
-                        const aiMessage = await this.aiHelper.generateMilestoneMessage(username, milestone);
+                        const aiMessage = await this.aiHelper.generateMilestoneMessage(username, value);
                         if (aiMessage) {
                             message = aiMessage;
                         }
@@ -240,9 +497,11 @@ class StatsHandler {
                     }
                 }
 
+                // {count} and {counter} are filled in by EmoteProcessor in the channel's locale
                 reachedMilestones.push({
-                    count: milestone,
-                    message: message.replace('{count}', milestone.toLocaleString())
+                    count: value,
+                    counter,
+                    message: message || null
                 });
             }
         }
@@ -250,11 +509,29 @@ class StatsHandler {
         return reachedMilestones.length > 0 ? reachedMilestones : null;
     }
 
+    /**
+     * Gets the top user file path for a channel
+     * With several channels, the channel name is appended to the configured file name
+     * @param {string} channel - Channel name
+     * @returns {string} Path of the channel's top user file
+     */
+    getTopUserFilePath(channel) {
+        const file = this.bot.config.files.topUser;
+        if (this.bot.config.channels.length <= 1) {
+            return file;
+        }
+        const { dir, name, ext } = path.parse(file);
+        return path.join(dir, `${name}_${normalizeChannel(channel)}${ext}`);
+    }
+
     /**
      * Updates the top user file with current leader's stats
+     * @param {string} channel - Channel the leader belongs to
      * @param {Array|Object} userdata - User data to save
      */
-    async saveTopUserFile(userdata) {
+    async saveTopUserFile(channel, userdata) {
+        if (this.readOnly) return;
+
         try {
             // Skip if no userdata provided
             if (!userdata) {
@@ -264,7 +541,9 @@ class StatsHandler {
             let username, stats;
             
             if (Array.isArray(userdata)) {
-                [username, stats] = userdata;
+                const [userKey, userStats] = userdata;
+                username = this.getDisplayName(userKey, userStats);
+                stats = userStats;
             } else {
                 username = userdata.username;
                 stats = {
@@ -279,24 +558,47 @@ class StatsHandler {
                 return;
             }
 
-            const favoriteEmote = this.getMostUsedEmote(stats.emotes || {});
+            const favoriteEmote = emoteManager.getEmoteName(this.getMostUsedEmote(stats.emotes || {}), channel);
             const format = this.bot.config.format.topUser
                 .replace('{username}', username)
                 .replace('{total}', stats.total)
                 .replace('{rank}', '1')
                 .replace('{favorite_emote}', favoriteEmote);
 
-            await fs.writeFile(this.bot.config.files.topUser, format);
+            await fs.writeFile(this.getTopUserFilePath(channel), format);
             console.debug(chalk.green(`✓ Updated top user file for ${chalk.blue(username)}`));
         } catch (error) {
             console.error(chalk.red('✗ Error saving top user file:'), error);
         }
     }
 
+    /**
+     * Writes the top user file of a channel after the leader may have changed
+     * @param {string} channel - Channel to update
+     */
+    async updateTopUserFile(channel) {
+        const [topUser] = await this.getTopUsers(channel, 1);
+        await this.saveTopUserFile(channel, topUser);
+    }
+
+    /**
+     * Removes a user record from a channel, marking it for deletion on the next save
+     * @param {string} channel - Channel of the user
+     * @param {string} userKey - Key of the user record
+     * @returns {Object} Removed statistics
+     */
+    removeUser(channel, userKey) {
+        const channelStats = this.getChannelStats(channel);
+        const stats = channelStats[userKey];
+        delete channelStats[userKey];
+        this.markDirty(channel, userKey);
+        return stats;
+    }
+
     /**
      * Gets the most frequently used emote from stats
      * @param {Object} emotes - Emote usage counts
-     * @returns {string} Most used emote or 'none'
+     * @returns {string} Key of the most used emote or 'none'
      */
     getMostUsedEmote(emotes) {
         if (!emotes || typeof emotes !== 'object') {
@@ -307,43 +609,255 @@ class StatsHandler {
     }
 
     /**
-     * Gets total usage count for specific emote
-     * @param {string} emoteName - Emote to check
+     * Gets total usage count for specific emote in a channel
+     * Usage recorded under any of the emote's previous codes is included
+     * @param {string} channel - Channel to check
+     * @param {string} emote - Emote key (or a plain code for emotes without an ID)
      * @returns {number} Total usage count
      */
-    async getEmoteUsageCount(emoteName) {
+    async getEmoteUsageCount(channel, emote) {
         await this.ensureLoaded();
-        return Object.values(this.userStats).reduce((total, user) => {
-            return total + (user.emotes[emoteName] || 0);
+        const countKeys = this.getEmoteCountKeys(channel, emote);
+        if (typeof this.storage.getEmoteUsageCount === 'function') {
+            await this.flushStats();
+            return this.storage.getEmoteUsageCount(channel, countKeys);
+        }
+        return Object.values(this.getChannelStats(channel)).reduce((total, user) => {
+            return total + countKeys.reduce((sum, key) => sum + (user.emotes[key] || 0), 0);
         }, 0);
     }
 
     /**
-     * Gets user's rank among all users
-     * @param {string} username - User to check
-     * @returns {Object|null} Rank position and total count
+     * Gets the usage count of every emote used in a channel
+     * @param {string} channel - Channel to aggregate
+     * @returns {Object} Emote key (or legacy code) to usage count
+     */
+    async getEmoteCounts(channel) {
+        await this.ensureLoaded();
+        return Object.values(this.getChannelStats(channel)).reduce((emotes, user) => {
+            Object.entries(user.emotes).forEach(([emote, count]) => {
+                emotes[emote] = (emotes[emote] || 0) + count;
+            });
+            return emotes;
+        }, {});
+    }
+
+    /**
+     * Gets the most used emotes of a channel
+     * @param {string} channel - Channel to rank
+     * @param {number} [limit=5] - Maximum number of emotes
+     * @param {string} [platform] - Only emotes of platforms starting with this name (e.g. "7tv")
+     * @returns {Promise<Array<{key: string, code: string, count: number}>>} Emotes sorted by usage
+     */
+    async getTopEmotes(channel, limit = 5, platform = null) {
+        const counts = await this.getEmoteCounts(channel);
+        return Object.entries(counts)
+            .filter(([key]) => !platform || (emoteManager.isEmoteKey(key) && key.startsWith(platform)))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([key, count]) => ({ key, code: emoteManager.getEmoteName(key, channel), count }));
+    }
+
+    /**
+     * Gets the users of a channel who used an emote the most
+     * @param {string} channel - Channel to rank
+     * @param {string} emote - Emote key (or a plain code for emotes without an ID)
+     * @param {number} [limit=3] - Maximum number of users
+     * @returns {Promise<Array<[string, Object, number]>>} Sorted [user key, stats, emote count] entries
+     */
+    async getEmoteTopUsers(channel, emote, limit = 3) {
+        await this.ensureLoaded();
+        const countKeys = this.getEmoteCountKeys(channel, emote);
+        return Object.entries(this.getChannelStats(channel))
+            .filter(([userKey, stats]) => !this.isHidden(channel, userKey, stats))
+            .map(([userKey, stats]) => [userKey, stats, countKeys.reduce((sum, key) => sum + (stats.emotes[key] || 0), 0)])
+            .filter(([_, __, count]) => count > 0)
+            .sort((a, b) => b[2] - a[2])
+            .slice(0, limit);
+    }
+
+    /**
+     * Gets the enabled channel emotes (globals excluded) from least to most used
+     * @param {string} channel - Channel to check
+     * @param {string} [platform] - Only emotes of platforms starting with this name (e.g. "bttv")
+     * @returns {Promise<Array<{key: string, code: string, platform: string, count: number}>>} Emotes sorted by usage
+     */
+    async getLeastUsedEmotes(channel, platform = null) {
+        const counts = await this.getEmoteCounts(channel);
+        return [...emoteManager.getChannelEmotes(channel, { includeGlobal: false }).values()]
+            .filter(emote => emoteManager.isPlatformEnabled(emote.platform) && (!platform || emote.platform.startsWith(platform)))
+            .map(emote => {
+                const key = emoteManager.getEmoteKey(emote);
+                const count = this.getEmoteCountKeys(channel, key).reduce((sum, countKey) => sum + (counts[countKey] || 0), 0);
+                return { key, code: emote.code, platform: emote.platform, count };
+            })
+            .sort((a, b) => a.count - b.count);
+    }
+
+    /**
+     * Gets the stats entries counted as one emote: its key plus every code it has had,
+     * since counts recorded before emotes were keyed by ID are stored under the code
+     * @param {string} channel - Channel of the emote
+     * @param {string} emote - Emote key or code
+     * @returns {Array<string>} Emote stats entries
      */
-    async getUserRank(username) {
+    getEmoteCountKeys(channel, emote) {
+        const entry = emoteManager.isEmoteKey(emote) && emoteManager.getEmoteHistoryEntry(emote, channel);
+        return entry ? [...new Set([emote, ...entry.names.map(name => name.code)])] : [emote];
+    }
+
+    /**
+     * Converts emote counts of a channel to the emotes' current codes
+     * @param {string} channel - Channel of the counts
+     * @param {Object} emotes - Emote key to count map
+     * @returns {Object} Emote code to count map
+     */
+    getNamedEmotes(channel, emotes) {
+        return Object.entries(emotes || {}).reduce((named, [key, count]) => {
+            const name = emoteManager.getEmoteName(key, channel);
+            named[name] = (named[name] || 0) + count;
+            return named;
+        }, {});
+    }
+
+    /**
+     * Moves emote counts stored under a plain code to the stable key of the emote
+     * currently (or previously) using that code in the channel
+     * Codes that match no known emote are left as they are
+     * @param {string} channel - Channel to migrate, after its emotes are loaded
+     * @returns {Promise<number>} Number of user records changed
+     */
+    async migrateEmoteKeys(channel) {
         await this.ensureLoaded();
-        const sortedUsers = Object.entries(this.userStats)
+        const mapping = new Map(); // code -> emote key
+        const unknownCodes = new Set();
+        let migrated = 0;
+
+        Object.entries(this.getChannelStats(channel)).forEach(([userKey, stats]) => {
+            let changed = false;
+            Object.keys(stats.emotes).forEach(code => {
+                if (emoteManager.isEmoteKey(code) || unknownCodes.has(code)) return;
+                if (!mapping.has(code)) {
+                    const [emoteKey] = emoteManager.findEmoteKeys(code, channel);
+                    if (!emoteKey) {
+                        unknownCodes.add(code);
+                        return;
+                    }
+                    mapping.set(code, emoteKey);
+                }
+                const emoteKey = mapping.get(code);
+                stats.emotes[emoteKey] = (stats.emotes[emoteKey] || 0) + stats.emotes[code];
+                delete stats.emotes[code];
+                changed = true;
+            });
+            if (changed) {
+                this.markDirty(channel, userKey);
+                migrated++;
+            }
+        });
+
+        this.history.renameEmotes(channel, mapping);
+
+        if (migrated > 0) {
+            logger.info(`[#${normalizeChannel(channel)}] Linked emote counts of ${migrated} users to emote IDs`);
+            await this.saveStats();
+        }
+        return migrated;
+    }
+
+    /**
+     * Gets the users of a channel sorted by total count
+     * @param {string} channel - Channel to rank
+     * @param {number} [limit] - Maximum number of users to return
+     * @returns {Array<[string, Object]>} Sorted [username, stats] entries
+     */
+    async getTopUsers(channel, limit) {
+        await this.ensureLoaded();
+        const sortedUsers = Object.entries(this.getChannelStats(channel))
+            .filter(([userKey, stats]) => stats && stats.total > 0 && !this.isHidden(channel, userKey, stats))
             .sort((a, b) => b[1].total - a[1].total);
+        return limit ? sortedUsers.slice(0, limit) : sortedUsers;
+    }
+
+    /**
+     * Gets the full leaderboard of a channel with shared ranks for tied scores (1, 2, 2, 4)
+     * @param {string} channel - Channel to rank
+     * @param {Object} [options]
+     * @param {number} [options.from] - Only count emotes used since this timestamp (from the usage history)
+     * @param {string} [options.platform] - Only count emotes of platforms starting with this name (all-time only)
+     * @returns {Promise<Array<{userKey: string, name: string, score: number, rank: number}>>} Ranked users
+     */
+    async getLeaderboard(channel, { from = null, platform = null } = {}) {
+        await this.ensureLoaded();
+        const channelStats = this.getChannelStats(channel);
+        let scores;
+        if (from) {
+            scores = this.history.getTopUsers(channel, from, Date.now(), Infinity)
+                .filter(([userKey]) => !this.isHidden(channel, userKey, channelStats[userKey]));
+        } else if (platform) {
+            scores = (await this.getTopUsers(channel))
+                .map(([userKey, stats]) => [userKey, Object.entries(stats.platforms || {})
+                    .filter(([name]) => name.startsWith(platform))
+                    .reduce((sum, [_, count]) => sum + count, 0)])
+                .filter(([_, score]) => score > 0)
+                .sort((a, b) => b[1] - a[1]);
+        } else {
+            scores = (await this.getTopUsers(channel)).map(([userKey, stats]) => [userKey, stats.total]);
+        }
+
+        let rank = 0;
+        return scores.map(([userKey, score], i) => {
+            if (i === 0 || score < scores[i - 1][1]) {
+                rank = i + 1;
+            }
+            return { userKey, name: this.getDisplayName(userKey, channelStats[userKey]), score, rank };
+        });
+    }
+
+    /**
+     * Gets user's rank among all users of a channel
+     * @param {string} channel - Channel to rank in
+     * @param {string} user - User ID, or login/display name (case-insensitive)
+     * @returns {Object|null} Rank position and total count
+     */
+    async getUserRank(channel, user) {
+        await this.ensureLoaded();
+        const userKey = this.resolveUserKey(channel, user);
+        const channelStats = this.getChannelStats(channel);
+        if (!userKey || this.isHidden(channel, userKey, channelStats[userKey])) return null;
+
+        if (typeof this.storage.getUserRank === 'function') {
+            await this.flushStats();
+            const rank = await this.storage.getUserRank(channel, userKey);
+            // Users who only chatted without emotes are not ranked
+            if (!rank || rank.total === 0) return null;
+            // The rank index includes hidden users, skip those ranked above
+            const hiddenAbove = Object.entries(channelStats).filter(([key, stats]) =>
+                stats.total > rank.total && this.isHidden(channel, key, stats)
+            ).length;
+            return { ...rank, position: rank.position - hiddenAbove };
+        }
+
+        const sortedUsers = await this.getTopUsers(channel);
         
-        const position = sortedUsers.findIndex(([name]) => name.toLowerCase() === username.toLowerCase()) + 1;
-        if (position === 0) return null;
+        const entry = sortedUsers.find(([key]) => key === userKey);
+        if (!entry) return null;
         
+        // Tied users share the same position
         return {
-            position,
-            total: this.userStats[username].total
+            position: sortedUsers.filter(([_, stats]) => stats.total > entry[1].total).length + 1,
+            total: entry[1].total
         };
     }
 
     /**
-     * Gets aggregated stats per platform
+     * Gets aggregated stats per platform for a channel
+     * @param {string} channel - Channel to aggregate
      * @returns {Object} Platform usage counts
      */
-    async getPlatformStats() {
+    async getPlatformStats(channel) {
         await this.ensureLoaded();
-        return Object.values(this.userStats).reduce((platforms, user) => {
+        return Object.values(this.getChannelStats(channel)).reduce((platforms, user) => {
             Object.entries(user.platforms).forEach(([platform, count]) => {
                 platforms[platform] = (platforms[platform] || 0) + count;
             });
@@ -353,9 +867,12 @@ class StatsHandler {
 
     /**
      * Resets all statistics
+     * Ignored users stay ignored
      */
     async resetStats() {
         this.userStats = {};
+        this.history.reset();
+        this.comboRecords = {};
         this.metrics = {
             messagesProcessed: 0,
             emotesDetected: 0,
@@ -364,45 +881,243 @@ class StatsHandler {
             totalSaves: 0,
             failedSaves: 0
         };
-        await this.saveStats();
+        await this.saveStats({ full: true });
     }
 
     /**
-     * Gets statistics for specific user
-     * @param {string} username - User to lookup
+     * Gets statistics for specific user in a channel
+     * @param {string} channel - Channel to lookup in
+     * @param {string} user - User ID, or login/display name (case-insensitive)
      * @returns {Object} User's statistics
      */
-    async getUserStats(username) {
+    async getUserStats(channel, user) {
         await this.ensureLoaded();
-        return this.userStats[username];
+        const userKey = this.resolveUserKey(channel, user);
+        return userKey ? this.getChannelStats(channel)[userKey] : undefined;
     }
 
     /**
-     * Displays and exports top 10 users
+     * Deletes the statistics of a user in a channel
+     * Range and stream leaderboards drop the user as well, channel totals are kept
+     * @param {string} channel - Channel of the user
+     * @param {string} user - User ID, or login/display name (case-insensitive)
+     * @returns {Promise<Object|null>} Deleted statistics, or null if the user was not found
      */
-    async displayTopUsers() {
+    async resetUser(channel, user) {
         await this.ensureLoaded();
-        const sortedUsers = Object.entries(this.userStats)
-            .filter(([username, stats]) => stats && typeof stats.total === 'number')
-            .sort((a, b) => b[1].total - a[1].total)
-            .slice(0, 10);
+        const userKey = this.resolveUserKey(channel, user);
+        if (!userKey) return null;
+
+        const stats = this.removeUser(channel, userKey);
+        this.history.moveUser(channel, userKey);
+        await this.saveStats();
+        await this.updateTopUserFile(channel);
+        logger.info(`Reset statistics of ${this.getDisplayName(userKey, stats)} in #${normalizeChannel(channel)}`);
+        return stats;
+    }
 
-        if (sortedUsers.length > 0) {
-            // Pass array directly instead of object
-            await this.saveTopUserFile(sortedUsers[0]);
+    /**
+     * Merges the statistics of one user into another, e.g. an alt account into the main one
+     * @param {string} channel - Channel of the users
+     * @param {string} source - User to merge and delete (ID, login or display name)
+     * @param {string} target - User receiving the counts (ID, login or display name)
+     * @returns {Promise<Object|null>} Merged statistics of the target, or null if a user was not found
+     * @throws {Error} If both references resolve to the same user
+     */
+    async mergeUsers(channel, source, target) {
+        await this.ensureLoaded();
+        const sourceKey = this.resolveUserKey(channel, source);
+        const targetKey = this.resolveUserKey(channel, target);
+        if (!sourceKey || !targetKey) return null;
+        if (sourceKey === targetKey) {
+            throw new Error('Cannot merge a user into itself');
         }
 
-        console.log(chalk.cyan('\n📊 Top 10 Usuários:'));
-        sortedUsers.forEach(([username, stats], index) => {
-            const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : ' ';
-            console.log(chalk.yellow(`${medal} ${index + 1}. ${chalk.bold(username)} - Total: ${chalk.green(stats.total)}`));
-        });
+        const sourceStats = this.removeUser(channel, sourceKey);
+        const targetStats = this.mergeUserStats(this.getChannelStats(channel)[targetKey], sourceStats);
+        this.markDirty(channel, targetKey);
+        this.history.moveUser(channel, sourceKey, targetKey);
+        await this.saveStats();
+        await this.updateTopUserFile(channel);
+        logger.info(`Merged statistics of ${this.getDisplayName(sourceKey, sourceStats)} into ` +
+            `${this.getDisplayName(targetKey, targetStats)} in #${normalizeChannel(channel)}`);
+        return targetStats;
+    }
+
+    /**
+     * Adds an imported user record to a channel, resolving conflicts with an existing record
+     *   sum      Adds the counts, for data of two bot instances
+     *   max      Keeps the higher count of each emote, platform and counter, so importing
+     *            a backup again or over newer data never counts twice
+     *   replace  The imported record replaces the existing one
+     *   skip     The existing record is kept
+     * Imported records are not removed as stale until the user chats again (see performCleanup)
+     * Call saveStats({ full: true }) once every record is imported
+     * @param {string} channel - Channel of the user
+     * @param {string} userKey - Key of the user record
+     * @param {Object} imported - Imported user statistics
+     * @param {string} policy - Conflict policy: 'sum', 'max', 'replace' or 'skip'
+     * @returns {string} 'added', 'merged', 'replaced' or 'skipped'
+     */
+    importUserStats(channel, userKey, imported, policy) {
+        const channelStats = this.getChannelStats(channel);
+        const existing = channelStats[userKey];
+        if (existing && policy === 'skip') {
+            return 'skipped';
+        }
+
+        this.markDirty(channel, userKey);
+        if (!existing || policy === 'replace') {
+            channelStats[userKey] = { ...imported, backfilled: true };
+            return existing ? 'replaced' : 'added';
+        }
+        existing.backfilled = true;
+
+        // Names of the record seen last
+        const names = (imported.lastSeen || 0) > (existing.lastSeen || 0) ? imported : existing;
+        const { login, displayName } = names;
+        if (policy === 'sum') {
+            this.mergeUserStats(existing, imported);
+        } else {
+            const maxCounts = (target, source) => Object.entries(source || {}).forEach(([key, count]) => {
+                target[key] = Math.max(target[key] || 0, count);
+            });
+            const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+            maxCounts(existing.emotes, imported.emotes);
+            maxCounts(existing.platforms, imported.platforms);
+            // Emote uses are the sum of the emote counts, as when they are counted
+            existing.total = sum(existing.emotes);
+            existing.emoteMessages = Math.max(existing.emoteMessages || 0, imported.emoteMessages || 0);
+            existing.messages = Math.max(existing.messages || 0, imported.messages || 0);
+            if (imported.raw) {
+                existing.raw = existing.raw || { total: 0, emotes: {} };
+                maxCounts(existing.raw.emotes, imported.raw.emotes);
+                existing.raw.total = sum(existing.raw.emotes);
+            }
+            existing.firstSeen = Math.min(existing.firstSeen || Infinity, imported.firstSeen || Infinity);
+            existing.lastSeen = Math.max(existing.lastSeen || 0, imported.lastSeen || 0);
+        }
+        if (login) existing.login = login;
+        if (displayName) existing.displayName = displayName;
+        return 'merged';
+    }
+
+    /**
+     * Adds a user to the ignore list of a channel so their messages are no longer counted
+     * Their statistics are kept, and hidden from rankings and exports unless HIDE_IGNORED_USERS is off.
+     * Users that have no statistics yet are ignored by login
+     * @param {string} channel - Channel to ignore the user in
+     * @param {string} user - User ID, or login/display name (case-insensitive)
+     * @param {Object} [options]
+     * @param {boolean} [options.deleteStats=false] - Also delete the user's statistics
+     * @returns {Promise<string>} Name of the ignored user
+     */
+    async ignoreUser(channel, user, { deleteStats = false } = {}) {
+        await this.ensureLoaded();
+        const name = normalizeChannel(channel);
+        const userKey = this.resolveUserKey(channel, user);
+        const stats = userKey ? this.getChannelStats(channel)[userKey] : null;
+        const login = stats?.login || String(user).replace(/^@/, '').toLowerCase();
+
+        this.ignoredUsers[name] = { ...this.ignoredUsers[name], [userKey || login]: login };
+        if (userKey && deleteStats) {
+            this.removeUser(channel, userKey);
+            this.history.moveUser(channel, userKey);
+        }
+        await this.saveStats();
+        await this.updateTopUserFile(channel);
+        logger.info(`Ignoring ${login} in #${name}${deleteStats ? ', statistics deleted' : ''}`);
+        return this.getDisplayName(login, stats);
+    }
+
+    /**
+     * Removes a user from the ignore list of a channel
+     * Users ignored through IGNORED_USERS or the known bot list stay ignored
+     * @param {string} channel - Channel the user was ignored in
+     * @param {string} user - User ID or login
+     * @returns {Promise<boolean>} True if the user was on the channel's ignore list
+     */
+    async unignoreUser(channel, user) {
+        const name = normalizeChannel(channel);
+        const query = String(user).replace(/^@/, '').toLowerCase();
+        const ignored = this.ignoredUsers[name] || {};
+        const userKey = Object.keys(ignored).find(key => key === query || ignored[key] === query);
+        if (!userKey) return false;
 
-        const topUsersData = sortedUsers.map(([username, stats]) => ({
-            username,
-            total: stats.total,
-            emotes: stats.emotes
-        }));
+        const login = ignored[userKey];
+        delete ignored[userKey];
+        await this.saveStats();
+        await this.updateTopUserFile(channel);
+        logger.info(`No longer ignoring ${login} in #${name}`);
+        return true;
+    }
+
+    /**
+     * Gets the logins on the ignore list of a channel, without IGNORED_USERS and known bots
+     * @param {string} channel - Channel to list
+     * @returns {Array<string>} Ignored logins
+     */
+    getIgnoredUsers(channel) {
+        return Object.values(this.ignoredUsers[normalizeChannel(channel)] || {});
+    }
+
+    /**
+     * Checks if a user is ignored in a channel, by the channel's ignore list, IGNORED_USERS or the known bot list
+     * @param {string} channel - Channel to check
+     * @param {Object} user - Chat user ({ id, login, displayName })
+     * @returns {boolean} True if the user's messages must not be counted
+     */
+    isIgnored(channel, user) {
+        const login = (user.login || '').toLowerCase();
+        const staticList = this.bot.config.ignore.users;
+        if (staticList.includes(login) || staticList.includes(String(user.id))) {
+            return true;
+        }
+        const ignored = this.ignoredUsers[normalizeChannel(channel)];
+        return Boolean(ignored) && (Boolean(ignored[user.id]) || Object.values(ignored).includes(login));
+    }
+
+    /**
+     * Checks if a user record is left out of rankings, the top user file and exports
+     * @param {string} channel - Channel of the user
+     * @param {string} userKey - Key of the user record
+     * @param {Object} [stats] - User statistics
+     * @returns {boolean} True if the user is ignored and HIDE_IGNORED_USERS is on
+     */
+    isHidden(channel, userKey, stats) {
+        return this.bot.config.ignore.hideExisting &&
+            this.isIgnored(channel, { id: userKey, login: stats?.login });
+    }
+
+    /**
+     * Displays and exports top 10 users of every channel
+     */
+    async displayTopUsers() {
+        await this.ensureLoaded();
+        const topUsersData = {};
+
+        for (const channel of Object.keys(this.userStats)) {
+            const sortedUsers = await this.getTopUsers(channel, 10);
+
+            if (sortedUsers.length > 0) {
+                // Pass array directly instead of object
+                await this.saveTopUserFile(channel, sortedUsers[0]);
+            }
+
+            console.log(chalk.cyan(`\n📊 Top 10 Usuários #${channel}:`));
+            sortedUsers.forEach(([userKey, stats], index) => {
+                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : ' ';
+                console.log(chalk.yellow(`${medal} ${index + 1}. ${chalk.bold(this.getDisplayName(userKey, stats))} - Total: ${chalk.green(stats.total)}`));
+            });
+
+            topUsersData[channel] = sortedUsers.map(([userKey, stats]) => ({
+                userId: stats.legacy ? null : userKey,
+                login: stats.login,
+                username: this.getDisplayName(userKey, stats),
+                total: stats.total,
+                emotes: this.getNamedEmotes(channel, stats.emotes)
+            }));
+        }
         
         await fs.writeFile(this.bot.config.files.export, JSON.stringify(topUsersData, null, 2));
         console.log(chalk.green(`✓ Top 10 usuários exportados para ${chalk.blue(this.bot.config.files.export)}`));
@@ -410,30 +1125,192 @@ class StatsHandler {
 
     /**
      * Increments emote usage count for user
-     * @param {string} username - User who used emote
-     * @param {string} emote - Emote used
+     * @param {string} channel - Channel the emote was used in
+     * @param {Object|string} user - User who used emote ({ id, login, displayName })
+     * @param {string} emote - Key of the emote used (see EmoteManager.getEmoteKey)
      * @param {string} platform - Platform source
+     * @param {number} [timestamp=Date.now()] - When the emote was used
      */
-    async incrementEmoteCount(username, emote, platform) {
+    async incrementEmoteCount(channel, user, emote, platform, timestamp = Date.now()) {
         await this.ensureLoaded();
-        if (!username || !emote || !platform) {
+        if (!user || !emote || !platform) {
             console.log(chalk.yellow('⚠ Missing required data for emote increment'));
             return;
         }
 
-        if (!this.userStats[username]) {
-            this.userStats[username] = {
-                total: 0,
-                emotes: {},
-                platforms: {},
-                firstSeen: Date.now(),
-                lastSeen: Date.now()
-            };
+        const { key, stats } = this.getUserRecord(channel, user, timestamp);
+        stats.total++;
+        stats.emotes[emote] = (stats.emotes[emote] || 0) + 1;
+        stats.platforms[platform] = (stats.platforms[platform] || 0) + 1;
+        stats.firstSeen = Math.min(stats.firstSeen || timestamp, timestamp);
+        stats.lastSeen = Math.max(stats.lastSeen || 0, timestamp);
+        this.history.record(channel, { username: key, emote, platform }, timestamp);
+    }
+
+    /**
+     * Records every emote detected in a message, before the anti-spam counting policies
+     * Kept on the user record as `raw` ({ total, emotes }) next to the counted statistics
+     * @param {string} channel - Channel the message was sent in
+     * @param {Object|string} user - User who sent the message ({ id, login, displayName })
+     * @param {Array<{key: string}>} emotes - Detected emotes
+     * @param {number} [timestamp=Date.now()] - When the message was sent
+     */
+    async incrementRawCount(channel, user, emotes, timestamp = Date.now()) {
+        await this.ensureLoaded();
+        const { stats } = this.getUserRecord(channel, user, timestamp);
+        stats.raw = stats.raw || { total: 0, emotes: {} };
+        stats.raw.total += emotes.length;
+        emotes.forEach(emote => {
+            stats.raw.emotes[emote.key] = (stats.raw.emotes[emote.key] || 0) + 1;
+        });
+    }
+
+    /**
+     * Gets the most used emotes of a channel in a time range
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} [to=Date.now()] - Range end timestamp (exclusive)
+     * @param {number} [limit=10] - Maximum number of emotes
+     * @returns {Array<[string, number]>} Sorted [emote code, count] entries
+     */
+    async getTopEmotesInRange(channel, from, to = Date.now(), limit = 10) {
+        await this.ensureLoaded();
+        return this.history.getTopEmotes(channel, from, to, limit)
+            .map(([emoteKey, count]) => [emoteManager.getEmoteName(emoteKey, channel), count]);
+    }
+
+    /**
+     * Gets the users with the most emote uses of a channel in a time range
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} [to=Date.now()] - Range end timestamp (exclusive)
+     * @param {number} [limit=10] - Maximum number of users
+     * @returns {Array<[string, number]>} Sorted [display name, count] entries
+     */
+    async getTopUsersInRange(channel, from, to = Date.now(), limit = 10) {
+        await this.ensureLoaded();
+        const channelStats = this.getChannelStats(channel);
+        return this.history.getTopUsers(channel, from, to, Infinity)
+            .filter(([userKey]) => !this.isHidden(channel, userKey, channelStats[userKey]))
+            .slice(0, limit)
+            .map(([userKey, count]) => [this.getDisplayName(userKey, channelStats[userKey]), count]);
+    }
+
+    /**
+     * Gets usage totals (emotes, messages, platforms) of a channel in a time range
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} [to=Date.now()] - Range end timestamp (exclusive)
+     * @returns {Object} Aggregated usage counters
+     */
+    async getUsageInRange(channel, from, to = Date.now()) {
+        await this.ensureLoaded();
+        return this.history.aggregate(channel, from, to);
+    }
+
+    /**
+     * Gets the hourly usage buckets of a channel in a time range
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} [to=Date.now()] - Range end timestamp (exclusive)
+     * @returns {Array<[number, Object]>} [hour start, usage counters] entries, oldest first
+     */
+    async getHourlyUsage(channel, from, to = Date.now()) {
+        await this.ensureLoaded();
+        return this.history.getHourlyBuckets(channel, from, to);
+    }
+
+    /**
+     * Gets the most used emotes of the stream session in progress
+     * @param {string} channel - Channel to query
+     * @param {number} [limit=1] - Maximum number of emotes
+     * @returns {Array<{key: string, code: string, count: number}>} Sorted emotes, empty when no session is running
+     */
+    async getStreamTopEmotes(channel, limit = 1) {
+        await this.ensureLoaded();
+        const session = this.history.getCurrentSession(channel);
+        if (!session) return [];
+        return Object.entries(session.emotes)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([key, count]) => ({ key, code: emoteManager.getEmoteName(key, channel), count }));
+    }
+
+    /**
+     * Records a finished emote combo as the emote's and the stream's record if it is bigger
+     * @param {string} channel - Channel of the combo
+     * @param {Object} combo - Combo from ComboDetector ({ key, count, users, start, end })
+     * @returns {Promise<{emoteRecord: boolean, streamRecord: boolean}>} Which records the combo set
+     */
+    async recordCombo(channel, combo) {
+        await this.ensureLoaded();
+        const name = normalizeChannel(channel);
+        const records = this.comboRecords[name] = this.comboRecords[name] || {};
+        const previous = records[combo.key];
+
+        const emoteRecord = !previous || combo.count > previous.count;
+        if (emoteRecord) {
+            records[combo.key] = { count: combo.count, users: combo.users, start: combo.start, end: combo.end };
         }
+        return { emoteRecord, streamRecord: this.history.recordCombo(name, combo) };
+    }
+
+    /**
+     * Gets the biggest combos of a channel, one per emote
+     * @param {string} channel - Channel to query
+     * @param {number} [limit=3] - Maximum number of combos
+     * @returns {Array<Object>} Combos sorted by size with key, code, count, users, start and end
+     */
+    async getComboRecords(channel, limit = 3) {
+        await this.ensureLoaded();
+        return Object.entries(this.comboRecords[normalizeChannel(channel)] || {})
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, limit)
+            .map(([key, record]) => this.formatComboRecord(channel, key, record));
+    }
+
+    /**
+     * Gets the biggest combo of an emote in a channel
+     * @param {string} channel - Channel to query
+     * @param {string} emoteKey - Emote key
+     * @returns {Object|null} Combo with key, code, count, users, start and end
+     */
+    async getEmoteComboRecord(channel, emoteKey) {
+        await this.ensureLoaded();
+        const record = this.comboRecords[normalizeChannel(channel)]?.[emoteKey];
+        return record ? this.formatComboRecord(channel, emoteKey, record) : null;
+    }
 
-        this.userStats[username].emotes[emote] = (this.userStats[username].emotes[emote] || 0) + 1;
-        this.userStats[username].platforms[platform] = (this.userStats[username].platforms[platform] || 0) + 1;
-        this.userStats[username].lastSeen = Date.now();
+    /**
+     * Gets the biggest combo of the current (or last) stream session
+     * @param {string} channel - Channel to query
+     * @returns {Object|null} Combo with key, code, count, users, start and end
+     */
+    async getStreamComboRecord(channel) {
+        await this.ensureLoaded();
+        const [session] = this.history.getSessions(channel);
+        return session?.combo ? this.formatComboRecord(channel, session.combo.key, session.combo) : null;
+    }
+
+    /**
+     * Adds the emote's current code to a combo record
+     * @param {string} channel - Channel of the combo
+     * @param {string} emoteKey - Emote key
+     * @param {Object} record - Stored combo
+     * @returns {Object} Combo with key and code
+     */
+    formatComboRecord(channel, emoteKey, record) {
+        return { key: emoteKey, code: emoteManager.getEmoteName(emoteKey, channel), ...record };
+    }
+
+    /**
+     * Gets the recorded stream sessions of a channel, most recent first
+     * @param {string} channel - Channel to query
+     * @returns {Array<Object>} Sessions with start, end, emote and user counts
+     */
+    async getStreamSessions(channel) {
+        await this.ensureLoaded();
+        return this.history.getSessions(channel);
     }
 
     /**
@@ -449,17 +1326,22 @@ class StatsHandler {
 
     /**
      * Performs data cleanup to free up memory
+     * Removes users not seen for STALE_DATA_AGE, unless it is 0. Records backfilled by a chat
+     * log replay or an import are kept until the user chats again, however old their lastSeen
      */
     async performCleanup() {
-        if (!this.userStats) return;
+        if (!this.userStats || this.bot.config.memory.staleDataAge === 0) return;
         
-        const cleanedCount = await this.memoryManager.performCleanup(
-            this.userStats,
-            (userData) => this.memoryManager.isStale(userData.lastSeen)
-        );
+        let cleanedCount = 0;
+        for (const channelStats of Object.values(this.userStats)) {
+            cleanedCount += await this.memoryManager.performCleanup(
+                channelStats,
+                (userData) => !userData.backfilled && this.memoryManager.isStale(userData.lastSeen)
+            );
+        }
         
         if (cleanedCount > 0) {
-            await this.saveStats();
+            await this.saveStats({ full: true });
         }
     }
 }
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const emoteManager = require('./emoteManager');
+const { normalizeChannel } = require('../utils/channel-helpers');
+const { formatCsvRow, parseCsvRow, hasOpenQuote } = require('../utils/csv');
+
+const FORMATS = {
+    csv: ['.csv'],
+    ndjson: ['.ndjson', '.jsonl']
+};
+const CONFLICT_POLICIES = ['max', 'sum', 'replace', 'skip'];
+// One CSV row per counter, emote and platform of a user, the user columns repeat on each row
+const CSV_COLUMNS = ['channel', 'user_key', 'legacy', 'login', 'display_name', 'first_seen', 'last_seen', 'type', 'key', 'name', 'count'];
+// CSV row types of the user record counters
+const CSV_COUNTERS = {
+    'total': 'total',
+    'emote-messages': 'emoteMessages',
+    'messages': 'messages'
+};
+
+/**
+ * Exports every user's statistics (counters, per-emote and per-platform counts) to CSV
+ * or NDJSON files, and imports such files back into the statistics
+ * NDJSON has one user per line; CSV has one row per counter, emote or platform of a user
+ * (type total, emote-messages, messages, emote, platform, raw-total or raw-emote). Emotes
+ * are identified by their key, their current name is exported for reading only.
+ * Users hidden by the ignore list are not exported.
+ */
+class StatsTransfer {
+    /**
+     * Creates a new StatsTransfer instance
+     * @param {StatsHandler} statsHandler - Statistics to export and import into
+     * @param {Object} options - Export settings
+     * @param {string} options.directory - Directory of exports without an explicit file (EXPORTS_PATH)
+     */
+    constructor(statsHandler, options) {
+        this.statsHandler = statsHandler;
+        this.directory = options.directory;
+    }
+
+    /**
+     * Gets the file an export is written to when none is given
+     * @param {string} format - 'csv' or 'ndjson'
+     * @returns {string} File in the export directory named after the current time
+     */
+    getDefaultPath(format) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return path.join(this.directory, `statistics-${timestamp}.${format}`);
+    }
+
+    /**
+     * Writes the statistics of every channel to a file
+     * @param {string} format - 'csv' or 'ndjson'
+     * @param {string} [file] - File to write, see getDefaultPath() when omitted
+     * @returns {Promise<{file: string, users: number}>} Written file and number of exported users
+     * @throws {Error} If the format is unknown or the file cannot be written
+     */
+    async exportStats(format, file = this.getDefaultPath(format)) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown export format "${format}", use ${Object.keys(FORMATS).join(' or ')}`);
+        }
+        const statsHandler = this.statsHandler;
+        await statsHandler.ensureLoaded();
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+        const stream = fs.createWriteStream(file);
+        const failed = once(stream, 'error').then(([error]) => { throw error; });
+        failed.catch(() => {});
+        const write = async (line) => {
+            if (!stream.write(`${line}\n`)) {
+                await Promise.race([once(stream, 'drain'), failed]);
+            }
+        };
+
+        let users = 0;
+        try {
+            if (format === 'csv') {
+                await write(formatCsvRow(CSV_COLUMNS));
+            }
+            for (const channel of Object.keys(statsHandler.userStats)) {
+                for (const [userKey, stats] of Object.entries(statsHandler.getChannelStats(channel))) {
+                    if (statsHandler.isHidden(channel, userKey, stats)) continue;
+                    const record = this.toExportRecord(channel, userKey, stats);
+                    const lines = format === 'csv' ? this.toCsvRows(record) : [JSON.stringify(record)];
+                    for (const line of lines) {
+                        await write(line);
+                    }
+                    users++;
+                }
+            }
+            stream.end();
+            await Promise.race([once(stream, 'finish'), failed]);
+        } catch (error) {
+            stream.destroy();
+            throw error;
+        }
+        return { file, users };
+    }
+
+    /**
+     * Merges an export file into the statistics and saves them
+     * The whole file is read and checked before any statistics change
+     * @param {string} file - CSV (.csv) or NDJSON (.ndjson, .jsonl) export
+     * @param {Object} [options={}] - Import options
+     * @param {string} [options.policy='max'] - How users already in the statistics are
+     *   resolved: 'max', 'sum', 'replace' or 'skip' (see StatsHandler.importUserStats)
+     * @returns {Promise<Object>} { file, users, added, merged, replaced, skipped }
+     * @throws {Error} If the policy or format is unknown, or a line of the file is invalid
+     */
+    async importStats(file, { policy = 'max' } = {}) {
+        if (!CONFLICT_POLICIES.includes(policy)) {
+            throw new Error(`Unknown conflict policy "${policy}", use ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        const format = Object.keys(FORMATS).find(name => FORMATS[name].includes(path.extname(file).toLowerCase()));
+        if (!format) {
+            throw new Error(`Cannot tell the format of ${file}, use a .csv, .ndjson or .jsonl file`);
+        }
+
+        const records = await this.readRecords(file, format);
+        const statsHandler = this.statsHandler;
+        await statsHandler.ensureLoaded();
+
+        const result = { file, users: records.size, added: 0, merged: 0, replaced: 0, skipped: 0 };
+        const channels = new Set();
+        records.forEach(({ channel, userKey, stats }) => {
+            result[statsHandler.importUserStats(channel, userKey, stats, policy)]++;
+            channels.add(channel);
+        });
+
+        await statsHandler.saveStats({ full: true });
+        for (const channel of channels) {
+            await statsHandler.updateTopUserFile(channel);
+        }
+        return result;
+    }
+
+    // Private methods
+
+    /**
+     * Converts a user record to its exported form
+     * @private
+     * @param {string} channel - Channel of the user
+     * @param {string} userKey - Key of the user record
+     * @param {Object} stats - User statistics
+     * @returns {Object} Export record (one NDJSON line)
+     */
+    toExportRecord(channel, userKey, stats) {
+        const namedCounts = counts => Object.entries(counts || {}).map(([key, count]) => ({
+            key,
+            name: emoteManager.getEmoteName(key, channel),
+            count
+        }));
+        return {
+            channel,
+            userKey,
+            legacy: Boolean(stats.legacy),
+            login: stats.login || null,
+            displayName: stats.displayName || null,
+            firstSeen: new Date(stats.firstSeen).toISOString(),
+            lastSeen: new Date(stats.lastSeen).toISOString(),
+            total: stats.total || 0,
+            emoteMessages: stats.emoteMessages || 0,
+            messages: stats.messages || 0,
+            emotes: namedCounts(stats.emotes),
+            platforms: { ...stats.platforms },
+            raw: stats.raw ? { total: stats.raw.total, emotes: namedCounts(stats.raw.emotes) } : null
+        };
+    }
+
+    /**
+     * Converts an export record to CSV rows
+     * @private
+     * @param {Object} record - Record from toExportRecord()
+     * @returns {Array<string>} CSV lines
+     */
+    toCsvRows(record) {
+        const user = [record.channel, record.userKey, record.legacy, record.login, record.displayName, record.firstSeen, record.lastSeen];
+        const rows = Object.entries(CSV_COUNTERS).map(([type, field]) => [type, '', '', record[field]]);
+        record.emotes.forEach(emote => rows.push(['emote', emote.key, emote.name, emote.count]));
+        Object.entries(record.platforms).forEach(([platform, count]) => rows.push(['platform', platform, '', count]));
+        if (record.raw) {
+            rows.push(['raw-total', '', '', record.raw.total]);
+            record.raw.emotes.forEach(emote => rows.push(['raw-emote', emote.key, emote.name, emote.count]));
+        }
+        return rows.map(row => formatCsvRow([...user, ...row]));
+    }
+
+    /**
+     * Reads the user records of an export file
+     * CSV rows continue on the next line while a quoted field is open, line breaks in
+     * quoted fields are read back as \n
+     * @private
+     * @param {string} file - Export file
+     * @param {string} format - 'csv' or 'ndjson'
+     * @returns {Promise<Map<string, Object>>} Records ({ channel, userKey, stats }) by channel and user key
+     * @throws {Error} With the file and line number of the first invalid line
+     */
+    async readRecords(file, format) {
+        const records = new Map();
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        let lineNumber = 0;
+        let header = null;
+        let row = null; // CSV row read so far while a quoted field spans lines
+        let rowStart = 0;
+
+        try {
+            for await (const line of lines) {
+                lineNumber++;
+                if (row === null && !line.trim()) continue;
+
+                if (format === 'ndjson') {
+                    const record = this.fromExportRecord(JSON.parse(line));
+                    records.set(`${record.channel}\n${record.userKey}`, record);
+                    continue;
+                }
+
+                if (row === null) {
+                    row = line;
+                    rowStart = lineNumber;
+                } else {
+                    row = `${row}\n${line}`;
+                }
+                if (hasOpenQuote(row)) continue;
+                if (!header) {
+                    header = parseCsvRow(row.replace(/^\uFEFF/, ''));
+                    if (header.join(',') !== CSV_COLUMNS.join(',')) {
+                        throw new Error(`Expected the columns ${CSV_COLUMNS.join(',')}`);
+                    }
+                } else {
+                    this.addCsvRow(records, parseCsvRow(row));
+                }
+                row = null;
+            }
+            if (row !== null) {
+                throw new Error(`Unclosed quoted field in the row starting on line ${rowStart}`);
+            }
+        } catch (error) {
+            if (error.code === 'ENOENT') throw error;
+            throw new Error(`${file}:${lineNumber}: ${error.message}`);
+        }
+        return records;
+    }
+
+    /**
+     * Converts an NDJSON export record to a user record
+     * @private
+     * @param {Object} record - Parsed NDJSON line
+     * @returns {Object} { channel, userKey, stats }
+     * @throws {Error} If a field is missing or invalid
+     */
+    fromExportRecord(record) {
+        const countsOf = (entries, field) => {
+            if (!Array.isArray(entries)) throw new Error(`${field} must be a list`);
+            return Object.fromEntries(entries.map(entry => [requireText(entry.key, `${field} key`), parseCount(entry.count, field)]));
+        };
+        const { channel, userKey, stats } = this.createImportRecord(record.channel, record.userKey, record);
+        Object.values(CSV_COUNTERS).forEach(field => {
+            stats[field] = parseCount(record[field], field);
+        });
+        stats.emotes = countsOf(record.emotes, 'emotes');
+        stats.platforms = Object.fromEntries(Object.entries(record.platforms || {})
+            .map(([platform, count]) => [platform, parseCount(count, 'platforms')]));
+        if (record.raw) {
+            stats.raw = { total: parseCount(record.raw.total, 'raw total'), emotes: countsOf(record.raw.emotes, 'raw emotes') };
+        }
+        return { channel, userKey, stats };
+    }
+
+    /**
+     * Adds one CSV row to the record of its user
+     * @private
+     * @param {Map<string, Object>} records - Records read so far
+     * @param {Array<string>} fields - Row fields, in CSV_COLUMNS order
+     * @throws {Error} If the row is invalid
+     */
+    addCsvRow(records, fields) {
+        if (fields.length !== CSV_COLUMNS.length) {
+            throw new Error(`Expected ${CSV_COLUMNS.length} columns, found ${fields.length}`);
+        }
+        const row = Object.fromEntries(CSV_COLUMNS.map((column, index) => [column, fields[index]]));
+        const id = `${normalizeChannel(row.channel)}\n${row.user_key}`;
+        if (!records.has(id)) {
+            records.set(id, this.createImportRecord(row.channel, row.user_key, {
+                legacy: row.legacy === 'true',
+                login: row.login,
+                displayName: row.display_name,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen
+            }));
+        }
+
+        const { stats } = records.get(id);
+        const count = parseCount(row.count, row.type);
+        if (CSV_COUNTERS[row.type]) {
+            stats[CSV_COUNTERS[row.type]] = count;
+        } else if (row.type === 'emote' || row.type === 'platform') {
+            stats[row.type === 'emote' ? 'emotes' : 'platforms'][requireText(row.key, 'key')] = count;
+        } else if (row.type === 'raw-total' || row.type === 'raw-emote') {
+            stats.raw = stats.raw || { total: 0, emotes: {} };
+            if (row.type === 'raw-total') {
+                stats.raw.total = count;
+            } else {
+                stats.raw.emotes[requireText(row.key, 'key')] = count;
+            }
+        } else {
+            throw new Error(`Unknown row type "${row.type}"`);
+        }
+    }
+
+    /**
+     * Creates an empty imported user record
+     * @private
+     * @param {string} channel - Channel of the user
+     * @param {string} userKey - Key of the user record
+     * @param {Object} user - Exported user fields (legacy, login, displayName, firstSeen, lastSeen)
+     * @returns {Object} { channel, userKey, stats }
+     * @throws {Error} If the channel, key or a date is missing or invalid
+     */
+    createImportRecord(channel, userKey, user) {
+        const stats = {
+            ...this.statsHandler.createUserStats(),
+            firstSeen: parseTime(user.firstSeen, 'firstSeen'),
+            lastSeen: parseTime(user.lastSeen, 'lastSeen')
+        };
+        if (user.login) stats.login = user.login;
+        if (user.displayName) stats.displayName = user.displayName;
+        if (user.legacy) stats.legacy = true;
+        return {
+            channel: requireText(normalizeChannel(channel), 'channel'),
+            userKey: requireText(userKey, 'user key'),
+            stats
+        };
+    }
+}
+
+// Private functions
+
+/**
+ * Checks a required text field
+ * @private
+ * @param {*} value - Field value
+ * @param {string} field - Field name, for the error message
+ * @returns {string} The value
+ * @throws {Error} If the value is empty or not text
+ */
+function requireText(value, field) {
+    if (typeof value !== 'string' || !value) {
+        throw new Error(`Missing ${field}`);
+    }
+    return value;
+}
+
+/**
+ * Parses a count field
+ * @private
+ * @param {*} value - Number or numeric text
+ * @param {string} field - Field name, for the error message
+ * @returns {number} The count
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseCount(value, field) {
+    const count = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid ${field} count: ${value}`);
+    }
+    return count;
+}
+
+/**
+ * Parses a date field
+ * @private
+ * @param {*} value - ISO date or timestamp
+ * @param {string} field - Field name, for the error message
+ * @returns {number} Timestamp
+ * @throws {Error} If the value is not a date
+ */
+function parseTime(value, field) {
+    const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+    if (!value || isNaN(time)) {
+        throw new Error(`Invalid ${field} date: ${value}`);
+    }
+    return time;
+}
+
+StatsTransfer.FORMATS = Object.keys(FORMATS);
+StatsTransfer.CONFLICT_POLICIES = CONFLICT_POLICIES;
+
+module.exports = StatsTransfer;
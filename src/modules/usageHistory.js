@@ -0,0 +1,379 @@
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Records emote usage into hourly, daily and stream-session buckets
+ * and answers top emote/user queries over arbitrary time ranges
+ * @class UsageHistory
+ */
+class UsageHistory {
+    /**
+     * Creates a new UsageHistory instance
+     * @param {Object} options - Retention settings
+     * @param {number} options.hourlyRetention - How long hourly buckets are kept (ms)
+     * @param {number} options.dailyRetention - How long daily buckets are kept (ms)
+     * @param {number} options.maxSessions - How many stream sessions are kept per channel
+     * @param {number} options.sessionGap - Inactivity after which a new stream session starts (ms)
+     */
+    constructor(options = {}) {
+        this.hourlyRetention = options.hourlyRetention || 7 * DAY;
+        this.dailyRetention = options.dailyRetention || 365 * DAY;
+        this.maxSessions = options.maxSessions || 50;
+        this.sessionGap = options.sessionGap || 30 * 60 * 1000;
+        this.channels = {};
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Replaces the history with previously saved data
+     * @param {Object} data - Data produced by toJSON()
+     */
+    load(data) {
+        this.channels = data && typeof data === 'object' ? data : {};
+        this.prune();
+    }
+
+    /**
+     * Returns the history in a JSON-serializable form
+     * @returns {Object} History of every channel
+     */
+    toJSON() {
+        return this.channels;
+    }
+
+    /**
+     * Clears the history of every channel
+     */
+    reset() {
+        this.channels = {};
+    }
+
+    /**
+     * Records a usage event into the hour, day and session buckets
+     * @param {string} channel - Channel the event happened in
+     * @param {Object} usage - What to record
+     * @param {string} usage.username - User responsible for the event
+     * @param {string} [usage.emote] - Emote used, when recording an emote occurrence
+     * @param {string} [usage.platform] - Platform of the emote
+     * @param {boolean} [usage.message] - Whether to count an emote-containing message
+     * @param {number} [timestamp=Date.now()] - When the event happened
+     */
+    record(channel, usage, timestamp = Date.now()) {
+        const history = this.getChannelHistory(channel);
+        const hourKey = Math.floor(timestamp / HOUR) * HOUR;
+        const dayKey = Math.floor(timestamp / DAY) * DAY;
+
+        history.hourly[hourKey] = history.hourly[hourKey] || this.createBucket();
+        history.daily[dayKey] = history.daily[dayKey] || this.createBucket();
+
+        const session = this.getSession(history, timestamp);
+
+        [history.hourly[hourKey], history.daily[dayKey], session].forEach(bucket => {
+            this.addToBucket(bucket, usage);
+        });
+
+        if (timestamp - this.lastPrune >= HOUR) {
+            this.prune(timestamp);
+        }
+    }
+
+    /**
+     * Gets the most used emotes of a channel in a time range
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} to - Range end timestamp (exclusive)
+     * @param {number} [limit=10] - Maximum number of entries
+     * @returns {Array<[string, number]>} Sorted [emote, count] entries
+     */
+    getTopEmotes(channel, from, to, limit = 10) {
+        return this.getTopEntries(this.aggregate(channel, from, to).emotes, limit);
+    }
+
+    /**
+     * Gets the users with the most emote uses of a channel in a time range
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} to - Range end timestamp (exclusive)
+     * @param {number} [limit=10] - Maximum number of entries
+     * @returns {Array<[string, number]>} Sorted [username, count] entries
+     */
+    getTopUsers(channel, from, to, limit = 10) {
+        return this.getTopEntries(this.aggregate(channel, from, to).users, limit);
+    }
+
+    /**
+     * Aggregates all buckets of a channel that fall within a time range
+     * Hourly buckets are used where they are still retained, daily buckets before that,
+     * so ranges older than the hourly retention are resolved to whole days
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} to - Range end timestamp (exclusive)
+     * @returns {Object} Combined bucket with total, messages, emotes, users and platforms
+     */
+    aggregate(channel, from, to) {
+        const history = this.getChannelHistory(channel);
+        const result = this.createBucket();
+        const hourlyStart = this.getHourlyCoverageStart();
+
+        Object.entries(history.daily).forEach(([key, bucket]) => {
+            const dayStart = Number(key);
+            if (dayStart + DAY <= hourlyStart && dayStart + DAY > from && dayStart < to) {
+                this.mergeBucket(result, bucket);
+            }
+        });
+
+        Object.entries(history.hourly).forEach(([key, bucket]) => {
+            const hourStart = Number(key);
+            if (hourStart >= hourlyStart && hourStart + HOUR > from && hourStart < to) {
+                this.mergeBucket(result, bucket);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Gets the hourly buckets of a channel within a time range
+     * Only hours still within the hourly retention are available
+     * @param {string} channel - Channel to query
+     * @param {number} from - Range start timestamp (inclusive)
+     * @param {number} to - Range end timestamp (exclusive)
+     * @returns {Array<[number, Object]>} [hour start, bucket] entries, oldest first
+     */
+    getHourlyBuckets(channel, from, to) {
+        return Object.entries(this.getChannelHistory(channel).hourly)
+            .map(([key, bucket]) => [Number(key), bucket])
+            .filter(([hourStart]) => hourStart + HOUR > from && hourStart < to)
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Gets the recorded stream sessions of a channel, most recent first
+     * @param {string} channel - Channel to query
+     * @returns {Array<Object>} Sessions with start, end and usage counters
+     */
+    getSessions(channel) {
+        return [...this.getChannelHistory(channel).sessions].reverse();
+    }
+
+    /**
+     * Gets the current stream session of a channel
+     * @param {string} channel - Channel to query
+     * @param {number} [now=Date.now()] - Reference time
+     * @returns {Object|null} The session still within the session gap, or null
+     */
+    getCurrentSession(channel, now = Date.now()) {
+        const sessions = this.getChannelHistory(channel).sessions;
+        const last = sessions[sessions.length - 1];
+        return last && now - last.end < this.sessionGap ? last : null;
+    }
+
+    /**
+     * Removes buckets and sessions beyond the retention policy
+     * @param {number} [now=Date.now()] - Reference time
+     */
+    prune(now = Date.now()) {
+        const hourlyStart = this.getHourlyCoverageStart(now);
+        const dailyCutoff = now - this.dailyRetention;
+
+        Object.values(this.channels).forEach(history => {
+            Object.keys(history.hourly).forEach(key => {
+                if (Number(key) < hourlyStart) delete history.hourly[key];
+            });
+            Object.keys(history.daily).forEach(key => {
+                if (Number(key) + DAY <= dailyCutoff) delete history.daily[key];
+            });
+            if (history.sessions.length > this.maxSessions) {
+                history.sessions.splice(0, history.sessions.length - this.maxSessions);
+            }
+        });
+
+        this.lastPrune = now;
+    }
+
+    /**
+     * Keeps the biggest emote combo of the stream session a combo ended in
+     * @param {string} channel - Channel of the combo
+     * @param {Object} combo - Finished combo ({ key, count, users, start, end })
+     * @returns {boolean} True if the combo is the session's new biggest combo
+     */
+    recordCombo(channel, combo) {
+        const sessions = this.getChannelHistory(channel).sessions;
+        const session = [...sessions].reverse().find(candidate => candidate.start <= combo.end);
+        if (!session || (session.combo && session.combo.count >= combo.count)) {
+            return false;
+        }
+        session.combo = { key: combo.key, count: combo.count, users: combo.users, start: combo.start, end: combo.end };
+        return true;
+    }
+
+    /**
+     * Moves emote counts of every bucket of a channel to new emote keys
+     * @param {string} channel - Channel to update
+     * @param {Map<string, string>} mapping - Old emote key to new emote key
+     * @returns {number} Number of bucket entries moved
+     */
+    renameEmotes(channel, mapping) {
+        const history = this.getChannelHistory(channel);
+        const buckets = [
+            ...Object.values(history.hourly),
+            ...Object.values(history.daily),
+            ...history.sessions
+        ];
+        let moved = 0;
+        buckets.forEach(bucket => {
+            if (bucket.combo && mapping.has(bucket.combo.key)) {
+                bucket.combo.key = mapping.get(bucket.combo.key);
+            }
+            mapping.forEach((to, from) => {
+                const count = bucket.emotes[from];
+                if (!count || from === to) return;
+                bucket.emotes[to] = (bucket.emotes[to] || 0) + count;
+                delete bucket.emotes[from];
+                moved++;
+            });
+        });
+        return moved;
+    }
+
+    /**
+     * Moves the counts of a user in every bucket of a channel to another user
+     * Without a target the user is only removed; bucket totals are kept either way
+     * @param {string} channel - Channel to update
+     * @param {string} from - Key of the user to move
+     * @param {string|null} [to=null] - Key of the user receiving the counts
+     */
+    moveUser(channel, from, to = null) {
+        const history = this.getChannelHistory(channel);
+        [
+            ...Object.values(history.hourly),
+            ...Object.values(history.daily),
+            ...history.sessions
+        ].forEach(bucket => {
+            const count = bucket.users[from];
+            if (!count) return;
+            delete bucket.users[from];
+            if (to) {
+                bucket.users[to] = (bucket.users[to] || 0) + count;
+            }
+        });
+    }
+
+    // Private methods
+
+    /**
+     * Gets the history of a channel, creating it if needed
+     * @private
+     * @param {string} channel - Channel name
+     * @returns {Object} Channel history with hourly, daily and sessions
+     */
+    getChannelHistory(channel) {
+        const key = normalizeChannel(channel);
+        if (!this.channels[key]) {
+            this.channels[key] = { hourly: {}, daily: {}, sessions: [] };
+        }
+        return this.channels[key];
+    }
+
+    /**
+     * Gets the session an event belongs to, starting a new one after the session gap
+     * Live events always belong to the last session; replayed chat logs can be older than it,
+     * so older events join the session around them or start one in chronological order
+     * @private
+     * @param {Object} history - Channel history
+     * @param {number} timestamp - Event time
+     * @returns {Object} Session bucket
+     */
+    getSession(history, timestamp) {
+        const sessions = history.sessions;
+        let index = sessions.length;
+        while (index > 0 && sessions[index - 1].start > timestamp) {
+            index--;
+        }
+
+        const previous = sessions[index - 1];
+        const next = sessions[index];
+        let session;
+        if (previous && timestamp - previous.end < this.sessionGap) {
+            session = previous;
+        } else if (next && next.start - timestamp < this.sessionGap) {
+            session = next;
+            session.start = timestamp;
+        } else {
+            session = { start: timestamp, end: timestamp, ...this.createBucket() };
+            sessions.splice(index, 0, session);
+        }
+        session.end = Math.max(session.end, timestamp);
+        return session;
+    }
+
+    /**
+     * Hourly buckets are kept from a day boundary so days are never half covered
+     * @private
+     * @param {number} [now=Date.now()] - Reference time
+     * @returns {number} Start of the first day covered by hourly buckets
+     */
+    getHourlyCoverageStart(now = Date.now()) {
+        return Math.floor((now - this.hourlyRetention) / DAY) * DAY;
+    }
+
+    /**
+     * Creates an empty bucket
+     * @private
+     * @returns {Object} Empty bucket
+     */
+    createBucket() {
+        return { total: 0, messages: 0, emotes: {}, users: {}, platforms: {} };
+    }
+
+    /**
+     * Adds a usage event to a bucket
+     * @private
+     * @param {Object} bucket - Bucket to update
+     * @param {Object} usage - Usage event
+     */
+    addToBucket(bucket, { username, emote, platform, message }) {
+        if (message) {
+            bucket.messages++;
+        }
+        if (emote && platform) {
+            bucket.total++;
+            bucket.emotes[emote] = (bucket.emotes[emote] || 0) + 1;
+            bucket.users[username] = (bucket.users[username] || 0) + 1;
+            bucket.platforms[platform] = (bucket.platforms[platform] || 0) + 1;
+        }
+    }
+
+    /**
+     * Merges the counters of one bucket into another
+     * @private
+     * @param {Object} target - Bucket receiving the counts
+     * @param {Object} source - Bucket to merge
+     */
+    mergeBucket(target, source) {
+        target.total += source.total || 0;
+        target.messages += source.messages || 0;
+        ['emotes', 'users', 'platforms'].forEach(field => {
+            Object.entries(source[field] || {}).forEach(([key, count]) => {
+                target[field][key] = (target[field][key] || 0) + count;
+            });
+        });
+    }
+
+    /**
+     * Sorts a counter object into its top entries
+     * @private
+     * @param {Object} counts - Key to count map
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array<[string, number]>} Sorted entries
+     */
+    getTopEntries(counts, limit) {
+        return Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit);
+    }
+}
+
+module.exports = UsageHistory;
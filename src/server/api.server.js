@@ -0,0 +1,358 @@
+const http = require('http');
+const logger = require('../utils/logger');
+const emoteManager = require('../modules/emoteManager');
+const { normalizeChannel } = require('../utils/channel-helpers');
+const { getUserCounters } = require('../utils/user-counters');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Error with an HTTP status code, turned into a JSON error response
+ */
+class HttpError extends Error {
+    /**
+     * Creates a new HttpError
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message sent to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Decodes a percent-encoded path segment
+ * @param {string} segment - Segment of the request path
+ * @returns {string} Decoded segment
+ * @throws {HttpError} If the segment has a malformed escape (e.g. %E0)
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new HttpError(400, `Malformed path segment: ${segment}`);
+    }
+}
+
+/**
+ * Local HTTP server exposing the bot's statistics as JSON
+ * All endpoints are read-only GET requests
+ */
+class ApiServer {
+    /**
+     * Creates a new ApiServer instance
+     * @param {Object} bot - The main bot instance
+     * @param {Object} config - Configuration object containing HTTP API settings
+     */
+    constructor(bot, config) {
+        this.bot = bot;
+        this.config = config;
+        this.server = null;
+        this.routes = [];
+
+        this.addRoute('/api/metrics', () => this.getMetrics());
+        this.addRoute('/api/channels', () => this.getChannels());
+        this.addRoute('/api/channels/:channel/leaderboard', (params, query) => this.getLeaderboard(params, query));
+        this.addRoute('/api/channels/:channel/users/:user', (params) => this.getUser(params));
+        this.addRoute('/api/channels/:channel/emotes', (params) => this.getEmotes(params));
+        this.addRoute('/api/channels/:channel/emotes/:emote', (params) => this.getEmote(params));
+        this.addRoute('/api/channels/:channel/platforms', (params) => this.getPlatforms(params));
+    }
+
+    /**
+     * Registers a GET route
+     * @param {string} pattern - Path with :name placeholders, e.g. /api/channels/:channel
+     * @param {Function} handler - Called with (params, query, req, res); its result is sent as JSON.
+     *                             Handlers that write the response themselves return undefined.
+     */
+    addRoute(pattern, handler) {
+        const names = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        }) + '/?$');
+        this.routes.push({ regex, names, handler });
+    }
+
+    /**
+     * Starts listening on the configured host and port
+     * @returns {Promise<void>}
+     */
+    start() {
+        const { host, port } = this.config.httpApi;
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                logger.success(`HTTP API listening on http://${host}:${this.server.address().port}/api`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stops the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        if (typeof server.closeAllConnections === 'function') {
+            server.closeAllConnections();
+        }
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Resolves a channel path parameter to a monitored channel
+     * @param {string} channel - Channel name from the URL
+     * @returns {string} Normalized channel name
+     * @throws {HttpError} If the channel is not monitored
+     */
+    resolveChannel(channel) {
+        const name = normalizeChannel(channel);
+        if (!this.config.channels.includes(name)) {
+            throw new HttpError(404, `Channel ${name} is not monitored`);
+        }
+        return name;
+    }
+
+    // Private methods
+
+    /**
+     * Routes a request and writes the JSON response
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        try {
+            if (req.method !== 'GET') {
+                throw new HttpError(405, 'Method not allowed');
+            }
+
+            const url = new URL(req.url, 'http://localhost');
+            const route = this.routes.find(({ regex }) => regex.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, 'Not found');
+            }
+
+            const values = url.pathname.match(route.regex).slice(1).map(decodePathSegment);
+            const params = Object.fromEntries(route.names.map((name, i) => [name, values[i]]));
+            const result = await route.handler(params, url.searchParams, req, res);
+            if (result !== undefined) {
+                this.sendJson(res, 200, result);
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                logger.error('HTTP API error:', error);
+            }
+            this.sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+        }
+    }
+
+    /**
+     * Writes a JSON response
+     * @private
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status code
+     * @param {*} body - Value to serialize
+     */
+    sendJson(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Parses a positive integer query parameter
+     * @private
+     * @param {URLSearchParams} query - Query parameters
+     * @param {string} name - Parameter name
+     * @param {number} fallback - Value when the parameter is missing
+     * @returns {number} Parsed value
+     * @throws {HttpError} If the value is not a positive integer
+     */
+    parsePositiveInt(query, name, fallback) {
+        if (!query.has(name)) return fallback;
+        const value = Number(query.get(name));
+        if (!Number.isInteger(value) || value < 1) {
+            throw new HttpError(400, `${name} must be a positive integer`);
+        }
+        return value;
+    }
+
+    /**
+     * GET /api/metrics
+     * @private
+     * @returns {Object} StatsHandler metrics and the chat connection state
+     */
+    getMetrics() {
+        return {
+            ...this.bot.statsHandler.metrics,
+            uptime: Math.floor(process.uptime()),
+            connection: this.bot.app.supervisor ? this.bot.app.supervisor.getStatus() : null
+        };
+    }
+
+    /**
+     * GET /api/channels
+     * @private
+     * @returns {Object} Monitored channels
+     */
+    getChannels() {
+        return { channels: this.config.channels };
+    }
+
+    /**
+     * GET /api/channels/:channel/leaderboard?page=1&limit=25
+     * @private
+     * @param {Object} params - Path parameters
+     * @param {URLSearchParams} query - Query parameters
+     * @returns {Promise<Object>} Page of ranked users
+     */
+    async getLeaderboard({ channel }, query) {
+        const name = this.resolveChannel(channel);
+        const page = this.parsePositiveInt(query, 'page', 1);
+        const limit = Math.min(this.parsePositiveInt(query, 'limit', this.config.features.maxTopUsers), MAX_PAGE_SIZE);
+
+        const statsHandler = this.bot.statsHandler;
+        const leaderboard = await statsHandler.getLeaderboard(name);
+        const channelStats = statsHandler.getChannelStats(name);
+        const offset = (page - 1) * limit;
+        return {
+            channel: name,
+            page,
+            limit,
+            totalUsers: leaderboard.length,
+            totalPages: Math.ceil(leaderboard.length / limit),
+            users: leaderboard.slice(offset, offset + limit).map(({ userKey, rank }) => ({
+                rank,
+                ...this.formatUser(userKey, channelStats[userKey])
+            }))
+        };
+    }
+
+    /**
+     * GET /api/channels/:channel/users/:user
+     * The user can be given by user ID, login or display name
+     * @private
+     * @param {Object} params - Path parameters
+     * @returns {Promise<Object>} User statistics
+     */
+    async getUser({ channel, user }) {
+        const name = this.resolveChannel(channel);
+        const statsHandler = this.bot.statsHandler;
+        await statsHandler.ensureLoaded();
+        const userKey = statsHandler.resolveUserKey(name, user);
+        if (!userKey) {
+            throw new HttpError(404, `User ${user} not found`);
+        }
+
+        const stats = statsHandler.getChannelStats(name)[userKey];
+        const rank = await statsHandler.getUserRank(name, userKey);
+        return {
+            channel: name,
+            rank: rank ? rank.position : null,
+            ...this.formatUser(userKey, stats),
+            counters: getUserCounters(stats),
+            firstSeen: stats.firstSeen,
+            lastSeen: stats.lastSeen,
+            emotes: statsHandler.getNamedEmotes(name, stats.emotes),
+            platforms: stats.platforms,
+            raw: stats.raw ? { total: stats.raw.total, emotes: statsHandler.getNamedEmotes(name, stats.raw.emotes) } : null
+        };
+    }
+
+    /**
+     * GET /api/channels/:channel/emotes
+     * Lists the emotes currently loaded for the channel with their usage counts
+     * @private
+     * @param {Object} params - Path parameters
+     * @returns {Promise<Object>} Loaded emotes
+     */
+    async getEmotes({ channel }) {
+        const name = this.resolveChannel(channel);
+        const counts = await this.bot.statsHandler.getEmoteCounts(name);
+        const emotes = [...emoteManager.getChannelEmotes(name).values()].map(emote => {
+            const key = emoteManager.getEmoteKey(emote);
+            const countKeys = this.bot.statsHandler.getEmoteCountKeys(name, key);
+            return {
+                key,
+                id: emote.id,
+                code: emote.code,
+                platform: emote.platform,
+                animated: Boolean(emote.animated),
+                enabled: emoteManager.isPlatformEnabled(emote.platform),
+                count: countKeys.reduce((sum, countKey) => sum + (counts[countKey] || 0), 0)
+            };
+        });
+        return { channel: name, total: emotes.length, emotes };
+    }
+
+    /**
+     * GET /api/channels/:channel/emotes/:emote
+     * The emote can be given by key ("platform:id") or by any of its current or past codes
+     * @private
+     * @param {Object} params - Path parameters
+     * @returns {Promise<Object>} Emote usage
+     */
+    async getEmote({ channel, emote }) {
+        const name = this.resolveChannel(channel);
+        const key = emoteManager.isEmoteKey(emote) ? emote : emoteManager.findEmoteKeys(emote, name)[0];
+        const history = key && emoteManager.getEmoteHistoryEntry(key, name);
+        if (!history) {
+            throw new HttpError(404, `Emote ${emote} not found`);
+        }
+
+        return {
+            channel: name,
+            key,
+            code: emoteManager.getEmoteName(key, name),
+            names: emoteManager.getEmoteNames(key, name),
+            platform: key.split(':')[0],
+            removedAt: history.removedAt,
+            count: await this.bot.statsHandler.getEmoteUsageCount(name, key)
+        };
+    }
+
+    /**
+     * GET /api/channels/:channel/platforms
+     * @private
+     * @param {Object} params - Path parameters
+     * @returns {Promise<Object>} Usage counts per platform
+     */
+    async getPlatforms({ channel }) {
+        const name = this.resolveChannel(channel);
+        return {
+            channel: name,
+            platforms: await this.bot.statsHandler.getPlatformStats(name)
+        };
+    }
+
+    /**
+     * Formats the public fields of a user record
+     * @private
+     * @param {string} userKey - Key of the user record
+     * @param {Object} stats - User statistics
+     * @returns {Object} User ID, names and total
+     */
+    formatUser(userKey, stats) {
+        return {
+            userId: stats.legacy ? null : userKey,
+            login: stats.login || null,
+            displayName: this.bot.statsHandler.getDisplayName(userKey, stats),
+            total: stats.total
+        };
+    }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+const emoteManager = require('../modules/emoteManager');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+const HTML_FILE = path.join(__dirname, 'overlay.html');
+const KEEPALIVE_INTERVAL = 15000;
+const UPDATE_THROTTLE = 1000;
+
+/**
+ * OBS browser-source overlay served by the HTTP server
+ * Shows the leaderboard, the top emote of the stream, milestone pop-ups and a
+ * live emote combo ticker, pushed to the page over Server-Sent Events
+ */
+class Overlay {
+    /**
+     * Creates a new Overlay instance
+     * @param {Object} bot - The main bot instance
+     * @param {Object} config - Configuration object containing overlay settings
+     */
+    constructor(bot, config) {
+        this.bot = bot;
+        this.config = config;
+        this.clients = new Map(); // channel -> Set of SSE responses
+        this.updateTimers = new Map(); // channel -> pending leaderboard update
+        this.keepAliveTimer = null;
+        this.html = null;
+        this.onEmotes = (event) => this.scheduleUpdate(normalizeChannel(event.channel));
+        this.onMilestone = (event) => this.handleMilestone(event);
+        this.onCombo = (combo) => this.handleCombo('combo', combo);
+        this.onComboEnd = (combo) => this.handleCombo('comboEnd', combo);
+    }
+
+    /**
+     * Adds the overlay routes to the HTTP server
+     * GET /overlay/:channel         - Overlay page for an OBS browser source
+     * GET /overlay/:channel/state   - Current overlay state as JSON
+     * GET /overlay/:channel/events  - Live updates (text/event-stream)
+     * @param {ApiServer} server - HTTP server to register on
+     */
+    register(server) {
+        server.addRoute('/overlay/:channel', (params, query, req, res) => {
+            server.resolveChannel(params.channel);
+            return this.sendPage(res);
+        });
+        server.addRoute('/overlay/:channel/state', (params) => {
+            return this.getState(server.resolveChannel(params.channel));
+        });
+        server.addRoute('/overlay/:channel/events', (params, query, req, res) => {
+            return this.openEventStream(server.resolveChannel(params.channel), req, res);
+        });
+    }
+
+    /**
+     * Starts listening for detected emotes, milestones and combos
+     */
+    start() {
+        this.bot.emoteProcessor.on('emotes', this.onEmotes);
+        this.bot.emoteProcessor.on('milestone', this.onMilestone);
+        this.bot.emoteProcessor.on('combo', this.onCombo);
+        this.bot.emoteProcessor.on('comboEnd', this.onComboEnd);
+        this.keepAliveTimer = setInterval(() => {
+            this.clients.forEach(clients => clients.forEach(res => res.write(': keepalive\n\n')));
+        }, KEEPALIVE_INTERVAL);
+    }
+
+    /**
+     * Stops listening and closes every event stream
+     */
+    stop() {
+        this.bot.emoteProcessor.off('emotes', this.onEmotes);
+        this.bot.emoteProcessor.off('milestone', this.onMilestone);
+        this.bot.emoteProcessor.off('combo', this.onCombo);
+        this.bot.emoteProcessor.off('comboEnd', this.onComboEnd);
+        clearInterval(this.keepAliveTimer);
+        this.updateTimers.forEach(timer => clearTimeout(timer));
+        this.updateTimers.clear();
+        this.clients.forEach(clients => clients.forEach(res => res.end()));
+        this.clients.clear();
+    }
+
+    // Private methods
+
+    /**
+     * Sends the overlay page
+     * @private
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<void>}
+     */
+    async sendPage(res) {
+        if (!this.html) {
+            this.html = await fs.readFile(HTML_FILE, 'utf-8');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(this.html);
+    }
+
+    /**
+     * Opens a Server-Sent Events stream and sends the current state
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response kept open for events
+     * @returns {Promise<void>}
+     */
+    async openEventStream(channel, req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+
+        if (!this.clients.has(channel)) {
+            this.clients.set(channel, new Set());
+        }
+        const clients = this.clients.get(channel);
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+
+        this.sendEvent(res, 'state', await this.getState(channel));
+    }
+
+    /**
+     * Builds the full overlay state of a channel
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @returns {Promise<Object>} Leaderboard, top emote of the stream and active combo
+     */
+    async getState(channel) {
+        return {
+            channel,
+            leaderboard: await this.getLeaderboard(channel),
+            topEmote: await this.getTopEmote(channel),
+            combo: this.formatCombo(this.bot.emoteProcessor.comboDetector.getActiveCombo(channel))
+        };
+    }
+
+    /**
+     * Gets the overlay leaderboard of a channel
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @returns {Promise<Array<Object>>} Top users with rank, name and total
+     */
+    async getLeaderboard(channel) {
+        const leaderboard = await this.bot.statsHandler.getLeaderboard(channel);
+        return leaderboard.slice(0, this.config.overlay.topUsers).map(({ rank, name, score }) => ({
+            rank,
+            displayName: name,
+            total: score
+        }));
+    }
+
+    /**
+     * Gets the most used emote of the stream in progress
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @returns {Promise<Object|null>} Emote code, image URL and count
+     */
+    async getTopEmote(channel) {
+        const [topEmote] = await this.bot.statsHandler.getStreamTopEmotes(channel, 1);
+        return topEmote ? { ...topEmote, url: emoteManager.getEmoteImageUrl(topEmote.key) } : null;
+    }
+
+    /**
+     * Pushes a milestone pop-up
+     * @private
+     * @param {Object} event - 'milestone' event from EmoteProcessor
+     */
+    handleMilestone({ channel, username, milestone }) {
+        this.broadcast(normalizeChannel(channel), 'milestone', {
+            username,
+            count: milestone.count,
+            counter: milestone.counter,
+            label: this.bot.i18n.t(channel, `counters.${milestone.counter}`)
+        });
+    }
+
+    /**
+     * Pushes combo ticker updates for combos of at least OVERLAY_COMBO_MIN messages
+     * @private
+     * @param {string} event - 'combo' while the combo grows, 'comboEnd' when it ends
+     * @param {Object} combo - Combo from ComboDetector
+     */
+    handleCombo(event, combo) {
+        const formatted = this.formatCombo(combo);
+        if (formatted) {
+            this.broadcast(combo.channel, event, formatted);
+        }
+    }
+
+    /**
+     * Formats a combo for the overlay, hiding combos below the minimum size
+     * @private
+     * @param {Object|null} combo - Combo from ComboDetector
+     * @returns {Object|null} Emote code, image URL and count
+     */
+    formatCombo(combo) {
+        if (!combo || combo.count < this.config.overlay.comboMin) return null;
+        return { code: combo.code, url: emoteManager.getEmoteImageUrl(combo.key), count: combo.count };
+    }
+
+    /**
+     * Sends the leaderboard and top emote at most once per second per channel
+     * @private
+     * @param {string} channel - Normalized channel name
+     */
+    scheduleUpdate(channel) {
+        if (this.updateTimers.has(channel) || !this.clients.get(channel)?.size) return;
+
+        this.updateTimers.set(channel, setTimeout(async () => {
+            this.updateTimers.delete(channel);
+            this.broadcast(channel, 'leaderboard', await this.getLeaderboard(channel));
+            this.broadcast(channel, 'topEmote', await this.getTopEmote(channel));
+        }, UPDATE_THROTTLE));
+    }
+
+    /**
+     * Sends an event to every overlay of a channel
+     * @private
+     * @param {string} channel - Normalized channel name
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    broadcast(channel, event, data) {
+        (this.clients.get(channel) || new Set()).forEach(res => this.sendEvent(res, event, data));
+    }
+
+    /**
+     * Writes one Server-Sent Event
+     * @private
+     * @param {http.ServerResponse} res - Open event stream
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    sendEvent(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+module.exports = Overlay;
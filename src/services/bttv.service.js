@@ -14,10 +14,19 @@ class BTTVService {
         this.baseUrl = config.apis.bttv.baseUrl;
     }
 
+    /**
+     * Gets the CDN URL of a BTTV emote image
+     * @param {string} id - BTTV emote ID
+     * @returns {string} Image URL of the largest size
+     */
+    getEmoteImageUrl(id) {
+        return `https://cdn.betterttv.net/emote/${id}/3x`;
+    }
+
     /**
      * Fetches channel-specific emotes from BTTV
      * @param {string} channelId - Twitch channel ID
-     * @returns {Promise<Array>} Array of emote objects
+     * @returns {Promise<Array|null>} Array of emote objects, or null if the request failed
      */
     async getChannelEmotes(channelId) {
         try {
@@ -33,19 +42,19 @@ class BTTVService {
                 return [...channelEmotes, ...sharedEmotes].map(emote => ({
                     id: emote.id,
                     code: emote.code,
-                    platform: 'bttv-channel',
+                    platform: 'bttv',
                     animated: emote.imageType === 'gif'
                 }));
             });
         } catch (error) {
             console.error('Error fetching BTTV channel emotes:', error.message);
-            return [];
+            return null;
         }
     }
 
     /**
      * Fetches global emotes from BTTV
-     * @returns {Promise<Array>} Array of emote objects
+     * @returns {Promise<Array|null>} Array of emote objects, or null if the request failed
      */
     async getGlobalEmotes() {
         try {
@@ -59,7 +68,7 @@ class BTTVService {
             }));
         } catch (error) {
             console.error('Error fetching global BTTV emotes:', error.message);
-            return [];
+            return null;
         }
     }
 }
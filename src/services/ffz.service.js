@@ -14,10 +14,19 @@ class FFZService {
         this.baseUrl = config.apis.ffz.baseUrl;
     }
 
+    /**
+     * Gets the CDN URL of an FFZ emote image
+     * @param {string} id - FFZ emote ID
+     * @returns {string} Image URL of the largest size
+     */
+    getEmoteImageUrl(id) {
+        return `https://cdn.frankerfacez.com/emote/${id}/4`;
+    }
+
     /**
      * Fetches channel-specific emotes from FFZ
      * @param {string} channelId - Twitch channel ID
-     * @returns {Promise<Array>} Array of emote objects
+     * @returns {Promise<Array|null>} Array of emote objects, or null if the request failed
      */
     async getChannelEmotes(channelId) {
         try {
@@ -51,25 +60,25 @@ class FFZService {
             });
         } catch (error) {
             console.error('Error fetching FFZ channel emotes:', error.message);
-            return [];
+            return null;
         }
     }
 
     /**
      * Fetches global emotes from FFZ
-     * @returns {Promise<Array>} Array of emote objects
+     * @returns {Promise<Array|null>} Array of emote objects, or null if the request failed
      */
     async getGlobalEmotes() {
         try {
             const response = await axios.get(`${this.baseUrl}/set/global`);
-            
-            if (!response.data?.sets?.default?.emoticons) {
-                return [];
-            }
 
-            console.log('FFZ global emotes fetched:', response.data?.sets?.default?.emoticons?.length || 0);
+            // Sets are keyed by ID, default_sets lists the ones every user has
+            const emoticons = (response.data?.default_sets || [])
+                .flatMap(setId => response.data.sets?.[setId]?.emoticons || []);
+
+            console.log('FFZ global emotes fetched:', emoticons.length);
 
-            return response.data.sets.default.emoticons.map(emote => ({
+            return emoticons.map(emote => ({
                 id: emote.id.toString(),
                 code: emote.name,
                 platform: 'ffz-global',
@@ -77,7 +86,7 @@ class FFZService {
             }));
         } catch (error) {
             console.error('Error fetching global FFZ emotes:', error.message);
-            return [];
+            return null;
         }
     }
 }
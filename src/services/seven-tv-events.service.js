@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+// 7TV EventAPI opcodes (https://github.com/SevenTV/EventAPI)
+const OPCODES = {
+    DISPATCH: 0,
+    HELLO: 1,
+    HEARTBEAT: 2,
+    RECONNECT: 4,
+    ACK: 5,
+    ERROR: 6,
+    END_OF_STREAM: 7,
+    SUBSCRIBE: 35,
+    UNSUBSCRIBE: 36
+};
+
+/**
+ * Service for receiving live emote set changes from the 7TV EventAPI websocket
+ * Emits 'emoteSetUpdate' with { emoteSetId, actor, added, removed, updated }
+ * @extends EventEmitter
+ */
+class SevenTVEventService extends EventEmitter {
+    /**
+     * Creates a new SevenTVEventService instance
+     * @param {Object} config - Configuration object containing API settings
+     */
+    constructor(config) {
+        super();
+        this.config = config;
+        this.url = config.apis.sevenTv.eventsUrl;
+        this.socket = null;
+        this.subscriptions = new Set();
+        this.heartbeatInterval = 45000;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.maxReconnectDelay = 60000;
+        this.isClosed = true;
+    }
+
+    /**
+     * Opens the websocket connection and subscribes to all tracked emote sets
+     * Reconnects with exponential backoff until close() is called
+     */
+    connect() {
+        this.isClosed = false;
+        this.socket = new WebSocket(this.url);
+
+        this.socket.on('open', () => {
+            logger.success(`Connected to 7TV EventAPI (${this.url})`);
+            this.reconnectAttempts = 0;
+            this.subscriptions.forEach(emoteSetId => this.sendSubscription(OPCODES.SUBSCRIBE, emoteSetId));
+        });
+
+        this.socket.on('message', (data) => this.handleMessage(data));
+
+        this.socket.on('error', (error) => {
+            logger.error('7TV EventAPI error:', error.message);
+        });
+
+        this.socket.on('close', () => {
+            clearTimeout(this.heartbeatTimer);
+            this.socket = null;
+            if (!this.isClosed) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Starts receiving updates for an emote set
+     * @param {string} emoteSetId - 7TV emote set ID
+     */
+    subscribe(emoteSetId) {
+        if (!emoteSetId || this.subscriptions.has(emoteSetId)) return;
+        this.subscriptions.add(emoteSetId);
+        this.sendSubscription(OPCODES.SUBSCRIBE, emoteSetId);
+    }
+
+    /**
+     * Stops receiving updates for an emote set
+     * @param {string} emoteSetId - 7TV emote set ID
+     */
+    unsubscribe(emoteSetId) {
+        if (!this.subscriptions.delete(emoteSetId)) return;
+        this.sendSubscription(OPCODES.UNSUBSCRIBE, emoteSetId);
+    }
+
+    /**
+     * Closes the connection without reconnecting
+     */
+    close() {
+        this.isClosed = true;
+        clearTimeout(this.heartbeatTimer);
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    // Private methods
+
+    /**
+     * Sends a subscribe or unsubscribe request if the socket is open
+     * @private
+     * @param {number} op - SUBSCRIBE or UNSUBSCRIBE opcode
+     * @param {string} emoteSetId - 7TV emote set ID
+     */
+    sendSubscription(op, emoteSetId) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        this.socket.send(JSON.stringify({
+            op,
+            d: {
+                type: 'emote_set.update',
+                condition: { object_id: emoteSetId }
+            }
+        }));
+    }
+
+    /**
+     * Handles a message received from the EventAPI
+     * @private
+     * @param {Buffer|string} data - Raw message
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            logger.warn('Ignoring malformed 7TV EventAPI message');
+            return;
+        }
+
+        switch (message.op) {
+            case OPCODES.HELLO:
+                this.heartbeatInterval = message.d?.heartbeat_interval || this.heartbeatInterval;
+                this.resetHeartbeatTimer();
+                break;
+            case OPCODES.HEARTBEAT:
+                this.resetHeartbeatTimer();
+                break;
+            case OPCODES.DISPATCH:
+                if (message.d?.type === 'emote_set.update') {
+                    this.emit('emoteSetUpdate', this.parseEmoteSetUpdate(message.d.body));
+                }
+                break;
+            case OPCODES.RECONNECT:
+                logger.warn('7TV EventAPI requested a reconnect');
+                this.socket?.terminate();
+                break;
+            case OPCODES.ERROR:
+                logger.error('7TV EventAPI reported an error:', message.d?.message);
+                break;
+            case OPCODES.END_OF_STREAM:
+                logger.warn(`7TV EventAPI closed the stream: ${message.d?.message || message.d?.code}`);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Extracts emote changes from an emote_set.update body
+     * @private
+     * @param {Object} body - Dispatch body (ChangeMap)
+     * @returns {Object} Emote set ID, actor and added/removed/updated emotes
+     */
+    parseEmoteSetUpdate(body = {}) {
+        const emoteChanges = (changes) => (changes || []).filter(change => change.key === 'emotes');
+        return {
+            emoteSetId: body.id,
+            actor: body.actor?.display_name || body.actor?.username || null,
+            added: emoteChanges(body.pushed).map(change => change.value).filter(Boolean),
+            removed: emoteChanges(body.pulled).map(change => change.old_value).filter(Boolean),
+            updated: emoteChanges(body.updated)
+                .filter(change => change.old_value && change.value)
+                .map(change => ({ previous: change.old_value, current: change.value }))
+        };
+    }
+
+    /**
+     * Restarts the heartbeat watchdog, reconnecting if the server goes silent
+     * @private
+     */
+    resetHeartbeatTimer() {
+        clearTimeout(this.heartbeatTimer);
+        this.heartbeatTimer = setTimeout(() => {
+            logger.warn('7TV EventAPI heartbeat missed, reconnecting');
+            this.socket?.terminate();
+        }, this.heartbeatInterval * 3);
+    }
+
+    /**
+     * Schedules a reconnection attempt with exponential backoff
+     * @private
+     */
+    scheduleReconnect() {
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+        this.reconnectAttempts++;
+        logger.warn(`7TV EventAPI disconnected, reconnecting in ${delay / 1000}s`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+}
+
+module.exports = SevenTVEventService;
@@ -12,13 +12,47 @@ class SevenTVService {
     constructor(config) {
         this.config = config;
         this.baseUrl = config.apis.sevenTv.baseUrl;
+        this.emoteSets = new Map(); // Twitch channel ID -> active 7TV emote set ID
+    }
+
+    /**
+     * Gets the CDN URL of a 7TV emote image
+     * @param {string} id - 7TV emote ID
+     * @returns {string} Image URL of the largest size
+     */
+    getEmoteImageUrl(id) {
+        return `https://cdn.7tv.app/emote/${id}/4x.webp`;
+    }
+
+    /**
+     * Gets the ID of a channel's active 7TV emote set, as seen by the last getChannelEmotes call
+     * @param {string} channelId - Twitch channel ID
+     * @returns {string|null} Emote set ID or null if unknown
+     */
+    getEmoteSetId(channelId) {
+        return this.emoteSets.get(channelId) || null;
+    }
+
+    /**
+     * Converts a 7TV emote object into the emote format used by the cache
+     * @param {Object} emote - 7TV emote (from the REST API or the EventAPI)
+     * @param {string} platform - Platform to record the emote under
+     * @returns {{id: string, code: string, platform: string, animated: boolean}} Emote object
+     */
+    mapEmote(emote, platform) {
+        return {
+            id: emote.id,
+            code: emote.name,
+            platform,
+            animated: emote.data?.animated ?? false
+        };
     }
 
     /**
      * Fetches channel-specific emotes from 7TV
      * @param {string} channelId - Twitch channel ID
      * @param {string} channelName - Twitch channel name
-     * @returns {Promise<Array>} Array of emote objects with id, code, platform, and animated properties
+     * @returns {Promise<Array|null>} Array of emote objects with id, code, platform, and animated properties, or null if the request failed
      */
     async getChannelEmotes(channelId, channelName) {
         try {
@@ -28,27 +62,25 @@ class SevenTVService {
                     { timeout: 5000 }
                 );
                 const emoteSet = response.data?.emote_set;
+                if (emoteSet?.id) {
+                    this.emoteSets.set(channelId, emoteSet.id);
+                }
                 
                 if (!emoteSet?.emotes?.length) {
                     return [];
                 }
 
-                return emoteSet.emotes.map(emote => ({
-                    id: emote.id,
-                    code: emote.name,
-                    platform: '7tv-channel',
-                    animated: emote.data?.animated ?? false
-                }));
+                return emoteSet.emotes.map(emote => this.mapEmote(emote, '7tv-channel'));
             });
         } catch (error) {
             console.error('Error fetching 7TV channel emotes:', error.message);
-            return [];
+            return null;
         }
     }
 
     /**
      * Fetches global emotes from 7TV's global emote set
-     * @returns {Promise<Array>} Array of emote objects with id, code, platform, and animated properties
+     * @returns {Promise<Array|null>} Array of emote objects with id, code, platform, and animated properties, or null if the request failed
      */
     async getGlobalEmotes() {
         try {
@@ -59,15 +91,10 @@ class SevenTVService {
                 return [];
             }
 
-            return response.data.emotes.map(emote => ({
-                id: emote.id,
-                code: emote.name,
-                platform: '7tv-global',
-                animated: emote.data.animated
-            }));
+            return response.data.emotes.map(emote => this.mapEmote(emote, '7tv-global'));
         } catch (error) {
             console.error('Error fetching global 7TV emotes:', error.message);
-            return [];
+            return null;
         }
     }
 }
@@ -10,6 +10,16 @@ class TwitchEmoteService {
      */
     constructor(config) {
         this.config = config;
+        this.baseUrl = config.apis.twitch.baseUrl;
+    }
+
+    /**
+     * Gets the CDN URL of a Twitch emote image
+     * @param {string} id - Twitch emote ID
+     * @returns {string} Image URL of the largest size
+     */
+    getEmoteImageUrl(id) {
+        return `https://static-cdn.jtvnw.net/emoticons/v2/${id}/default/dark/3.0`;
     }
 
     /**
@@ -20,7 +30,7 @@ class TwitchEmoteService {
     async getUserId(username) {
         try {
             const response = await axios.get(
-                `https://api.twitch.tv/helix/users?login=${username}`,
+                `${this.baseUrl}/users?login=${username}`,
                 { headers: this.config.apis.twitch.headers }
             );
             return response.data.data[0]?.id;
@@ -33,12 +43,12 @@ class TwitchEmoteService {
     /**
      * Fetches channel-specific emotes for a given channel
      * @param {string} channelId - The Twitch channel ID
-     * @returns {Promise<Array<{id: string, code: string, platform: string}>>} Array of channel emotes
+     * @returns {Promise<Array<{id: string, code: string, platform: string}>|null>} Array of channel emotes, or null if the request failed
      */
     async getChannelEmotes(channelId) {
         try {
             const response = await axios.get(
-                `https://api.twitch.tv/helix/chat/emotes?broadcaster_id=${channelId}`,
+                `${this.baseUrl}/chat/emotes?broadcaster_id=${channelId}`,
                 { headers: this.config.apis.twitch.headers }
             );
             return response.data.data.map(emote => ({
@@ -48,18 +58,18 @@ class TwitchEmoteService {
             }));
         } catch (error) {
             console.error('Error fetching Twitch emotes:', error.message);
-            return [];
+            return null;
         }
     }
 
     /**
      * Fetches global Twitch emotes available to all channels
-     * @returns {Promise<Array<{id: string, code: string, platform: string}>>} Array of global emotes
+     * @returns {Promise<Array<{id: string, code: string, platform: string}>|null>} Array of global emotes, or null if the request failed
      */
     async getGlobalEmotes() {
         try {
             const response = await axios.get(
-                'https://api.twitch.tv/helix/chat/emotes/global',
+                `${this.baseUrl}/chat/emotes/global`,
                 { headers: this.config.apis.twitch.headers }
             );
             return response.data.data.map(emote => ({
@@ -69,7 +79,7 @@ class TwitchEmoteService {
             }));
         } catch (error) {
             console.error('Error fetching global Twitch emotes:', error.message);
-            return [];
+            return null;
         }
     }
 }
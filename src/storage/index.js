@@ -0,0 +1,26 @@
+const JsonStorage = require('./json.storage');
+const SQLiteStorage = require('./sqlite.storage');
+
+const BACKENDS = {
+    json: JsonStorage,
+    sqlite: SQLiteStorage
+};
+
+/**
+ * Creates the statistics storage backend selected by STORAGE_BACKEND
+ * @param {Object} config - Configuration object
+ * @returns {JsonStorage|SQLiteStorage} Storage backend instance
+ * @throws {Error} If the backend is unknown
+ */
+function createStorage(config) {
+    const Storage = BACKENDS[config.storage.backend];
+    if (!Storage) {
+        throw new Error(`Unknown storage backend: ${config.storage.backend}`);
+    }
+    return new Storage(config);
+}
+
+module.exports = {
+    BACKENDS,
+    createStorage
+};
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { normalizeChannel } = require('../utils/channel-helpers');
+
+/**
+ * Storage backend that keeps all statistics in a single JSON file
+ * Every save rewrites the whole file
+ */
+class JsonStorage {
+    /**
+     * Creates a new JsonStorage instance
+     * @param {Object} config - Configuration object containing file paths
+     */
+    constructor(config) {
+        this.config = config;
+        this.file = config.files.database;
+    }
+
+    /**
+     * Reads statistics from the JSON database file
+     * Single-channel databases (version 1) are moved under the primary channel
+     * @param {Object} [options]
+     * @param {boolean} [options.readOnly=false] - Do not create the data directory when there is no database
+     * @returns {Promise<Object|null>} Stored { stats, metrics, history, combos, ignored }, or null if there is no database yet
+     * @throws {Error} If the file exists but cannot be read or parsed
+     */
+    async load({ readOnly = false } = {}) {
+        let parsedData;
+        try {
+            const data = await fs.readFile(this.file, 'utf-8');
+            parsedData = JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                if (readOnly) return null;
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                return null;
+            }
+            throw error;
+        }
+
+        let stats;
+        if (parsedData.stats && parsedData.version >= 2) {
+            stats = parsedData.stats;
+        } else {
+            const primaryChannel = normalizeChannel(this.config.channel);
+            stats = { [primaryChannel]: parsedData.stats || parsedData };
+            logger.info(`Migrated single-channel statistics to #${primaryChannel}`);
+        }
+
+        return {
+            stats,
+            metrics: parsedData.metrics,
+            history: parsedData.history,
+            combos: parsedData.combos,
+            ignored: parsedData.ignored
+        };
+    }
+
+    /**
+     * Writes all statistics to disk using atomic write operations
+     * @param {Object} data - Statistics to save
+     * @param {Object} data.stats - Per-channel user statistics
+     * @param {Object} data.metrics - Bot metrics
+     * @param {Object} data.history - Usage history buckets
+     * @param {Object} data.combos - Biggest emote combos per channel
+     * @param {Object} data.ignored - Users added to the ignore list per channel
+     * @returns {Promise<void>}
+     * @throws {Error} If the file cannot be written
+     */
+    async save({ stats, metrics, history, combos, ignored }) {
+        const tempFile = `${this.file}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            const saveData = {
+                version: 2,
+                stats,
+                metrics,
+                history,
+                combos,
+                ignored,
+                lastUpdate: Date.now()
+            };
+            await fs.writeFile(tempFile, JSON.stringify(saveData, null, 2));
+            await fs.rename(tempFile, this.file);
+        } catch (error) {
+            try {
+                await fs.unlink(tempFile);
+            } catch (e) {
+                // Ignore error if temp file doesn't exist
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Nothing to release; every save is a complete file write
+     */
+    close() {}
+}
+
+module.exports = JsonStorage;
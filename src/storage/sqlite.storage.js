@@ -0,0 +1,438 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { normalizeChannel } = require('../utils/channel-helpers');
+const JsonStorage = require('./json.storage');
+
+// Record fields stored in their own columns/tables, everything else goes to `data`
+const COLUMN_FIELDS = ['total', 'emotes', 'platforms', 'firstSeen', 'lastSeen'];
+
+// Values stored as JSON in the meta table; the usage history has its own table
+const META_KEYS = ['metrics', 'combos', 'ignored'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        channel TEXT NOT NULL,
+        username TEXT NOT NULL,
+        total INTEGER NOT NULL DEFAULT 0,
+        first_seen INTEGER,
+        last_seen INTEGER,
+        data TEXT,
+        PRIMARY KEY (channel, username)
+    );
+    CREATE INDEX IF NOT EXISTS idx_users_rank ON users (channel, total DESC);
+
+    CREATE TABLE IF NOT EXISTS user_emotes (
+        channel TEXT NOT NULL,
+        username TEXT NOT NULL,
+        emote TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (channel, username, emote)
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_emotes_emote ON user_emotes (channel, emote);
+
+    CREATE TABLE IF NOT EXISTS user_platforms (
+        channel TEXT NOT NULL,
+        username TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (channel, username, platform)
+    );
+
+    CREATE TABLE IF NOT EXISTS history_buckets (
+        channel TEXT NOT NULL,
+        granularity TEXT NOT NULL,
+        bucket INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (channel, granularity, bucket)
+    );
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+/**
+ * Storage backend that keeps statistics in an SQLite database
+ * Only users, history buckets and meta values changed since the last save are written,
+ * and rank and emote count lookups are answered from indexes.
+ * Statistics are still counted and queried in memory, so every user is loaded on start:
+ * the database saves writing the whole file, not memory
+ */
+class SQLiteStorage {
+    /**
+     * Creates a new SQLiteStorage instance
+     * @param {Object} config - Configuration object containing file paths
+     */
+    constructor(config) {
+        this.config = config;
+        this.file = config.files.sqlite;
+        this.db = null;
+        this.statements = null;
+        this.savedMeta = null; // meta key -> JSON last written
+        this.savedBuckets = null; // bucket id -> { channel, granularity, bucket, data } last written
+    }
+
+    /**
+     * Reads all statistics from the database, every user included
+     * On first use, statistics from the JSON database file are migrated once
+     * @param {Object} [options]
+     * @param {boolean} [options.readOnly=false] - Open the database read-only, reading the JSON database
+     *   file instead of migrating it when the SQLite database does not exist yet
+     * @returns {Promise<Object|null>} Stored { stats, metrics, history, combos, ignored }, or null if there is no data yet
+     */
+    async load({ readOnly = false } = {}) {
+        if (readOnly && !fs.existsSync(this.file)) {
+            return new JsonStorage(this.config).load({ readOnly });
+        }
+        this.open({ readOnly });
+
+        if (!this.getMeta('initialized')) {
+            if (readOnly) {
+                return new JsonStorage(this.config).load({ readOnly });
+            }
+            await this.migrateFromJson();
+        }
+
+        const stats = {};
+        const getRecord = (channel, username) => stats[channel]?.[username];
+
+        for (const row of this.db.prepare('SELECT * FROM users').iterate()) {
+            stats[row.channel] = stats[row.channel] || {};
+            stats[row.channel][row.username] = {
+                ...(row.data ? JSON.parse(row.data) : {}),
+                total: row.total,
+                emotes: {},
+                platforms: {},
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen
+            };
+        }
+        for (const row of this.db.prepare('SELECT * FROM user_emotes').iterate()) {
+            const record = getRecord(row.channel, row.username);
+            if (record) record.emotes[row.emote] = row.count;
+        }
+        for (const row of this.db.prepare('SELECT * FROM user_platforms').iterate()) {
+            const record = getRecord(row.channel, row.username);
+            if (record) record.platforms[row.platform] = row.count;
+        }
+
+        const meta = this.readMeta();
+
+        return {
+            stats,
+            metrics: meta.metrics,
+            history: this.readHistory(),
+            combos: meta.combos,
+            ignored: meta.ignored
+        };
+    }
+
+    /**
+     * Writes statistics to the database in a single transaction
+     * @param {Object} data - Statistics to save
+     * @param {Object} data.stats - Per-channel user statistics
+     * @param {Object} data.metrics - Bot metrics
+     * @param {Object} data.history - Usage history buckets
+     * @param {Object} data.combos - Biggest emote combos per channel
+     * @param {Object} data.ignored - Users added to the ignore list per channel
+     * @param {Object} [options]
+     * @param {Map<string, Set<string>>} [options.dirty] - Users changed since the last save, by channel
+     * @param {boolean} [options.full=false] - Replace every stored user instead of only the dirty ones
+     * @returns {Promise<void>}
+     */
+    async save({ stats, metrics, history, combos, ignored }, { dirty = new Map(), full = false } = {}) {
+        this.open();
+        if (!this.savedMeta) this.readMeta();
+        if (!this.savedBuckets) this.readHistory();
+
+        const meta = { metrics, combos, ignored };
+        const changedMeta = META_KEYS
+            .map(key => [key, JSON.stringify(meta[key] ?? null)])
+            .filter(([key, value]) => this.savedMeta.get(key) !== value);
+        let savedBuckets;
+
+        const write = this.db.transaction(() => {
+            if (full) {
+                this.db.exec('DELETE FROM users; DELETE FROM user_emotes; DELETE FROM user_platforms;');
+                Object.entries(stats || {}).forEach(([channel, users]) => {
+                    Object.entries(users).forEach(([username, record]) => {
+                        this.writeUser(channel, username, record);
+                    });
+                });
+            } else {
+                dirty.forEach((usernames, channel) => {
+                    usernames.forEach(username => {
+                        this.deleteUser(channel, username);
+                        const record = stats?.[channel]?.[username];
+                        if (record) {
+                            this.writeUser(channel, username, record);
+                        }
+                    });
+                });
+            }
+
+            savedBuckets = this.writeHistory(history);
+            changedMeta.forEach(([key, value]) => this.statements.setMeta.run(key, value));
+            if (!this.savedMeta.has('initialized')) {
+                this.setMeta('initialized', true);
+            }
+        });
+
+        write();
+
+        // Remembered once committed, so the values of a failed save are written again
+        changedMeta.forEach(([key, value]) => this.savedMeta.set(key, value));
+        this.savedMeta.set('initialized', 'true');
+        this.savedBuckets = savedBuckets;
+    }
+
+    /**
+     * Gets a user's rank in a channel using the rank index
+     * @param {string} channel - Channel to rank in
+     * @param {string} username - Key of the user record (user ID)
+     * @returns {Promise<Object|null>} Rank position and total count
+     */
+    async getUserRank(channel, username) {
+        this.open();
+        const row = this.statements.rank.get(normalizeChannel(channel), username);
+        return row ? { position: row.position, total: row.total } : null;
+    }
+
+    /**
+     * Gets the total usage count of an emote in a channel using the emote index
+     * @param {string} channel - Channel to check
+     * @param {string|Array<string>} emotes - Emote key, or every key and legacy code counted as the emote
+     * @returns {Promise<number>} Total usage count
+     */
+    async getEmoteUsageCount(channel, emotes) {
+        this.open();
+        const keys = JSON.stringify([].concat(emotes));
+        return this.statements.emoteCount.get(normalizeChannel(channel), keys).count;
+    }
+
+    /**
+     * Closes the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+            this.savedMeta = null;
+            this.savedBuckets = null;
+        }
+    }
+
+    // Private methods
+
+    /**
+     * Opens the database and creates the schema if needed
+     * @private
+     * @param {Object} [options]
+     * @param {boolean} [options.readOnly=false] - Open an existing database without writing to it
+     * @throws {Error} If better-sqlite3 is not installed
+     */
+    open({ readOnly = false } = {}) {
+        if (this.db) return;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        if (readOnly) {
+            this.db = new Database(this.file, { readonly: true, fileMustExist: true });
+        } else {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.db = new Database(this.file);
+            this.db.pragma('journal_mode = WAL');
+            this.db.exec(SCHEMA);
+        }
+
+        this.statements = {
+            insertUser: this.db.prepare(
+                'INSERT INTO users (channel, username, total, first_seen, last_seen, data) VALUES (?, ?, ?, ?, ?, ?)'
+            ),
+            insertEmote: this.db.prepare(
+                'INSERT INTO user_emotes (channel, username, emote, count) VALUES (?, ?, ?, ?)'
+            ),
+            insertPlatform: this.db.prepare(
+                'INSERT INTO user_platforms (channel, username, platform, count) VALUES (?, ?, ?, ?)'
+            ),
+            deleteUser: this.db.prepare('DELETE FROM users WHERE channel = ? AND username = ?'),
+            deleteEmotes: this.db.prepare('DELETE FROM user_emotes WHERE channel = ? AND username = ?'),
+            deletePlatforms: this.db.prepare('DELETE FROM user_platforms WHERE channel = ? AND username = ?'),
+            rank: this.db.prepare(`
+                SELECT u.total AS total,
+                       (SELECT COUNT(*) FROM users o WHERE o.channel = u.channel AND o.total > u.total) + 1 AS position
+                FROM users u
+                WHERE u.channel = ? AND u.username = ?
+            `),
+            emoteCount: this.db.prepare(
+                'SELECT COALESCE(SUM(count), 0) AS count FROM user_emotes ' +
+                'WHERE channel = ? AND emote IN (SELECT value FROM json_each(?))'
+            ),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare(
+                'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+            ),
+            setBucket: this.db.prepare(
+                'INSERT INTO history_buckets (channel, granularity, bucket, data) VALUES (?, ?, ?, ?) ' +
+                'ON CONFLICT(channel, granularity, bucket) DO UPDATE SET data = excluded.data'
+            ),
+            deleteBucket: this.db.prepare(
+                'DELETE FROM history_buckets WHERE channel = ? AND granularity = ? AND bucket = ?'
+            )
+        };
+    }
+
+    /**
+     * Imports the JSON database file, if one exists, into an empty SQLite database
+     * @private
+     * @returns {Promise<void>}
+     */
+    async migrateFromJson() {
+        const data = await new JsonStorage(this.config).load();
+        if (data) {
+            await this.save(data, { full: true });
+            const count = Object.values(data.stats).reduce((sum, users) => sum + Object.keys(users).length, 0);
+            logger.success(`Migrated ${count} users from ${this.config.files.database} to ${this.file}`);
+        } else {
+            this.setMeta('initialized', true);
+        }
+    }
+
+    /**
+     * Inserts a user record with its emote and platform counts
+     * @private
+     * @param {string} channel - Channel name
+     * @param {string} username - Username
+     * @param {Object} record - User statistics
+     */
+    writeUser(channel, username, record) {
+        const extra = Object.fromEntries(
+            Object.entries(record).filter(([key]) => !COLUMN_FIELDS.includes(key))
+        );
+        this.statements.insertUser.run(
+            channel,
+            username,
+            record.total || 0,
+            record.firstSeen || null,
+            record.lastSeen || null,
+            Object.keys(extra).length ? JSON.stringify(extra) : null
+        );
+        Object.entries(record.emotes || {}).forEach(([emote, count]) => {
+            this.statements.insertEmote.run(channel, username, emote, count);
+        });
+        Object.entries(record.platforms || {}).forEach(([platform, count]) => {
+            this.statements.insertPlatform.run(channel, username, platform, count);
+        });
+    }
+
+    /**
+     * Removes a user record with its emote and platform counts
+     * @private
+     * @param {string} channel - Channel name
+     * @param {string} username - Username
+     */
+    deleteUser(channel, username) {
+        this.statements.deleteUser.run(channel, username);
+        this.statements.deleteEmotes.run(channel, username);
+        this.statements.deletePlatforms.run(channel, username);
+    }
+
+    /**
+     * Reads every meta value and remembers what is stored, so unchanged values are not written again
+     * @private
+     * @returns {Object} Parsed values by meta key
+     */
+    readMeta() {
+        this.savedMeta = new Map();
+        const meta = {};
+        for (const row of this.db.prepare('SELECT key, value FROM meta').iterate()) {
+            this.savedMeta.set(row.key, row.value);
+            meta[row.key] = JSON.parse(row.value);
+        }
+        return meta;
+    }
+
+    /**
+     * Reads the usage history buckets and remembers what is stored, so unchanged buckets are not written again
+     * @private
+     * @returns {Object} History of every channel, as produced by UsageHistory#toJSON()
+     */
+    readHistory() {
+        this.savedBuckets = new Map();
+        const history = {};
+        const rows = this.db.prepare('SELECT * FROM history_buckets ORDER BY channel, granularity, bucket').iterate();
+        for (const row of rows) {
+            history[row.channel] = history[row.channel] || { hourly: {}, daily: {}, sessions: [] };
+            const bucket = JSON.parse(row.data);
+            if (row.granularity === 'session') {
+                history[row.channel].sessions.push(bucket);
+            } else {
+                history[row.channel][row.granularity === 'hour' ? 'hourly' : 'daily'][row.bucket] = bucket;
+            }
+            this.savedBuckets.set(`${row.channel}:${row.granularity}:${row.bucket}`, row);
+        }
+        return history;
+    }
+
+    /**
+     * Writes the usage history buckets that changed since the last save and removes those that are gone
+     * Sessions are keyed by their start
+     * @private
+     * @param {Object} history - History of every channel
+     * @returns {Map<string, Object>} The stored buckets after the write
+     */
+    writeHistory(history) {
+        const saved = new Map();
+        Object.entries(history || {}).forEach(([channel, { hourly, daily, sessions }]) => {
+            [
+                ...Object.entries(hourly).map(([key, bucket]) => ['hour', Number(key), bucket]),
+                ...Object.entries(daily).map(([key, bucket]) => ['day', Number(key), bucket]),
+                ...sessions.map(session => ['session', session.start, session])
+            ].forEach(([granularity, key, bucket]) => {
+                const id = `${channel}:${granularity}:${key}`;
+                const data = JSON.stringify(bucket);
+                if (this.savedBuckets.get(id)?.data !== data) {
+                    this.statements.setBucket.run(channel, granularity, key, data);
+                }
+                saved.set(id, { channel, granularity, bucket: key, data });
+            });
+        });
+        this.savedBuckets.forEach((row, id) => {
+            if (!saved.has(id)) {
+                this.statements.deleteBucket.run(row.channel, row.granularity, row.bucket);
+            }
+        });
+        return saved;
+    }
+
+    /**
+     * Reads a JSON value from the meta table
+     * @private
+     * @param {string} key - Meta key
+     * @returns {*} Parsed value or undefined
+     */
+    getMeta(key) {
+        const row = this.statements.getMeta.get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    /**
+     * Writes a JSON value to the meta table
+     * @private
+     * @param {string} key - Meta key
+     * @param {*} value - Value to store
+     */
+    setMeta(key, value) {
+        this.statements.setMeta.run(key, JSON.stringify(value ?? null));
+    }
+}
+
+module.exports = SQLiteStorage;
@@ -0,0 +1,28 @@
+/**
+ * Normalizes a channel name to the form used as a key across the bot
+ * tmi.js reports channels as "#name", config and commands use "name"
+ * @param {string} channel - Channel name with or without the leading '#'
+ * @returns {string} Lowercase channel name without '#'
+ */
+function normalizeChannel(channel) {
+    return String(channel || '').trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Parses a comma-separated list of channels into normalized, unique names
+ * @param {string} value - Comma-separated channel list (e.g. "foo, #bar")
+ * @returns {Array<string>} Normalized channel names
+ */
+function parseChannelList(value) {
+    if (!value) return [];
+    const channels = String(value)
+        .split(',')
+        .map(normalizeChannel)
+        .filter(Boolean);
+    return [...new Set(channels)];
+}
+
+module.exports = {
+    normalizeChannel,
+    parseChannelList
+};
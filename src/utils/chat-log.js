@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { normalizeChannel } = require('./channel-helpers');
+
+// Optional "[2024-05-01 20:15:03]" or ISO time some loggers write before each line
+const LEADING_TIME = /^(?:\[([^\]]+)\]|(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?))\s+/;
+const IRC_MESSAGE = /^(?:@(\S+)\s+)?:([^!\s]+)\S*\s+(\S+)\s+#(\S+)(?:\s+:(.*))?$/;
+const ACTION = /^\u0001ACTION (.*)\u0001$/;
+const TAG_ESCAPES = { ':': ';', s: ' ', '\\': '\\', r: '\r', n: '\n' };
+
+/**
+ * Reads the chat messages of a log file
+ * The format comes from the extension:
+ *   .json            One JSON document: a list of messages, a TwitchDownloader chat download
+ *                    ({ streamer, comments }) or a justlog/rustlog export ({ messages })
+ *   .ndjson, .jsonl  One JSON message per line
+ *   anything else    Raw IRC lines, optionally preceded by "[date time]" or an ISO time
+ * Lines that are not chat messages (JOIN, USERNOTICE, PING...) are left out.
+ * @param {string} file - Log file
+ * @param {Object} [options]
+ * @param {string} [options.channel] - Channel of messages the log does not name one for
+ * @returns {AsyncGenerator<Object>} { location, channel, tags, message, timestamp } per message,
+ *   or { location, error } for a message that cannot be replayed
+ * @throws {Error} If the file cannot be read or a .json file is not valid JSON
+ */
+async function* readChatLog(file, { channel = null } = {}) {
+    const extension = path.extname(file).toLowerCase();
+
+    if (extension === '.json') {
+        const document = JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+        const { records, channel: documentChannel } = getJsonRecords(document);
+        for (let index = 0; index < records.length; index++) {
+            const entry = readEntry(`${file}[${index}]`, () => parseJsonMessage(records[index], channel || documentChannel));
+            if (entry) yield entry;
+        }
+        return;
+    }
+
+    const json = extension === '.ndjson' || extension === '.jsonl';
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        const entry = readEntry(`${file}:${lineNumber}`, () => json
+            ? parseJsonMessage(JSON.parse(line), channel)
+            : parseIrcLine(line.replace(/^\uFEFF/, '')));
+        if (entry) yield entry;
+    }
+}
+
+/**
+ * Parses a raw IRC line
+ * @param {string} line - IRC line, optionally preceded by a time
+ * @returns {Object|null} { channel, tags, message, timestamp } of a PRIVMSG, null for other lines.
+ *   Tags are shaped like tmi.js userstate: username from the prefix, parsed emotes tag.
+ *   The timestamp comes from tmi-sent-ts, or the leading time; null without either.
+ */
+function parseIrcLine(line) {
+    const time = line.match(LEADING_TIME);
+    const match = line.slice(time ? time[0].length : 0).match(IRC_MESSAGE);
+    if (!match || match[3] !== 'PRIVMSG' || match[5] === undefined) return null;
+
+    const [, rawTags, nick, , channel, text] = match;
+    const tags = parseIrcTags(rawTags);
+    tags.username = nick.toLowerCase();
+
+    let message = text;
+    const action = message.match(ACTION);
+    if (action) {
+        message = action[1];
+        tags['message-type'] = 'action';
+    }
+
+    const timestamp = parseLogTime(tags['tmi-sent-ts']) ?? (time ? parseLogTime(time[1] || time[2]) : null);
+    return { channel: normalizeChannel(channel), tags, message, timestamp };
+}
+
+/**
+ * Parses the IRCv3 tags of a message
+ * @param {string} [raw] - Tags without the leading '@'
+ * @returns {Object} Tag name to unescaped value, the emotes tag parsed (see parseEmotesTag)
+ */
+function parseIrcTags(raw) {
+    const tags = {};
+    if (!raw) return tags;
+
+    raw.split(';').forEach(tag => {
+        const separator = tag.indexOf('=');
+        const name = separator === -1 ? tag : tag.slice(0, separator);
+        const value = separator === -1 ? '' : tag.slice(separator + 1);
+        tags[name] = value.replace(/\\(.?)/g, (_, character) => TAG_ESCAPES[character] ?? character);
+    });
+    if ('emotes' in tags) {
+        tags.emotes = parseEmotesTag(tags.emotes);
+    }
+    return tags;
+}
+
+/**
+ * Parses an IRC emotes tag the way tmi.js does
+ * @param {string} value - e.g. "25:0-4,12-16/1902:6-10"
+ * @returns {Object|null} Emote ID to "start-end" ranges, null for a message without emotes
+ */
+function parseEmotesTag(value) {
+    if (!value) return null;
+    const emotes = {};
+    value.split('/').forEach(entry => {
+        const [id, ranges] = entry.split(':');
+        if (id && ranges) {
+            emotes[id] = ranges.split(',');
+        }
+    });
+    return emotes;
+}
+
+/**
+ * Converts a log time to a timestamp
+ * @param {number|string} value - Milliseconds or seconds since the epoch, or a date string (local time without a zone)
+ * @returns {number|null} Timestamp in milliseconds, null if missing or invalid
+ */
+function parseLogTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+        const number = Number(value);
+        // Ten-digit timestamps are seconds
+        return Math.round(number < 1e12 ? number * 1000 : number);
+    }
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+// Private functions
+
+/**
+ * Finds the messages of a JSON log document
+ * @private
+ * @param {*} document - Parsed .json file
+ * @returns {{records: Array<Object>, channel: string|null}} Message records and the channel the document is about
+ * @throws {Error} If the document has no message list
+ */
+function getJsonRecords(document) {
+    if (Array.isArray(document)) {
+        return { records: document, channel: null };
+    }
+    if (document && Array.isArray(document.comments)) {
+        return { records: document.comments, channel: document.streamer?.name || null };
+    }
+    if (document && Array.isArray(document.messages)) {
+        return { records: document.messages, channel: document.channel || null };
+    }
+    throw new Error('Expected a list of messages, or an object with "comments" or "messages"');
+}
+
+/**
+ * Converts a message of a JSON log to the shape of parseIrcLine
+ * Records with a raw IRC line (justlog) are parsed from it; otherwise the usual field names
+ * of chat log tools are read. Emotes come from an IRC-style emotes tag or from TwitchDownloader
+ * fragments; without either they are left undefined so Twitch emotes are matched by name.
+ * @private
+ * @param {Object} record - JSON message
+ * @param {string|null} channel - Channel of records without one
+ * @returns {Object|null} { channel, tags, message, timestamp }, null for raw IRC lines that are not chat messages
+ * @throws {Error} If the message has no text, sender or channel
+ */
+function parseJsonMessage(record, channel) {
+    if (!record || typeof record !== 'object') {
+        throw new Error('Expected a message object');
+    }
+
+    const time = record.timestamp ?? record.created_at ?? record.time ?? record.sent_at;
+    if (typeof record.raw === 'string') {
+        const parsed = parseIrcLine(record.raw);
+        if (parsed) {
+            parsed.timestamp = parsed.timestamp ?? parseLogTime(time);
+        }
+        return parsed;
+    }
+
+    const sender = record.commenter || (typeof record.user === 'object' && record.user) || {};
+    const body = record.message && typeof record.message === 'object' ? record.message : null;
+    const message = body ? body.body : (record.text ?? record.message ?? record.body);
+    const login = sender.name || sender.login || record.username || record.login ||
+        record.user_login || (typeof record.user === 'string' ? record.user : null);
+    const messageChannel = normalizeChannel(record.channel || record.channel_name || record.tags?.room || channel);
+
+    if (typeof message !== 'string') throw new Error('Message without text');
+    if (!login) throw new Error('Message without a sender');
+    if (!messageChannel) throw new Error('Message without a channel (use --channel)');
+
+    const tags = typeof record.tags === 'object' && record.tags ? { ...record.tags } : {};
+    tags.username = String(login).toLowerCase();
+    tags['display-name'] = sender.display_name || sender.displayName || record.display_name ||
+        record.displayName || tags['display-name'] || login;
+    const userId = sender._id || sender.id || record.user_id || record.userId || tags['user-id'];
+    if (userId) {
+        tags['user-id'] = String(userId);
+    }
+
+    const emotes = tags.emotes ?? record.emotes;
+    if (typeof emotes === 'string') {
+        tags.emotes = parseEmotesTag(emotes);
+    } else if (emotes && typeof emotes === 'object' && !Array.isArray(emotes)) {
+        tags.emotes = emotes;
+    } else if (Array.isArray(body?.fragments)) {
+        tags.emotes = getFragmentEmotes(body.fragments);
+    } else {
+        delete tags.emotes;
+    }
+
+    return { channel: messageChannel, tags, message, timestamp: parseLogTime(time) };
+}
+
+/**
+ * Builds an emotes tag from TwitchDownloader message fragments
+ * @private
+ * @param {Array<{text: string, emoticon: Object|null}>} fragments - Message fragments in order
+ * @returns {Object|null} Emote ID to "start-end" ranges in code points, null without emotes
+ */
+function getFragmentEmotes(fragments) {
+    const emotes = {};
+    let position = 0;
+    fragments.forEach(fragment => {
+        const length = Array.from(fragment.text || '').length;
+        const id = fragment.emoticon?.emoticon_id;
+        if (id && length > 0) {
+            emotes[id] = emotes[id] || [];
+            emotes[id].push(`${position}-${position + length - 1}`);
+        }
+        position += length;
+    });
+    return Object.keys(emotes).length > 0 ? emotes : null;
+}
+
+/**
+ * Runs a parser for one log entry, turning parse errors into an error entry
+ * @private
+ * @param {string} location - File and line or index of the entry
+ * @param {Function} parse - Returns { channel, tags, message, timestamp } or null
+ * @returns {Object|null} Parsed message with its location, an error entry, or null for lines that are not messages
+ */
+function readEntry(location, parse) {
+    try {
+        const entry = parse();
+        if (!entry) return null;
+        if (entry.timestamp === null) {
+            return { location, error: 'Message without a time' };
+        }
+        return { location, ...entry };
+    } catch (error) {
+        return { location, error: error.message };
+    }
+}
+
+module.exports = {
+    readChatLog,
+    parseIrcLine,
+    parseIrcTags,
+    parseEmotesTag,
+    parseLogTime
+};
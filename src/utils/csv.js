@@ -0,0 +1,76 @@
+/**
+ * Formats values as one CSV line (RFC 4180)
+ * Values containing commas, quotes or line breaks are quoted, null and undefined are empty
+ * @param {Array<*>} values - Field values
+ * @returns {string} CSV line without the line break
+ */
+function formatCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Parses one CSV row (RFC 4180) into its fields
+ * @param {string} line - CSV row without the line break ending it, quoted fields may span lines
+ * @returns {Array<string>} Field values
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsvRow(line) {
+    const fields = [];
+    let pos = 0;
+    for (;;) {
+        if (line[pos] === '"') {
+            let value = '';
+            pos++;
+            for (;;) {
+                const end = line.indexOf('"', pos);
+                if (end === -1) {
+                    throw new Error('Unclosed quoted field');
+                }
+                value += line.slice(pos, end);
+                pos = end + 1;
+                if (line[pos] !== '"') break;
+                value += '"';
+                pos++;
+            }
+            fields.push(value);
+        } else {
+            const end = line.indexOf(',', pos);
+            fields.push(line.slice(pos, end === -1 ? line.length : end));
+            pos = end === -1 ? line.length : end;
+        }
+
+        if (pos >= line.length) break;
+        if (line[pos] !== ',') {
+            throw new Error(`Unexpected "${line[pos]}" after a quoted field`);
+        }
+        pos++;
+        if (pos === line.length) {
+            fields.push('');
+            break;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Tells whether CSV text ends inside a quoted field, so the row goes on on the next line
+ * Quotes inside quoted fields are doubled, so an odd number of quotes leaves one open
+ * @param {string} text - CSV text read so far of a row
+ * @returns {boolean} Whether a quoted field is still open
+ */
+function hasOpenQuote(text) {
+    let quotes = 0;
+    for (let pos = text.indexOf('"'); pos !== -1; pos = text.indexOf('"', pos + 1)) {
+        quotes++;
+    }
+    return quotes % 2 === 1;
+}
+
+module.exports = {
+    formatCsvRow,
+    parseCsvRow,
+    hasOpenQuote
+};
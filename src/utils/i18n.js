@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeChannel } = require('./channel-helpers');
+const { parseTemplate, renderTemplate, findUnknownVariables } = require('./template');
+const MESSAGE_VARIABLES = require('../locales/variables');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+// Every catalog falls back to the reference catalog for missing messages
+const REFERENCE_LOCALE = 'pt-BR';
+// Templates under this key in RESPONSE_TEMPLATES_PATH apply to every locale
+const ALL_LOCALES = '*';
+
+/**
+ * Message catalogs of the bot's chat responses
+ * Catalogs live in src/locales/<locale>.json as flat key → template maps, using the
+ * syntax of utils/template (variables, plurals, conditionals and lists). Numbers are
+ * formatted for the locale. Any template can be replaced per locale from the
+ * RESPONSE_TEMPLATES_PATH file, and each channel can use its own locale (CHANNEL_LOCALES).
+ */
+class I18n {
+    /**
+     * Creates a new I18n instance
+     * Templates must have been checked with I18n.validateTemplates() (done by the config)
+     * @param {Object} config - Configuration object containing locale settings
+     */
+    constructor(config) {
+        this.defaultLocale = config.locale.default;
+        this.channelLocales = config.locale.channels;
+        this.catalogs = I18n.buildCatalogs(config.locale.templates);
+        this.parsedTemplates = new Map(); // template text -> parsed template
+        this.pluralRules = new Map();
+        this.numberFormats = new Map();
+    }
+
+    /**
+     * Lists the locales that have a catalog
+     * @returns {Array<string>} Locale names (e.g. pt-BR, en, es)
+     */
+    static getAvailableLocales() {
+        return fs.readdirSync(LOCALES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+    }
+
+    /**
+     * Checks the locale catalogs and the templates of RESPONSE_TEMPLATES_PATH
+     * @param {Object} [templates={}] - Locale (or "*") to message key to template
+     * @throws {Error} On unknown locales or messages, syntax errors and unknown variables
+     */
+    static validateTemplates(templates = {}) {
+        const locales = I18n.getAvailableLocales();
+        locales.forEach(locale => {
+            Object.entries(I18n.loadCatalog(locale)).forEach(([key, template]) => {
+                const source = `src/locales/${locale}.json "${key}"`;
+                if (!MESSAGE_VARIABLES[key]) {
+                    throw new Error(`${source}: message is missing from src/locales/variables.js`);
+                }
+                I18n.validateTemplate(template, MESSAGE_VARIABLES[key], source);
+            });
+        });
+
+        Object.entries(templates).forEach(([locale, messages]) => {
+            if (locale !== ALL_LOCALES && !locales.includes(locale)) {
+                throw new Error(`RESPONSE_TEMPLATES_PATH: unknown locale "${locale}" (use ${locales.join(', ')} or "${ALL_LOCALES}")`);
+            }
+            Object.entries(messages || {}).forEach(([key, template]) => {
+                const source = `RESPONSE_TEMPLATES_PATH "${locale}" → "${key}"`;
+                if (!MESSAGE_VARIABLES[key]) {
+                    throw new Error(`${source}: unknown message`);
+                }
+                if (typeof template !== 'string') {
+                    throw new Error(`${source}: template must be a string`);
+                }
+                I18n.validateTemplate(template, MESSAGE_VARIABLES[key], source);
+            });
+        });
+    }
+
+    /**
+     * Checks the syntax and variables of one template
+     * @param {string} template - Template text
+     * @param {Array<string>} variables - Available variables (see src/locales/variables.js)
+     * @param {string} source - Setting or file the template comes from, for error messages
+     * @throws {Error} On syntax errors and unknown variables
+     */
+    static validateTemplate(template, variables, source) {
+        let nodes;
+        try {
+            nodes = parseTemplate(template);
+        } catch (error) {
+            throw new Error(`${source}: ${error.message}`);
+        }
+        const unknown = findUnknownVariables(nodes, variables);
+        if (unknown.length > 0) {
+            const available = variables.length > 0 ? variables.join(', ') : 'none';
+            throw new Error(`${source}: unknown variable ${unknown.join(', ')} (available: ${available})`);
+        }
+    }
+
+    /**
+     * Gets the locale responses in a channel use
+     * @param {string} channel - Channel name
+     * @returns {string} The channel's locale, or BOT_LOCALE
+     */
+    getLocale(channel) {
+        return (channel && this.channelLocales[normalizeChannel(channel)]) || this.defaultLocale;
+    }
+
+    /**
+     * Renders a catalog message in the locale of a channel
+     * @param {string} channel - Channel the message is for
+     * @param {string} key - Message key (e.g. "rank.response")
+     * @param {Object} [params={}] - Template variables
+     * @returns {string} The rendered message
+     * @throws {Error} If the message does not exist
+     */
+    t(channel, key, params = {}) {
+        const locale = this.getLocale(channel);
+        const template = this.catalogs[locale][key];
+        if (template === undefined) {
+            throw new Error(`Unknown message: ${key}`);
+        }
+        return this.render(locale, template, params);
+    }
+
+    /**
+     * Renders a template that is not part of the catalogs (e.g. MILESTONE_<n>_MESSAGE)
+     * Text that is not a valid template is returned unchanged
+     * @param {string} channel - Channel the message is for
+     * @param {string} template - Template text
+     * @param {Object} [params={}] - Template variables
+     * @returns {string} The rendered message
+     */
+    format(channel, template, params = {}) {
+        try {
+            return this.render(this.getLocale(channel), template, params);
+        } catch (error) {
+            return template;
+        }
+    }
+
+    // Private methods
+
+    /**
+     * Reads the catalog of a locale
+     * @private
+     * @param {string} locale - Locale name
+     * @returns {Object} Message key to template map
+     */
+    static loadCatalog(locale) {
+        return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf-8'));
+    }
+
+    /**
+     * Merges the reference catalog, each locale's catalog and the configured templates
+     * @private
+     * @param {Object} [templates={}] - Locale (or "*") to message key to template
+     * @returns {Object} Locale to message key to template
+     */
+    static buildCatalogs(templates = {}) {
+        const reference = I18n.loadCatalog(REFERENCE_LOCALE);
+        const catalogs = {};
+        I18n.getAvailableLocales().forEach(locale => {
+            catalogs[locale] = {
+                ...reference,
+                ...I18n.loadCatalog(locale),
+                ...templates[ALL_LOCALES],
+                ...templates[locale]
+            };
+        });
+        return catalogs;
+    }
+
+    /**
+     * Renders a template, parsing each distinct template once
+     * @private
+     * @param {string} locale - Locale to format for
+     * @param {string} template - Template text
+     * @param {Object} params - Template variables
+     * @returns {string} The rendered text
+     */
+    render(locale, template, params) {
+        if (!this.parsedTemplates.has(template)) {
+            this.parsedTemplates.set(template, parseTemplate(template));
+        }
+        return renderTemplate(this.parsedTemplates.get(template), params, {
+            numberFormat: this.getNumberFormat(locale),
+            pluralRules: this.getPluralRules(locale)
+        });
+    }
+
+    /**
+     * Gets the cached plural rules of a locale
+     * @private
+     * @param {string} locale - Locale name
+     * @returns {Intl.PluralRules} Plural rules
+     */
+    getPluralRules(locale) {
+        if (!this.pluralRules.has(locale)) {
+            this.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        return this.pluralRules.get(locale);
+    }
+
+    /**
+     * Gets the cached number format of a locale
+     * @private
+     * @param {string} locale - Locale name
+     * @returns {Intl.NumberFormat} Number format
+     */
+    getNumberFormat(locale) {
+        if (!this.numberFormats.has(locale)) {
+            this.numberFormats.set(locale, new Intl.NumberFormat(locale));
+        }
+        return this.numberFormats.get(locale);
+    }
+}
+
+module.exports = I18n;
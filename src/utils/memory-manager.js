@@ -94,7 +94,7 @@ class MemoryManager {
         // Log memory usage periodically
         setInterval(() => {
             this.logMemoryUsage();
-        }, logInterval);
+        }, logInterval).unref();
 
         // Monitor for memory leaks
         let lastHeapUsed = 0;
@@ -109,7 +109,7 @@ class MemoryManager {
             }
             
             lastHeapUsed = heapUsed;
-        }, checkInterval);
+        }, checkInterval).unref();
     }
 }
 
@@ -0,0 +1,54 @@
+const { normalizeChannel } = require('./channel-helpers');
+
+// Roles from lowest to highest, each role can use the commands of the roles before it
+const ROLES = ['viewer', 'vip', 'moderator', 'broadcaster', 'admin'];
+
+/**
+ * Resolves chat roles from tmi.js message tags
+ * Bot admins are the users in BOT_ADMINS and the broadcaster of the primary channel;
+ * they can use every command in every monitored channel
+ */
+class Permissions {
+    /**
+     * Creates a new Permissions instance
+     * @param {Object} config - Configuration object containing permission settings
+     */
+    constructor(config) {
+        this.admins = new Set(config.permissions.admins);
+        this.primaryChannel = normalizeChannel(config.channel);
+    }
+
+    /**
+     * Gets the role of a message sender in a channel
+     * @param {string} channel - Channel the message was sent in
+     * @param {Object} [tags={}] - IRC tags of the message (tmi.js userstate)
+     * @returns {string} One of viewer, vip, moderator, broadcaster or admin
+     */
+    getRole(channel, tags = {}) {
+        const name = normalizeChannel(channel);
+        const login = (tags.username || '').toLowerCase();
+        const badges = tags.badges || {};
+        const isBroadcaster = Boolean(badges.broadcaster) || login === name;
+
+        if (this.admins.has(login) || this.admins.has(tags['user-id']) ||
+            (isBroadcaster && name === this.primaryChannel)) {
+            return 'admin';
+        }
+        if (isBroadcaster) return 'broadcaster';
+        if (tags.mod || badges.moderator) return 'moderator';
+        if (tags.vip || badges.vip) return 'vip';
+        return 'viewer';
+    }
+
+    /**
+     * Checks if a role includes the permissions of another
+     * @param {string} role - Role of the user
+     * @param {string} [required='viewer'] - Lowest role allowed
+     * @returns {boolean} True if the role is at least the required role
+     */
+    hasRole(role, required = 'viewer') {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+}
+
+module.exports = Permissions;
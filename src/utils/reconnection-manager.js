@@ -0,0 +1,60 @@
+/**
+ * Manages reconnection attempts with exponential backoff
+ */
+class ReconnectionManager {
+    /**
+     * Creates a new ReconnectionManager instance
+     * @param {number} [maxAttempts=5] - Attempts before giving up
+     * @param {number} [baseDelay=5000] - Delay before the first attempt (ms), doubled after each one
+     * @param {number} [maxDelay=300000] - Longest delay between two attempts (ms)
+     */
+    constructor(maxAttempts = 5, baseDelay = 5000, maxDelay = 300000) {
+        this.attempts = 0;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+    }
+
+    /**
+     * Checks if another attempt is allowed
+     * @returns {boolean} True while fewer than maxAttempts were made
+     */
+    hasAttemptsLeft() {
+        return this.attempts < this.maxAttempts;
+    }
+
+    /**
+     * Gets the delay before the next attempt
+     * @returns {number} Delay in ms
+     */
+    getDelay() {
+        return Math.min(this.baseDelay * Math.pow(2, this.attempts), this.maxDelay);
+    }
+
+    /**
+     * Waits for the backoff delay and makes an attempt
+     * @param {Function} callback - Reconnects, may return a promise
+     * @returns {Promise<*>} Result of the callback
+     * @throws {Error} If no attempts are left, or the callback's error
+     */
+    async handleReconnect(callback) {
+        if (!this.hasAttemptsLeft()) {
+            throw new Error('Max reconnection attempts reached');
+        }
+
+        const delay = this.getDelay();
+        this.attempts++;
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return callback();
+    }
+
+    /**
+     * Starts counting attempts from zero again, after a successful reconnection
+     */
+    reset() {
+        this.attempts = 0;
+    }
+}
+
+module.exports = ReconnectionManager;
@@ -0,0 +1,254 @@
+/**
+ * Response template syntax
+ *   {name}                              Variable, numbers are formatted for the locale
+ *   {name, plural, one {...} other {...}} Plural form for a number (ICU selectors and =N), # is the number
+ *   {#if name}...{#else}...{/if}        Conditional, true for non-empty text and lists and non-zero numbers
+ *   {#each name ", "}...{/each}         List, each item's fields (or {item}) and its 1-based {index} are variables
+ * Unknown variables are rendered as written
+ */
+
+const PLURAL_SELECTORS = /^(=\d+|zero|one|two|few|many|other)$/;
+
+/**
+ * Parses a template into a syntax tree
+ * @param {string} text - Template text
+ * @returns {Array<Object>} Template nodes
+ * @throws {Error} If a block is not closed or a plural is malformed
+ */
+function parseTemplate(text) {
+    const parser = { text, pos: 0 };
+    const nodes = parseNodes(parser, [], false);
+    if (parser.pos < text.length) {
+        throw new Error(`Unexpected "${text.slice(parser.pos, parser.pos + 10)}" at position ${parser.pos}`);
+    }
+    return nodes;
+}
+
+/**
+ * Renders a parsed template
+ * @param {Array<Object>} nodes - Nodes from parseTemplate()
+ * @param {Object} params - Template variables
+ * @param {Object} locale - Locale helpers
+ * @param {Intl.NumberFormat} locale.numberFormat - Number format of the locale
+ * @param {Intl.PluralRules} locale.pluralRules - Plural rules of the locale
+ * @returns {string} The rendered text
+ */
+function renderTemplate(nodes, params, locale) {
+    return nodes.map(node => renderNode(node, params, locale)).join('');
+}
+
+/**
+ * Lists the variables a template uses that are not available to it
+ * @param {Array<Object>} nodes - Nodes from parseTemplate()
+ * @param {Array<string>} variables - Available variables; lists are written as
+ *   "name[field,field]", or "name[]" for lists of plain values (used as {item})
+ * @returns {Array<string>} Unknown variables as written in the template (e.g. "{foo}")
+ */
+function findUnknownVariables(nodes, variables) {
+    const scope = new Map();
+    variables.forEach(variable => {
+        const [, name, fields] = variable.match(/^(\w+)(?:\[([\w,]*)\])?$/);
+        scope.set(name, fields === undefined ? null : (fields ? fields.split(',') : ['item']));
+    });
+
+    const unknown = new Set();
+    const visit = (children, current) => children.forEach(node => {
+        if (node.type === 'each') {
+            const fields = current.get(node.name);
+            if (!Array.isArray(fields)) {
+                unknown.add(`{#each ${node.name}} (not a list)`);
+                return;
+            }
+            const itemScope = new Map(current);
+            [...fields, 'index'].forEach(field => itemScope.set(field, null));
+            visit(node.children, itemScope);
+            return;
+        }
+        if (node.name && !current.has(node.name)) {
+            unknown.add(`{${node.name}}`);
+        }
+        const branches = node.type === 'plural' ? Object.values(node.branches) : (node.children || []);
+        branches.forEach(branch => visit(branch, current));
+    });
+    visit(nodes, scope);
+    return [...unknown];
+}
+
+// Private functions
+
+/**
+ * Parses nodes until the end of the text or one of the closing tags
+ * @private
+ * @param {Object} parser - Parser state ({ text, pos })
+ * @param {Array<string>} closingTags - Tags ending this block (e.g. "{/if}")
+ * @param {boolean} inPlural - Whether # and a bare } have a meaning (inside a plural branch)
+ * @returns {Array<Object>} Parsed nodes
+ */
+function parseNodes(parser, closingTags, inPlural) {
+    const nodes = [];
+    let literal = '';
+    const flush = () => {
+        if (literal) nodes.push({ type: 'text', value: literal });
+        literal = '';
+    };
+
+    while (parser.pos < parser.text.length) {
+        const rest = parser.text.slice(parser.pos);
+        const closingTag = closingTags.find(tag => rest.startsWith(tag));
+        if (closingTag || (inPlural && rest[0] === '}')) {
+            break;
+        }
+
+        let match;
+        if ((match = rest.match(/^\{#if (\w+)\}/))) {
+            flush();
+            parser.pos += match[0].length;
+            const node = { type: 'if', name: match[1], children: [parseNodes(parser, ['{#else}', '{/if}'], inPlural), []] };
+            if (parser.text.startsWith('{#else}', parser.pos)) {
+                parser.pos += '{#else}'.length;
+                node.children[1] = parseNodes(parser, ['{/if}'], inPlural);
+            }
+            expectTag(parser, '{/if}', match[0]);
+            nodes.push(node);
+        } else if ((match = rest.match(/^\{#each (\w+)(?: "([^"]*)")?\}/))) {
+            flush();
+            parser.pos += match[0].length;
+            const children = parseNodes(parser, ['{/each}'], false);
+            expectTag(parser, '{/each}', match[0]);
+            nodes.push({ type: 'each', name: match[1], separator: match[2] ?? ', ', children });
+        } else if ((match = rest.match(/^\{(\w+), plural,/))) {
+            flush();
+            parser.pos += match[0].length;
+            nodes.push({ type: 'plural', name: match[1], branches: parsePluralBranches(parser, match[1]) });
+        } else if ((match = rest.match(/^\{(\w+)\}/))) {
+            flush();
+            parser.pos += match[0].length;
+            nodes.push({ type: 'variable', name: match[1] });
+        } else if (/^\{[#/]/.test(rest)) {
+            throw new Error(`Unexpected "${rest.match(/^\{[^}]*\}?/)[0]}" at position ${parser.pos}`);
+        } else if (inPlural && rest[0] === '#') {
+            flush();
+            parser.pos++;
+            nodes.push({ type: 'number' });
+        } else {
+            literal += rest[0];
+            parser.pos++;
+        }
+    }
+
+    flush();
+    return nodes;
+}
+
+/**
+ * Parses the " one {...} other {...}}" part of a plural
+ * @private
+ * @param {Object} parser - Parser state, positioned after "{name, plural,"
+ * @param {string} name - Variable of the plural, for error messages
+ * @returns {Object} Selector to branch nodes
+ */
+function parsePluralBranches(parser, name) {
+    const branches = {};
+    for (;;) {
+        const rest = parser.text.slice(parser.pos);
+        const match = rest.match(/^\s*(\}|([^\s{]+)\s*\{)/);
+        if (!match) {
+            throw new Error(`Malformed plural for {${name}} at position ${parser.pos}`);
+        }
+        parser.pos += match[0].length;
+        if (match[1] === '}') break;
+        if (!PLURAL_SELECTORS.test(match[2])) {
+            throw new Error(`Unknown plural selector "${match[2]}" for {${name}}`);
+        }
+        branches[match[2]] = parseNodes(parser, [], true);
+        expectTag(parser, '}', `{${name}, plural, ${match[2]} {`);
+    }
+    if (!branches.other) {
+        throw new Error(`Plural for {${name}} needs an "other" form`);
+    }
+    return branches;
+}
+
+/**
+ * Consumes the closing tag of a block
+ * @private
+ * @param {Object} parser - Parser state
+ * @param {string} tag - Expected closing tag
+ * @param {string} opening - Opening tag, for error messages
+ * @throws {Error} If the block is not closed
+ */
+function expectTag(parser, tag, opening) {
+    if (!parser.text.startsWith(tag, parser.pos)) {
+        throw new Error(`${opening} is not closed with ${tag}`);
+    }
+    parser.pos += tag.length;
+}
+
+/**
+ * Renders one template node
+ * @private
+ * @param {Object} node - Template node
+ * @param {Object} params - Variables in scope
+ * @param {Object} locale - Locale helpers (see renderTemplate)
+ * @param {number} [pluralValue] - Number of the enclosing plural, for #
+ * @returns {string} The rendered text
+ */
+function renderNode(node, params, locale, pluralValue) {
+    const renderAll = (nodes, scope = params, value = pluralValue) =>
+        nodes.map(child => renderNode(child, scope, locale, value)).join('');
+
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'number':
+            return locale.numberFormat.format(pluralValue);
+        case 'variable':
+            return Object.hasOwn(params, node.name) ? formatValue(params[node.name], locale) : `{${node.name}}`;
+        case 'if':
+            return renderAll(node.children[isTruthy(params[node.name]) ? 0 : 1]);
+        case 'each':
+            return (Array.isArray(params[node.name]) ? params[node.name] : [])
+                .map((item, i) => {
+                    const fields = item !== null && typeof item === 'object' ? item : { item };
+                    return renderAll(node.children, { ...params, ...fields, index: i + 1 });
+                })
+                .join(node.separator);
+        case 'plural': {
+            const value = Number(params[node.name]);
+            if (!Object.hasOwn(params, node.name) || isNaN(value)) return `{${node.name}}`;
+            const branch = node.branches[`=${value}`] || node.branches[locale.pluralRules.select(value)] || node.branches.other;
+            return renderAll(branch, params, value);
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Formats a variable value
+ * @private
+ * @param {*} value - Variable value
+ * @param {Object} locale - Locale helpers (see renderTemplate)
+ * @returns {string} Numbers formatted for the locale, lists joined with commas, other values as text
+ */
+function formatValue(value, locale) {
+    if (typeof value === 'number') return locale.numberFormat.format(value);
+    if (Array.isArray(value)) return value.map(item => formatValue(item, locale)).join(', ');
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Checks if a value enables an {#if} block
+ * @private
+ * @param {*} value - Variable value
+ * @returns {boolean} False for missing values, empty text or lists, zero and false
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+module.exports = {
+    parseTemplate,
+    renderTemplate,
+    findUnknownVariables
+};
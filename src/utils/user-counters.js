@@ -0,0 +1,29 @@
+/**
+ * Counters of a user statistics record, by the name used in MILESTONE_COUNTER and MILESTONE_VALUES
+ *   emotes          Emote uses counted (the ranking score, `total` on the record)
+ *   messages        Chat messages sent, with or without emotes
+ *   emote-messages  Chat messages with at least one counted emote
+ *   unique-emotes   Different emotes used
+ */
+const USER_COUNTERS = {
+    'emotes': stats => stats.total || 0,
+    'messages': stats => stats.messages || 0,
+    'emote-messages': stats => stats.emoteMessages || 0,
+    'unique-emotes': stats => Object.keys(stats.emotes || {}).length
+};
+
+/**
+ * Reads every counter of a user record
+ * @param {Object} stats - User statistics record
+ * @returns {Object} Counter name to value
+ */
+function getUserCounters(stats) {
+    return Object.fromEntries(
+        Object.entries(USER_COUNTERS).map(([name, read]) => [name, read(stats)])
+    );
+}
+
+module.exports = {
+    USER_COUNTERS,
+    getUserCounters
+};
@@ -0,0 +1,31 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnvironment } = require('./helpers/environment');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    setupEnvironment();
+
+    // Required after the environment is set: the configuration reads it once
+    const config = require('../src/config');
+    const ApiServer = require('../src/server/api.server');
+    server = new ApiServer({ config }, { ...config, httpApi: { ...config.httpApi, host: '127.0.0.1', port: 0 } });
+    await server.start();
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(() => server.stop());
+
+test('a malformed escape in the path is a bad request', async () => {
+    const response = await fetch(`${baseUrl}/api/channels/%E0/leaderboard`);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Malformed path segment: %E0' });
+});
+
+test('unknown paths and methods are rejected', async () => {
+    assert.equal((await fetch(`${baseUrl}/api/nothing`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/api/metrics`, { method: 'POST' })).status, 405);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupEnvironment, mockServerSettings } = require('./helpers/environment');
+const waitFor = require('./helpers/wait-for');
+const MockTwitchIrcServer = require('./mocks/twitch-irc.mock');
+const MockEmoteApiServer = require('./mocks/emote-apis.mock');
+
+const irc = new MockTwitchIrcServer();
+const api = new MockEmoteApiServer();
+const viewer = { login: 'viewer', id: '2001', displayName: 'Viewer' };
+const broadcaster = { login: 'testchannel', id: '1001', badges: 'broadcaster/1' };
+let bot;
+let emoteManager;
+
+before(async () => {
+    const ircUrl = await irc.start();
+    const apiUrls = await api.start();
+    setupEnvironment({
+        ...mockServerSettings(apiUrls, ircUrl),
+        MILESTONE_VALUES: '3'
+    });
+
+    api.addChannel('testchannel', '1001', {
+        sevenTv: [{ id: '7tv-1', name: 'catJAM' }],
+        bttv: [{ id: 'bttv-1', name: 'monkaS' }]
+    });
+    api.setGlobalEmotes({ twitch: [{ id: '25', name: 'Kappa' }] });
+
+    // Required after the environment is set: the configuration reads it once
+    const ChatBot = require('../main');
+    emoteManager = require('../src/modules/emoteManager');
+    bot = new ChatBot();
+    // As ChatBot.init does, without its command line handling and signal handlers
+    bot.client = await bot.app.setupTwitchClient();
+    await bot.app.initialize();
+});
+
+after(async () => {
+    bot.app.supervisor.stop();
+    clearInterval(bot.app.emoteRefreshTimer);
+    await bot.app.client.disconnect();
+    await irc.stop();
+    await api.stop();
+});
+
+test('App.initialize logs in, joins the channel and loads its emotes', async () => {
+    await irc.waitForJoin('testchannel');
+
+    assert.equal(irc.nick, 'testbot');
+    assert.equal(irc.password, 'oauth:testtoken');
+    assert.equal(bot.app.channelIds.get('testchannel'), '1001');
+    assert.ok(api.requests.some(request => request.path === '/helix/users' && request.query.login === 'testchannel'));
+    ['Kappa', 'catJAM', 'monkaS'].forEach(code => assert.ok(emoteManager.isEmote(code, 'testchannel'), code));
+});
+
+test('viewer messages are counted and reported by !stats', async () => {
+    irc.say('testchannel', viewer, 'Kappa catJAM hello', { emotes: '25:0-4' });
+    // Chat messages are processed concurrently, wait for this one to be counted
+    await waitFor(async () => (await bot.statsHandler.getUserStats('testchannel', viewer.id))?.total === 2);
+    irc.say('testchannel', viewer, '!stats');
+
+    const reply = await irc.waitForMessage(/^@Viewer → Total: 2 emotes/);
+    assert.equal(reply.channel, 'testchannel');
+    assert.match(reply.message, /\(2 different\)/);
+    assert.match(reply.message, /Messages: 1 /);
+});
+
+test('unknown users get a friendly reply', async () => {
+    irc.say('testchannel', viewer, '!stats nobody');
+
+    await irc.waitForMessage('nobody');
+});
+
+test('admin commands are ignored for viewers and run for the broadcaster', async () => {
+    irc.clearSent();
+    irc.say('testchannel', viewer, '!save');
+    irc.say('testchannel', viewer, '!stats');
+    // Replies are sent in order, so the !save of the viewer got none once !stats is answered
+    await irc.waitForMessage('Total:');
+    assert.equal(irc.sent.some(sent => sent.message.includes('Statistics saved')), false);
+
+    irc.say('testchannel', broadcaster, '!save');
+    await irc.waitForMessage('Statistics saved');
+    const saved = JSON.parse(fs.readFileSync(bot.config.files.database, 'utf-8'));
+    assert.ok(JSON.stringify(saved).includes('2001'));
+});
+
+test('reaching a milestone is announced in chat', async () => {
+    irc.say('testchannel', viewer, 'monkaS');
+
+    const announcement = await irc.waitForMessage(/reached 3 emotes/);
+    assert.match(announcement.message, /@Viewer/);
+});
+
+test('!export names the written file without its directory', async () => {
+    irc.say('testchannel', broadcaster, '!export ndjson');
+
+    const reply = await irc.waitForMessage(/Exported the statistics/);
+    assert.match(reply.message, / to statistics-[\w-]+\.ndjson$/);
+    assert.equal(reply.message.includes(bot.config.files.exports), false);
+});
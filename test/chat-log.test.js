@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readChatLog, parseIrcLine, parseEmotesTag, parseLogTime } = require('../src/utils/chat-log');
+
+test('parseIrcLine reads a tagged PRIVMSG', () => {
+    const entry = parseIrcLine('@display-name=Viewer;emotes=25:0-4;tmi-sent-ts=1714594503000;user-id=42 ' +
+        ':viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #SomeChannel :Kappa hi');
+
+    assert.equal(entry.channel, 'somechannel');
+    assert.equal(entry.message, 'Kappa hi');
+    assert.equal(entry.timestamp, 1714594503000);
+    assert.equal(entry.tags.username, 'viewer');
+    assert.equal(entry.tags['user-id'], '42');
+    assert.deepEqual(entry.tags.emotes, { 25: ['0-4'] });
+});
+
+test('parseIrcLine uses the leading time and unwraps actions', () => {
+    const entry = parseIrcLine('[2024-05-01T20:15:03Z] :viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #channel :\u0001ACTION waves\u0001');
+
+    assert.equal(entry.message, 'waves');
+    assert.equal(entry.tags['message-type'], 'action');
+    assert.equal(entry.timestamp, Date.parse('2024-05-01T20:15:03Z'));
+});
+
+test('parseIrcLine skips lines that are not chat messages', () => {
+    assert.equal(parseIrcLine(':viewer!viewer@viewer.tmi.twitch.tv JOIN #channel'), null);
+    assert.equal(parseIrcLine('PING :tmi.twitch.tv'), null);
+});
+
+test('parseEmotesTag reads several emotes and ranges', () => {
+    assert.deepEqual(parseEmotesTag('25:0-4,12-16/1902:6-10'), { 25: ['0-4', '12-16'], 1902: ['6-10'] });
+    assert.equal(parseEmotesTag(''), null);
+});
+
+test('parseLogTime accepts seconds, milliseconds and dates', () => {
+    assert.equal(parseLogTime(1714594503), 1714594503000);
+    assert.equal(parseLogTime('1714594503000'), 1714594503000);
+    assert.equal(parseLogTime('2024-05-01T20:15:03.000Z'), 1714594503000);
+    assert.equal(parseLogTime('not a date'), null);
+    assert.equal(parseLogTime(''), null);
+});
+
+test('readChatLog reads TwitchDownloader downloads and reports unreadable messages', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'twitchec-test-')), 'chat.json');
+    fs.writeFileSync(file, JSON.stringify({
+        streamer: { name: 'Channel', id: 1 },
+        comments: [
+            {
+                created_at: '2024-05-01T20:15:03Z',
+                commenter: { name: 'viewer', display_name: 'Viewer', _id: '42' },
+                message: {
+                    body: 'hi Kappa',
+                    fragments: [{ text: 'hi ', emoticon: null }, { text: 'Kappa', emoticon: { emoticon_id: '25' } }]
+                }
+            },
+            { created_at: '2024-05-01T20:15:04Z', message: { body: 'no sender' } }
+        ]
+    }));
+
+    const entries = [];
+    for await (const entry of readChatLog(file)) {
+        entries.push(entry);
+    }
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].channel, 'channel');
+    assert.equal(entries[0].tags['user-id'], '42');
+    assert.deepEqual(entries[0].tags.emotes, { 25: ['3-7'] });
+    assert.equal(entries[1].error, 'Message without a sender');
+});
@@ -0,0 +1,113 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment } = require('./helpers/environment');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Older than the stale data age, like most backfilled chat
+const LOGGED_AT = Date.now() - 90 * DAY;
+let directory;
+let ChatBot;
+let ChatReplay;
+
+/**
+ * Formats a logged chat message as a tagged IRC line
+ * @param {number} timestamp - When the message was sent
+ * @param {string} message - Message text, starting with Kappa
+ * @returns {string} IRC line
+ */
+function ircLine(timestamp, message) {
+    return `@display-name=Viewer;emotes=25:0-4;tmi-sent-ts=${timestamp};user-id=42 ` +
+        `:viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #testchannel :${message}`;
+}
+
+before(() => {
+    directory = setupEnvironment();
+
+    // A single-channel, name-keyed database: loading it migrates the records
+    fs.writeFileSync(path.join(directory, 'chat_statistics.json'), JSON.stringify({
+        Viewer: { total: 2, emotes: { Kappa: 2 }, platforms: { 'twitch-global': 2 }, firstSeen: LOGGED_AT - DAY, lastSeen: LOGGED_AT - DAY }
+    }));
+    fs.writeFileSync(path.join(directory, 'emotes.json'), JSON.stringify({
+        global: { Kappa: { id: '25', code: 'Kappa', platform: 'twitch-global' } },
+        channels: {},
+        lastUpdate: LOGGED_AT,
+        version: '2.0'
+    }));
+    fs.writeFileSync(path.join(directory, 'chat.log'), [
+        ircLine(LOGGED_AT, 'Kappa hello'),
+        ircLine(LOGGED_AT + 60000, 'Kappa again'),
+        ircLine(LOGGED_AT + 120000, '!stats')
+    ].join('\n'));
+
+    // Required after the environment is set: the configuration reads it once
+    ChatBot = require('../main');
+    ChatReplay = require('../src/modules/chatReplay');
+});
+
+/**
+ * Replays the test chat log through a new bot
+ * @param {boolean} dryRun - Keep the changes in memory
+ * @returns {Promise<{bot: ChatBot, result: Object}>} The bot and the replay summary
+ */
+async function replayLog(dryRun) {
+    const bot = new ChatBot();
+    const replay = new ChatReplay(bot);
+    await replay.loadEmotes(path.join(directory, 'emotes.json'));
+    const result = await replay.replay([path.join(directory, 'chat.log')], { dryRun });
+    return { bot, result };
+}
+
+test('a dry run leaves the database file untouched', async () => {
+    const database = path.join(directory, 'chat_statistics.json');
+    const original = fs.readFileSync(database);
+
+    const { bot, result } = await replayLog(true);
+
+    assert.equal(result.messages, 3);
+    assert.equal(result.channels[0].emotesAdded, 2);
+    assert.equal(result.channels[0].messagesAdded, 2);
+    // The changes are in memory only
+    assert.equal((await bot.statsHandler.getUserStats('testchannel', '42')).total, 4);
+    assert.deepEqual(fs.readFileSync(database), original);
+    assert.equal(fs.existsSync(path.join(directory, 'top_user.txt')), false);
+});
+
+test('a replay saves the counts with the logged times', async () => {
+    await replayLog(false);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, 'chat_statistics.json'), 'utf-8'));
+    const viewer = saved.stats.testchannel['42'];
+    assert.equal(viewer.login, 'viewer');
+    assert.equal(viewer.total, 4);
+    assert.equal(viewer.messages, 4);
+    assert.equal(viewer.firstSeen, LOGGED_AT - DAY);
+    assert.equal(viewer.lastSeen, LOGGED_AT + 60000);
+    // The legacy record was linked to the user ID
+    assert.equal(saved.stats.testchannel.viewer, undefined);
+});
+
+test('replayed users are kept when stale users are removed on the next start', async () => {
+    const database = path.join(directory, 'chat_statistics.json');
+    const saved = JSON.parse(fs.readFileSync(database, 'utf-8'));
+    // Over 1000 users, the size from which stale users are removed on load
+    for (let i = 0; i < 1100; i++) {
+        saved.stats.testchannel[`1${i}`] = {
+            total: 1, emoteMessages: 1, messages: 1, emotes: { 'twitch:25': 1 }, platforms: { 'twitch-global': 1 },
+            login: `viewer${i}`, displayName: `viewer${i}`, firstSeen: LOGGED_AT, lastSeen: LOGGED_AT
+        };
+    }
+    fs.writeFileSync(database, JSON.stringify(saved));
+
+    const bot = new ChatBot();
+    await bot.statsHandler.ensureLoaded();
+
+    const reloaded = JSON.parse(fs.readFileSync(database, 'utf-8'));
+    assert.deepEqual(Object.keys(reloaded.stats.testchannel), ['42']);
+    assert.equal(reloaded.stats.testchannel['42'].total, 4);
+
+    // A live message makes the user age like any other
+    await bot.statsHandler.incrementStats('testchannel', { id: '42', login: 'viewer', displayName: 'Viewer' });
+    assert.equal((await bot.statsHandler.getUserStats('testchannel', '42')).backfilled, undefined);
+});
@@ -0,0 +1,122 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ComboDetector = require('../src/modules/comboDetector');
+
+const KAPPA = { key: 'twitch:25', code: 'Kappa' };
+const LUL = { key: 'twitch:425618', code: 'LUL' };
+const START = Date.UTC(2026, 0, 1);
+const WINDOW = 30000;
+
+let detector;
+
+afterEach(() => detector.stop());
+
+/**
+ * Creates a detector recording the events it emits
+ * @returns {Object} Detector plus its 'comboUpdate' and 'comboEnd' events
+ */
+function createDetector() {
+    detector = new ComboDetector({ window: WINDOW });
+    const updates = [];
+    const ends = [];
+    detector.on('comboUpdate', combo => updates.push(combo));
+    detector.on('comboEnd', combo => ends.push(combo));
+    return { updates, ends };
+}
+
+/**
+ * Creates a chat user
+ * @param {string} id - Twitch user ID
+ * @returns {Object} User as passed to track()
+ */
+function user(id) {
+    return { id, login: `user${id}`, displayName: `User${id}` };
+}
+
+test('consecutive messages with the same emote grow a combo until another emote ends it', () => {
+    const { updates, ends } = createDetector();
+
+    detector.track('#testchannel', user('1'), [KAPPA], START);
+    assert.equal(detector.getActiveCombo('testchannel'), null);
+
+    detector.track('#testchannel', user('2'), [LUL, KAPPA], START + 1000);
+    detector.track('#testchannel', user('3'), [KAPPA], START + 2000);
+    assert.deepEqual(updates.map(combo => combo.count), [2, 3]);
+    assert.equal(detector.getActiveCombo('#testchannel').count, 3);
+
+    detector.track('#testchannel', user('1'), [LUL], START + 3000);
+
+    assert.deepEqual(ends, [{
+        channel: 'testchannel',
+        key: KAPPA.key,
+        code: 'Kappa',
+        count: 3,
+        users: 3,
+        start: START,
+        end: START + 2000
+    }]);
+    assert.equal(detector.getActiveCombo('testchannel'), null);
+});
+
+test('repeated messages of the last user keep the combo without growing it', () => {
+    const { updates, ends } = createDetector();
+
+    detector.track('testchannel', user('1'), [KAPPA], START);
+    detector.track('testchannel', user('1'), [KAPPA], START + 1000);
+    assert.deepEqual(updates, []);
+
+    detector.track('testchannel', user('2'), [KAPPA], START + 2000);
+    detector.track('testchannel', user('2'), [KAPPA], START + 3000);
+    detector.track('testchannel', user('1'), [KAPPA], START + 4000);
+    detector.endCombo('testchannel');
+
+    assert.deepEqual(updates.map(combo => [combo.count, combo.users]), [[2, 2], [3, 2]]);
+    assert.deepEqual(ends.map(combo => [combo.count, combo.users, combo.end]), [[3, 2, START + 4000]]);
+});
+
+test('a message after the combo window starts a new combo', () => {
+    const { ends } = createDetector();
+
+    detector.track('testchannel', user('1'), [KAPPA], START);
+    detector.track('testchannel', user('2'), [KAPPA], START + 1000);
+    detector.track('testchannel', user('3'), [KAPPA], START + 1000 + WINDOW + 1);
+
+    assert.deepEqual(ends.map(combo => combo.count), [2]);
+    assert.equal(detector.getActiveCombo('testchannel'), null);
+});
+
+test('a message without emotes ends the combo and single messages are not combos', () => {
+    const { ends } = createDetector();
+
+    detector.track('testchannel', user('1'), [KAPPA], START);
+    detector.track('testchannel', user('2'), [], START + 1000);
+    detector.track('testchannel', user('3'), [KAPPA], START + 2000);
+    detector.track('testchannel', user('4'), [KAPPA], START + 3000);
+    detector.track('testchannel', user('5'), [], START + 4000);
+
+    assert.deepEqual(ends.map(combo => [combo.count, combo.start]), [[2, START + 2000]]);
+});
+
+test('combos are tracked per channel', () => {
+    const { updates } = createDetector();
+
+    detector.track('testchannel', user('1'), [KAPPA], START);
+    detector.track('otherchannel', user('2'), [LUL], START + 500);
+    detector.track('testchannel', user('3'), [KAPPA], START + 1000);
+
+    assert.deepEqual(updates.map(combo => [combo.channel, combo.code, combo.count]), [['testchannel', 'Kappa', 2]]);
+    assert.equal(detector.getActiveCombo('otherchannel'), null);
+});
+
+test('the combo ends once the window passes without messages', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { ends } = createDetector();
+
+    detector.track('testchannel', user('1'), [KAPPA]);
+    detector.track('testchannel', user('2'), [KAPPA]);
+    t.mock.timers.tick(WINDOW - 1);
+    assert.deepEqual(ends, []);
+
+    t.mock.timers.tick(1);
+    assert.deepEqual(ends.map(combo => combo.count), [2]);
+});
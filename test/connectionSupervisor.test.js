@@ -0,0 +1,106 @@
+const { test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { setupEnvironment } = require('./helpers/environment');
+
+const OPTIONS = { maxAttempts: 3, baseDelay: 10, maxDelay: 20, healthCheckInterval: 60000, maxLatency: 2000, stallTimeout: 180000 };
+
+let ConnectionSupervisor;
+let supervisor;
+
+before(() => {
+    setupEnvironment();
+
+    // Required after the environment is set: the configuration reads it once
+    ConnectionSupervisor = require('../src/modules/connectionSupervisor');
+});
+
+// The connection warnings are expected, keep them out of the test output
+beforeEach(() => mock.method(console, 'log', () => {}));
+
+afterEach(() => {
+    supervisor.stop();
+    mock.restoreAll();
+});
+
+/**
+ * Creates a supervisor of a client that records its calls
+ * @param {Array<*>} [connectResults=[]] - Errors to reject the connect() calls with in turn, null to connect
+ * @returns {{client: EventEmitter, bot: Object}} The fake client and bot
+ */
+function createSupervisor(connectResults = []) {
+    const client = new EventEmitter();
+    client.connects = 0;
+    client.disconnects = 0;
+    client.readyState = () => 'OPEN';
+    client.ping = async () => [0.05];
+    client.getChannels = () => ['#testchannel'];
+    client.connect = async () => {
+        const error = connectResults[client.connects++];
+        if (error) throw error;
+        return ['irc.test', 443];
+    };
+    client.disconnect = async () => {
+        client.disconnects++;
+    };
+    const bot = { lastActivityTime: 0, isShuttingDown: false, config: { channels: ['testchannel'] } };
+    supervisor = new ConnectionSupervisor({ bot, client }, OPTIONS);
+    return { client, bot };
+}
+
+/**
+ * Advances the mocked clock one health check at a time and lets each check complete
+ * @param {Object} t - Test context
+ * @param {number} ms - Time to advance
+ */
+async function tick(t, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += OPTIONS.healthCheckInterval) {
+        t.mock.timers.tick(OPTIONS.healthCheckInterval);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+test('the first connection is retried with backoff', async () => {
+    const { client } = createSupervisor([new Error('refused'), new Error('refused'), null]);
+
+    await supervisor.connect();
+
+    assert.equal(client.connects, 3);
+    assert.equal(supervisor.reconnection.attempts, 0);
+});
+
+test('the first connection fails after the last retry', async () => {
+    const { client } = createSupervisor([1, 2, 3, 4].map(attempt => new Error(`Connection refused ${attempt}`)));
+
+    await assert.rejects(supervisor.connect(), /Connection refused 4/);
+    assert.equal(client.connects, OPTIONS.maxAttempts + 1);
+});
+
+test('a connection that delivers no chat message for the stall timeout is reconnected', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 0 });
+    const { client, bot } = createSupervisor();
+    client.emit('connected');
+    supervisor.start();
+
+    // PINGs are answered, a chat message arrives a minute in
+    await tick(t, OPTIONS.healthCheckInterval);
+    bot.lastActivityTime = Date.now();
+    await tick(t, OPTIONS.stallTimeout - OPTIONS.healthCheckInterval);
+    assert.equal(client.disconnects, 0);
+    assert.notEqual(supervisor.latency, null);
+
+    await tick(t, OPTIONS.healthCheckInterval);
+    assert.equal(client.disconnects, 1);
+});
+
+test('a stall timeout of 0 never reconnects a quiet connection', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 0 });
+    const { client } = createSupervisor();
+    supervisor.options = { ...OPTIONS, stallTimeout: 0 };
+    client.emit('connected');
+    supervisor.start();
+
+    await tick(t, OPTIONS.stallTimeout * 2);
+
+    assert.equal(client.disconnects, 0);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CountingPolicy = require('../src/modules/countingPolicy');
+
+const START = Date.parse('2024-01-15T20:00:00Z');
+const VIEWER = { id: '42', login: 'viewer', displayName: 'Viewer' };
+const KAPPA = { key: 'twitch:25', code: 'Kappa' };
+const LUL = { key: 'twitch:425618', code: 'LUL' };
+
+/**
+ * Applies a policy to a message and returns the codes of the counted emotes
+ * @param {CountingPolicy} policy - Policy to apply
+ * @param {string} message - Message text
+ * @param {Array<Object>} emotes - Emotes detected in the message
+ * @param {number} [timestamp=START] - When the message was sent
+ * @returns {Array<string>} Codes of the counted emotes
+ */
+function counted(policy, message, emotes, timestamp = START) {
+    return policy.apply('testchannel', VIEWER, message, emotes, timestamp).emotes.map(emote => emote.code);
+}
+
+test('without limits every detected emote counts', () => {
+    const policy = new CountingPolicy();
+    assert.deepEqual(counted(policy, 'Kappa Kappa LUL', [KAPPA, KAPPA, LUL]), ['Kappa', 'Kappa', 'LUL']);
+});
+
+test('unique-only counting is applied before the per-message cap', () => {
+    const policy = new CountingPolicy({ uniqueOnly: true, maxPerMessage: 2 });
+    assert.deepEqual(counted(policy, 'Kappa Kappa Kappa LUL Kappa', [KAPPA, KAPPA, KAPPA, LUL, KAPPA]), ['Kappa', 'LUL']);
+
+    const capped = new CountingPolicy({ maxPerMessage: 2 });
+    assert.deepEqual(counted(capped, 'Kappa Kappa LUL', [KAPPA, KAPPA, LUL]), ['Kappa', 'Kappa']);
+});
+
+test('a repeated message is ignored within the repeat window, bypass characters included', () => {
+    const policy = new CountingPolicy({ repeatWindow: 30000 });
+    assert.deepEqual(counted(policy, 'Kappa', [KAPPA], START), ['Kappa']);
+
+    const repeat = policy.apply('testchannel', VIEWER, 'Kappa \u{E0000}', [KAPPA], START + 10000);
+    assert.deepEqual(repeat, { emotes: [], reason: 'repeated message' });
+    // The window runs from the last message, counted or not
+    assert.deepEqual(counted(policy, 'Kappa', [KAPPA], START + 35000), []);
+    assert.deepEqual(counted(policy, 'Kappa', [KAPPA], START + 70000), ['Kappa']);
+    // Other users and channels are tracked on their own
+    assert.equal(policy.apply('otherchannel', VIEWER, 'Kappa', [KAPPA], START + 70000).emotes.length, 1);
+});
+
+test('counted messages are rate limited per user within the rate window', () => {
+    const policy = new CountingPolicy({ rateLimit: 2, rateWindow: 10000 });
+    assert.deepEqual(counted(policy, 'Kappa', [KAPPA], START), ['Kappa']);
+    assert.deepEqual(counted(policy, 'LUL', [LUL], START + 1000), ['LUL']);
+
+    const limited = policy.apply('testchannel', VIEWER, 'Kappa LUL', [KAPPA, LUL], START + 2000);
+    assert.deepEqual(limited, { emotes: [], reason: 'rate limited' });
+    // Rate limited messages do not extend the limit
+    assert.deepEqual(counted(policy, 'Kappa', [KAPPA], START + 10000), ['Kappa']);
+});
+
+test('cleanup keeps state still within its window', () => {
+    const policy = new CountingPolicy({ rateLimit: 1, rateWindow: 10000, repeatWindow: 30000 });
+    counted(policy, 'Kappa', [KAPPA], START);
+
+    policy.cleanup(START + 20000);
+    assert.equal(policy.countedMessages.size, 0);
+    assert.equal(policy.lastMessages.size, 1);
+
+    policy.cleanup(START + 40000);
+    assert.equal(policy.lastMessages.size, 0);
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupEnvironment, mockServerSettings } = require('./helpers/environment');
+const MockEmoteApiServer = require('./mocks/emote-apis.mock');
+
+const api = new MockEmoteApiServer();
+let emoteManager;
+
+before(async () => {
+    const urls = await api.start();
+    setupEnvironment(mockServerSettings(urls));
+
+    api.addChannel('testchannel', '1001', {
+        twitch: [{ id: 'emotesv2_1', name: 'testHype' }],
+        sevenTv: [{ id: '7tv-1', name: 'catJAM' }],
+        bttv: [{ id: 'bttv-1', name: 'monkaS' }],
+        ffz: [{ id: '11', name: 'OMEGALUL' }]
+    });
+    api.setGlobalEmotes({
+        twitch: [{ id: '25', name: 'Kappa' }],
+        sevenTv: [{ id: '7tv-2', name: 'EZ' }],
+        bttv: [{ id: 'bttv-2', name: 'FeelsBadMan' }],
+        ffz: [{ id: '12', name: 'ZreknarF' }]
+    });
+
+    // Required after the environment is set: the configuration reads it once
+    emoteManager = require('../src/modules/emoteManager');
+});
+
+after(() => api.stop());
+
+test('refreshEmotes loads the channel and global emotes of every platform', async () => {
+    await emoteManager.refreshEmotes(null, 'testchannel', { force: true });
+
+    const platforms = Object.fromEntries(
+        ['testHype', 'catJAM', 'monkaS', 'OMEGALUL', 'Kappa', 'EZ', 'FeelsBadMan', 'ZreknarF']
+            .map(code => [code, emoteManager.getEmoteInfo(code, 'testchannel')?.platform])
+    );
+    assert.deepEqual(platforms, {
+        testHype: 'twitch',
+        catJAM: '7tv-channel',
+        monkaS: 'bttv',
+        OMEGALUL: 'ffz',
+        Kappa: 'twitch-global',
+        EZ: '7tv-global',
+        FeelsBadMan: 'bttv-global',
+        ZreknarF: 'ffz-global'
+    });
+    assert.equal(emoteManager.isEmote('catJAM', 'otherchannel'), false);
+    assert.equal(emoteManager.isEmote('Kappa', 'otherchannel'), true);
+});
+
+test('Helix requests carry the client ID and access token', () => {
+    const helix = api.requests.filter(request => request.path.startsWith('/helix/'));
+    assert.ok(helix.some(request => request.path === '/helix/users' && request.query.login === 'testchannel'));
+    helix.forEach(request => {
+        assert.equal(request.headers['client-id'], 'test-client-id');
+        assert.equal(request.headers.authorization, 'Bearer test-access-token');
+    });
+});
+
+test('the emote cache is written and can be loaded back', async () => {
+    const cache = JSON.parse(fs.readFileSync(emoteManager.cacheFile, 'utf-8'));
+    assert.equal(cache.channels.testchannel.emotes.catJAM.platform, '7tv-channel');
+    assert.equal(cache.global.Kappa.platform, 'twitch-global');
+
+    emoteManager.channelEmotes.clear();
+    emoteManager.globalEmotes.clear();
+    await emoteManager.loadCache();
+    assert.equal(emoteManager.getEmoteInfo('monkaS', 'testchannel')?.platform, 'bttv');
+});
+
+test('a failing platform keeps its previous emotes and leaves the other platforms refreshed', async () => {
+    api.addChannel('testchannel', '1001', {
+        twitch: [{ id: 'emotesv2_1', name: 'testHype' }],
+        sevenTv: [{ id: '7tv-3', name: 'peepoHappy' }],
+        bttv: [{ id: 'bttv-1', name: 'monkaS' }],
+        ffz: [{ id: '11', name: 'OMEGALUL' }]
+    });
+    api.fail('bttv');
+    try {
+        await emoteManager.refreshEmotes('1001', 'testchannel', { force: true });
+    } finally {
+        api.clearFailures();
+    }
+
+    assert.equal(emoteManager.getEmoteInfo('peepoHappy', 'testchannel')?.platform, '7tv-channel');
+    assert.equal(emoteManager.isEmote('catJAM', 'testchannel'), false);
+    assert.equal(emoteManager.getEmoteInfo('monkaS', 'testchannel')?.platform, 'bttv');
+    assert.equal(emoteManager.getEmoteInfo('FeelsBadMan', 'testchannel')?.platform, 'bttv-global');
+    assert.equal(emoteManager.isEmote('Kappa', 'testchannel'), true);
+    // The emotes of the failed platform are not marked removed
+    assert.equal(emoteManager.getEmoteHistoryEntry('bttv:bttv-1', 'testchannel').removedAt, null);
+});
+
+test('refreshEmotes fails for a channel unknown to Twitch', async () => {
+    await assert.rejects(emoteManager.refreshEmotes(null, 'nosuchchannel', { force: true }), /Could not resolve channel ID/);
+});
+
+test('cached BTTV channel emotes of the old bttv-channel platform load under bttv', async () => {
+    const file = emoteManager.cacheFile.replace(/\.json$/, '-old.json');
+    fs.writeFileSync(file, JSON.stringify({
+        global: {},
+        channels: {
+            oldchannel: {
+                emotes: { monkaW: { id: 'bttv-9', code: 'monkaW', platform: 'bttv-channel' } },
+                lastUpdate: 0,
+                history: { 'bttv-channel:bttv-9': { names: [{ code: 'monkaWold', since: 0 }], removedAt: null } }
+            }
+        },
+        lastUpdate: 0,
+        version: '2.0'
+    }));
+
+    await emoteManager.loadCache(file);
+
+    const emote = emoteManager.getEmoteInfo('monkaW', 'oldchannel');
+    assert.equal(emote?.platform, 'bttv');
+    assert.equal(emoteManager.getEmoteKey(emote), 'bttv:bttv-9');
+    assert.deepEqual(emoteManager.getEmoteNames('bttv:bttv-9', 'oldchannel'), ['monkaWold']);
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+
+/**
+ * Points the configuration at a temporary data directory and the given settings
+ * Must run before anything under src/ is required: the configuration singleton reads
+ * process.env once. Settings start from the defaults of .env.example, so a developer's
+ * .env (which dotenv never lets override process.env) cannot change the results.
+ * @param {Object} [settings={}] - Environment variables on top of the test defaults
+ * @returns {string} Temporary directory holding the statistics, caches and exports
+ */
+function setupEnvironment(settings = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'twitchec-test-'));
+    const example = dotenv.parse(fs.readFileSync(path.join(__dirname, '..', '..', '.env.example')));
+
+    Object.assign(process.env, example, {
+        TWITCH_USERNAME: 'testbot',
+        TWITCH_TOKEN: 'oauth:testtoken',
+        TWITCH_CHANNEL: 'testchannel',
+        TWITCH_CLIENT_ID: 'test-client-id',
+        TWITCH_CLIENT_SECRET: 'test-client-secret',
+        TWITCH_ACCESS_TOKEN: 'test-access-token',
+        CHANNEL_ID: '',
+        DATABASE_PATH: path.join(directory, 'chat_statistics.json'),
+        EXPORT_PATH: path.join(directory, 'top_users.json'),
+        EMOTES_CACHE_PATH: path.join(directory, 'emotes_cache.json'),
+        STATISTICS_PATH: path.join(directory, 'statistics.json'),
+        EXPORTS_PATH: path.join(directory, 'exports'),
+        SQLITE_PATH: path.join(directory, 'chat_statistics.db'),
+        TOP_USER_FILE_PATH: path.join(directory, 'top_user.txt'),
+        TOP_USER_FORMAT: '{username} - {total}',
+        ENABLE_LOGGING: 'false',
+        ENABLE_7TV_EVENTS: 'false',
+        ENABLE_TWITCH_GLOBAL: 'true',
+        BOT_LOCALE: 'en',
+        COMMAND_RATE_LIMIT: '0',
+        COMMAND_USER_COOLDOWN: '0',
+        CHAT_RATE_LIMIT: '100'
+    }, settings);
+    logToStderr();
+
+    return directory;
+}
+
+/**
+ * Sends console output of the test file to stderr
+ * The test runner reads its own messages from the stdout of each test file, and a log line
+ * starting with a multi-byte character (✓, ℹ) right behind one of them is misread as a
+ * message, failing the file with "Unable to deserialize cloned data"
+ */
+function logToStderr() {
+    ['log', 'info', 'debug'].forEach(method => {
+        console[method] = console.error;
+    });
+}
+
+/**
+ * Points the emote API settings, and optionally Twitch chat, at running mock servers
+ * @param {Object} apiUrls - Base URLs of a MockEmoteApiServer (see its urls())
+ * @param {string} [ircUrl] - URL of a MockTwitchIrcServer
+ * @returns {Object} Environment variables to pass to setupEnvironment
+ */
+function mockServerSettings(apiUrls, ircUrl) {
+    const settings = {
+        TWITCH_API_BASE_URL: apiUrls.twitch,
+        SEVENTV_BASE_URL: apiUrls.sevenTv,
+        BTTV_BASE_URL: apiUrls.bttv,
+        FFZ_BASE_URL: apiUrls.ffz
+    };
+    if (ircUrl) {
+        settings.TWITCH_IRC_URL = ircUrl;
+    }
+    return settings;
+}
+
+module.exports = {
+    setupEnvironment,
+    mockServerSettings
+};
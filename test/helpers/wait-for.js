@@ -0,0 +1,18 @@
+/**
+ * Polls a condition until it holds
+ * @param {Function} check - Returns a truthy value (or a promise of one) once done
+ * @param {number} [timeout=3000] - Maximum wait (ms)
+ * @param {string} [message='Timed out'] - Error message on timeout
+ * @returns {Promise<*>} The value returned by check
+ */
+async function waitFor(check, timeout = 3000, message = 'Timed out') {
+    const started = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() - started > timeout) throw new Error(message);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = waitFor;
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../src/utils/i18n');
+
+/**
+ * Creates message catalogs for the given locale settings
+ * @param {Object} [templates={}] - Locale (or "*") to message key to template
+ * @returns {I18n} Catalogs with pt-BR by default and English in #english
+ */
+function createI18n(templates = {}) {
+    return new I18n({ locale: { default: 'pt-BR', channels: { english: 'en' }, templates } });
+}
+
+test('every catalog is valid', () => {
+    assert.deepEqual(I18n.getAvailableLocales().sort(), ['en', 'es', 'pt-BR']);
+    assert.doesNotThrow(() => I18n.validateTemplates());
+});
+
+test('each channel answers in its own locale, with numbers and plurals of that locale', () => {
+    const i18n = createI18n();
+    const params = { page: 1234, pages: 1 };
+
+    assert.equal(i18n.getLocale('#English'), 'en');
+    assert.equal(i18n.t('english', 'top.invalidPage', params), '❌ Page 1,234 doesn\'t exist (1 page)');
+    assert.equal(i18n.getLocale('otherchannel'), 'pt-BR');
+    assert.equal(i18n.t('otherchannel', 'top.invalidPage', params), '❌ A página 1.234 não existe (1 página)');
+    assert.throws(() => i18n.t('english', 'no.such.message'), /Unknown message: no.such.message/);
+});
+
+test('configured templates replace messages for one or every locale', () => {
+    const i18n = createI18n({
+        '*': { 'stats.none': '{user}: nothing yet' },
+        en: { 'top.empty': 'Empty' }
+    });
+
+    assert.equal(i18n.t('english', 'stats.none', { user: 'Viewer' }), 'Viewer: nothing yet');
+    assert.equal(i18n.t('otherchannel', 'stats.none', { user: 'Viewer' }), 'Viewer: nothing yet');
+    assert.equal(i18n.t('english', 'top.empty'), 'Empty');
+    assert.notEqual(i18n.t('otherchannel', 'top.empty'), 'Empty');
+});
+
+test('configured templates are checked for locales, messages, syntax and variables', () => {
+    assert.throws(() => I18n.validateTemplates({ fr: {} }), /unknown locale "fr"/);
+    assert.throws(() => I18n.validateTemplates({ en: { 'no.such.message': 'x' } }), /"en" → "no.such.message": unknown message/);
+    assert.throws(() => I18n.validateTemplates({ en: { 'stats.none': 5 } }), /template must be a string/);
+    assert.throws(() => I18n.validateTemplates({ '*': { 'stats.none': '{#if user}' } }), /"\*" → "stats.none": \{#if user\} is not closed/);
+    assert.throws(
+        () => I18n.validateTemplates({ en: { 'stats.none': '{usr}' } }),
+        /"en" → "stats.none": unknown variable \{usr\} \(available: user\)/
+    );
+});
+
+test('templates that are not valid are sent as written', () => {
+    const i18n = createI18n();
+    assert.equal(i18n.format('english', 'Reached {count} emotes!', { count: 1000 }), 'Reached 1,000 emotes!');
+    assert.equal(i18n.format('english', 'Broken {#if count}', { count: 1 }), 'Broken {#if count}');
+});
@@ -0,0 +1,115 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MessageQueue = require('../src/modules/messageQueue');
+
+/**
+ * Creates a queue for a bot whose client records what it sends
+ * @param {Object} [chat] - Chat settings on top of the defaults
+ * @param {Object} [userstate] - Twitch user state of the bot by #channel
+ * @returns {{queue: MessageQueue, sent: Array<Object>}} The queue and the sent messages with their times
+ */
+function createQueue(chat = {}, userstate = {}) {
+    const sent = [];
+    const client = {
+        userstate,
+        say: async (channel, text) => sent.push({ channel, text, time: Date.now() }),
+        raw: async line => sent.push({ line, time: Date.now() })
+    };
+    const bot = { client, config: { chat: { rateLimit: 20, modRateLimit: 100, replyThreads: false, ...chat } } };
+    return { queue: new MessageQueue(bot), sent };
+}
+
+/**
+ * Advances the mocked clock and lets the sends it allows complete
+ * @param {number} ms - Time to advance
+ */
+async function tick(ms) {
+    mock.timers.tick(ms);
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('a channel gets one message per second, higher priorities first', async () => {
+    const { queue, sent } = createQueue();
+    queue.send('testchannel', 'first');
+    queue.send('testchannel', 'combo', { priority: MessageQueue.PRIORITY.LOW });
+    queue.send('TestChannel', 'milestone', { priority: MessageQueue.PRIORITY.HIGH });
+    queue.send('otherchannel', 'other');
+
+    await tick(0);
+    assert.deepEqual(sent.map(({ channel, text, time }) => [channel, text, time]), [
+        ['#testchannel', 'first', 0],
+        ['#otherchannel', 'other', 0]
+    ]);
+
+    await tick(1000);
+    await tick(1000);
+    assert.deepEqual(sent.slice(2).map(({ text, time }) => [text, time]), [['milestone', 1000], ['combo', 2000]]);
+    assert.equal(queue.size, 0);
+});
+
+test('the account rate limit holds messages until the oldest leaves the 30 second window', async () => {
+    // As a moderator the per-channel interval does not apply
+    const { queue, sent } = createQueue({ modRateLimit: 2 }, { '#testchannel': { mod: true } });
+    const results = ['one', 'two', 'three'].map(text => queue.send('testchannel', text));
+
+    await tick(0);
+    assert.equal(sent.length, 2);
+    await tick(29999);
+    assert.equal(sent.length, 2);
+    await tick(1);
+    assert.deepEqual(sent.map(({ text, time }) => [text, time]), [['one', 0], ['two', 0], ['three', 30000]]);
+    assert.deepEqual(await Promise.all(results), [true, true, true]);
+});
+
+test('duplicates are sent once while waiting and made different when repeated', async () => {
+    const { queue, sent } = createQueue();
+    queue.send('testchannel', 'busy');
+    const first = queue.send('testchannel', 'Top user: viewer');
+    const duplicate = queue.send('testchannel', 'Top user: viewer');
+    assert.equal(await duplicate, false);
+
+    await tick(1000);
+    assert.equal(await first, true);
+    queue.send('testchannel', 'Top user: viewer');
+    await tick(1000);
+
+    assert.deepEqual(sent.map(({ text }) => text), ['busy', 'Top user: viewer', 'Top user: viewer \u{E0000}']);
+});
+
+test('a repeated message of the maximum length is split so it never goes over it', async () => {
+    const { queue, sent } = createQueue();
+    const text = 'x'.repeat(MessageQueue.MAX_MESSAGE_LENGTH);
+    queue.send('testchannel', text);
+    await tick(0);
+    queue.send('testchannel', text);
+    for (let i = 0; i < 3; i++) await tick(1000);
+
+    assert.equal(sent.length, 4);
+    assert.ok(sent.every(({ text: part }) => part.length <= MessageQueue.MAX_MESSAGE_LENGTH));
+});
+
+test('long messages are split between words', () => {
+    const words = Array.from({ length: 120 }, (_, i) => `word${i}`);
+    const parts = MessageQueue.splitMessage(words.join(' '));
+
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every(part => part.length <= MessageQueue.MAX_MESSAGE_LENGTH));
+    assert.equal(parts.join(' '), words.join(' '));
+    assert.deepEqual(MessageQueue.splitMessage('x'.repeat(12), 5), ['xxxxx', 'xxxxx', 'xx']);
+});
+
+test('with reply threads, answers are sent as replies to the command message', async () => {
+    const { queue, sent } = createQueue({ replyThreads: true });
+    queue.send('testchannel', 'Your stats', { replyTo: 'abc-123' });
+    await tick(0);
+
+    assert.equal(sent[0].line, '@reply-parent-msg-id=abc-123 PRIVMSG #testchannel :Your stats');
+});
@@ -0,0 +1,227 @@
+const http = require('http');
+
+// ID of the 7TV global emote set requested by SevenTVService
+const SEVENTV_GLOBAL_SET = '62cdd34e72a832540de95857';
+const FFZ_GLOBAL_SET = 3;
+
+/**
+ * Local stand-in for the Twitch Helix, 7TV, BTTV and FFZ emote APIs
+ * Point TWITCH_API_BASE_URL, SEVENTV_BASE_URL, BTTV_BASE_URL and FFZ_BASE_URL at the URLs
+ * returned by start(). Responses follow the shape of the real APIs. Emotes are given
+ * as { id, name } for every platform.
+ */
+class MockEmoteApiServer {
+    /**
+     * Creates a new mock server with no channels and no global emotes
+     */
+    constructor() {
+        this.server = null;
+        this.channels = new Map(); // login -> { id, emotes: { twitch, sevenTv, bttv, ffz } }
+        this.globalEmotes = { twitch: [], sevenTv: [], bttv: [], ffz: [] };
+        this.failures = new Map(); // API name -> HTTP status
+        this.requests = [];
+    }
+
+    /**
+     * Starts listening on localhost
+     * @param {number} [port=0] - Port to listen on (0 picks a free port)
+     * @returns {Promise<Object>} Base URLs of the APIs (see urls)
+     */
+    start(port = 0) {
+        return new Promise((resolve) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.listen(port, '127.0.0.1', () => resolve(this.urls()));
+        });
+    }
+
+    /**
+     * Gets the base URLs of the running server
+     * @returns {{twitch: string, sevenTv: string, bttv: string, ffz: string}} Base URL of each API
+     */
+    urls() {
+        const base = `http://127.0.0.1:${this.server.address().port}`;
+        return {
+            twitch: `${base}/helix`,
+            sevenTv: `${base}/7tv/v3`,
+            bttv: `${base}/bttv/3`,
+            ffz: `${base}/ffz/v1`
+        };
+    }
+
+    /**
+     * Adds a Twitch channel with its emotes on each platform
+     * @param {string} login - Channel name
+     * @param {string} id - Twitch user ID of the channel
+     * @param {Object} [emotes] - Emotes by platform: twitch, sevenTv, bttv, ffz
+     */
+    addChannel(login, id, { twitch = [], sevenTv = [], bttv = [], ffz = [] } = {}) {
+        this.channels.set(login, { id, emotes: { twitch, sevenTv, bttv, ffz } });
+    }
+
+    /**
+     * Replaces the global emotes of some platforms
+     * @param {Object} emotes - Emotes by platform: twitch, sevenTv, bttv, ffz
+     */
+    setGlobalEmotes(emotes) {
+        Object.assign(this.globalEmotes, emotes);
+    }
+
+    /**
+     * Makes every request to an API fail until clearFailures()
+     * @param {string} api - 'twitch', 'sevenTv', 'bttv' or 'ffz'
+     * @param {number} [status=500] - HTTP status to answer with
+     */
+    fail(api, status = 500) {
+        this.failures.set(api, status);
+    }
+
+    /**
+     * Makes every API answer normally again
+     */
+    clearFailures() {
+        this.failures.clear();
+    }
+
+    /**
+     * Stops the server
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Private methods
+
+    /**
+     * Records and answers a request
+     * @private
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+        const [, prefix] = url.pathname.split('/');
+        const api = { helix: 'twitch', '7tv': 'sevenTv', bttv: 'bttv', ffz: 'ffz' }[prefix];
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (this.failures.has(api)) {
+            return reply(this.failures.get(api), { error: 'Mock failure' });
+        }
+        if (api === 'twitch' && (!req.headers['client-id'] || !/^Bearer \S+/.test(req.headers.authorization || ''))) {
+            return reply(401, { error: 'Unauthorized', status: 401, message: 'OAuth token is missing' });
+        }
+
+        const body = this.route(url);
+        return body === null ? reply(404, { message: 'Not Found' }) : reply(200, body);
+    }
+
+    /**
+     * Builds the response body of an API path
+     * @private
+     * @param {URL} url - Request URL
+     * @returns {Object|Array|null} Response body, null for unknown paths and channels
+     */
+    route(url) {
+        const path = url.pathname;
+        const byId = id => [...this.channels.values()].find(channel => channel.id === id);
+        let match;
+
+        // Twitch Helix
+        if (path === '/helix/users') {
+            const login = url.searchParams.get('login');
+            const channel = this.channels.get(login);
+            return { data: channel ? [{ id: channel.id, login, display_name: login }] : [] };
+        }
+        if (path === '/helix/chat/emotes/global') {
+            return { data: this.globalEmotes.twitch.map(toHelixEmote) };
+        }
+        if (path === '/helix/chat/emotes') {
+            const channel = byId(url.searchParams.get('broadcaster_id'));
+            return { data: channel ? channel.emotes.twitch.map(toHelixEmote) : [] };
+        }
+
+        // 7TV
+        if ((match = path.match(/^\/7tv\/v3\/users\/twitch\/(\w+)$/))) {
+            const channel = byId(match[1]);
+            return channel ? {
+                id: `7tv-user-${channel.id}`,
+                platform: 'TWITCH',
+                emote_set: { id: `7tv-set-${channel.id}`, emotes: channel.emotes.sevenTv.map(toSevenTvEmote) }
+            } : null;
+        }
+        if (path === `/7tv/v3/emote-sets/${SEVENTV_GLOBAL_SET}`) {
+            return { id: SEVENTV_GLOBAL_SET, name: 'Global Emotes', emotes: this.globalEmotes.sevenTv.map(toSevenTvEmote) };
+        }
+
+        // BTTV
+        if ((match = path.match(/^\/bttv\/3\/cached\/users\/twitch\/(\w+)$/))) {
+            const channel = byId(match[1]);
+            return channel ? { id: `bttv-user-${channel.id}`, channelEmotes: channel.emotes.bttv.map(toBttvEmote), sharedEmotes: [] } : null;
+        }
+        if (path === '/bttv/3/cached/emotes/global') {
+            return this.globalEmotes.bttv.map(toBttvEmote);
+        }
+
+        // FFZ
+        if ((match = path.match(/^\/ffz\/v1\/room\/id\/(\w+)$/))) {
+            const channel = byId(match[1]);
+            return channel ? {
+                room: { twitch_id: Number(channel.id), set: 1 },
+                sets: { 1: { id: 1, emoticons: channel.emotes.ffz.map(toFfzEmote) } }
+            } : null;
+        }
+        if (path === '/ffz/v1/set/global') {
+            return {
+                default_sets: [FFZ_GLOBAL_SET],
+                sets: { [FFZ_GLOBAL_SET]: { id: FFZ_GLOBAL_SET, emoticons: this.globalEmotes.ffz.map(toFfzEmote) } }
+            };
+        }
+
+        return null;
+    }
+}
+
+// Private functions
+
+/**
+ * @private
+ * @param {{id: string, name: string}} emote - Mock emote
+ * @returns {Object} Emote as listed by Helix
+ */
+function toHelixEmote(emote) {
+    return { id: emote.id, name: emote.name, format: ['static'], scale: ['1.0', '2.0', '3.0'], theme_mode: ['light', 'dark'] };
+}
+
+/**
+ * @private
+ * @param {{id: string, name: string}} emote - Mock emote
+ * @returns {Object} Emote as listed in a 7TV emote set
+ */
+function toSevenTvEmote(emote) {
+    return { id: emote.id, name: emote.name, flags: 0, data: { id: emote.id, name: emote.name, animated: false } };
+}
+
+/**
+ * @private
+ * @param {{id: string, name: string}} emote - Mock emote
+ * @returns {Object} Emote as listed by BTTV
+ */
+function toBttvEmote(emote) {
+    return { id: emote.id, code: emote.name, imageType: 'png', animated: false };
+}
+
+/**
+ * @private
+ * @param {{id: string, name: string}} emote - Mock emote
+ * @returns {Object} Emote as listed in an FFZ set
+ */
+function toFfzEmote(emote) {
+    return { id: Number(emote.id), name: emote.name };
+}
+
+module.exports = MockEmoteApiServer;
@@ -0,0 +1,183 @@
+const { WebSocketServer } = require('ws');
+
+/**
+ * Local stand-in for the 7TV EventAPI websocket
+ * Point SEVENTV_EVENTS_URL at url() to drive SevenTVEventService without network access
+ */
+class MockSevenTVEventServer {
+    /**
+     * Creates a new mock server
+     * @param {Object} [options]
+     * @param {number} [options.heartbeatInterval=1000] - Heartbeat interval announced in HELLO (ms)
+     */
+    constructor({ heartbeatInterval = 1000 } = {}) {
+        this.heartbeatInterval = heartbeatInterval;
+        this.server = null;
+        this.clients = new Set();
+        this.subscriptions = new Set();
+        this.received = [];
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Starts listening on localhost
+     * @param {number} [port=0] - Port to listen on (0 picks a free port)
+     * @returns {Promise<string>} Websocket URL of the server
+     */
+    start(port = 0) {
+        return new Promise((resolve) => {
+            this.server = new WebSocketServer({ host: '127.0.0.1', port }, () => resolve(this.url()));
+            this.server.on('connection', (socket) => this.handleConnection(socket));
+            this.heartbeatTimer = setInterval(() => {
+                this.broadcast({ op: 2, d: { count: 0 } });
+            }, this.heartbeatInterval);
+        });
+    }
+
+    /**
+     * Gets the websocket URL of the running server
+     * @returns {string} URL such as ws://127.0.0.1:12345/v3
+     */
+    url() {
+        return `ws://127.0.0.1:${this.server.address().port}/v3`;
+    }
+
+    /**
+     * Resolves once a client has subscribed to an emote set
+     * @param {string} emoteSetId - Emote set ID to wait for
+     * @param {number} [timeout=2000] - Maximum wait (ms)
+     * @returns {Promise<void>}
+     */
+    waitForSubscription(emoteSetId, timeout = 2000) {
+        const started = Date.now();
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                if (this.subscriptions.has(emoteSetId)) return resolve();
+                if (Date.now() - started > timeout) {
+                    return reject(new Error(`No subscription to emote set ${emoteSetId}`));
+                }
+                setTimeout(check, 10);
+            };
+            check();
+        });
+    }
+
+    /**
+     * Dispatches an emote_set.update event to all clients
+     * @param {string} emoteSetId - Changed emote set
+     * @param {Object} changes - ChangeMap fields (pushed, pulled, updated)
+     * @param {string} [actor='mock_editor'] - Display name of the user making the change
+     */
+    dispatchEmoteSetUpdate(emoteSetId, { pushed = [], pulled = [], updated = [] }, actor = 'mock_editor') {
+        this.broadcast({
+            op: 0,
+            d: {
+                type: 'emote_set.update',
+                body: {
+                    id: emoteSetId,
+                    kind: 3,
+                    actor: { display_name: actor },
+                    pushed,
+                    pulled,
+                    updated
+                }
+            }
+        });
+    }
+
+    /**
+     * Dispatches the addition of an emote to a set
+     * @param {string} emoteSetId - Emote set ID
+     * @param {{id: string, name: string}} emote - Added emote
+     */
+    addEmote(emoteSetId, emote) {
+        this.dispatchEmoteSetUpdate(emoteSetId, {
+            pushed: [{ key: 'emotes', index: 0, value: { ...emote, data: { animated: false } } }]
+        });
+    }
+
+    /**
+     * Dispatches the removal of an emote from a set
+     * @param {string} emoteSetId - Emote set ID
+     * @param {{id: string, name: string}} emote - Removed emote
+     */
+    removeEmote(emoteSetId, emote) {
+        this.dispatchEmoteSetUpdate(emoteSetId, {
+            pulled: [{ key: 'emotes', index: 0, old_value: emote }]
+        });
+    }
+
+    /**
+     * Dispatches the rename of an emote in a set
+     * @param {string} emoteSetId - Emote set ID
+     * @param {{id: string, name: string}} emote - Emote with its current name
+     * @param {string} newName - New name of the emote
+     */
+    renameEmote(emoteSetId, emote, newName) {
+        this.dispatchEmoteSetUpdate(emoteSetId, {
+            updated: [{
+                key: 'emotes',
+                index: 0,
+                old_value: emote,
+                value: { ...emote, name: newName, data: { animated: false } }
+            }]
+        });
+    }
+
+    /**
+     * Asks every client to reconnect (opcode 4)
+     */
+    requestReconnect() {
+        this.broadcast({ op: 4, d: { reason: 'mock reconnect' } });
+    }
+
+    /**
+     * Stops the server and disconnects all clients
+     * @returns {Promise<void>}
+     */
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        this.clients.forEach(socket => socket.terminate());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Private methods
+
+    /**
+     * Greets a new client and records its subscriptions
+     * @private
+     * @param {WebSocket} socket - Connected client
+     */
+    handleConnection(socket) {
+        this.clients.add(socket);
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            this.received.push(message);
+            const emoteSetId = message.d?.condition?.object_id;
+            if (message.op === 35) {
+                this.subscriptions.add(emoteSetId);
+                socket.send(JSON.stringify({ op: 5, d: { command: 'SUBSCRIBE', data: message.d } }));
+            } else if (message.op === 36) {
+                this.subscriptions.delete(emoteSetId);
+                socket.send(JSON.stringify({ op: 5, d: { command: 'UNSUBSCRIBE', data: message.d } }));
+            }
+        });
+        socket.send(JSON.stringify({
+            op: 1,
+            d: { heartbeat_interval: this.heartbeatInterval, session_id: 'mock-session' }
+        }));
+    }
+
+    /**
+     * Sends a message to every connected client
+     * @private
+     * @param {Object} message - Message to send
+     */
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        this.clients.forEach(socket => socket.send(data));
+    }
+}
+
+module.exports = MockSevenTVEventServer;
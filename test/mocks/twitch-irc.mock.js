@@ -0,0 +1,233 @@
+const { WebSocketServer } = require('ws');
+const waitFor = require('../helpers/wait-for');
+
+/**
+ * Local stand-in for Twitch chat (IRC over a websocket, like irc-ws.chat.twitch.tv)
+ * Point TWITCH_IRC_URL at url() to connect the bot's tmi.js client without network access.
+ * Viewers chat through say(); messages the bot sends are collected in sent.
+ */
+class MockTwitchIrcServer {
+    /**
+     * Creates a new mock server
+     */
+    constructor() {
+        this.server = null;
+        this.clients = new Set();
+        this.nick = null;
+        this.password = null;
+        this.joined = new Set();
+        this.sent = [];
+        this.messageCount = 0;
+    }
+
+    /**
+     * Starts listening on localhost
+     * @param {number} [port=0] - Port to listen on (0 picks a free port)
+     * @returns {Promise<string>} Websocket URL of the server
+     */
+    start(port = 0) {
+        return new Promise((resolve) => {
+            this.server = new WebSocketServer({ host: '127.0.0.1', port }, () => resolve(this.url()));
+            this.server.on('connection', (socket) => this.handleConnection(socket));
+        });
+    }
+
+    /**
+     * Gets the websocket URL of the running server
+     * @returns {string} URL such as ws://127.0.0.1:12345
+     */
+    url() {
+        return `ws://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Sends a viewer's chat message to every connected client
+     * @param {string} channel - Channel name without '#'
+     * @param {Object} user - Sender
+     * @param {string} user.login - Login name
+     * @param {string} user.id - Twitch user ID
+     * @param {string} [user.displayName] - Display name (default: the login)
+     * @param {string} [user.badges] - Badges tag, e.g. "moderator/1"
+     * @param {string} message - Message text
+     * @param {Object} [tags={}] - Extra or replaced tags, e.g. { emotes: '25:0-4' }
+     * @returns {string} ID of the message
+     */
+    say(channel, user, message, tags = {}) {
+        const id = `mock-message-${++this.messageCount}`;
+        const badges = user.badges || '';
+        const allTags = {
+            'badge-info': '',
+            badges,
+            color: '',
+            'display-name': user.displayName || user.login,
+            emotes: '',
+            id,
+            mod: badges.includes('moderator') ? '1' : '0',
+            'room-id': '1',
+            subscriber: '0',
+            'tmi-sent-ts': String(Date.now()),
+            turbo: '0',
+            'user-id': user.id,
+            'user-type': '',
+            ...tags
+        };
+        const tagText = Object.entries(allTags).map(([key, value]) => `${key}=${escapeTag(value)}`).join(';');
+        this.broadcast(`@${tagText} :${user.login}!${user.login}@${user.login}.tmi.twitch.tv PRIVMSG #${channel} :${message}`);
+        return id;
+    }
+
+    /**
+     * Resolves once the bot has joined a channel
+     * @param {string} channel - Channel name without '#'
+     * @param {number} [timeout=5000] - Maximum wait (ms)
+     * @returns {Promise<void>}
+     */
+    waitForJoin(channel, timeout = 5000) {
+        return waitFor(() => this.joined.has(channel), timeout, `The bot did not join #${channel}`).then(() => {});
+    }
+
+    /**
+     * Resolves with the first message the bot sent that matches
+     * @param {RegExp|string|Function} match - Pattern, substring or predicate of the sent message
+     * @param {number} [timeout=3000] - Maximum wait (ms)
+     * @returns {Promise<{channel: string, message: string, tags: Object}>} Sent message
+     */
+    waitForMessage(match, timeout = 3000) {
+        const test = typeof match === 'function'
+            ? match
+            : sent => (match instanceof RegExp ? match.test(sent.message) : sent.message.includes(match));
+        return waitFor(() => this.sent.find(test), timeout, `The bot sent no message matching ${match}`);
+    }
+
+    /**
+     * Forgets the messages the bot sent so far
+     */
+    clearSent() {
+        this.sent = [];
+    }
+
+    /**
+     * Drops every connection, as when Twitch restarts a chat server
+     */
+    disconnectAll() {
+        this.clients.forEach(socket => socket.terminate());
+        this.joined.clear();
+    }
+
+    /**
+     * Stops the server and disconnects all clients
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.clients.forEach(socket => socket.terminate());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Private methods
+
+    /**
+     * Handles the IRC lines of a new client
+     * @private
+     * @param {WebSocket} socket - Connected client
+     */
+    handleConnection(socket) {
+        this.clients.add(socket);
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('message', (data) => {
+            data.toString().split('\r\n').filter(Boolean).forEach(line => this.handleLine(socket, line));
+        });
+    }
+
+    /**
+     * Answers one IRC line the way Twitch does
+     * @private
+     * @param {WebSocket} socket - Client that sent the line
+     * @param {string} line - IRC line
+     */
+    handleLine(socket, line) {
+        const tags = {};
+        let rest = line;
+        if (rest.startsWith('@')) {
+            const end = rest.indexOf(' ');
+            rest.slice(1, end).split(';').forEach(tag => {
+                const [key, value = ''] = tag.split('=');
+                tags[key] = value;
+            });
+            rest = rest.slice(end + 1);
+        }
+        const [command, ...params] = rest.split(' ');
+
+        switch (command) {
+            case 'CAP':
+                send(socket, `:tmi.twitch.tv CAP * ACK ${params.slice(1).join(' ')}`);
+                break;
+            case 'PASS':
+                this.password = params[0];
+                break;
+            case 'NICK':
+                this.nick = params[0];
+                ['001 :Welcome, GLHF!', '002 :Your host is tmi.twitch.tv', '003 :This server is rather new',
+                    '004 :-', '375 :-', '372 :You are in a maze of twisty passages.', '376 :>']
+                    .forEach(reply => send(socket, `:tmi.twitch.tv ${reply.replace(' ', ` ${this.nick} `)}`));
+                break;
+            case 'JOIN':
+                params[0].split(',').forEach(channel => {
+                    const name = channel.replace(/^#/, '');
+                    this.joined.add(name);
+                    send(socket, `:${this.nick}!${this.nick}@${this.nick}.tmi.twitch.tv JOIN #${name}`);
+                    send(socket, `@badge-info=;badges=;color=;display-name=${this.nick};emote-sets=0;mod=0;subscriber=0;user-type= :tmi.twitch.tv USERSTATE #${name}`);
+                    send(socket, `@emote-only=0;followers-only=-1;r9k=0;room-id=1;slow=0;subs-only=0 :tmi.twitch.tv ROOMSTATE #${name}`);
+                });
+                break;
+            case 'PART':
+                this.joined.delete(params[0].replace(/^#/, ''));
+                send(socket, `:${this.nick}!${this.nick}@${this.nick}.tmi.twitch.tv PART ${params[0]}`);
+                break;
+            case 'PING':
+                send(socket, 'PONG :tmi.twitch.tv');
+                break;
+            case 'PRIVMSG': {
+                const channel = params[0].replace(/^#/, '');
+                const message = rest.slice(rest.indexOf(' :') + 2);
+                this.sent.push({ channel, message, tags });
+                send(socket, `@badge-info=;badges=;color=;display-name=${this.nick};emote-sets=0;mod=0;subscriber=0;user-type= :tmi.twitch.tv USERSTATE #${channel}`);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Sends a line to every connected client
+     * @private
+     * @param {string} line - IRC line
+     */
+    broadcast(line) {
+        this.clients.forEach(socket => send(socket, line));
+    }
+}
+
+// Private functions
+
+/**
+ * Sends one IRC line to a client
+ * @private
+ * @param {WebSocket} socket - Client
+ * @param {string} line - IRC line without the line break
+ */
+function send(socket, line) {
+    socket.send(`${line}\r\n`);
+}
+
+/**
+ * Escapes an IRCv3 tag value
+ * @private
+ * @param {string} value - Tag value
+ * @returns {string} Escaped value
+ */
+function escapeTag(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\:').replace(/ /g, '\\s');
+}
+
+module.exports = MockTwitchIrcServer;
@@ -0,0 +1,164 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const EventEmitter = require('events');
+const { setupEnvironment } = require('./helpers/environment');
+const waitFor = require('./helpers/wait-for');
+
+let server;
+let overlay;
+let emoteProcessor;
+let baseUrl;
+
+const KAPPA = { key: 'twitch:25', code: 'Kappa' };
+const LUL = { key: 'twitch:425618', code: 'LUL' };
+
+before(async () => {
+    setupEnvironment({ ENABLE_HTTP_API: 'true', ENABLE_OVERLAY: 'true', OVERLAY_COMBO_MIN: '3' });
+
+    // Required after the environment is set: the configuration reads it once
+    const config = require('../src/config');
+    const ApiServer = require('../src/server/api.server');
+    const Overlay = require('../src/server/overlay');
+    const ComboDetector = require('../src/modules/comboDetector');
+    const I18n = require('../src/utils/i18n');
+
+    // Forwards combos the way EmoteProcessor does
+    emoteProcessor = new EventEmitter();
+    emoteProcessor.comboDetector = new ComboDetector();
+    emoteProcessor.comboDetector.on('comboUpdate', (combo) => emoteProcessor.emit('combo', combo));
+    emoteProcessor.comboDetector.on('comboEnd', (combo) => emoteProcessor.emit('comboEnd', combo));
+    const statsHandler = {
+        getLeaderboard: async () => [{ userKey: '42', name: 'Viewer', score: 7, rank: 1 }],
+        getStreamTopEmotes: async () => [{ key: KAPPA.key, code: KAPPA.code, count: 7 }]
+    };
+    const bot = { config, emoteProcessor, statsHandler, i18n: new I18n(config) };
+    const serverConfig = { ...config, httpApi: { ...config.httpApi, host: '127.0.0.1', port: 0 } };
+
+    server = new ApiServer(bot, serverConfig);
+    overlay = new Overlay(bot, serverConfig);
+    overlay.register(server);
+    overlay.start();
+    await server.start();
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(() => {
+    overlay.stop();
+    emoteProcessor.comboDetector.stop();
+    return server.stop();
+});
+
+/**
+ * Opens an overlay event stream and collects its events
+ * @param {string} channel - Channel of the overlay
+ * @returns {Promise<Object>} Received events ({ event, data }) and a close function
+ */
+function openEvents(channel) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(`${baseUrl}/overlay/${channel}/events`, (res) => {
+            let buffer = '';
+            res.setEncoding('utf-8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                blocks.filter(block => block.startsWith('event:')).forEach(block => {
+                    const [eventLine, dataLine] = block.split('\n');
+                    events.push({ event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) });
+                });
+            });
+            resolve({ events, close: () => req.destroy() });
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Gets the events of one name received so far
+ * @param {Array<Object>} events - Received events
+ * @param {string} name - Event name
+ * @returns {Array<*>} Data of the matching events
+ */
+function eventsNamed(events, name) {
+    return events.filter(e => e.event === name).map(e => e.data);
+}
+
+test('the event stream starts with the current state', async () => {
+    const stream = await openEvents('testchannel');
+    try {
+        const [state] = await waitFor(() => eventsNamed(stream.events, 'state').length && eventsNamed(stream.events, 'state'));
+
+        assert.equal(state.channel, 'testchannel');
+        assert.deepEqual(state.leaderboard, [{ rank: 1, displayName: 'Viewer', total: 7 }]);
+        assert.equal(state.topEmote.code, 'Kappa');
+        assert.equal(state.combo, null);
+    } finally {
+        stream.close();
+    }
+});
+
+test('a combo is pushed from the minimum size until it ends', async () => {
+    const stream = await openEvents('testchannel');
+    const { comboDetector } = emoteProcessor;
+    try {
+        await waitFor(() => eventsNamed(stream.events, 'state').length);
+
+        comboDetector.track('#testchannel', { id: '1' }, [KAPPA]);
+        comboDetector.track('#testchannel', { id: '2' }, [KAPPA, LUL]);
+        assert.deepEqual(eventsNamed(stream.events, 'combo'), []);
+
+        comboDetector.track('#testchannel', { id: '3' }, [KAPPA]);
+        await waitFor(() => eventsNamed(stream.events, 'combo').length);
+
+        // An overlay opened during the combo shows it right away
+        const late = await openEvents('testchannel');
+        const [state] = await waitFor(() => eventsNamed(late.events, 'state').length && eventsNamed(late.events, 'state'));
+        late.close();
+        assert.deepEqual([state.combo.code, state.combo.count], ['Kappa', 3]);
+
+        comboDetector.track('#testchannel', { id: '1' }, [LUL]);
+        await waitFor(() => eventsNamed(stream.events, 'comboEnd').length);
+
+        assert.deepEqual(eventsNamed(stream.events, 'combo').map(combo => [combo.code, combo.count]), [['Kappa', 3]]);
+        assert.deepEqual(eventsNamed(stream.events, 'comboEnd').map(combo => [combo.code, combo.count]), [['Kappa', 3]]);
+    } finally {
+        stream.close();
+    }
+});
+
+test('detected emotes refresh the leaderboard', async () => {
+    const stream = await openEvents('testchannel');
+    try {
+        await waitFor(() => eventsNamed(stream.events, 'state').length);
+
+        emoteProcessor.emit('emotes', { channel: '#testchannel', emotes: [KAPPA] });
+        const [topEmote] = await waitFor(() => eventsNamed(stream.events, 'topEmote').length && eventsNamed(stream.events, 'topEmote'));
+        const [leaderboard] = eventsNamed(stream.events, 'leaderboard');
+
+        assert.deepEqual(leaderboard, [{ rank: 1, displayName: 'Viewer', total: 7 }]);
+        assert.equal(topEmote.code, 'Kappa');
+    } finally {
+        stream.close();
+    }
+});
+
+test('milestones are pushed to the overlays of their channel', async () => {
+    const stream = await openEvents('testchannel');
+    try {
+        await waitFor(() => eventsNamed(stream.events, 'state').length);
+
+        emoteProcessor.emit('milestone', { channel: '#testchannel', username: 'Viewer', milestone: { count: 1000, counter: 'messages' } });
+        const [milestone] = await waitFor(() => eventsNamed(stream.events, 'milestone').length && eventsNamed(stream.events, 'milestone'));
+
+        assert.deepEqual(milestone, { username: 'Viewer', count: 1000, counter: 'messages', label: 'messages' });
+    } finally {
+        stream.close();
+    }
+});
+
+test('overlays of unmonitored channels are not found', async () => {
+    assert.equal((await fetch(`${baseUrl}/overlay/otherchannel/events`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/overlay/otherchannel`)).status, 404);
+});
@@ -0,0 +1,140 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment } = require('./helpers/environment');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const NOW = Date.now();
+const PREVIOUS_STREAM = NOW - 6 * HOUR;
+const LAST_STREAM = NOW - 2 * HOUR;
+const KAPPA = 'twitch-global:25';
+const LUL = 'twitch-global:425618';
+let directory;
+let report;
+let generator;
+
+before(async () => {
+    directory = setupEnvironment();
+
+    // Required after the environment is set: the configuration reads it once
+    const config = require('../src/config');
+    const StatsHandler = require('../src/modules/statsHandler');
+    const UsageHistory = require('../src/modules/usageHistory');
+    const ReportGenerator = require('../src/modules/reportGenerator');
+    const emoteManager = require('../src/modules/emoteManager');
+
+    fs.writeFileSync(config.files.emotesCache, JSON.stringify({
+        version: '2.0',
+        lastUpdate: NOW,
+        global: {
+            Kappa: { code: 'Kappa', id: '25', platform: 'twitch-global' },
+            LUL: { code: 'LUL', id: '425618', platform: 'twitch-global' }
+        },
+        channels: {}
+    }));
+    await emoteManager.loadCache();
+
+    // Two streams: Viewer used Kappa twice in the previous one, then Kappa three times,
+    // New_Viewer used LUL and a bot spammed LUL in the last one
+    const history = new UsageHistory(config.history);
+    const use = (username, emote, timestamp) =>
+        history.record('testchannel', { username, emote, platform: 'twitch-global', message: true }, timestamp);
+    use('42', KAPPA, PREVIOUS_STREAM);
+    use('42', KAPPA, PREVIOUS_STREAM + MINUTE);
+    use('42', KAPPA, LAST_STREAM);
+    use('42', KAPPA, LAST_STREAM + MINUTE);
+    use('43', LUL, LAST_STREAM + 2 * MINUTE);
+    use('42', KAPPA, LAST_STREAM + 3 * MINUTE);
+    use('44', LUL, LAST_STREAM + 4 * MINUTE);
+
+    const user = (login, displayName, emotes, firstSeen) => {
+        const total = Object.values(emotes).reduce((sum, count) => sum + count, 0);
+        return {
+            total,
+            messages: total,
+            emoteMessages: total,
+            emotes,
+            platforms: { 'twitch-global': total },
+            firstSeen,
+            lastSeen: LAST_STREAM + 4 * MINUTE,
+            login,
+            displayName
+        };
+    };
+    const database = path.join(directory, 'report.json');
+    fs.writeFileSync(database, JSON.stringify({
+        version: 2,
+        stats: {
+            testchannel: {
+                42: user('viewer', 'Viewer', { [KAPPA]: 5, [LUL]: 3 }, NOW - 30 * DAY),
+                43: user('new_viewer', 'New_Viewer', { [LUL]: 1 }, LAST_STREAM + 2 * MINUTE),
+                44: user('somebot', 'SomeBot', { [LUL]: 1 }, NOW - 30 * DAY)
+            }
+        },
+        history: history.toJSON(),
+        ignored: { testchannel: { 44: 'somebot' } }
+    }));
+
+    const statsHandler = new StatsHandler({ config: { ...config, files: { ...config.files, database } } });
+    generator = new ReportGenerator(statsHandler);
+    report = await generator.build('#testchannel', await generator.resolveRange('testchannel'));
+});
+
+test('the latest stream is reported by default and compared with the one before', () => {
+    assert.equal(report.channel, 'testchannel');
+    assert.equal(report.from, LAST_STREAM);
+    assert.equal(report.to, LAST_STREAM + 4 * MINUTE + 1);
+    assert.match(report.label, /^Stream of .* \(0h 4m\)$/);
+    assert.deepEqual(report.totals, { emotes: 5, messages: 5, chatters: 2, uniqueEmotes: 2 });
+
+    assert.deepEqual(report.topEmotes.map(({ code, count, previous, change }) => ({ code, count, previous, change })), [
+        { code: 'Kappa', count: 3, previous: 2, change: 0.5 },
+        { code: 'LUL', count: 2, previous: 0, change: null }
+    ]);
+    assert.equal(report.topEmotes[0].url, 'https://static-cdn.jtvnw.net/emoticons/v2/25/default/dark/3.0');
+});
+
+test('ignored users are left out of the chatters', () => {
+    assert.deepEqual(report.topChatters, [
+        { name: 'Viewer', count: 3, share: 3 / 5 },
+        { name: 'New_Viewer', count: 1, share: 1 / 5 }
+    ]);
+    assert.deepEqual(report.chatterTypes, { new: 1, returning: 1, newNames: ['New_Viewer'] });
+    assert.deepEqual(report.diversity.map(entry => [entry.name, entry.uniqueEmotes, entry.favorite.code]), [
+        ['Viewer', 2, 'Kappa'],
+        ['New_Viewer', 1, 'LUL']
+    ]);
+});
+
+test('the hour of day breakdown uses the hourly history', () => {
+    const hours = report.hours.reduce((sum, hour) => sum + hour.total, 0);
+
+    assert.equal(hours, 5);
+    assert.ok(report.hours.every(hour => hour.hour === new Date(LAST_STREAM).getHours() || hour.hour === new Date(LAST_STREAM + 4 * MINUTE).getHours()));
+});
+
+test('date ranges are compared with the period of the same length before them', async () => {
+    const range = await generator.resolveRange('testchannel', { from: new Date(NOW - 4 * HOUR).toISOString() });
+
+    assert.equal(range.to - range.from, range.previous.to - range.previous.from);
+    assert.equal(range.previous.to, range.from);
+    assert.equal(await generator.resolveRange('testchannel', { session: 3 }), null);
+    await assert.rejects(generator.resolveRange('testchannel', { from: 'yesterday-ish' }), /Invalid --from date: yesterday-ish/);
+    await assert.rejects(generator.resolveRange('testchannel', { from: '2024-01-02', to: '2024-01-01' }), /must start before it ends/);
+});
+
+test('reports are written as HTML and Markdown with chat text escaped', async () => {
+    const escaped = { ...report, topChatters: [{ name: '<b>x_y</b>', count: 1, share: 1 }] };
+    const files = await generator.write(escaped, path.join(directory, 'reports'));
+
+    assert.deepEqual(files.map(file => path.extname(file)), ['.html', '.md']);
+    const html = fs.readFileSync(files[0], 'utf-8');
+    const markdown = fs.readFileSync(files[1], 'utf-8');
+    assert.match(html, /&lt;b&gt;x_y&lt;\/b&gt;/);
+    assert.match(markdown, /\\<b\\>x\\_y\\<\/b\\>/);
+    assert.match(markdown, /\| 1 \| Kappa \| 3 \| ▲ 50% \|/);
+    assert.match(markdown, /\| 2 \| LUL \| 2 \| new \|/);
+});
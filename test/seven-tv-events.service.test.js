@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnvironment, mockServerSettings } = require('./helpers/environment');
+const waitFor = require('./helpers/wait-for');
+const MockEmoteApiServer = require('./mocks/emote-apis.mock');
+const MockSevenTVEventServer = require('./mocks/seven-tv-events.mock');
+
+const api = new MockEmoteApiServer();
+const events = new MockSevenTVEventServer({ heartbeatInterval: 200 });
+const EMOTE_SET = '7tv-set-1001';
+let emoteManager;
+
+before(async () => {
+    const apiUrls = await api.start();
+    const eventsUrl = await events.start();
+    setupEnvironment({ ...mockServerSettings(apiUrls), SEVENTV_EVENTS_URL: eventsUrl });
+
+    api.addChannel('testchannel', '1001', {
+        sevenTv: [{ id: '7tv-1', name: 'catJAM' }, { id: '7tv-2', name: 'peepoHappy' }]
+    });
+
+    // Required after the environment is set: the configuration reads it once
+    emoteManager = require('../src/modules/emoteManager');
+    await emoteManager.refreshEmotes(null, 'testchannel', { force: true });
+    emoteManager.startLiveUpdates();
+    await events.waitForSubscription(EMOTE_SET);
+});
+
+after(async () => {
+    emoteManager.stopLiveUpdates();
+    await events.stop();
+    await api.stop();
+});
+
+test('emotes added to the channel emote set are detected right away', async () => {
+    events.addEmote(EMOTE_SET, { id: '7tv-3', name: 'Clap' });
+
+    await waitFor(() => emoteManager.isEmote('Clap', 'testchannel'), 2000, 'Clap was not added');
+    assert.equal(emoteManager.getEmoteKey(emoteManager.getEmoteInfo('Clap', 'testchannel')), '7tv-channel:7tv-3');
+});
+
+test('emotes removed from the channel emote set are no longer detected', async () => {
+    events.removeEmote(EMOTE_SET, { id: '7tv-2', name: 'peepoHappy' });
+
+    await waitFor(() => !emoteManager.isEmote('peepoHappy', 'testchannel'), 2000, 'peepoHappy was not removed');
+    assert.ok(emoteManager.getEmoteHistoryEntry('7tv-channel:7tv-2', 'testchannel').removedAt);
+});
+
+test('renamed emotes keep their key and remember the old name', async () => {
+    events.renameEmote(EMOTE_SET, { id: '7tv-1', name: 'catJAM' }, 'catDANCE');
+
+    await waitFor(() => emoteManager.isEmote('catDANCE', 'testchannel'), 2000, 'catJAM was not renamed');
+    assert.equal(emoteManager.isEmote('catJAM', 'testchannel'), false);
+    assert.equal(emoteManager.getEmoteKey(emoteManager.getEmoteInfo('catDANCE', 'testchannel')), '7tv-channel:7tv-1');
+    assert.deepEqual(emoteManager.getEmoteNames('7tv-channel:7tv-1', 'testchannel'), ['catJAM', 'catDANCE']);
+});
+
+test('updates of emote sets of other channels are ignored', async () => {
+    events.addEmote('7tv-set-other', { id: '7tv-4', name: 'NOTED' });
+    // Updates are applied in order, so the other set's update was handled once this one is
+    events.addEmote(EMOTE_SET, { id: '7tv-5', name: 'EZY' });
+
+    await waitFor(() => emoteManager.isEmote('EZY', 'testchannel'), 2000, 'EZY was not added');
+    assert.equal(emoteManager.isEmote('NOTED', 'testchannel'), false);
+});
@@ -0,0 +1,149 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment } = require('./helpers/environment');
+
+const HOUR = 60 * 60 * 1000;
+const SEEN = Date.now() - 2 * HOUR;
+let directory;
+let config;
+let SQLiteStorage;
+let UsageHistory;
+
+before(() => {
+    directory = setupEnvironment();
+
+    // Required after the environment is set: the configuration reads it once
+    config = require('../src/config');
+    SQLiteStorage = require('../src/storage/sqlite.storage');
+    UsageHistory = require('../src/modules/usageHistory');
+});
+
+/**
+ * Creates a storage for its own SQLite and JSON database files
+ * @param {string} name - Base name of the database files in the test directory
+ * @returns {SQLiteStorage} Storage instance
+ */
+function createStorage(name) {
+    return new SQLiteStorage({
+        ...config,
+        files: { ...config.files, database: path.join(directory, `${name}.json`), sqlite: path.join(directory, `${name}.db`) }
+    });
+}
+
+/**
+ * Creates a user record
+ * @param {number} total - Emote uses
+ * @returns {Object} User statistics
+ */
+function userStats(total) {
+    return {
+        total,
+        messages: total,
+        emotes: { 'twitch:25': total },
+        platforms: { 'twitch-global': total },
+        firstSeen: SEEN,
+        lastSeen: SEEN,
+        login: 'viewer',
+        displayName: 'Viewer'
+    };
+}
+
+/**
+ * Creates statistics to save, with one emote use recorded in the usage history
+ * @returns {Object} Statistics as passed to save()
+ */
+function createData() {
+    const history = new UsageHistory();
+    history.record('testchannel', { username: '42', emote: 'twitch:25', platform: 'twitch-global', message: true }, SEEN);
+    return {
+        stats: { testchannel: { 42: userStats(3), 43: userStats(1) } },
+        metrics: { totalSaves: 1 },
+        history: history.toJSON(),
+        combos: {},
+        ignored: { testchannel: ['somebot'] }
+    };
+}
+
+/**
+ * Counts the rows changed through the storage's connection since it was opened
+ * @param {SQLiteStorage} storage - Open storage
+ * @returns {number} Changed rows
+ */
+function totalChanges(storage) {
+    return storage.db.prepare('SELECT total_changes() AS changes').get().changes;
+}
+
+test('the JSON database is migrated on first load', async () => {
+    const data = createData();
+    fs.writeFileSync(path.join(directory, 'migrated.json'), JSON.stringify({ version: 2, ...data }));
+
+    const storage = createStorage('migrated');
+    const loaded = await storage.load();
+    storage.close();
+
+    assert.deepEqual(loaded, data);
+    // The JSON file is only read once: later changes to it are not migrated again
+    fs.writeFileSync(path.join(directory, 'migrated.json'), JSON.stringify({ version: 2, stats: {} }));
+    const reopened = createStorage('migrated');
+    assert.deepEqual((await reopened.load()).stats, data.stats);
+    reopened.close();
+});
+
+test('only dirty users are written', async () => {
+    const storage = createStorage('dirty');
+    await storage.load();
+    const data = createData();
+    await storage.save(data, { full: true });
+
+    data.stats.testchannel['42'].total = 10;
+    data.stats.testchannel['43'].total = 20;
+    await storage.save(data, { dirty: new Map([['testchannel', new Set(['42'])]]) });
+    storage.close();
+
+    const reopened = createStorage('dirty');
+    const { stats } = await reopened.load();
+    assert.equal(stats.testchannel['42'].total, 10);
+    assert.equal(stats.testchannel['43'].total, 1);
+    assert.equal(stats.testchannel['42'].login, 'viewer');
+    assert.deepEqual(await reopened.getUserRank('testchannel', '42'), { position: 1, total: 10 });
+    reopened.close();
+});
+
+test('unchanged history buckets and meta values are not written again', async () => {
+    const storage = createStorage('history');
+    await storage.load();
+    const data = createData();
+    await storage.save(data);
+
+    let changes = totalChanges(storage);
+    await storage.save(data);
+    assert.equal(totalChanges(storage) - changes, 0);
+
+    // A use in a new hour of the same session: the new hour, the day and the session
+    const history = new UsageHistory();
+    history.load(data.history);
+    history.record('testchannel', { username: '42', emote: 'twitch:25', platform: 'twitch-global', message: true }, SEEN + HOUR);
+    changes = totalChanges(storage);
+    await storage.save({ ...data, history: history.toJSON() });
+    assert.equal(totalChanges(storage) - changes, 3);
+    storage.close();
+
+    const reopened = createStorage('history');
+    const loaded = await reopened.load();
+    reopened.close();
+    assert.deepEqual(loaded.history, history.toJSON());
+    assert.deepEqual(loaded.metrics, data.metrics);
+});
+
+test('a read-only load reads the JSON database without creating the SQLite one', async () => {
+    const data = createData();
+    fs.writeFileSync(path.join(directory, 'read-only.json'), JSON.stringify({ version: 2, ...data }));
+
+    const storage = createStorage('read-only');
+    assert.deepEqual((await storage.load({ readOnly: true })).stats, data.stats);
+    storage.close();
+
+    assert.equal(fs.existsSync(path.join(directory, 'read-only.db')), false);
+});
@@ -0,0 +1,144 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment } = require('./helpers/environment');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SEEN = Date.parse('2024-01-15T20:00:00Z');
+let directory;
+let config;
+let StatsHandler;
+
+before(() => {
+    directory = setupEnvironment();
+
+    // Required after the environment is set: the configuration reads it once
+    config = require('../src/config');
+    StatsHandler = require('../src/modules/statsHandler');
+});
+
+/**
+ * Loads statistics from a database file holding the given content
+ * @param {string} name - Database file name in the test directory
+ * @param {Object} content - Database content
+ * @returns {Promise<StatsHandler>} Loaded statistics
+ */
+async function loadStats(name, content) {
+    const database = path.join(directory, name);
+    fs.writeFileSync(database, JSON.stringify(content));
+    const statsHandler = new StatsHandler({ config: { ...config, files: { ...config.files, database } } });
+    await statsHandler.ensureLoaded();
+    return statsHandler;
+}
+
+/**
+ * Creates a record from before user IDs and separate message counts were tracked,
+ * when `total` counted messages with emotes
+ * @param {Object} emotes - Emote to count
+ * @param {number} messages - Messages with emotes
+ * @param {number} lastSeen - When the user was last seen
+ * @returns {Object} Legacy user statistics
+ */
+function legacyStats(emotes, messages, lastSeen = SEEN) {
+    return { total: messages, emotes, platforms: { 'twitch-global': messages }, firstSeen: lastSeen - DAY, lastSeen };
+}
+
+test('name-keyed records are merged by lowercase name and recounted on load', async () => {
+    const statsHandler = await loadStats('legacy.json', {
+        Viewer: legacyStats({ Kappa: 3 }, 2, SEEN),
+        viewer: legacyStats({ Kappa: 1, LUL: 1 }, 1, SEEN - DAY),
+        Other: legacyStats({ LUL: 4 }, 4)
+    });
+
+    const channelStats = statsHandler.getChannelStats('testchannel');
+    assert.deepEqual(Object.keys(channelStats).sort(), ['other', 'viewer']);
+    const viewer = channelStats.viewer;
+    assert.equal(viewer.legacy, true);
+    assert.equal(viewer.login, 'viewer');
+    assert.equal(viewer.firstSeen, SEEN - 2 * DAY);
+    assert.equal(viewer.lastSeen, SEEN);
+    // Totals are now emote uses, the old totals are the messages with emotes
+    assert.equal(viewer.total, 5);
+    assert.equal(viewer.emoteMessages, 3);
+    assert.equal(viewer.messages, 3);
+
+    // The converted records are saved right away
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, 'legacy.json'), 'utf-8'));
+    assert.equal(saved.stats.testchannel.viewer.legacy, true);
+    assert.equal(saved.stats.testchannel.Viewer, undefined);
+});
+
+test('a legacy record is linked to the user ID when the user chats', async () => {
+    const statsHandler = await loadStats('linking.json', {
+        Viewer: legacyStats({ Kappa: 3 }, 2),
+        Renamed: legacyStats({ LUL: 1 }, 1)
+    });
+
+    const { key, stats } = statsHandler.getUserRecord('testchannel', { id: '42', login: 'viewer', displayName: 'Viewer' });
+
+    assert.equal(key, '42');
+    assert.equal(stats.total, 3);
+    assert.equal(stats.legacy, undefined);
+    assert.equal(stats.displayName, 'Viewer');
+    const channelStats = statsHandler.getChannelStats('testchannel');
+    assert.equal(channelStats.viewer, undefined);
+    // Records of other names stay until their user chats
+    assert.equal(channelStats.renamed.legacy, true);
+    assert.deepEqual([...statsHandler.dirtyUsers.get('testchannel')].sort(), ['42', 'viewer']);
+});
+
+test('a legacy record found by display name is merged into an existing ID record', async () => {
+    const statsHandler = await loadStats('merging.json', {
+        version: 2,
+        stats: {
+            testchannel: {
+                42: { ...legacyStats({ Kappa: 2 }, 2, SEEN + DAY), login: 'cool_viewer', displayName: 'Cool_Viewer' },
+                coolviewer: { ...legacyStats({ Kappa: 1 }, 1), login: 'coolviewer', displayName: 'CoolViewer', legacy: true }
+            }
+        }
+    });
+
+    const { stats } = statsHandler.getUserRecord('testchannel', { id: '42', login: 'cool_viewer', displayName: 'CoolViewer' });
+
+    assert.equal(stats.total, 3);
+    assert.deepEqual(stats.emotes, { Kappa: 3 });
+    assert.equal(stats.firstSeen, SEEN - DAY);
+    assert.equal(stats.lastSeen, SEEN + DAY);
+    assert.equal(statsHandler.getChannelStats('testchannel').coolviewer, undefined);
+    assert.equal(statsHandler.resolveUserKey('testchannel', '@CoolViewer'), '42');
+});
+
+test('users not seen for STALE_DATA_AGE are removed on load unless it is 0', async () => {
+    // Over 1000 users, the size from which stale users are removed on load
+    const stats = {};
+    for (let i = 0; i < 1100; i++) {
+        stats[`${i}`] = { ...legacyStats({ 'twitch:25': 1 }, 1, i < 1000 ? SEEN : Date.now()), login: `viewer${i}`, displayName: `viewer${i}` };
+    }
+    const content = { version: 2, stats: { testchannel: stats } };
+
+    const cleaned = await loadStats('stale.json', content);
+    assert.equal(Object.keys(cleaned.getChannelStats('testchannel')).length, 100);
+
+    const database = path.join(directory, 'kept.json');
+    fs.writeFileSync(database, JSON.stringify(content));
+    const kept = new StatsHandler({ config: { ...config, memory: { ...config.memory, staleDataAge: 0 }, files: { ...config.files, database } } });
+    await kept.ensureLoaded();
+    assert.equal(Object.keys(kept.getChannelStats('testchannel')).length, 1100);
+});
+
+test('milestones of the same value on two counters keep their own messages', async () => {
+    const milestones = {
+        ...config.milestones,
+        values: [{ counter: 'emotes', value: 3 }, { counter: 'messages', value: 3 }],
+        messages: { 'emotes:3': '{user} used {count} {counter}', 'messages:3': '{user} sent {count} {counter}' }
+    };
+    const statsHandler = new StatsHandler({ config: { ...config, milestones } });
+
+    const reached = await statsHandler.checkMilestone({ emotes: 2, messages: 2 }, { emotes: 3, messages: 3 }, 'Viewer');
+
+    assert.deepEqual(reached, [
+        { count: 3, counter: 'emotes', message: '{user} used {count} {counter}' },
+        { count: 3, counter: 'messages', message: '{user} sent {count} {counter}' }
+    ]);
+});
@@ -0,0 +1,179 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment } = require('./helpers/environment');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SEEN = Date.parse('2024-01-15T20:00:00Z');
+let directory;
+let config;
+let StatsHandler;
+let StatsTransfer;
+let csv;
+
+before(() => {
+    directory = setupEnvironment();
+
+    // Required after the environment is set: the configuration reads it once
+    config = require('../src/config');
+    StatsHandler = require('../src/modules/statsHandler');
+    StatsTransfer = require('../src/modules/statsTransfer');
+    csv = require('../src/utils/csv');
+});
+
+/**
+ * Creates statistics stored in their own database file
+ * @param {string} name - Database file name in the test directory
+ * @returns {{statsHandler: StatsHandler, transfer: StatsTransfer}} Statistics and their import/export
+ */
+function createStats(name) {
+    const bot = { config: { ...config, files: { ...config.files, database: path.join(directory, name) } } };
+    const statsHandler = new StatsHandler(bot);
+    return { statsHandler, transfer: new StatsTransfer(statsHandler, { directory: path.join(directory, 'exports') }) };
+}
+
+/**
+ * Creates a user record
+ * @param {Object} emotes - Emote key to count
+ * @param {Object} [fields] - Other record fields
+ * @returns {Object} User statistics
+ */
+function userStats(emotes, fields = {}) {
+    const total = Object.values(emotes).reduce((sum, count) => sum + count, 0);
+    return {
+        total,
+        emoteMessages: total,
+        messages: total + 1,
+        emotes,
+        platforms: { 'twitch-global': total },
+        firstSeen: SEEN - DAY,
+        lastSeen: SEEN,
+        login: 'viewer',
+        displayName: 'Viewer',
+        ...fields
+    };
+}
+
+/**
+ * Exports statistics holding one user with the given record
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {Object} stats - User statistics
+ * @returns {Promise<string>} Export file
+ */
+async function exportUser(format, stats) {
+    const { statsHandler, transfer } = createStats(`export-${format}-${Date.now()}.json`);
+    await statsHandler.ensureLoaded();
+    statsHandler.getChannelStats('testchannel')['42'] = stats;
+    const { file, users } = await transfer.exportStats(format);
+    assert.equal(users, 1);
+    return file;
+}
+
+test('parseCsvRow reads what formatCsvRow writes', () => {
+    const values = ['plain', 'with, comma', 'with "quotes"', 'two\nlines', ''];
+    const line = csv.formatCsvRow(values);
+
+    assert.equal(line, 'plain,"with, comma","with ""quotes""","two\nlines",');
+    assert.deepEqual(csv.parseCsvRow(line), values);
+    assert.throws(() => csv.parseCsvRow('"open'), /Unclosed quoted field/);
+});
+
+test('hasOpenQuote tells when a quoted field goes on on the next line', () => {
+    assert.equal(csv.hasOpenQuote('a,"two'), true);
+    assert.equal(csv.hasOpenQuote('a,"two\nlines",b'), false);
+    assert.equal(csv.hasOpenQuote('a,"say ""hi"""'), false);
+});
+
+for (const format of ['csv', 'ndjson']) {
+    test(`${format} exports import back into empty statistics`, async () => {
+        const stats = userStats({ 'twitch:25': 3, '7tv:abc': 1 }, {
+            // Line breaks, commas and quotes in names are kept
+            displayName: 'Vie,"wer"\nTwo',
+            raw: { total: 6, emotes: { 'twitch:25': 5, '7tv:abc': 1 } }
+        });
+        const file = await exportUser(format, stats);
+
+        const { statsHandler, transfer } = createStats(`import-${format}.json`);
+        const result = await transfer.importStats(file);
+
+        assert.equal(result.added, 1);
+        assert.deepEqual(statsHandler.getChannelStats('testchannel')['42'], { ...stats, backfilled: true });
+    });
+}
+
+test('a quoted field that is never closed is reported with its first line', async () => {
+    const file = path.join(directory, 'broken.csv');
+    fs.writeFileSync(file, [
+        'channel,user_key,legacy,login,display_name,first_seen,last_seen,type,key,name,count',
+        'testchannel,42,false,viewer,"Viewer,2024-01-14T20:00:00.000Z,2024-01-15T20:00:00.000Z,total,,,1',
+        'testchannel,42,false,viewer,Viewer,2024-01-14T20:00:00.000Z,2024-01-15T20:00:00.000Z,messages,,,1'
+    ].join('\n'));
+
+    const { statsHandler, transfer } = createStats('broken.json');
+    await statsHandler.ensureLoaded();
+    await assert.rejects(transfer.importStats(file), /broken\.csv:3: Unclosed quoted field in the row starting on line 2/);
+    assert.deepEqual(statsHandler.getChannelStats('testchannel'), {});
+});
+
+test('conflict policies resolve users already in the statistics', async () => {
+    const file = await exportUser('ndjson', userStats({ 'twitch:25': 5, '7tv:abc': 1 }, {
+        displayName: 'ViewerRenamed',
+        lastSeen: SEEN + DAY
+    }));
+    const existing = () => userStats({ 'twitch:25': 2, '7tv:abc': 4 });
+    const expected = {
+        max: { 'twitch:25': 5, '7tv:abc': 4 },
+        sum: { 'twitch:25': 7, '7tv:abc': 5 },
+        replace: { 'twitch:25': 5, '7tv:abc': 1 },
+        skip: { 'twitch:25': 2, '7tv:abc': 4 }
+    };
+
+    for (const [policy, emotes] of Object.entries(expected)) {
+        const { statsHandler, transfer } = createStats(`policy-${policy}.json`);
+        await statsHandler.ensureLoaded();
+        statsHandler.getChannelStats('testchannel')['42'] = existing();
+
+        const result = await transfer.importStats(file, { policy });
+
+        const stats = statsHandler.getChannelStats('testchannel')['42'];
+        assert.deepEqual(stats.emotes, emotes, policy);
+        assert.equal(stats.total, emotes['twitch:25'] + emotes['7tv:abc'], policy);
+        assert.equal(result[{ max: 'merged', sum: 'merged', replace: 'replaced', skip: 'skipped' }[policy]], 1, policy);
+        // The names of the user seen last are kept
+        assert.equal(stats.displayName, policy === 'skip' ? 'Viewer' : 'ViewerRenamed', policy);
+    }
+});
+
+test('importing the same file twice with max changes nothing', async () => {
+    const file = await exportUser('csv', userStats({ 'twitch:25': 3 }));
+    const { statsHandler, transfer } = createStats('twice.json');
+
+    await transfer.importStats(file);
+    const first = structuredClone(statsHandler.getChannelStats('testchannel'));
+    await transfer.importStats(file);
+
+    assert.deepEqual(statsHandler.getChannelStats('testchannel'), first);
+});
+
+test('imported users last seen long ago are kept on the next start', async () => {
+    // More users than the size from which stale users are removed on load
+    const lines = [];
+    for (let i = 0; i < 1100; i++) {
+        lines.push(JSON.stringify({
+            channel: 'testchannel', userKey: `${i}`, legacy: false, login: `viewer${i}`, displayName: `viewer${i}`,
+            firstSeen: new Date(SEEN).toISOString(), lastSeen: new Date(SEEN).toISOString(),
+            total: 1, emoteMessages: 1, messages: 1, emotes: [{ key: 'twitch:25', count: 1 }], platforms: { twitch: 1 }, raw: null
+        }));
+    }
+    const file = path.join(directory, 'old-users.ndjson');
+    fs.writeFileSync(file, lines.join('\n'));
+    await createStats('restored.json').transfer.importStats(file);
+
+    const { statsHandler } = createStats('restored.json');
+    await statsHandler.ensureLoaded();
+    await statsHandler.saveStats({ full: true });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, 'restored.json'), 'utf-8'));
+    assert.equal(Object.keys(saved.stats.testchannel).length, 1100);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTemplate, renderTemplate, findUnknownVariables } = require('../src/utils/template');
+
+const EN = { numberFormat: new Intl.NumberFormat('en'), pluralRules: new Intl.PluralRules('en') };
+
+/**
+ * Parses and renders a template in English
+ * @param {string} template - Template text
+ * @param {Object} params - Template variables
+ * @returns {string} The rendered text
+ */
+function render(template, params) {
+    return renderTemplate(parseTemplate(template), params, EN);
+}
+
+test('variables are rendered with numbers formatted for the locale', () => {
+    assert.equal(render('{user} has {total} emotes', { user: 'Viewer', total: 12345 }), 'Viewer has 12,345 emotes');
+    assert.equal(render('{names}', { names: ['a', 'b'] }), 'a, b');
+    // Unknown variables and stray braces are kept as written
+    assert.equal(render('{missing} {not a variable}', {}), '{missing} {not a variable}');
+    assert.equal(renderTemplate(parseTemplate('{total}'), { total: 12345 }, {
+        numberFormat: new Intl.NumberFormat('pt-BR'),
+        pluralRules: new Intl.PluralRules('pt-BR')
+    }), '12.345');
+});
+
+test('plurals pick the exact, locale or other form', () => {
+    const template = '{count, plural, =0 {no emotes} one {# emote} other {# emotes}}';
+    assert.equal(render(template, { count: 0 }), 'no emotes');
+    assert.equal(render(template, { count: 1 }), '1 emote');
+    assert.equal(render(template, { count: 1500 }), '1,500 emotes');
+    assert.equal(render(template, {}), '{count}');
+    // Branches hold any template, # is the number of the closest plural
+    assert.equal(render('{a, plural, other {{b, plural, other {# of {a}}}}}', { a: 2, b: 1 }), '1 of 2');
+});
+
+test('conditionals and lists', () => {
+    const template = '{#if users}Top: {#each users " | "}{index}. {name} ({count}){/each}{#else}Nobody{/if}';
+    assert.equal(render(template, { users: [{ name: 'a', count: 3 }, { name: 'b', count: 1 }] }), 'Top: 1. a (3) | 2. b (1)');
+    assert.equal(render(template, { users: [] }), 'Nobody');
+    assert.equal(render('{#each codes}{item}{/each}', { codes: ['Kappa', 'LUL'] }), 'Kappa, LUL');
+    assert.equal(render('{#if count}some{/if}', { count: 0 }), '');
+});
+
+test('syntax errors name what is wrong', () => {
+    assert.throws(() => parseTemplate('{#if rank}open'), /\{#if rank\} is not closed with \{\/if\}/);
+    assert.throws(() => parseTemplate('{#each users}{name}'), /is not closed with \{\/each\}/);
+    assert.throws(() => parseTemplate('text{/if}'), /Unexpected "\{\/if\}" at position 4/);
+    assert.throws(() => parseTemplate('{n, plural, one {#}}'), /needs an "other" form/);
+    assert.throws(() => parseTemplate('{n, plural, some {#} other {#}}'), /Unknown plural selector "some"/);
+    assert.throws(() => parseTemplate('{n, plural, other #}'), /Malformed plural for \{n\}/);
+});
+
+test('unknown variables are found in every block', () => {
+    const nodes = parseTemplate(
+        '{user} {#if rank}{rnak}{/if} {n, plural, other {{nn}}} {#each top}{name} {index} {user} {nope}{/each} {#each user}{/each}'
+    );
+    assert.deepEqual(findUnknownVariables(nodes, ['user', 'rank', 'n', 'top[name]']).sort(), [
+        '{#each user} (not a list)',
+        '{nn}',
+        '{nope}',
+        '{rnak}'
+    ]);
+    assert.deepEqual(findUnknownVariables(parseTemplate('{#each codes}{item}{/each}'), ['codes[]']), []);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const UsageHistory = require('../src/modules/usageHistory');
+
+const MINUTE = 60 * 1000;
+const START = Date.now() - 60 * MINUTE;
+
+/**
+ * Records one emote use
+ * @param {UsageHistory} history - History to update
+ * @param {number} timestamp - When the emote was used
+ * @param {string} [username='viewer'] - Who used it
+ * @param {string} [emote='Kappa'] - Emote used
+ */
+function recordEmote(history, timestamp, username = 'viewer', emote = 'Kappa') {
+    history.record('channel', { username, emote, platform: 'twitch', message: true }, timestamp);
+}
+
+test('events within the session gap share a session', () => {
+    const history = new UsageHistory({ sessionGap: 10 * MINUTE });
+    recordEmote(history, START);
+    recordEmote(history, START + 5 * MINUTE);
+    recordEmote(history, START + 12 * MINUTE);
+
+    const sessions = history.getSessions('channel');
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].start, START);
+    assert.equal(sessions[0].end, START + 12 * MINUTE);
+    assert.equal(sessions[0].total, 3);
+});
+
+test('a pause longer than the session gap starts a new session', () => {
+    const history = new UsageHistory({ sessionGap: 10 * MINUTE });
+    recordEmote(history, START);
+    recordEmote(history, START + 30 * MINUTE);
+
+    // Newest first
+    assert.deepEqual(history.getSessions('channel').map(session => session.start), [START + 30 * MINUTE, START]);
+});
+
+test('older events join the session around them or start an earlier one', () => {
+    const history = new UsageHistory({ sessionGap: 10 * MINUTE });
+    recordEmote(history, START + 40 * MINUTE);
+    recordEmote(history, START + 35 * MINUTE);
+    recordEmote(history, START);
+
+    const sessions = history.getSessions('channel');
+    assert.deepEqual(sessions.map(session => [session.start, session.end]), [
+        [START + 35 * MINUTE, START + 40 * MINUTE],
+        [START, START]
+    ]);
+    assert.equal(sessions[0].total, 2);
+});
+
+test('top emotes and users only count the requested range', () => {
+    const history = new UsageHistory();
+    recordEmote(history, START, 'alice', 'Kappa');
+    recordEmote(history, START + 2 * 60 * MINUTE, 'bob', 'LUL');
+    recordEmote(history, START + 2 * 60 * MINUTE, 'bob', 'LUL');
+
+    assert.deepEqual(history.getTopEmotes('channel', START, START + 60 * MINUTE), [['Kappa', 1]]);
+    assert.deepEqual(history.getTopUsers('channel', START, START + 3 * 60 * MINUTE), [['bob', 2], ['alice', 1]]);
+});